@@ -0,0 +1,54 @@
+// Permission catalog. Role -> permission mappings live in the `Role`
+// collection; these are only the defaults seeded on first use.
+export const PERMISSIONS = {
+  "admin:access": "Open the admin dashboard",
+  "users:read": "View user accounts",
+  "users:update": "Edit user profiles, badges and passwords",
+  "users:suspend": "Suspend, ban and reinstate users",
+  "users:delete": "Delete user accounts",
+  "users:unlock": "Unlock accounts locked by failed logins",
+  "users:impersonate": "View the app as another user (read-only)",
+  "reports:read": "View user reports",
+  "reports:review": "Update report status and take action",
+  "content:moderate": "Remove or restore reported content",
+  "notifications:send": "Send and manage broadcast notifications",
+  "psa:read": "View PSAs and their metrics",
+  "psa:publish": "Create, edit and publish PSAs",
+  "psa:delete": "Delete PSAs",
+  "static:edit": "Edit static pages",
+  "static:publish": "Publish and unpublish static pages",
+  "matchmaking:read": "View matchmaking activity and chats",
+  "matchmaking:moderate": "Moderate matchmaking chats",
+  "system:debug": "Use debugging endpoints",
+  "roles:manage": "Edit role permissions",
+};
+
+export const WILDCARD = "*";
+
+// Built-in roles from least to most privileged. Nobody may hand out a role
+// ranked above their own.
+export const ROLE_RANKS = ["user", "streamer", "moderator", "admin"];
+
+export const DEFAULT_ROLE_PERMISSIONS = {
+  admin: [WILDCARD],
+  moderator: [
+    "admin:access",
+    "users:read",
+    "users:suspend",
+    "reports:read",
+    "reports:review",
+    "content:moderate",
+    "psa:read",
+    "matchmaking:read",
+    "matchmaking:moderate",
+  ],
+  streamer: [],
+  user: [],
+};
+
+export default {
+  PERMISSIONS,
+  WILDCARD,
+  ROLE_RANKS,
+  DEFAULT_ROLE_PERMISSIONS,
+};
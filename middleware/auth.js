@@ -1,11 +1,7 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
-
-// In-memory store for demo user data (persists across requests)
-const demoUserStore = {
-  following: [],
-  followers: [],
-};
+import { touchSession } from "../services/sessionService.js";
+import { hasPermission } from "./permissions.js";
 
 // Protect routes - require authentication
 export const protect = async (req, res, next) => {
@@ -19,47 +15,82 @@ export const protect = async (req, res, next) => {
       // Get token from header
       token = req.headers.authorization.split(" ")[1];
 
-      // Check for demo token (development only)
-      if (token.startsWith("demo_token_") || token === "demo-token") {
-        // Create a mock user for demo purposes with persistent following data
-        req.user = {
-          _id: "demo_user_id",
-          id: "demo_user_id",
-          username: "demo_user",
-          email: "demo@example.com",
-          name: "Demo User",
-          following: demoUserStore.following, // Use persistent store
-          followers: demoUserStore.followers, // Use persistent store
-          role: "user",
-          status: "active",
-        };
-        return next();
-      }
-
       // Verify JWT token
       const decoded = jwt.verify(
         token,
         process.env.JWT_SECRET || "your-secret-key"
       );
 
-      console.log("Decoded JWT:", decoded); // Debug log
+      // Tokens waiting on a second factor are only valid for /api/auth/2fa/verify
+      if (decoded.mfa === "pending") {
+        return res.status(401).json({
+          success: false,
+          error: "Two-factor verification required",
+          code: "MFA_REQUIRED",
+        });
+      }
+
+      // Tokens for accounts pending deletion are only valid for
+      // /api/auth/cancel-deletion
+      if (decoded.deletion === "pending") {
+        return res.status(401).json({
+          success: false,
+          error: "Account is scheduled for deletion",
+          code: "ACCOUNT_PENDING_DELETION",
+        });
+      }
+
+      // Login tokens are bound to a session and stop working as soon as it's
+      // revoked; only impersonation tokens (checked below) carry no session
+      if (!decoded.impersonatedBy) {
+        const active = decoded.sid && (await touchSession(decoded.sid));
+        if (!active) {
+          return res.status(401).json({
+            success: false,
+            error: "Session has been revoked or expired",
+            code: "SESSION_REVOKED",
+          });
+        }
+        req.sessionId = decoded.sid;
+      }
 
       // Get user from the token (check both id and userId for compatibility)
       const userId = decoded.userId || decoded.id;
       req.user = await User.findById(userId).select("-password");
 
       if (!req.user) {
-        console.log("User not found in DB, creating mock user for userId:", userId);
-        // Create a mock user object for development
-        req.user = {
-          _id: userId,
-          id: userId,
-          username: decoded.username || "user_" + userId.substring(0, 8),
-          email: decoded.email || `user_${userId}@example.com`,
-          name: decoded.name || "Test User",
-          role: decoded.role || "user",
-          status: "active",
-        };
+        return res.status(401).json({
+          success: false,
+          error: "User no longer exists",
+          code: "USER_NOT_FOUND",
+        });
+      }
+
+      // Impersonation tokens are read-only and die with the admin's permission
+      if (decoded.impersonatedBy) {
+        const admin = await User.findById(decoded.impersonatedBy).select(
+          "role status"
+        );
+        if (
+          !admin ||
+          admin.status !== "active" ||
+          !(await hasPermission(admin, "users:impersonate"))
+        ) {
+          return res.status(401).json({
+            success: false,
+            error: "Impersonation is no longer valid",
+            code: "IMPERSONATION_REVOKED",
+          });
+        }
+        if (!["GET", "HEAD", "OPTIONS"].includes(req.method)) {
+          return res.status(403).json({
+            success: false,
+            error: "Impersonation sessions are read-only",
+            code: "IMPERSONATION_READ_ONLY",
+          });
+        }
+        req.impersonatedBy = decoded.impersonatedBy;
+        req.readOnly = true;
       }
 
       next();
@@ -93,6 +124,22 @@ export const authorize = (...roles) => {
   };
 };
 
+// Block content creation until the email is verified, when
+// REQUIRE_VERIFIED_EMAIL=true. Must run after protect.
+export const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL !== "true") {
+    return next();
+  }
+  if (req.user && req.user.emailVerified) {
+    return next();
+  }
+  return res.status(403).json({
+    success: false,
+    error: "Please verify your email address to continue",
+    code: "EMAIL_NOT_VERIFIED",
+  });
+};
+
 // Alias for protect function for backwards compatibility
 export const authenticateToken = protect;
 
@@ -0,0 +1,79 @@
+import Role from "../models/Role.js";
+import User from "../models/User.js";
+import { WILDCARD, ROLE_RANKS } from "../config/permissions.js";
+
+// Check whether a user's role grants a permission
+export const hasPermission = async (user, permission) => {
+  if (!user || !user.role) return false;
+  const permissions = await Role.getPermissions(user.role);
+  return permissions.includes(WILDCARD) || permissions.includes(permission);
+};
+
+// Whether a role ranks above another (unknown roles rank below everything)
+export const outranks = (role, otherRole) =>
+  ROLE_RANKS.indexOf(role) > ROLE_RANKS.indexOf(otherRole);
+
+// Whether a user may give someone a role: it takes roles:manage, and the role
+// can't rank above the user's own
+export const canAssignRole = async (user, role) =>
+  ROLE_RANKS.includes(role) &&
+  !outranks(role, user?.role) &&
+  (await hasPermission(user, "roles:manage"));
+
+// Load the user named by a route parameter into req.targetUser, refusing
+// (403) when their role outranks the acting user's. Guards every route that
+// changes someone else's account. Must run after protect.
+export const requireManageableUser = (param = "id") => {
+  return async (req, res, next) => {
+    try {
+      const target = await User.findById(req.params[param]).select("role");
+      if (!target) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      if (outranks(target.role, req.user?.role)) {
+        return res.status(403).json({
+          success: false,
+          error: "You cannot manage a user who outranks you",
+          code: "TARGET_OUTRANKS",
+        });
+      }
+      req.targetUser = target;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Require every listed permission. Must run after protect.
+export const requirePermission = (...required) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: "Not authorized to access this route",
+        });
+      }
+
+      const permissions = await Role.getPermissions(req.user.role);
+      const missing = permissions.includes(WILDCARD)
+        ? []
+        : required.filter((p) => !permissions.includes(p));
+
+      if (missing.length) {
+        return res.status(403).json({
+          success: false,
+          error: "You do not have permission to perform this action",
+          code: "FORBIDDEN",
+          missing,
+        });
+      }
+
+      req.permissions = permissions;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
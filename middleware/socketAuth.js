@@ -1,7 +1,8 @@
 import jwt from 'jsonwebtoken';
+import { touchSession } from '../services/sessionService.js';
 
 // Socket.IO authentication middleware
-export const socketAuth = (socket, next) => {
+export const socketAuth = async (socket, next) => {
   try {
     const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
     
@@ -10,7 +11,21 @@ export const socketAuth = (socket, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    socket.userId = decoded.id;
+    if (decoded.mfa === 'pending') {
+      return next(new Error('Authentication error: Two-factor verification required'));
+    }
+    if (decoded.deletion === 'pending') {
+      return next(new Error('Authentication error: Account is scheduled for deletion'));
+    }
+    if (decoded.impersonatedBy) {
+      return next(new Error('Authentication error: Impersonation sessions are read-only'));
+    }
+    // Every socket token must belong to a live session
+    if (!decoded.sid || !(await touchSession(decoded.sid))) {
+      return next(new Error('Authentication error: Session revoked'));
+    }
+    socket.userId = decoded.userId || decoded.id;
+    socket.sessionId = decoded.sid;
     socket.user = decoded;
     
     next();
@@ -21,6 +21,8 @@ const adminLogSchema = new mongoose.Schema(
         "user_unverified",
         "user_suspended",
         "user_unsuspended",
+        "user_unlocked",
+        "user_impersonated",
         "password_reset",
 
         // Content moderation
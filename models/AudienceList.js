@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+const MAX_MEMBERS = 1000;
+
+// A user-defined audience ("Close Friends") that posts and stories can target
+const audienceListSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [50, "List name cannot be more than 50 characters"],
+    },
+    members: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+      validate: {
+        validator: (v) => v.length <= MAX_MEMBERS,
+        message: `A list can have at most ${MAX_MEMBERS} members`,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for listing a user's lists; names are unique per owner
+audienceListSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+// Index for finding the lists a viewer belongs to
+audienceListSchema.index({ members: 1 });
+
+// Instance method to check membership
+audienceListSchema.methods.hasMember = function (userId) {
+  return this.members.some((id) => id.toString() === userId.toString());
+};
+
+// Static method to get the ids of every list that includes a user
+audienceListSchema.statics.findMemberListIds = function (userId) {
+  return this.distinct("_id", { members: userId });
+};
+
+// Static method to build a Post query clause that hides list-only posts
+// from viewers who aren't on the list (authors always see their own)
+audienceListSchema.statics.visibleToFilter = async function (viewerId) {
+  const listIds = await this.findMemberListIds(viewerId);
+  return {
+    $or: [
+      { audienceList: null },
+      { authorId: viewerId },
+      { audienceList: { $in: listIds } },
+    ],
+  };
+};
+
+export default mongoose.model("AudienceList", audienceListSchema);
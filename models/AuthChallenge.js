@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// Short-lived server-side state for multi-step auth flows
+const authChallengeSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["oauth", "webauthn_registration", "webauthn_authentication"],
+      required: true,
+    },
+    // Opaque value handed to the client (OAuth `state`, WebAuthn challenge)
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    provider: String,
+    mode: {
+      type: String,
+      enum: ["login", "link"],
+      default: "login",
+    },
+    nonce: String,
+    codeVerifier: String,
+    redirectUri: String,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for automatic cleanup of expired challenges
+authChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to create a challenge that expires after `ttlMinutes`
+authChallengeSchema.statics.issue = function (data, ttlMinutes = 10) {
+  return this.create({
+    ...data,
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  });
+};
+
+// Static method to fetch and delete a challenge in one step (single use)
+authChallengeSchema.statics.consume = function (type, key) {
+  return this.findOneAndDelete({
+    type,
+    key,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+export default mongoose.model("AuthChallenge", authChallengeSchema);
@@ -0,0 +1,119 @@
+import mongoose from "mongoose";
+
+// A comment or reply on a post or reel
+const commentSchema = new mongoose.Schema(
+  {
+    parentModel: {
+      type: String,
+      enum: ["Post", "Reel"],
+      required: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "parentModel",
+      required: true,
+    },
+    // Author of the post or reel, who moderates its comments
+    parentAuthor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    content: {
+      type: String,
+      trim: true,
+      // Deleted comments that still have replies keep their place, not their text
+      required: [
+        function () {
+          return !this.isDeleted;
+        },
+        "Comment text is required",
+      ],
+      maxlength: [500, "Comment cannot be more than 500 characters"],
+    },
+    // Comment this replies to, and the top-level comment of its thread
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    thread: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    depth: {
+      type: Number,
+      default: 0,
+    },
+    // Direct replies that are visible to everyone
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+    likes: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    likeCount: {
+      type: Number,
+      default: 0,
+    },
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Comment from a restricted user: only the commenter and the parent's
+    // author see it until the author approves it
+    pendingApproval: {
+      type: Boolean,
+      default: false,
+    },
+    isPinned: {
+      type: Boolean,
+      default: false,
+    },
+    pinnedAt: {
+      type: Date,
+    },
+    isEdited: {
+      type: Boolean,
+      default: false,
+    },
+    editedAt: {
+      type: Date,
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for paging through a parent's top-level comments, newest or top first
+commentSchema.index({ parent: 1, replyTo: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ parent: 1, replyTo: 1, likeCount: -1, _id: -1 });
+
+// Index for paging through a comment's replies, oldest first
+commentSchema.index({ replyTo: 1, createdAt: 1, _id: 1 });
+
+// Indexes for approving held comments and removing a user's comments
+commentSchema.index({ parentAuthor: 1, author: 1, pendingApproval: 1 });
+commentSchema.index({ author: 1, createdAt: -1 });
+
+export default mongoose.model("Comment", commentSchema);
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// A personal data export requested by a user, built in the background
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "ready", "failed", "expired"],
+      default: "pending",
+    },
+    startedAt: Date,
+    completedAt: Date,
+    // The archive is deleted and the download link stops working after this
+    expiresAt: Date,
+    // Archive location on the export server's disk
+    filePath: {
+      type: String,
+      select: false,
+    },
+    fileName: String,
+    fileSize: Number,
+    // Records per file in the archive, e.g. { "posts.json": 12 }
+    counts: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    error: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for a user's exports, newest first
+dataExportSchema.index({ user: 1, createdAt: -1 });
+
+// Index for the export job's queue and expiry sweeps
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+export default mongoose.model("DataExport", dataExportSchema);
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// A post served to a user in their ranked home feed
+const feedImpressionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Post",
+    required: true,
+  },
+  // Last time the post was served; refreshed when it's shown again
+  seenAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Index for one impression per user and post
+feedImpressionSchema.index({ user: 1, post: 1 }, { unique: true });
+
+// Impressions expire once their posts are out of the feed window
+feedImpressionSchema.index({ seenAt: 1 }, { expireAfterSeconds: 14 * 24 * 60 * 60 });
+
+export default mongoose.model("FeedImpression", feedImpressionSchema);
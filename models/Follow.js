@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+import User from "./User.js";
+
+// One follow edge: `follower` follows `following`
+const followSchema = new mongoose.Schema(
+  {
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    following: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for edge lookups; a user can follow another only once
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+
+// Index for paging a user's followers, newest first
+followSchema.index({ following: 1, _id: -1 });
+
+// Index for paging who a user follows, newest first
+followSchema.index({ follower: 1, _id: -1 });
+
+// Static method to check whether one user follows another
+followSchema.statics.isFollowing = async function (followerId, followingId) {
+  if (!followerId || !followingId) return false;
+  return !!(await this.exists({ follower: followerId, following: followingId }));
+};
+
+// Static method to create a follow edge and bump both counters.
+// Returns false if the edge already existed.
+followSchema.statics.follow = async function (followerId, followingId) {
+  try {
+    const result = await this.updateOne(
+      { follower: followerId, following: followingId },
+      { $setOnInsert: { follower: followerId, following: followingId } },
+      { upsert: true }
+    );
+    if (!result.upsertedCount) return false;
+  } catch (error) {
+    // Lost a race with a concurrent follow of the same user
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  await Promise.all([
+    User.updateOne({ _id: followerId }, { $inc: { followingCount: 1 } }),
+    User.updateOne({ _id: followingId }, { $inc: { followerCount: 1 } }),
+  ]);
+  return true;
+};
+
+// Static method to remove a follow edge and decrement both counters.
+// Returns false if there was nothing to remove.
+followSchema.statics.unfollow = async function (followerId, followingId) {
+  const result = await this.deleteOne({
+    follower: followerId,
+    following: followingId,
+  });
+  if (!result.deletedCount) return false;
+
+  await Promise.all([
+    User.updateOne(
+      { _id: followerId, followingCount: { $gt: 0 } },
+      { $inc: { followingCount: -1 } }
+    ),
+    User.updateOne(
+      { _id: followingId, followerCount: { $gt: 0 } },
+      { $inc: { followerCount: -1 } }
+    ),
+  ]);
+  return true;
+};
+
+// Static method to get the ids of everyone a user follows
+followSchema.statics.findFollowingIds = function (userId) {
+  return this.distinct("following", { follower: userId });
+};
+
+// Static method to get the ids of everyone following a user
+followSchema.statics.findFollowerIds = function (userId) {
+  return this.distinct("follower", { following: userId });
+};
+
+export default mongoose.model("Follow", followSchema);
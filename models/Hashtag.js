@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+// A hashtag with its lifetime counters. Per-hour usage for trending lives in
+// HashtagUsage.
+const hashtagSchema = new mongoose.Schema(
+  {
+    // Normalized: lower-case, no leading "#"
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 30,
+    },
+    // Public posts and reels currently carrying the tag
+    postCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    reelCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    followerCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for the most used tags
+hashtagSchema.index({ postCount: -1 });
+
+export default mongoose.model("Hashtag", hashtagSchema);
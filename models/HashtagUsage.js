@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// How many posts and reels used a hashtag during one hour
+const hashtagUsageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  // Start of the hour
+  hour: {
+    type: Date,
+    required: true,
+  },
+  posts: {
+    type: Number,
+    default: 0,
+  },
+  reels: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Index for counting one bucket per tag and hour
+hashtagUsageSchema.index({ name: 1, hour: 1 }, { unique: true });
+
+// Index for trending windows; buckets expire after 30 days
+hashtagUsageSchema.index({ hour: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model("HashtagUsage", hashtagUsageSchema);
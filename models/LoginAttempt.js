@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    identifier: {
+      type: String, // email or username as typed
+      default: "",
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    ipAddress: {
+      type: String,
+      required: true,
+    },
+    userAgent: String,
+    success: {
+      type: Boolean,
+      default: false,
+    },
+    reason: {
+      type: String,
+      enum: [
+        "success",
+        "unknown_user",
+        "bad_password",
+        "bad_second_factor",
+        "bad_otp",
+        "bad_passkey",
+        "account_locked",
+        "ip_limited",
+      ],
+      default: "bad_password",
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+// Attempts are only needed for rate limiting, drop them after a day
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Index for per-IP failure counts
+loginAttemptSchema.index({ ipAddress: 1, success: 1, createdAt: -1 });
+
+// Static method to record an attempt
+loginAttemptSchema.statics.record = function (req, data = {}) {
+  return this.create({
+    identifier: data.identifier ? String(data.identifier).toLowerCase() : "",
+    user: data.user,
+    ipAddress: req.ip || "unknown",
+    userAgent: req.get("User-Agent"),
+    success: !!data.success,
+    reason: data.reason || (data.success ? "success" : "bad_password"),
+  });
+};
+
+// Static method to check if an IP has too many recent failures
+loginAttemptSchema.statics.checkIpRateLimit = async function (
+  ipAddress,
+  windowMinutes = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15,
+  maxFailures = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20
+) {
+  const windowStart = new Date(Date.now() - windowMinutes * 60 * 1000);
+
+  const failures = await this.find({
+    ipAddress,
+    success: false,
+    createdAt: { $gte: windowStart },
+  })
+    .sort({ createdAt: 1 })
+    .limit(maxFailures)
+    .select("createdAt");
+
+  const isLimited = failures.length >= maxFailures;
+  // The window frees up once the oldest counted failure ages out
+  const retryAfter = isLimited
+    ? Math.max(
+        1,
+        Math.ceil(
+          (failures[0].createdAt.getTime() +
+            windowMinutes * 60 * 1000 -
+            Date.now()) /
+            1000
+        )
+      )
+    : 0;
+
+  return {
+    isLimited,
+    failuresInWindow: failures.length,
+    maxFailures,
+    windowMinutes,
+    retryAfter,
+  };
+};
+
+export default mongoose.model("LoginAttempt", loginAttemptSchema);
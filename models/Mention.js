@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// One @mention of a user in a post, comment, reel caption or stream chat
+const mentionSchema = new mongoose.Schema(
+  {
+    mentionedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    mentionedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    sourceType: {
+      type: String,
+      enum: ["post", "comment", "reel", "reel_comment", "stream_chat"],
+      required: true,
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+    },
+    reel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Reel",
+    },
+    stream: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Stream",
+    },
+    // Comment or chat message id, for comment and chat mentions
+    commentId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // Start of the text the mention appeared in
+    excerpt: {
+      type: String,
+      maxlength: 200,
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for listing a user's mentions, newest first
+mentionSchema.index({ mentionedUser: 1, _id: -1 });
+
+// Indexes for dropping mentions along with their post, reel or comment
+mentionSchema.index({ post: 1 }, { sparse: true });
+mentionSchema.index({ reel: 1 }, { sparse: true });
+mentionSchema.index({ commentId: 1 }, { sparse: true });
+
+export default mongoose.model("Mention", mentionSchema);
@@ -19,6 +19,7 @@ const otpSchema = new mongoose.Schema(
         "password_reset",
         "phone_verification",
         "email_verification",
+        "email_change",
       ],
       required: true,
     },
@@ -53,6 +54,27 @@ const otpSchema = new mongoose.Schema(
     usedAt: Date,
     ipAddress: String,
     userAgent: String,
+    // Provider delivery status (SMS only)
+    delivery: {
+      provider: String,
+      messageId: String,
+      status: {
+        type: String,
+        enum: [
+          "pending",
+          "queued",
+          "accepted",
+          "sending",
+          "sent",
+          "delivered",
+          "undelivered",
+          "failed",
+        ],
+      },
+      error: String,
+      sentAt: Date,
+      updatedAt: Date,
+    },
   },
   {
     timestamps: true,
@@ -65,6 +87,9 @@ otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 // Index for finding OTPs by identifier and purpose
 otpSchema.index({ identifier: 1, purpose: 1, isUsed: 1 });
 
+// Index for provider status callbacks
+otpSchema.index({ "delivery.messageId": 1 }, { sparse: true });
+
 // Pre-save middleware to set expiry time
 otpSchema.pre("save", function (next) {
   if (this.isNew && !this.expiresAt) {
@@ -74,8 +99,9 @@ otpSchema.pre("save", function (next) {
   next();
 });
 
-// Instance method to verify OTP
-otpSchema.methods.verify = function (inputCode) {
+// Instance method to verify OTP. With consume: false a correct code is only
+// checked (and costs no attempt), so it can be consumed in a later call.
+otpSchema.methods.verify = function (inputCode, { consume = true } = {}) {
   if (this.isUsed) {
     return { success: false, error: "OTP already used" };
   }
@@ -88,6 +114,10 @@ otpSchema.methods.verify = function (inputCode) {
     return { success: false, error: "OTP has expired" };
   }
 
+  if (!consume && this.code === inputCode) {
+    return { success: true };
+  }
+
   this.attempts += 1;
 
   if (this.attempts >= this.maxAttempts) {
@@ -111,6 +141,38 @@ otpSchema.methods.verify = function (inputCode) {
   }
 };
 
+// Instance method to record the result of handing the OTP to a provider
+otpSchema.methods.recordDelivery = function ({
+  provider,
+  messageId,
+  status,
+  error,
+}) {
+  this.delivery = {
+    provider,
+    messageId,
+    status: error ? "failed" : status || "sent",
+    error,
+    sentAt: error ? undefined : new Date(),
+    updatedAt: new Date(),
+  };
+  return this.save();
+};
+
+// Static method to apply a provider status callback
+otpSchema.statics.updateDeliveryStatus = function (messageId, status, error) {
+  const updates = {
+    "delivery.status": status,
+    "delivery.updatedAt": new Date(),
+  };
+  if (error) {
+    updates["delivery.error"] = error;
+  }
+  return this.findOneAndUpdate({ "delivery.messageId": messageId }, updates, {
+    new: true,
+  });
+};
+
 // Static method to generate OTP
 otpSchema.statics.generateOTP = function (length = 6) {
   const digits = "0123456789";
@@ -160,7 +222,12 @@ otpSchema.statics.createOTP = async function (
 };
 
 // Static method to verify OTP
-otpSchema.statics.verifyOTP = async function (identifier, purpose, inputCode) {
+otpSchema.statics.verifyOTP = async function (
+  identifier,
+  purpose,
+  inputCode,
+  options
+) {
   const otp = await this.findOne({
     identifier,
     purpose,
@@ -172,7 +239,7 @@ otpSchema.statics.verifyOTP = async function (identifier, purpose, inputCode) {
     return { success: false, error: "No valid OTP found" };
   }
 
-  return otp.verify(inputCode);
+  return otp.verify(inputCode, options);
 };
 
 // Static method to check if identifier is rate limited
@@ -184,11 +251,13 @@ otpSchema.statics.checkRateLimit = async function (
 ) {
   const windowStart = new Date(Date.now() - windowMinutes * 60 * 1000);
 
-  const count = await this.countDocuments({
-    identifier,
-    purpose,
-    createdAt: { $gte: windowStart },
-  });
+  // Without a purpose, count every OTP sent to the identifier
+  const query = { identifier, createdAt: { $gte: windowStart } };
+  if (purpose) {
+    query.purpose = purpose;
+  }
+
+  const count = await this.countDocuments(query);
 
   return {
     isLimited: count >= maxRequests,
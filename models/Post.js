@@ -47,9 +47,14 @@ const postSchema = new mongoose.Schema(
     },
     visibility: {
       type: String,
-      enum: ["public", "friends", "private"],
+      enum: ["public", "friends", "private", "audience"],
       default: "public",
     },
+    // Set when visibility is "audience": only list members (and the author) see it
+    audienceList: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AudienceList",
+    },
     location: {
       name: {
         type: String,
@@ -90,64 +95,6 @@ const postSchema = new mongoose.Schema(
         },
       },
     ],
-    comments: [
-      {
-        userId: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "User",
-        },
-        content: {
-          type: String,
-          required: true,
-          maxlength: [500, "Comment cannot be more than 500 characters"],
-        },
-        createdAt: {
-          type: Date,
-          default: Date.now,
-        },
-        likes: [
-          {
-            userId: {
-              type: mongoose.Schema.Types.ObjectId,
-              ref: "User",
-            },
-            likedAt: {
-              type: Date,
-              default: Date.now,
-            },
-          },
-        ],
-        replies: [
-          {
-            userId: {
-              type: mongoose.Schema.Types.ObjectId,
-              ref: "User",
-            },
-            content: {
-              type: String,
-              required: true,
-              maxlength: [300, "Reply cannot be more than 300 characters"],
-            },
-            createdAt: {
-              type: Date,
-              default: Date.now,
-            },
-            likes: [
-              {
-                userId: {
-                  type: mongoose.Schema.Types.ObjectId,
-                  ref: "User",
-                },
-                likedAt: {
-                  type: Date,
-                  default: Date.now,
-                },
-              },
-            ],
-          },
-        ],
-      },
-    ],
     shares: [
       {
         userId: {
@@ -183,6 +130,44 @@ const postSchema = new mongoose.Schema(
     editedAt: {
       type: Date,
     },
+    // Earlier versions of an edited post, oldest first
+    revisions: {
+      type: [
+        {
+          content: String,
+          tags: [String],
+          location: {
+            name: String,
+            coordinates: [Number],
+          },
+          // Media captions at the time, by media item id
+          captions: [
+            {
+              media: mongoose.Schema.Types.ObjectId,
+              caption: String,
+            },
+          ],
+          // When this version was published, and when an edit replaced it
+          createdAt: Date,
+          replacedAt: Date,
+        },
+      ],
+      select: false,
+    },
+    // Drafts and scheduled posts stay hidden from everyone but their author
+    // until they're published
+    status: {
+      type: String,
+      enum: ["draft", "scheduled", "published"],
+      default: "published",
+    },
+    publishAt: {
+      type: Date,
+    },
+    // When a draft or scheduled post went live (createdAt is moved to match)
+    publishedAt: {
+      type: Date,
+    },
     isDeleted: {
       type: Boolean,
       default: false,
@@ -283,19 +268,54 @@ const postSchema = new mongoose.Schema(
 // Index for efficient queries
 postSchema.index({ authorId: 1, createdAt: -1 });
 postSchema.index({ visibility: 1, createdAt: -1 });
-postSchema.index({ tags: 1 });
+postSchema.index({ audienceList: 1 }, { sparse: true });
+postSchema.index({ tags: 1, createdAt: -1 });
 postSchema.index({ mentions: 1 });
 postSchema.index({ "location.coordinates": "2dsphere" });
 postSchema.index({ content: "text" });
+postSchema.index(
+  { publishAt: 1 },
+  { partialFilterExpression: { status: "scheduled" } }
+);
+postSchema.index({ authorId: 1, status: 1 });
+
+// Post states that aren't visible yet
+export const UNPUBLISHED_STATUSES = ["draft", "scheduled"];
+
+// Filter for posts that have gone live (older posts have no status)
+export const publishedFilter = () => ({ status: { $nin: UNPUBLISHED_STATUSES } });
+
+// Reads only see published posts unless they filter on status themselves or
+// set the includeUnpublished option. Updates and deletes aren't filtered, so
+// they must name the posts they change; aggregations must start with a
+// $match on status (or set the option) and throw otherwise.
+const hasStatusFilter = (filter) =>
+  !!filter && Object.prototype.hasOwnProperty.call(filter, "status");
+
+function hideUnpublished() {
+  if (this.getOptions().includeUnpublished) return;
+  if (hasStatusFilter(this.getFilter())) return;
+  this.where(publishedFilter());
+}
+
+postSchema.pre(["find", "findOne", "countDocuments", "distinct"], hideUnpublished);
+
+postSchema.pre("aggregate", function () {
+  if (this.options?.includeUnpublished) return;
+  const [first] = this.pipeline();
+  if (!hasStatusFilter(first?.$match)) {
+    throw new Error("Post aggregations must start with a $match on status");
+  }
+});
 
 // Virtual for like count
 postSchema.virtual("likeCount").get(function () {
   return this.likes.length;
 });
 
-// Virtual for comment count
+// Virtual for comment count (comments live in the Comment collection)
 postSchema.virtual("commentCount").get(function () {
-  return this.comments.length;
+  return this.engagement?.comments || 0;
 });
 
 // Virtual for share count
@@ -329,17 +349,6 @@ postSchema.methods.removeLike = function (userId) {
   return this.save();
 };
 
-// Method to add comment
-postSchema.methods.addComment = function (userId, content) {
-  this.comments.push({
-    userId,
-    content,
-    createdAt: new Date(),
-  });
-  this.engagement.comments = this.comments.length;
-  return this.save();
-};
-
 // Method to add view
 postSchema.methods.addView = function (userId) {
   const existingView = this.views.find(
@@ -398,7 +407,6 @@ postSchema.statics.findUserPosts = function (userId, limit = 20, skip = 0) {
   })
     .populate("authorId", "username name avatar")
     .populate("likes.userId", "username name avatar")
-    .populate("comments.userId", "username name avatar")
     .populate("mentions", "username name avatar")
     .sort({ createdAt: -1 })
     .limit(limit)
@@ -413,7 +421,6 @@ postSchema.statics.findFeedPosts = function (userId, limit = 20, skip = 0) {
   })
     .populate("authorId", "username name avatar")
     .populate("likes.userId", "username name avatar")
-    .populate("comments.userId", "username name avatar")
     .populate("mentions", "username name avatar")
     .sort({ createdAt: -1 })
     .limit(limit)
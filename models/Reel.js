@@ -30,6 +30,13 @@ const reelSchema = new mongoose.Schema(
         maxLength: 30,
       },
     ],
+    // Users @mentioned in the caption
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
     category: {
       type: String,
       enum: [
@@ -66,30 +73,11 @@ const reelSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
-    comments: [
-      {
-        author: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "User",
-          required: true,
-        },
-        text: {
-          type: String,
-          required: true,
-          maxLength: 200,
-        },
-        createdAt: {
-          type: Date,
-          default: Date.now,
-        },
-        likes: [
-          {
-            type: mongoose.Schema.Types.ObjectId,
-            ref: "User",
-          },
-        ],
-      },
-    ],
+    // Comments live in the Comment collection; this is their count
+    commentsCount: {
+      type: Number,
+      default: 0,
+    },
     shares: {
       type: Number,
       default: 0,
@@ -174,7 +162,7 @@ const reelSchema = new mongoose.Schema(
 // Indexes for better performance
 reelSchema.index({ author: 1, createdAt: -1 });
 reelSchema.index({ category: 1, createdAt: -1 });
-reelSchema.index({ tags: 1 });
+reelSchema.index({ tags: 1, createdAt: -1 });
 reelSchema.index({ isActive: 1, createdAt: -1 });
 reelSchema.index({ views: -1 });
 reelSchema.index({ likes: 1 });
@@ -182,7 +170,7 @@ reelSchema.index({ likes: 1 });
 // Virtual for engagement score
 reelSchema.virtual("engagementScore").get(function () {
   const likes = this.likes ? this.likes.length : 0;
-  const comments = this.comments ? this.comments.length : 0;
+  const comments = this.commentsCount || 0;
   const shares = this.shares || 0;
   const views = this.views || 1;
 
@@ -194,20 +182,15 @@ reelSchema.virtual("likesCount").get(function () {
   return this.likes ? this.likes.length : 0;
 });
 
-// Virtual for comment count
-reelSchema.virtual("commentsCount").get(function () {
-  return this.comments ? this.comments.length : 0;
-});
-
 // Pre-save middleware to update analytics
 reelSchema.pre("save", function (next) {
   if (
     this.isModified("views") ||
     this.isModified("likes") ||
-    this.isModified("comments")
+    this.isModified("commentsCount")
   ) {
     const likes = this.likes ? this.likes.length : 0;
-    const comments = this.comments ? this.comments.length : 0;
+    const comments = this.commentsCount || 0;
     const views = this.views || 1;
 
     this.analytics.engagementRate = (
@@ -234,7 +217,7 @@ reelSchema.statics.getTrending = function (limit = 20) {
         engagementScore: {
           $add: [
             { $size: { $ifNull: ["$likes", []] } },
-            { $multiply: [{ $size: { $ifNull: ["$comments", []] } }, 2] },
+            { $multiply: [{ $ifNull: ["$commentsCount", 0] }, 2] },
             { $multiply: [{ $ifNull: ["$shares", 0] }, 3] },
             { $divide: [{ $ifNull: ["$views", 0] }, 10] },
           ],
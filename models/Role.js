@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+import {
+  PERMISSIONS,
+  WILDCARD,
+  DEFAULT_ROLE_PERMISSIONS,
+} from "../config/permissions.js";
+
+const CACHE_TTL = 60 * 1000;
+const permissionCache = new Map();
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+      maxlength: [200, "Description cannot be more than 200 characters"],
+    },
+    permissions: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (values) =>
+          values.every((p) => p === WILDCARD || p in PERMISSIONS),
+        message: "Unknown permission",
+      },
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+roleSchema.post("save", function () {
+  permissionCache.delete(this.name);
+});
+
+// Static method to get the permissions for a role name (cached briefly).
+// Roles without a document fall back to the built-in defaults.
+roleSchema.statics.getPermissions = async function (name) {
+  const cached = permissionCache.get(name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await this.findOne({ name }).lean();
+  const permissions = role
+    ? role.permissions
+    : DEFAULT_ROLE_PERMISSIONS[name] || [];
+
+  permissionCache.set(name, { permissions, expiresAt: Date.now() + CACHE_TTL });
+  return permissions;
+};
+
+// Static method to create any missing default roles
+roleSchema.statics.ensureDefaults = async function () {
+  await Promise.all(
+    Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([name, permissions]) =>
+      this.updateOne(
+        { name },
+        { $setOnInsert: { name, permissions } },
+        { upsert: true }
+      )
+    )
+  );
+};
+
+// Static method to drop cached permissions (after edits)
+roleSchema.statics.clearCache = function () {
+  permissionCache.clear();
+};
+
+export default mongoose.model("Role", roleSchema);
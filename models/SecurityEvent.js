@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+
+const RETENTION_DAYS = parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS) || 365;
+
+// Account activity a user can review from settings
+const securityEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        "login",
+        "login_failed",
+        "password_reset",
+        "otp_sent",
+        "two_factor_enabled",
+        "two_factor_disabled",
+        "backup_codes_regenerated",
+        "passkey_added",
+        "passkey_removed",
+        "email_changed",
+        "session_revoked",
+        "sessions_revoked",
+        "account_deactivated",
+        "account_reactivated",
+        "account_deletion_scheduled",
+        "account_deletion_cancelled",
+      ],
+      required: true,
+    },
+    ipAddress: String,
+    userAgent: String,
+    device: {
+      type: {
+        type: String,
+        enum: ["mobile", "tablet", "desktop", "unknown"],
+        default: "unknown",
+      },
+      browser: {
+        type: String,
+        default: "",
+      },
+      os: {
+        type: String,
+        default: "",
+      },
+      name: {
+        type: String,
+        default: "",
+      },
+    },
+    // ISO 3166-1 alpha-2 code from the edge proxy, when available
+    country: String,
+    isNewDevice: {
+      type: Boolean,
+      default: false,
+    },
+    isNewCountry: {
+      type: Boolean,
+      default: false,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for the user's activity feed
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ user: 1, type: 1, createdAt: -1 });
+
+// Index for automatic cleanup of old events
+securityEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+export default mongoose.model("SecurityEvent", securityEventSchema);
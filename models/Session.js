@@ -0,0 +1,115 @@
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // sha256 of the current refresh token secret; rotated on every refresh
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Hash of the token replaced by the last rotation, so a refresh racing
+    // that rotation isn't mistaken for a stolen token
+    previousRefreshTokenHash: {
+      type: String,
+      select: false,
+    },
+    rotatedAt: Date,
+    device: {
+      type: {
+        type: String,
+        enum: ["mobile", "tablet", "desktop", "unknown"],
+        default: "unknown",
+      },
+      browser: {
+        type: String,
+        default: "",
+      },
+      os: {
+        type: String,
+        default: "",
+      },
+      name: {
+        type: String,
+        default: "",
+      },
+    },
+    ipAddress: String,
+    userAgent: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "user_revoked",
+        "revoked_others",
+        "password_reset",
+        "token_reuse",
+        "admin",
+        "account_deactivated",
+        "account_deletion",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for listing a user's active sessions
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// Expired sessions are removed automatically a week after expiry
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Instance method to check if the session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = function (reason = "logout") {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to list active sessions for a user
+sessionSchema.statics.findActiveForUser = function (userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke every active session of a user except one
+sessionSchema.statics.revokeAllForUser = function (
+  userId,
+  reason,
+  exceptSessionId = null
+) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+};
+
+export default mongoose.model("Session", sessionSchema);
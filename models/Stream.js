@@ -114,6 +114,22 @@ const streamSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Live chat; the route keeps the last 100 messages
+  chat: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    message: {
+      type: String,
+      required: true,
+      maxlength: [200, 'Message cannot be more than 200 characters']
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   comments: [{
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// One post in a user's precomputed home timeline, pushed there when the post
+// was created or the user followed its author
+const timelineSchema = new mongoose.Schema({
+  // Timeline owner
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Post",
+    required: true,
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // The post's createdAt, so timelines page in post order
+  createdAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Index for one entry per user and post
+timelineSchema.index({ user: 1, post: 1 }, { unique: true });
+
+// Index for reading a timeline, newest first
+timelineSchema.index({ user: 1, createdAt: -1, post: -1 });
+
+// Indexes for removing a post everywhere, or an author from one timeline
+timelineSchema.index({ post: 1 });
+timelineSchema.index({ user: 1, author: 1 });
+timelineSchema.index({ author: 1 });
+
+export default mongoose.model("Timeline", timelineSchema);
@@ -108,18 +108,38 @@ const userSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
-    followers: [
+    // Hidden from this user's feeds, story tray and reels without unfollowing
+    mutedUsers: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
       },
     ],
-    following: [
+    // Comments from these users on this user's posts need approval
+    restrictedUsers: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
       },
     ],
+    // Normalized hashtag names whose public posts appear in this user's feed
+    followedHashtags: [
+      {
+        type: String,
+      },
+    ],
+    // Follow edges live in the Follow collection; these are kept in sync by
+    // Follow.follow / Follow.unfollow
+    followerCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    followingCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     // Pending follow requests where this user is the recipient (incoming requests)
     followRequests: [
       {
@@ -160,6 +180,13 @@ const userSchema = new mongoose.Schema(
     },
     emailVerificationToken: String,
     emailVerificationExpires: Date,
+    // New address waiting on confirmation from both old and new inboxes
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    pendingEmailExpires: Date,
     passwordResetToken: String,
     passwordResetExpires: Date,
     loginAttempts: {
@@ -167,12 +194,29 @@ const userSchema = new mongoose.Schema(
       default: 0,
     },
     lockUntil: Date,
+    // Number of lockouts since the last successful login; each one doubles the next lock
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
     twoFactorEnabled: {
       type: Boolean,
       default: false,
     },
-    twoFactorSecret: String,
-    twoFactorBackupCodes: [String],
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    // bcrypt hashes of the remaining one-time backup codes
+    twoFactorBackupCodes: {
+      type: [String],
+      select: false,
+    },
+    // Time step of the last accepted TOTP code; codes from it or earlier are refused
+    twoFactorLastStep: {
+      type: Number,
+      select: false,
+    },
     subscriptionTiers: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -222,6 +266,12 @@ const userSchema = new mongoose.Schema(
         type: Boolean,
         default: true,
       },
+      // Who may @mention this user: everyone, accounts they follow, or nobody
+      allowMentionsFrom: {
+        type: String,
+        enum: ["everyone", "following", "none"],
+        default: "everyone",
+      },
     },
     savedReels: [
       {
@@ -274,6 +324,81 @@ const userSchema = new mongoose.Schema(
       default: Date.now,
     },
     deviceTokens: [String], // For push notifications
+    // Seeded demo account (SANDBOX_MODE only)
+    isSandbox: {
+      type: Boolean,
+      default: false,
+    },
+    // False for accounts created through social login until a password is set
+    hasPassword: {
+      type: Boolean,
+      default: true,
+    },
+    // WebAuthn credentials (passkeys)
+    passkeys: {
+      type: [
+        {
+          credentialId: {
+            type: String, // base64url
+            required: true,
+          },
+          publicKey: {
+            type: String, // base64url COSE public key
+            required: true,
+          },
+          counter: {
+            type: Number,
+            default: 0,
+          },
+          transports: [String],
+          deviceType: {
+            type: String,
+            enum: ["singleDevice", "multiDevice"],
+          },
+          backedUp: {
+            type: Boolean,
+            default: false,
+          },
+          name: {
+            type: String,
+            default: "Passkey",
+            maxlength: [50, "Passkey name cannot be more than 50 characters"],
+          },
+          createdAt: {
+            type: Date,
+            default: Date.now,
+          },
+          lastUsedAt: Date,
+        },
+      ],
+      select: false,
+    },
+    // Linked OAuth/OIDC sign-in identities
+    identities: [
+      {
+        provider: {
+          type: String,
+          enum: ["google", "apple", "github"],
+          required: true,
+        },
+        subject: {
+          type: String, // provider's stable user id (`sub`)
+          required: true,
+        },
+        email: String,
+        emailVerified: {
+          type: Boolean,
+          default: false,
+        },
+        name: String,
+        avatar: String,
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        lastUsedAt: Date,
+      },
+    ],
     loginHistory: [
       {
         ip: String,
@@ -313,8 +438,14 @@ const userSchema = new mongoose.Schema(
         ref: 'User'
       }
     }],
+    // Set while the user has deactivated their account (or asked for it to
+    // be deleted): the profile and content are hidden until they sign in
     deactivatedAt: Date,
     deletedAt: Date,
+    // Pending deletion; the purge job deletes the account once
+    // deletionScheduledFor has passed unless the user cancels at sign-in
+    deletionRequestedAt: Date,
+    deletionScheduledFor: Date,
     stats: {
       totalPosts: {
         type: Number,
@@ -345,16 +476,6 @@ const userSchema = new mongoose.Schema(
   }
 );
 
-// Virtual for follower count
-userSchema.virtual("followerCount").get(function () {
-  return this.followers ? this.followers.length : 0;
-});
-
-// Virtual for following count
-userSchema.virtual("followingCount").get(function () {
-  return this.following ? this.following.length : 0;
-});
-
 // Virtual for post count
 userSchema.virtual("postCount").get(function () {
   return this.stats && this.stats.totalPosts ? this.stats.totalPosts : 0;
@@ -364,6 +485,24 @@ userSchema.virtual("postCount").get(function () {
 userSchema.index({ username: "text", name: "text", bio: "text" });
 // Unique sparse index on phone for availability
 userSchema.index({ phone: 1 }, { unique: true, sparse: true });
+// A passkey can only be registered to one account
+userSchema.index(
+  { "passkeys.credentialId": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "passkeys.credentialId": { $exists: true } },
+  }
+);
+// An external identity can only belong to one account
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.subject": { $exists: true } },
+  }
+);
+// Accounts waiting for the purge job
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
 
 // Encrypt password using bcrypt
 userSchema.pre("save", async function (next) {
@@ -406,30 +545,56 @@ userSchema.methods.isLocked = function () {
   return !!(this.lockUntil && this.lockUntil > Date.now());
 };
 
-// Increment login attempts
-userSchema.methods.incLoginAttempts = function () {
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const BASE_LOCK_MINUTES = parseInt(process.env.ACCOUNT_LOCK_MINUTES) || 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+// Increment login attempts, locking the account progressively
+// (15m, 30m, 1h, ... capped at 24h). Resolves with the resulting lock state.
+userSchema.methods.incLoginAttempts = async function () {
   // If we have a previous lock that has expired, restart at 1
   if (this.lockUntil && this.lockUntil < Date.now()) {
-    return this.updateOne({
+    await this.updateOne({
       $unset: { lockUntil: 1 },
       $set: { loginAttempts: 1 },
     });
+    return { locked: false, loginAttempts: 1 };
   }
 
   const updates = { $inc: { loginAttempts: 1 } };
+  let lockUntil = null;
 
-  // Lock account after 5 failed attempts
-  if (this.loginAttempts + 1 >= 5 && !this.isLocked()) {
-    updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 }; // 2 hours
+  // Lock account after MAX_LOGIN_ATTEMPTS failed attempts
+  if (this.loginAttempts + 1 >= MAX_LOGIN_ATTEMPTS && !this.isLocked()) {
+    const minutes = Math.min(
+      BASE_LOCK_MINUTES * 2 ** (this.lockCount || 0),
+      MAX_LOCK_MINUTES
+    );
+    lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+    updates.$set = { lockUntil };
+    updates.$inc.lockCount = 1;
   }
 
-  return this.updateOne(updates);
+  await this.updateOne(updates);
+  return {
+    locked: !!lockUntil,
+    lockUntil,
+    loginAttempts: (this.loginAttempts || 0) + 1,
+  };
+};
+
+// Static method to find the account linked to an external identity
+userSchema.statics.findByIdentity = function (provider, subject) {
+  return this.findOne({
+    identities: { $elemMatch: { provider, subject: String(subject) } },
+  });
 };
 
 // Reset login attempts
 userSchema.methods.resetLoginAttempts = function () {
   return this.updateOne({
     $unset: { loginAttempts: 1, lockUntil: 1 },
+    $set: { lockCount: 0 },
   });
 };
 
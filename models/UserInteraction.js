@@ -31,6 +31,8 @@ const userInteractionSchema = new mongoose.Schema(
         "message", // User1 sent message to User2
         "gift", // User1 sent gift to User2
         "subscription", // User1 subscribed to User2
+        "impression", // User2 was shown to User1 (e.g. as a suggestion)
+        "dismiss", // User1 dismissed User2 (e.g. from suggestions)
       ],
       required: true,
     },
@@ -189,6 +191,10 @@ userInteractionSchema.pre("save", function (next) {
       case "dislike":
         this.weight = 0;
         break;
+      case "impression":
+      case "dismiss":
+        this.weight = 0;
+        break;
       default:
         this.weight = 2;
     }
@@ -49,6 +49,12 @@ const userSettingsSchema = new mongoose.Schema(
         type: Boolean,
         default: true,
       },
+      // Who may @mention this user: everyone, accounts they follow, or nobody
+      allowMentionsFrom: {
+        type: String,
+        enum: ["everyone", "following", "none"],
+        default: "everyone",
+      },
     },
     notifications: {
       newMatches: {
@@ -98,6 +104,12 @@ const userSettingsSchema = new mongoose.Schema(
         type: Boolean,
         default: true,
       },
+      // Home feed order; GET /api/posts/feed?mode= overrides it
+      feedMode: {
+        type: String,
+        enum: ["ranked", "chronological"],
+        default: "ranked",
+      },
     },
   },
   {
@@ -1,6 +1,13 @@
 import express from 'express';
+import jwt from 'jsonwebtoken';
 import mongoose from 'mongoose';
-import { auth, adminAuth } from '../middleware/auth.js';
+import { auth } from '../middleware/auth.js';
+import {
+  requirePermission,
+  requireManageableUser,
+  canAssignRole,
+  outranks,
+} from '../middleware/permissions.js';
 import User from '../models/User.js';
 import Post from '../models/Post.js';
 import Reel from '../models/Reel.js';
@@ -10,11 +17,13 @@ import Report from '../models/Reports.js';
 import ContentReport from '../models/ContentReport.js';
 import Notification from '../models/Notification.js';
 import AdminLog from '../models/AdminLog.js';
+import Role from '../models/Role.js';
+import { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } from '../config/permissions.js';
 
 const router = express.Router();
 
-// Admin middleware - Enable authentication  
-router.use(auth, adminAuth);
+// Admin middleware - every route needs the admin panel permission plus its own
+router.use(auth, requirePermission('admin:access'));
 
 // Dashboard stats
 router.get('/dashboard/stats', async (req, res) => {
@@ -81,7 +90,7 @@ router.get('/activities/recent', async (req, res) => {
 });
 
 // Get all users with pagination and filters
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission('users:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -143,7 +152,7 @@ router.get('/users', async (req, res) => {
 });
 
 // Get single user details
-router.get('/users/:id', async (req, res) => {
+router.get('/users/:id', requirePermission('users:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
     if (!user) {
@@ -175,7 +184,7 @@ router.get('/users/:id', async (req, res) => {
 });
 
 // Update user status (block/unblock)
-router.patch('/users/:id/status', async (req, res) => {
+router.patch('/users/:id/status', requirePermission('users:suspend'), requireManageableUser(), async (req, res) => {
   try {
     const { isActive } = req.body;
     const user = await User.findByIdAndUpdate(req.params.id, { isActive }, { new: true });
@@ -190,9 +199,15 @@ router.patch('/users/:id/status', async (req, res) => {
 });
 
 // Update user details
-router.patch('/users/:id', async (req, res) => {
+router.patch('/users/:id', requirePermission('users:update'), requireManageableUser(), async (req, res) => {
   try {
     const { name, username, email, role, status } = req.body;
+
+    // Changing a role takes roles:manage, and nobody may promote past their
+    // own role (requireManageableUser already refused higher-ranked targets)
+    if (role && role !== req.targetUser.role && !(await canAssignRole(req.user, role))) {
+      return res.status(403).json({ error: 'You do not have permission to assign this role' });
+    }
     
     const updateData = {};
     if (name) updateData.name = name;
@@ -221,7 +236,7 @@ router.patch('/users/:id', async (req, res) => {
 });
 
 // Update user badges
-router.patch('/users/:id/badges', async (req, res) => {
+router.patch('/users/:id/badges', requirePermission('users:update'), requireManageableUser(), async (req, res) => {
   try {
     const { badges } = req.body;
     const user = await User.findByIdAndUpdate(
@@ -244,7 +259,7 @@ router.patch('/users/:id/badges', async (req, res) => {
 });
 
 // Ban user
-router.put('/users/:id/ban', async (req, res) => {
+router.put('/users/:id/ban', requirePermission('users:suspend'), requireManageableUser(), async (req, res) => {
   try {
     const { reason } = req.body;
     const user = await User.findByIdAndUpdate(
@@ -263,7 +278,7 @@ router.put('/users/:id/ban', async (req, res) => {
 });
 
 // Password reset
-router.post('/users/:id/reset-password', async (req, res) => {
+router.post('/users/:id/reset-password', requirePermission('users:update'), requireManageableUser(), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) return res.status(404).json({ error: 'User not found' });
@@ -276,10 +291,117 @@ router.post('/users/:id/reset-password', async (req, res) => {
   }
 });
 
+// Unlock an account locked by failed logins
+router.post('/users/:id/unlock', requirePermission('users:unlock'), requireManageableUser(), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const beforeState = {
+      loginAttempts: user.loginAttempts,
+      lockUntil: user.lockUntil,
+      lockCount: user.lockCount,
+    };
+
+    await user.resetLoginAttempts();
+
+    await AdminLog.logAction({
+      admin: req.user._id,
+      action: 'user_unlocked',
+      target: {
+        targetType: 'user',
+        targetId: user._id,
+        targetName: user.username,
+      },
+      description: `Unlocked account ${user.username}`,
+      category: 'security',
+      severity: 'low',
+      details: { reason: req.body.reason || '' },
+      ipAddress: req.ip || 'unknown',
+      userAgent: req.get('User-Agent') || '',
+      beforeState,
+      afterState: { loginAttempts: 0, lockUntil: null, lockCount: 0 },
+      affectedUsers: [user._id],
+    });
+
+    res.json({ message: 'Account unlocked successfully', wasLocked: user.isLocked() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Issue a short-lived, read-only token to view the app as a user (audited)
+router.post('/users/:id/impersonate', requirePermission('users:impersonate'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ error: 'A reason is required to impersonate a user' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ error: 'You cannot impersonate yourself' });
+    }
+    if (outranks(user.role, req.user.role)) {
+      return res.status(403).json({
+        error: 'You cannot impersonate a user who outranks you',
+        code: 'TARGET_OUTRANKS',
+      });
+    }
+
+    const minutes = parseInt(process.env.IMPERSONATION_TOKEN_MINUTES) || 15;
+    const token = jwt.sign(
+      { userId: user._id, impersonatedBy: req.user._id, readOnly: true },
+      process.env.JWT_SECRET || 'your-secret-key',
+      { expiresIn: `${minutes}m` }
+    );
+
+    await AdminLog.logAction({
+      admin: req.user._id,
+      action: 'user_impersonated',
+      target: {
+        targetType: 'user',
+        targetId: user._id,
+        targetName: user.username,
+      },
+      description: `Started read-only impersonation of ${user.username}`,
+      category: 'security',
+      severity: 'high',
+      details: { reason: String(reason).trim(), expiresInMinutes: minutes },
+      ipAddress: req.ip || 'unknown',
+      userAgent: req.get('User-Agent') || '',
+      affectedUsers: [user._id],
+    });
+
+    res.json({
+      token,
+      readOnly: true,
+      expiresIn: minutes * 60,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        fullName: user.name,
+        avatar: user.avatar,
+        role: user.role,
+      },
+      message: 'Impersonation token issued',
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Create new user
-router.post('/users', async (req, res) => {
+router.post('/users', requirePermission('users:update'), async (req, res) => {
   try {
     const { username, email, name, role = 'user', password = 'defaultpassword123' } = req.body;
+
+    if (role !== 'user' && !(await canAssignRole(req.user, role))) {
+      return res.status(403).json({ error: 'You do not have permission to assign this role' });
+    }
     
     const existingUser = await User.findOne({ $or: [{ email }, { username }] });
     if (existingUser) {
@@ -307,7 +429,7 @@ router.post('/users', async (req, res) => {
 });
 
 // Delete user
-router.delete('/users/:id', async (req, res) => {
+router.delete('/users/:id', requirePermission('users:delete'), requireManageableUser(), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
@@ -329,7 +451,7 @@ router.delete('/users/:id', async (req, res) => {
 // =============================================================================
 
 // Debug endpoint to check database collections and reports
-router.get('/debug/collections', async (req, res) => {
+router.get('/debug/collections', requirePermission('system:debug'), async (req, res) => {
   try {
     const collections = await mongoose.connection.db.listCollections().toArray();
     const collectionNames = collections.map(c => c.name);
@@ -353,7 +475,7 @@ router.get('/debug/collections', async (req, res) => {
 });
 
 // Create test report for debugging
-router.post('/debug/create-test-report', async (req, res) => {
+router.post('/debug/create-test-report', requirePermission('system:debug'), async (req, res) => {
   try {
     // Get first two users
     const users = await User.find().limit(2);
@@ -385,7 +507,7 @@ router.post('/debug/create-test-report', async (req, res) => {
 });
 
 // Get reported content for moderation
-router.get('/moderation/reports', async (req, res) => {
+router.get('/moderation/reports', requirePermission('reports:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -486,7 +608,7 @@ router.get('/moderation/reports', async (req, res) => {
 });
 
 // Get single report/content for detailed view
-router.get('/moderation/reports/:id', async (req, res) => {
+router.get('/moderation/reports/:id', requirePermission('reports:read'), async (req, res) => {
   try {
     const report = await Report.findById(req.params.id)
       .populate('reporterId', 'username name email profilePicture')
@@ -540,7 +662,7 @@ router.get('/moderation/reports/:id', async (req, res) => {
 });
 
 // Moderate content - approve/reject/mark safe
-router.patch('/moderation/reports/:id/moderate', async (req, res) => {
+router.patch('/moderation/reports/:id/moderate', requirePermission('reports:review'), async (req, res) => {
   try {
     const { action, reason, adminNotes } = req.body;
     
@@ -597,7 +719,7 @@ router.patch('/moderation/reports/:id/moderate', async (req, res) => {
 });
 
 // Delete content (actually remove report from database)
-router.delete('/moderation/content/:id', async (req, res) => {
+router.delete('/moderation/content/:id', requirePermission('content:moderate'), async (req, res) => {
   try {
     const { reason } = req.body;
     
@@ -624,7 +746,7 @@ router.delete('/moderation/content/:id', async (req, res) => {
 });
 
 // Mark content as resolved (alternative to deletion)
-router.patch('/moderation/content/:id/resolve', async (req, res) => {
+router.patch('/moderation/content/:id/resolve', requirePermission('content:moderate'), async (req, res) => {
   try {
     const { reason } = req.body;
     
@@ -655,7 +777,7 @@ router.patch('/moderation/content/:id/resolve', async (req, res) => {
 });
 
 // Ban user (from content moderation)
-router.post('/moderation/ban-user/:userId', async (req, res) => {
+router.post('/moderation/ban-user/:userId', requirePermission('users:suspend'), requireManageableUser('userId'), async (req, res) => {
   try {
     const { reason, duration, reportId } = req.body;
     
@@ -719,7 +841,7 @@ router.post('/moderation/ban-user/:userId', async (req, res) => {
 // ADMIN NOTIFICATION ENDPOINTS
 
 // Send notification to users
-router.post('/notifications/send', async (req, res) => {
+router.post('/notifications/send', requirePermission('notifications:send'), async (req, res) => {
   try {
     const { title, message, type, priority, targetAudience, specificGroup, scheduledFor } = req.body;
     
@@ -792,7 +914,7 @@ router.post('/notifications/send', async (req, res) => {
 });
 
 // Get notification history/logs
-router.get('/notifications/history', async (req, res) => {
+router.get('/notifications/history', requirePermission('notifications:send'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -832,7 +954,7 @@ router.get('/notifications/history', async (req, res) => {
 });
 
 // Get notification statistics
-router.get('/notifications/stats', async (req, res) => {
+router.get('/notifications/stats', requirePermission('notifications:send'), async (req, res) => {
   try {
     const AdminNotification = (await import('../models/AdminNotification.js')).default;
     
@@ -878,7 +1000,7 @@ router.get('/notifications/stats', async (req, res) => {
 });
 
 // Delete notification
-router.delete('/notifications/:id', async (req, res) => {
+router.delete('/notifications/:id', requirePermission('notifications:send'), async (req, res) => {
   try {
     const AdminNotification = (await import('../models/AdminNotification.js')).default;
     
@@ -899,7 +1021,7 @@ router.delete('/notifications/:id', async (req, res) => {
 // ========================================
 
 // Get all PSAs
-router.get('/psa', async (req, res) => {
+router.get('/psa', requirePermission('psa:read'), async (req, res) => {
   try {
     const PSA = (await import('../models/PSA.js')).default;
     
@@ -930,7 +1052,7 @@ router.get('/psa', async (req, res) => {
 });
 
 // Create new PSA
-router.post('/psa', async (req, res) => {
+router.post('/psa', requirePermission('psa:publish'), async (req, res) => {
   try {
     const PSA = (await import('../models/PSA.js')).default;
     const Post = (await import('../models/Post.js')).default;
@@ -1001,7 +1123,7 @@ router.post('/psa', async (req, res) => {
 });
 
 // Update PSA
-router.put('/psa/:id', async (req, res) => {
+router.put('/psa/:id', requirePermission('psa:publish'), async (req, res) => {
   try {
     const PSA = (await import('../models/PSA.js')).default;
     
@@ -1026,7 +1148,7 @@ router.put('/psa/:id', async (req, res) => {
 });
 
 // Delete PSA
-router.delete('/psa/:id', async (req, res) => {
+router.delete('/psa/:id', requirePermission('psa:delete'), async (req, res) => {
   try {
     const PSA = (await import('../models/PSA.js')).default;
     const Post = (await import('../models/Post.js')).default;
@@ -1054,7 +1176,7 @@ router.delete('/psa/:id', async (req, res) => {
 });
 
 // Get PSA analytics
-router.get('/psa/:id/analytics', async (req, res) => {
+router.get('/psa/:id/analytics', requirePermission('psa:read'), async (req, res) => {
   try {
     const PSA = (await import('../models/PSA.js')).default;
     
@@ -1077,4 +1199,71 @@ router.get('/psa/:id/analytics', async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// List roles and their permissions
+router.get('/roles', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    await Role.ensureDefaults();
+    const roles = await Role.find().sort({ name: 1 }).populate('updatedBy', 'username');
+    res.json({ roles, permissions: PERMISSIONS });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update the permissions of a role
+router.put('/roles/:name', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const name = req.params.name.toLowerCase();
+    const { permissions, description } = req.body;
+
+    if (!(name in DEFAULT_ROLE_PERMISSIONS)) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    // Keep admins from locking everyone out of the admin panel
+    if (name === 'admin') {
+      return res.status(400).json({ error: 'The admin role always has every permission' });
+    }
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({ error: 'Permissions must be an array' });
+    }
+    const unknown = permissions.filter((p) => !(p in PERMISSIONS));
+    if (unknown.length) {
+      return res.status(400).json({ error: 'Unknown permissions', unknown });
+    }
+
+    await Role.ensureDefaults();
+    const role = await Role.findOne({ name });
+    const beforeState = { permissions: [...role.permissions] };
+
+    role.permissions = [...new Set(permissions)];
+    if (typeof description === 'string') role.description = description;
+    role.updatedBy = req.user._id;
+    await role.save();
+
+    const revoked = beforeState.permissions.some((p) => !role.permissions.includes(p));
+    const granted = role.permissions.some((p) => !beforeState.permissions.includes(p));
+
+    await AdminLog.logAction({
+      admin: req.user._id,
+      action: revoked && !granted ? 'permission_revoked' : 'permission_granted',
+      target: {
+        targetType: 'system',
+        targetId: role._id,
+        targetName: `role:${role.name}`,
+      },
+      description: `Updated permissions for role ${role.name}`,
+      category: 'security',
+      severity: 'high',
+      ipAddress: req.ip || 'unknown',
+      userAgent: req.get('User-Agent') || '',
+      beforeState,
+      afterState: { permissions: role.permissions },
+    });
+
+    res.json({ message: 'Role updated successfully', role });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,7 +1,7 @@
 import express from "express";
 import { auth, adminAuth } from "../middleware/auth.js";
 import User from "../models/User.js";
-import Post from "../models/Post.js";
+import Post, { publishedFilter } from "../models/Post.js";
 import Reel from "../models/Reel.js";
 import Stream from "../models/Stream.js";
 import Match from "../models/Match.js";
@@ -85,6 +85,7 @@ router.get("/dashboard", async (req, res) => {
     const contentGrowth = await Post.aggregate([
       {
         $match: {
+          ...publishedFilter(),
           createdAt: { $gte: startDate, $lte: endDate },
         },
       },
@@ -226,13 +227,13 @@ router.get("/content", async (req, res) => {
 
     if (type === "all" || type === "posts") {
       const postStats = await Post.aggregate([
-        { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
+        { $match: { ...publishedFilter(), createdAt: { $gte: startDate, $lte: endDate } } },
         {
           $group: {
             _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
             posts: { $sum: 1 },
             totalLikes: { $sum: { $size: "$likes" } },
-            totalComments: { $sum: { $size: "$comments" } },
+            totalComments: { $sum: { $ifNull: ["$engagement.comments", 0] } },
           },
         },
         { $sort: { _id: 1 } },
@@ -295,13 +296,13 @@ router.get("/engagement", async (req, res) => {
     const engagementData = await Promise.all([
       // Post engagement
       Post.aggregate([
-        { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
+        { $match: { ...publishedFilter(), createdAt: { $gte: startDate, $lte: endDate } } },
         {
           $group: {
             _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
             totalPosts: { $sum: 1 },
             totalLikes: { $sum: { $size: "$likes" } },
-            totalComments: { $sum: { $size: "$comments" } },
+            totalComments: { $sum: { $ifNull: ["$engagement.comments", 0] } },
             totalShares: { $sum: { $size: "$shares" } },
           },
         },
@@ -441,13 +442,13 @@ router.get("/top-content", async (req, res) => {
       case "posts":
         Model = Post;
         pipeline = [
-          { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
+          { $match: { ...publishedFilter(), createdAt: { $gte: startDate, $lte: endDate } } },
           {
             $addFields: {
               engagementScore: {
                 $add: [
                   { $size: "$likes" },
-                  { $multiply: [{ $size: "$comments" }, 2] },
+                  { $multiply: [{ $ifNull: ["$engagement.comments", 0] }, 2] },
                   { $multiply: [{ $size: "$shares" }, 3] },
                 ],
               },
@@ -469,7 +470,7 @@ router.get("/top-content", async (req, res) => {
               content: 1,
               engagementScore: 1,
               likes: { $size: "$likes" },
-              comments: { $size: "$comments" },
+              comments: { $ifNull: ["$engagement.comments", 0] },
               shares: { $size: "$shares" },
               createdAt: 1,
               "author.username": 1,
@@ -489,7 +490,7 @@ router.get("/top-content", async (req, res) => {
                 $add: [
                   "$views",
                   { $multiply: [{ $size: "$likes" }, 2] },
-                  { $multiply: [{ $size: "$comments" }, 3] },
+                  { $multiply: [{ $ifNull: ["$commentsCount", 0] }, 3] },
                 ],
               },
             },
@@ -511,7 +512,7 @@ router.get("/top-content", async (req, res) => {
               views: 1,
               engagementScore: 1,
               likes: { $size: "$likes" },
-              comments: { $size: "$comments" },
+              comments: { $ifNull: ["$commentsCount", 0] },
               createdAt: 1,
               "author.username": 1,
               "author.profilePicture": 1,
@@ -589,7 +590,7 @@ router.get("/export/:type", async (req, res) => {
           createdAt: { $gte: startDate, $lte: endDate },
         })
           .populate("author", "username")
-          .select("content author createdAt likes comments shares");
+          .select("content author createdAt likes engagement.comments shares");
         filename = `posts_${period}.csv`;
         break;
 
@@ -1,14 +1,61 @@
 import express from "express";
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
 import User from "../models/User.js";
 import OTP from "../models/OTP.js";
 import { protect as authenticate } from "../middleware/auth.js";
 import UserInteraction from "../models/UserInteraction.js";
-import { sendOTPEmail } from "../services/emailService.js";
+import {
+  sendOTPEmail,
+  sendAccountLockedEmail,
+  sendVerificationLinkEmail,
+} from "../services/emailService.js";
+import { sendOTPSMS, verifyTwilioSignature } from "../services/smsService.js";
+import {
+  generateSecret,
+  buildOtpauthUri,
+  findCodeStep,
+  generateBackupCodes,
+  findBackupCode,
+} from "../services/totpService.js";
+import {
+  createSession,
+  rotateRefreshToken,
+  disconnectSessions,
+} from "../services/sessionService.js";
+import Session from "../models/Session.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import {
+  suggestUsernames,
+  generateUsername,
+} from "../services/usernameService.js";
+import {
+  listProviders,
+  startAuthorization,
+  completeAuthorization,
+} from "../services/oauthService.js";
+import {
+  isSandboxMode,
+  getSandboxUsernames,
+} from "../services/sandboxService.js";
+import {
+  startRegistration as startPasskeyRegistration,
+  finishRegistration as finishPasskeyRegistration,
+  startAuthentication as startPasskeyAuthentication,
+  finishAuthentication as finishPasskeyAuthentication,
+} from "../services/webauthnService.js";
+import { recordSecurityEvent } from "../services/securityEventService.js";
+import {
+  reactivateAccount,
+  cancelAccountDeletion,
+} from "../services/accountService.js";
 
 const router = express.Router();
 
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const EMAIL_CHANGE_MINUTES = 30;
+
 // Check username availability
 router.get("/check-username/:username", async (req, res) => {
   try {
@@ -89,57 +136,7 @@ router.post("/username-suggestions", async (req, res) => {
         .json({ error: "Base username must be at least 2 characters long" });
     }
 
-    const suggestions = [];
-    const base = baseUsername.toLowerCase().replace(/[^a-zA-Z0-9]/g, "");
-
-    // Generate various combinations
-    for (let i = 1; i <= 5; i++) {
-      suggestions.push(`${base}${i}`);
-    }
-
-    // Add common suffixes
-    const suffixes = [
-      "user",
-      "pro",
-      "dev",
-      "live",
-      "stream",
-      "gamer",
-      "creator",
-      "2024",
-      "2025",
-    ];
-    suffixes.forEach((suffix) => {
-      suggestions.push(`${base}_${suffix}`);
-      suggestions.push(`${base}-${suffix}`);
-    });
-
-    // Add random combinations
-    const randomWords = [
-      "cool",
-      "awesome",
-      "best",
-      "top",
-      "super",
-      "mega",
-      "ultra",
-    ];
-    randomWords.forEach((word) => {
-      suggestions.push(`${base}_${word}`);
-      suggestions.push(`${base}-${word}`);
-    });
-
-    // Check availability and filter out taken usernames
-    const availableSuggestions = [];
-    for (const suggestion of suggestions) {
-      const existingUser = await User.findOne({
-        username: { $regex: new RegExp(`^${suggestion}$`, "i") },
-      });
-      if (!existingUser) {
-        availableSuggestions.push(suggestion);
-        if (availableSuggestions.length >= 8) break; // Limit to 8 suggestions
-      }
-    }
+    const availableSuggestions = await suggestUsernames(baseUsername, 8);
 
     res.json({ suggestions: availableSuggestions });
   } catch (error) {
@@ -268,16 +265,11 @@ router.post("/register", async (req, res) => {
       console.warn("Auto-match on register failed:", e?.message || e);
     }
 
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || "your-secret-key",
-      {
-        expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-      }
-    );
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
@@ -304,6 +296,17 @@ router.post("/login", async (req, res) => {
         .json({ error: "Email/Username and password are required" });
     }
 
+    // Too many failures from this IP across any accounts
+    const ipLimit = await LoginAttempt.checkIpRateLimit(req.ip || "unknown");
+    if (ipLimit.isLimited) {
+      res.set("Retry-After", String(ipLimit.retryAfter));
+      return res.status(429).json({
+        error: "Too many failed login attempts. Please try again later.",
+        code: "TOO_MANY_ATTEMPTS",
+        retryAfter: ipLimit.retryAfter,
+      });
+    }
+
     // Determine if identifier is email or username
     const isEmail = identifier.includes("@");
     const query = isEmail
@@ -311,7 +314,26 @@ router.post("/login", async (req, res) => {
       : { username: identifier.toLowerCase() };
 
     const user = await User.findOne(query).select("+password");
-    if (!user || !(await user.matchPassword(password))) {
+    if (!user) {
+      await LoginAttempt.record(req, { identifier, reason: "unknown_user" });
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    if (user.isLocked()) {
+      await LoginAttempt.record(req, {
+        identifier,
+        user: user._id,
+        reason: "account_locked",
+      });
+      return sendAccountLocked(res, user.lockUntil);
+    }
+
+    if (!(await user.matchPassword(password))) {
+      await LoginAttempt.record(req, { identifier, user: user._id });
+      const lock = await registerFailedLogin(user, req);
+      if (lock.locked) {
+        return sendAccountLocked(res, lock.lockUntil);
+      }
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
@@ -319,18 +341,29 @@ router.post("/login", async (req, res) => {
       return res.status(403).json({ error: "Account is suspended" });
     }
 
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || "your-secret-key",
-      {
-        expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-      }
-    );
+    // Second factor required: hand out a short-lived pending token only
+    if (user.twoFactorEnabled) {
+      return res.json(buildMfaChallenge(user));
+    }
+
+    const deletionChallenge = await resumeAccount(user, req);
+    if (deletionChallenge) {
+      return res.json(deletionChallenge);
+    }
+
+    await LoginAttempt.record(req, { identifier, user: user._id, success: true });
+    await recordSecurityEvent(user._id, "login", req, { method: "password" });
+    if (user.loginAttempts || user.lockCount) {
+      await user.resetLoginAttempts();
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
 
     await user.updateLastActive();
 
     res.json({
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
@@ -346,30 +379,53 @@ router.post("/login", async (req, res) => {
   }
 });
 
-// Get current user
-router.get("/me", authenticate, async (req, res) => {
+// Sign in to a seeded sandbox account without a password (SANDBOX_MODE only)
+router.post("/sandbox/login", async (req, res) => {
   try {
-    if (req.user._id === "demo_user_id") {
-      // For demo users, get following count by checking how many users have demo_user_id in followers
-      const followedUsers = await User.find({
-        followers: "demo_user_id",
-      });
+    if (!isSandboxMode()) {
+      return res.status(404).json({ error: "Not found" });
+    }
 
-      return res.json({
-        id: req.user._id,
-        username: req.user.username,
-        email: req.user.email,
-        fullName: req.user.name,
-        avatar: req.user.avatar,
-        bio: req.user.bio,
-        role: req.user.role,
-        followers: req.user.followers || [],
-        following: followedUsers.map((u) => u._id.toString()),
-        verified: req.user.verified || false,
+    const username = req.body.username || getSandboxUsernames()[0];
+    if (!getSandboxUsernames().includes(username)) {
+      return res.status(400).json({
+        error: "Unknown sandbox account",
+        accounts: getSandboxUsernames(),
       });
     }
 
-    // For regular users, get fresh data from database
+    const user = await User.findOne({ username, isSandbox: true });
+    if (!user) {
+      return res
+        .status(404)
+        .json({ error: "Sandbox accounts have not been seeded yet" });
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+    await user.updateLastActive();
+
+    res.json({
+      token,
+      refreshToken,
+      sandbox: true,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        fullName: user.name,
+        avatar: user.avatar,
+        role: user.role,
+      },
+      message: "Login successful!",
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get current user
+router.get("/me", authenticate, async (req, res) => {
+  try {
     const user = await User.findById(req.user._id).select("-password");
     if (!user) {
       return res.status(404).json({ error: "User not found" });
@@ -383,8 +439,8 @@ router.get("/me", authenticate, async (req, res) => {
       avatar: user.avatar,
       bio: user.bio,
       role: user.role,
-      followers: user.followers || [],
-      following: user.following || [],
+      followerCount: user.followerCount || 0,
+      followingCount: user.followingCount || 0,
       verified: user.isVerified || false,
     });
   } catch (error) {
@@ -392,9 +448,118 @@ router.get("/me", authenticate, async (req, res) => {
   }
 });
 
-// Logout
-router.post("/logout", authenticate, (req, res) => {
-  res.json({ message: "Logged out successfully" });
+// Logout - revokes the session behind the current token
+router.post("/logout", authenticate, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await Session.updateOne(
+        { _id: req.sessionId, user: req.user._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: "logout" }
+      );
+      disconnectSessions(req.app.get("io"), { sessionId: req.sessionId });
+    }
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Exchange a refresh token for a new token pair (refresh tokens rotate)
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Refresh token is required" });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req);
+    if (!result.success) {
+      // A concurrent refresh won the race; the client should use its token
+      const status = result.code === "TOKEN_ROTATED" ? 409 : 401;
+      return res.status(status).json({ error: result.error, code: result.code });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List active sessions (devices) for the current user
+router.get("/sessions", authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        device: session.device,
+        ipAddress: session.ipAddress,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: String(session._id) === String(req.sessionId),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke all sessions except the current one ("log out other devices")
+router.delete("/sessions", authenticate, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(
+      req.user._id,
+      "revoked_others",
+      req.sessionId
+    );
+    disconnectSessions(req.app.get("io"), {
+      userId: req.user._id,
+      exceptSessionId: req.sessionId,
+    });
+    await recordSecurityEvent(req.user._id, "sessions_revoked", req, {
+      count: result.modifiedCount || 0,
+    });
+    res.json({
+      message: "Logged out of all other devices",
+      revoked: result.modifiedCount || 0,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke a single session
+router.delete("/sessions/:sessionId([0-9a-fA-F]{24})", authenticate, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id,
+    });
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    if (!session.revokedAt) {
+      await session.revoke("user_revoked");
+      disconnectSessions(req.app.get("io"), { sessionId: session._id });
+      await recordSecurityEvent(req.user._id, "session_revoked", req, {
+        sessionId: session._id,
+        device: session.device?.name,
+      });
+    }
+
+    res.json({
+      message: "Session revoked",
+      current: String(session._id) === String(req.sessionId),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Send OTP for registration/login
@@ -435,6 +600,22 @@ router.post("/send-otp", async (req, res) => {
       });
     }
 
+    // Per-number limit across all purposes so a phone can't be flooded
+    if (type === "sms") {
+      const numberLimit = await OTP.checkRateLimit(
+        identifier,
+        null,
+        parseInt(process.env.SMS_RATE_LIMIT_WINDOW_MINUTES) || 60,
+        parseInt(process.env.SMS_RATE_LIMIT_MAX) || 10
+      );
+      if (numberLimit.isLimited) {
+        return res.status(429).json({
+          error: "Too many SMS requests for this number. Try again later.",
+          retryAfter: numberLimit.windowMinutes * 60, // seconds
+        });
+      }
+    }
+
     // For registration, check if user already exists
     if (purpose === "registration") {
       const existingUser =
@@ -450,13 +631,14 @@ router.post("/send-otp", async (req, res) => {
     }
 
     // For login/password reset, check if user exists
+    let accountUser = null;
     if (["login", "password_reset"].includes(purpose)) {
-      const user =
+      accountUser =
         type === "email"
           ? await User.findOne({ email: identifier })
           : await User.findOne({ phone: identifier });
 
-      if (!user) {
+      if (!accountUser) {
         return res.status(404).json({ error: "User not found" });
       }
     }
@@ -471,8 +653,22 @@ router.post("/send-otp", async (req, res) => {
     if (type === "email") {
       await sendOTPEmail(identifier, otp.code, purpose);
     } else {
-      // SMS sending would go here (Twilio, AWS SNS, etc.)
-      await sendSMSOTP(identifier, otp.code, purpose);
+      const delivery = await sendSMSOTP(otp);
+      if (delivery.status === "failed") {
+        return res.status(502).json({
+          error: "Failed to send SMS. Please try again.",
+          code: "SMS_DELIVERY_FAILED",
+        });
+      }
+    }
+
+    if (accountUser) {
+      await recordSecurityEvent(accountUser._id, "otp_sent", req, {
+        otpId: otp._id,
+        purpose,
+        channel: type,
+        destination: maskIdentifier(identifier, type),
+      });
     }
 
     res.json({
@@ -485,6 +681,38 @@ router.post("/send-otp", async (req, res) => {
   }
 });
 
+// Delivery status callback from the SMS provider (Twilio format)
+router.post("/sms/status", async (req, res) => {
+  try {
+    const signatureUrl =
+      process.env.SMS_STATUS_CALLBACK_URL ||
+      `${req.protocol}://${req.get("host")}${req.originalUrl}`;
+    if (
+      !verifyTwilioSignature(
+        signatureUrl,
+        req.body,
+        req.get("X-Twilio-Signature")
+      )
+    ) {
+      return res.status(403).json({ error: "Invalid signature" });
+    }
+
+    const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body;
+    if (!MessageSid || !MessageStatus) {
+      return res.status(400).json({ error: "MessageSid and MessageStatus are required" });
+    }
+
+    const error = ErrorCode
+      ? `${ErrorCode}${ErrorMessage ? `: ${ErrorMessage}` : ""}`
+      : undefined;
+    await OTP.updateDeliveryStatus(MessageSid, MessageStatus, error);
+
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Verify OTP
 router.post("/verify-otp", async (req, res) => {
   try {
@@ -575,14 +803,12 @@ router.post("/register-with-otp", async (req, res) => {
 
     const user = await User.create(userData);
 
-    // Generate JWT
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "7d",
-    });
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       message: "User registered successfully",
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
@@ -609,18 +835,48 @@ router.post("/login-with-otp", async (req, res) => {
       });
     }
 
+    // Same throttling and lockout as password logins
+    const ipLimit = await LoginAttempt.checkIpRateLimit(req.ip || "unknown");
+    if (ipLimit.isLimited) {
+      res.set("Retry-After", String(ipLimit.retryAfter));
+      return res.status(429).json({
+        error: "Too many failed login attempts. Please try again later.",
+        code: "TOO_MANY_ATTEMPTS",
+        retryAfter: ipLimit.retryAfter,
+      });
+    }
+
+    const user =
+      type === "email"
+        ? await User.findOne({ email: String(identifier) })
+        : await User.findOne({ phone: String(identifier) });
+
+    if (user?.isLocked()) {
+      await LoginAttempt.record(req, {
+        identifier,
+        user: user._id,
+        reason: "account_locked",
+      });
+      return sendAccountLocked(res, user.lockUntil);
+    }
+
     // Verify OTP
     const otpResult = await OTP.verifyOTP(identifier, "login", otpCode);
     if (!otpResult.success) {
+      await LoginAttempt.record(req, {
+        identifier,
+        user: user?._id,
+        reason: user ? "bad_otp" : "unknown_user",
+      });
+      if (user) {
+        const lock = await registerFailedLogin(user, req);
+        if (lock.locked) {
+          return sendAccountLocked(res, lock.lockUntil);
+        }
+      }
       return res.status(400).json({ error: otpResult.error });
     }
 
-    // Find user
-    const user =
-      type === "email"
-        ? await User.findOne({ email: identifier })
-        : await User.findOne({ phone: identifier });
-
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
@@ -629,6 +885,15 @@ router.post("/login-with-otp", async (req, res) => {
       return res.status(403).json({ error: "Account is blocked" });
     }
 
+    if (user.twoFactorEnabled) {
+      return res.json(buildMfaChallenge(user));
+    }
+
+    const deletionChallenge = await resumeAccount(user, req);
+    if (deletionChallenge) {
+      return res.json(deletionChallenge);
+    }
+
     // Update last login
     user.lastActive = new Date();
     user.isOnline = true;
@@ -641,15 +906,18 @@ router.post("/login-with-otp", async (req, res) => {
     });
 
     await user.save();
+    await LoginAttempt.record(req, { identifier, user: user._id, success: true });
+    await recordSecurityEvent(user._id, "login", req, { method: "otp", channel: type });
+    if (user.loginAttempts || user.lockCount) {
+      await user.resetLoginAttempts();
+    }
 
-    // Generate JWT
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "7d",
-    });
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       message: "Login successful",
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
@@ -709,37 +977,1136 @@ router.post("/reset-password-otp", async (req, res) => {
     user.passwordResetExpires = undefined;
     user.loginAttempts = 0;
     user.lockUntil = undefined;
+    user.lockCount = 0;
+    user.hasPassword = true;
 
     await user.save();
 
+    // A password reset signs the account out everywhere
+    await Session.revokeAllForUser(user._id, "password_reset");
+    disconnectSessions(req.app.get("io"), { userId: user._id });
+    await recordSecurityEvent(user._id, "password_reset", req, { method: "otp", channel: type });
+
     res.json({ message: "Password reset successfully" });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Helper functions
-function maskIdentifier(identifier, type) {
-  if (type === "email") {
-    const [local, domain] = identifier.split("@");
-    const maskedLocal =
-      local.length > 2
-        ? local.substring(0, 2) + "*".repeat(local.length - 2)
-        : "*".repeat(local.length);
-    return `${maskedLocal}@${domain}`;
-  } else {
-    // Phone number
-    return identifier.length > 4
-      ? "*".repeat(identifier.length - 4) + identifier.slice(-4)
-      : "*".repeat(identifier.length);
+// Send (or resend) the email verification link to the current address
+router.post("/send-verification-email", authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id || req.user._id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ error: "Email is already verified" });
+    }
+
+    if (
+      user.emailVerificationExpires &&
+      user.emailVerificationExpires - Date.now() >
+        EMAIL_VERIFICATION_TTL - 60 * 1000
+    ) {
+      return res
+        .status(429)
+        .json({ error: "Verification email was just sent. Try again in a minute." });
+    }
+
+    // Only the hash is stored; the raw token lives in the emailed link
+    const token = crypto.randomBytes(32).toString("hex");
+    user.emailVerificationToken = hashVerificationToken(token);
+    user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+    await user.save();
+
+    const link = `${process.env.FRONTEND_URL || "http://localhost:5173"}/verify-email?token=${token}`;
+    await sendVerificationLinkEmail(user.email, link);
+
+    res.json({
+      message: "Verification email sent",
+      maskedIdentifier: maskIdentifier(user.email, "email"),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
-}
+});
+
+// Verify email with the token from the verification link
+router.post("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: "Verification token is required" });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: hashVerificationToken(token),
+      emailVerificationExpires: { $gt: new Date() },
+    });
 
-async function sendSMSOTP(phone, code, purpose) {
-  // Integrate with your SMS service (Twilio, AWS SNS, etc.)
-  console.log(`📱 SMS OTP to ${phone}: ${code} for ${purpose}`);
-  // TODO: Implement SMS service integration
-  // Example: await twilioClient.messages.create({ to: phone, body: `Your Trees Social code is: ${code}` });
+    if (!user) {
+      return res
+        .status(400)
+        .json({ error: "Verification link is invalid or has expired" });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({ message: "Email verified successfully", emailVerified: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start an email change: codes go to both the current and the new address
+router.post("/change-email/request", authenticate, async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+
+    if (!newEmail || !password) {
+      return res
+        .status(400)
+        .json({ error: "New email and current password are required" });
+    }
+
+    const email = String(newEmail).trim().toLowerCase();
+    if (!/^\S+@\S+\.\S+$/.test(email)) {
+      return res.status(400).json({ error: "Invalid email address" });
+    }
+
+    const user = await User.findById(req.user.id || req.user._id).select(
+      "+password"
+    );
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!(await user.matchPassword(password))) {
+      return res.status(401).json({ error: "Invalid password" });
+    }
+
+    if (email === user.email) {
+      return res
+        .status(400)
+        .json({ error: "New email must be different from the current one" });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(400).json({ error: "Email is already registered" });
+    }
+
+    const rateLimit = await OTP.checkRateLimit(user.email, "email_change");
+    if (rateLimit.isLimited) {
+      return res.status(429).json({
+        error: "Too many email change requests. Try again later.",
+        retryAfter: rateLimit.windowMinutes * 60, // seconds
+      });
+    }
+
+    const otpOptions = {
+      expiryMinutes: EMAIL_CHANGE_MINUTES,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    };
+    const currentOtp = await OTP.createOTP(
+      user.email,
+      "email",
+      "email_change",
+      otpOptions
+    );
+    const newOtp = await OTP.createOTP(email, "email", "email_change", otpOptions);
+
+    user.pendingEmail = email;
+    user.pendingEmailExpires = new Date(
+      Date.now() + EMAIL_CHANGE_MINUTES * 60 * 1000
+    );
+    await user.save();
+
+    await Promise.all([
+      sendOTPEmail(user.email, currentOtp.code, "email_change"),
+      sendOTPEmail(email, newOtp.code, "email_change"),
+    ]);
+
+    res.json({
+      message: "Confirmation codes sent to your current and new email",
+      expiresIn: EMAIL_CHANGE_MINUTES * 60,
+      currentEmail: maskIdentifier(user.email, "email"),
+      newEmail: maskIdentifier(email, "email"),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Confirm an email change with the codes from both inboxes
+router.post("/change-email/confirm", authenticate, async (req, res) => {
+  try {
+    const { currentCode, newCode } = req.body;
+
+    if (!currentCode || !newCode) {
+      return res
+        .status(400)
+        .json({ error: "Codes from both the current and new email are required" });
+    }
+
+    const user = await User.findById(req.user.id || req.user._id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!user.pendingEmail || user.pendingEmailExpires < new Date()) {
+      return res
+        .status(400)
+        .json({ error: "No pending email change. Please start again." });
+    }
+
+    // Both codes are checked before either is used up, so a wrong code for
+    // the new address doesn't burn the one sent to the current address
+    const currentResult = await OTP.verifyOTP(
+      user.email,
+      "email_change",
+      currentCode,
+      { consume: false }
+    );
+    if (!currentResult.success) {
+      return res.status(400).json({
+        error: `Current email code: ${currentResult.error}`,
+        attemptsLeft: currentResult.attemptsLeft,
+      });
+    }
+
+    const newResult = await OTP.verifyOTP(
+      user.pendingEmail,
+      "email_change",
+      newCode
+    );
+    if (!newResult.success) {
+      return res.status(400).json({
+        error: `New email code: ${newResult.error}`,
+        attemptsLeft: newResult.attemptsLeft,
+      });
+    }
+
+    const consumed = await OTP.verifyOTP(user.email, "email_change", currentCode);
+    if (!consumed.success) {
+      return res.status(400).json({ error: `Current email code: ${consumed.error}` });
+    }
+
+    // The address may have been taken while the change was pending
+    if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+      user.pendingEmail = undefined;
+      user.pendingEmailExpires = undefined;
+      await user.save();
+      return res.status(400).json({ error: "Email is already registered" });
+    }
+
+    const previousEmail = user.email;
+    user.email = user.pendingEmail;
+    user.emailVerified = true; // proven by the code sent to the new inbox
+    user.pendingEmail = undefined;
+    user.pendingEmailExpires = undefined;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+    await recordSecurityEvent(user._id, "email_changed", req, {
+      previousEmail: maskIdentifier(previousEmail, "email"),
+    });
+
+    res.json({
+      message: "Email changed successfully",
+      email: user.email,
+      emailVerified: true,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List social login providers that are configured
+router.get("/oauth/providers", (req, res) => {
+  res.json({ providers: listProviders() });
+});
+
+// Start social login: returns the provider authorization URL
+// (or redirects to it with ?redirect=true)
+router.get("/oauth/:provider(google|apple|github)/start", async (req, res) => {
+  try {
+    const result = await startAuthorization(req.params.provider, {
+      mode: "login",
+    });
+    if (!result.success) {
+      return res.status(404).json({ error: result.error, code: result.code });
+    }
+
+    if (req.query.redirect === "true") {
+      return res.redirect(result.authorizationUrl);
+    }
+    res.json({ authorizationUrl: result.authorizationUrl, state: result.state });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Provider callback. Browser redirects (GET, and Apple's form_post) end
+// on the frontend with the result in the URL fragment; JSON POSTs from
+// apps get a JSON response.
+router.get("/oauth/:provider(google|apple|github)/callback", (req, res) =>
+  handleOAuthCallback(req, res, req.query, true)
+);
+router.post("/oauth/:provider(google|apple|github)/callback", (req, res) =>
+  handleOAuthCallback(req, res, req.body, !req.is("application/json"))
+);
+
+// Complete a login that is waiting on a TOTP or backup code
+router.post("/2fa/verify", async (req, res) => {
+  try {
+    const { mfaToken, code, backupCode } = req.body;
+
+    if (!mfaToken || (!code && !backupCode)) {
+      return res.status(400).json({
+        error: "MFA token and a verification or backup code are required",
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(
+        mfaToken,
+        process.env.JWT_SECRET || "your-secret-key"
+      );
+    } catch (e) {
+      return res
+        .status(401)
+        .json({ error: "MFA session expired. Please log in again." });
+    }
+
+    if (decoded.mfa !== "pending") {
+      return res.status(400).json({ error: "Invalid MFA token" });
+    }
+
+    // Second factors are throttled per IP like passwords
+    const ipLimit = await LoginAttempt.checkIpRateLimit(req.ip || "unknown");
+    if (ipLimit.isLimited) {
+      res.set("Retry-After", String(ipLimit.retryAfter));
+      return res.status(429).json({
+        error: "Too many failed login attempts. Please try again later.",
+        code: "TOO_MANY_ATTEMPTS",
+        retryAfter: ipLimit.retryAfter,
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select(
+      "+twoFactorSecret +twoFactorBackupCodes"
+    );
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ error: "Invalid MFA token" });
+    }
+
+    // Guessing second factors counts towards the same lockout
+    if (user.isLocked()) {
+      return sendAccountLocked(res, user.lockUntil);
+    }
+
+    // The account may have been suspended since the password step
+    if (user.status !== "active") {
+      return res.status(403).json({ error: "Account is suspended" });
+    }
+
+    const result = await checkSecondFactor(user, { code, backupCode });
+    if (!result.valid) {
+      await LoginAttempt.record(req, {
+        user: user._id,
+        reason: "bad_second_factor",
+      });
+      const lock = await registerFailedLogin(user, req);
+      if (lock.locked) {
+        return sendAccountLocked(res, lock.lockUntil);
+      }
+      return res.status(401).json({ error: "Invalid verification code" });
+    }
+
+    const deletionChallenge = await resumeAccount(user, req);
+    if (deletionChallenge) {
+      return res.json(deletionChallenge);
+    }
+
+    await LoginAttempt.record(req, { user: user._id, success: true });
+    await recordSecurityEvent(user._id, "login", req, { method: "two_factor" });
+    if (user.loginAttempts || user.lockCount) {
+      await user.resetLoginAttempts();
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+    await user.updateLastActive();
+
+    res.json({
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        fullName: user.name,
+        avatar: user.avatar,
+        role: user.role,
+      },
+      ...(result.usedBackupCode && {
+        backupCodesRemaining: user.twoFactorBackupCodes.length,
+      }),
+      message: "Login successful!",
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a scheduled account deletion and finish signing in
+router.post("/cancel-deletion", async (req, res) => {
+  try {
+    const { deletionToken } = req.body;
+    if (!deletionToken) {
+      return res.status(400).json({ error: "Deletion token is required" });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(
+        deletionToken,
+        process.env.JWT_SECRET || "your-secret-key"
+      );
+    } catch (e) {
+      return res
+        .status(401)
+        .json({ error: "Session expired. Please log in again." });
+    }
+
+    if (decoded.deletion !== "pending") {
+      return res.status(400).json({ error: "Invalid deletion token" });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      return res.status(401).json({ error: "Invalid deletion token" });
+    }
+
+    if (user.status !== "active") {
+      return res.status(403).json({ error: "Account is suspended" });
+    }
+
+    if (user.deletionScheduledFor) {
+      await cancelAccountDeletion(user);
+      await recordSecurityEvent(user._id, "account_deletion_cancelled", req);
+    }
+
+    await LoginAttempt.record(req, { user: user._id, success: true });
+    await recordSecurityEvent(user._id, "login", req, { method: "cancel_deletion" });
+
+    const { token, refreshToken } = await createSession(user, req);
+    await user.updateLastActive();
+
+    res.json({
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        fullName: user.name,
+        avatar: user.avatar,
+        role: user.role,
+      },
+      message: "Account deletion cancelled. Welcome back!",
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get two-factor status for the current user
+router.get("/2fa/status", authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "twoFactorEnabled +twoFactorBackupCodes"
+    );
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json({
+      enabled: !!user.twoFactorEnabled,
+      backupCodesRemaining: user.twoFactorEnabled
+        ? (user.twoFactorBackupCodes || []).length
+        : 0,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start 2FA enrollment: generate a secret and otpauth URI
+router.post("/2fa/setup", authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    // Secret stays inactive until confirmed with a first code
+    const secret = generateSecret();
+    user.twoFactorSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUrl: buildOtpauthUri(secret, user.email || user.username),
+      message: "Scan the QR code and confirm with a code to enable 2FA",
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Confirm enrollment with the first code and issue backup codes
+router.post("/2fa/enable", authenticate, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: "Verification code is required" });
+    }
+
+    const user = await User.findById(req.user._id).select(
+      "+twoFactorSecret +twoFactorBackupCodes"
+    );
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res
+        .status(400)
+        .json({ error: "Start 2FA setup before enabling it" });
+    }
+
+    if (!(await acceptTotpCode(user, code))) {
+      return res.status(400).json({ error: "Invalid verification code" });
+    }
+
+    const { codes, hashes } = await generateBackupCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorBackupCodes = hashes;
+    await user.save();
+    await recordSecurityEvent(user._id, "two_factor_enabled", req);
+
+    res.json({
+      enabled: true,
+      backupCodes: codes,
+      message:
+        "Two-factor authentication enabled. Store your backup codes somewhere safe.",
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Disable 2FA (requires password and a current code)
+router.post("/2fa/disable", authenticate, async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    if (!password || (!code && !backupCode)) {
+      return res.status(400).json({
+        error: "Password and a verification or backup code are required",
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(
+      "+password +twoFactorSecret +twoFactorBackupCodes"
+    );
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    // Wrong passwords and codes count towards the login lockout
+    if (user.isLocked()) {
+      return sendAccountLocked(res, user.lockUntil);
+    }
+
+    if (!(await user.matchPassword(password))) {
+      return rejectCredentials(req, res, user, "bad_password", "Invalid password");
+    }
+
+    const result = await checkSecondFactor(user, { code, backupCode });
+    if (!result.valid) {
+      return rejectCredentials(
+        req,
+        res,
+        user,
+        "bad_second_factor",
+        "Invalid verification code"
+      );
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorBackupCodes = [];
+    await user.save();
+    await recordSecurityEvent(user._id, "two_factor_disabled", req);
+
+    res.json({
+      enabled: false,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Regenerate backup codes (invalidates the previous set)
+router.post("/2fa/backup-codes", authenticate, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: "Verification code is required" });
+    }
+
+    const user = await User.findById(req.user._id).select(
+      "+twoFactorSecret +twoFactorBackupCodes"
+    );
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    if (user.isLocked()) {
+      return sendAccountLocked(res, user.lockUntil);
+    }
+
+    if (!(await acceptTotpCode(user, code))) {
+      return rejectCredentials(
+        req,
+        res,
+        user,
+        "bad_second_factor",
+        "Invalid verification code"
+      );
+    }
+
+    const { codes, hashes } = await generateBackupCodes();
+    user.twoFactorBackupCodes = hashes;
+    await user.save();
+    await recordSecurityEvent(user._id, "backup_codes_regenerated", req);
+
+    res.json({
+      backupCodes: codes,
+      message: "New backup codes generated. Previous codes no longer work.",
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Begin registering a passkey for the signed-in user
+router.post("/passkeys/register/options", authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+passkeys");
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const options = await startPasskeyRegistration(user);
+    res.json(options);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Verify the authenticator's attestation and store the credential
+router.post("/passkeys/register/verify", authenticate, async (req, res) => {
+  try {
+    const { response, name } = req.body;
+    if (!response) {
+      return res.status(400).json({ error: "Registration response is required" });
+    }
+
+    const user = await User.findById(req.user._id).select("+passkeys");
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const result = await finishPasskeyRegistration(user, response);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error, code: result.code });
+    }
+
+    user.passkeys.push({
+      ...result.passkey,
+      ...(name && { name: String(name).trim().slice(0, 50) }),
+    });
+    await user.save();
+
+    const passkey = user.passkeys[user.passkeys.length - 1];
+    await recordSecurityEvent(user._id, "passkey_added", req, {
+      passkeyId: passkey._id,
+      name: passkey.name,
+    });
+    res.status(201).json({
+      passkey: {
+        id: passkey._id,
+        name: passkey.name,
+        deviceType: passkey.deviceType,
+        backedUp: passkey.backedUp,
+        createdAt: passkey.createdAt,
+      },
+      message: "Passkey added",
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Begin a passkey login. Without an identifier the browser offers any
+// discoverable passkey for this site.
+router.post("/passkeys/login/options", async (req, res) => {
+  try {
+    const { identifier } = req.body;
+
+    let user = null;
+    if (identifier) {
+      const query = identifier.includes("@")
+        ? { email: identifier.toLowerCase() }
+        : { username: identifier.toLowerCase() };
+      user = await User.findOne(query).select("+passkeys");
+    }
+
+    // Unknown users get the same discoverable-credential options so the
+    // response doesn't reveal which accounts exist
+    const options = await startPasskeyAuthentication(
+      user && user.passkeys.length ? user : null
+    );
+    res.json(options);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Verify the passkey assertion and issue a session like /login
+router.post("/passkeys/login/verify", async (req, res) => {
+  try {
+    const { response } = req.body;
+    if (!response) {
+      return res.status(400).json({ error: "Authentication response is required" });
+    }
+
+    const ipLimit = await LoginAttempt.checkIpRateLimit(req.ip || "unknown");
+    if (ipLimit.isLimited) {
+      res.set("Retry-After", String(ipLimit.retryAfter));
+      return res.status(429).json({
+        error: "Too many failed login attempts. Please try again later.",
+        code: "TOO_MANY_ATTEMPTS",
+        retryAfter: ipLimit.retryAfter,
+      });
+    }
+
+    const result = await finishPasskeyAuthentication(response);
+    if (!result.success) {
+      await LoginAttempt.record(req, {
+        user: result.user?._id,
+        reason: result.user ? "bad_passkey" : "unknown_user",
+      });
+      return res.status(401).json({ error: result.error, code: result.code });
+    }
+
+    const { user } = result;
+
+    if (user.isLocked()) {
+      await LoginAttempt.record(req, { user: user._id, reason: "account_locked" });
+      return sendAccountLocked(res, user.lockUntil);
+    }
+
+    if (user.status !== "active") {
+      return res.status(403).json({ error: "Account is suspended" });
+    }
+
+    // A user-verified passkey is already two factors (possession plus
+    // biometric/PIN); otherwise still ask for the TOTP code
+    if (user.twoFactorEnabled && !result.userVerified) {
+      return res.json(buildMfaChallenge(user));
+    }
+
+    const deletionChallenge = await resumeAccount(user, req);
+    if (deletionChallenge) {
+      return res.json(deletionChallenge);
+    }
+
+    await LoginAttempt.record(req, { user: user._id, success: true });
+    await recordSecurityEvent(user._id, "login", req, { method: "passkey" });
+    if (user.loginAttempts || user.lockCount) {
+      await user.resetLoginAttempts();
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+    await user.updateLastActive();
+
+    res.json({
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        fullName: user.name,
+        avatar: user.avatar,
+        role: user.role,
+      },
+      message: "Login successful!",
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper functions
+async function handleOAuthCallback(req, res, params, browserFlow) {
+  const respond = (status, body) => {
+    if (!browserFlow) return res.status(status).json(body);
+    const fragment = new URLSearchParams(
+      Object.entries(body)
+        .filter(([, value]) => value !== undefined && typeof value !== "object")
+        .map(([key, value]) => [key, String(value)])
+    );
+    return res.redirect(
+      `${process.env.FRONTEND_URL || "http://localhost:5173"}/oauth/callback#${fragment.toString()}`
+    );
+  };
+
+  try {
+    if (params.error) {
+      return respond(400, {
+        error: params.error_description || "Sign-in was cancelled",
+        code: "PROVIDER_DENIED",
+      });
+    }
+
+    const result = await completeAuthorization(req.params.provider, params);
+    if (!result.success) {
+      return respond(400, { error: result.error, code: result.code });
+    }
+
+    const { profile, challenge } = result;
+    const identity = {
+      provider: profile.provider,
+      subject: profile.subject,
+      email: profile.email,
+      emailVerified: profile.emailVerified,
+      name: profile.name,
+      avatar: profile.avatar,
+      lastUsedAt: new Date(),
+    };
+    const linkedUser = await User.findByIdentity(profile.provider, profile.subject);
+
+    // Linking from settings: attach the identity to the signed-in account
+    if (challenge.mode === "link") {
+      if (linkedUser && String(linkedUser._id) !== String(challenge.user)) {
+        return respond(409, {
+          error: "This account is already linked to another user",
+          code: "IDENTITY_IN_USE",
+        });
+      }
+      if (!linkedUser) {
+        const owner = await User.findById(challenge.user);
+        if (!owner) {
+          return respond(404, { error: "User not found" });
+        }
+        owner.identities.push(identity);
+        await owner.save();
+      }
+      return respond(200, {
+        linked: true,
+        provider: profile.provider,
+        message: "Account linked successfully",
+      });
+    }
+
+    let user = linkedUser;
+    let isNewUser = false;
+
+    if (!user) {
+      if (!profile.email) {
+        return respond(400, {
+          error: "The provider did not share an email address",
+          code: "EMAIL_REQUIRED",
+        });
+      }
+
+      // Never attach to an existing account automatically; the owner
+      // has to sign in and link the provider from settings
+      if (await User.exists({ email: profile.email.toLowerCase() })) {
+        return respond(409, {
+          error:
+            "An account with this email already exists. Log in and link this provider from settings.",
+          code: "ACCOUNT_EXISTS",
+        });
+      }
+
+      const username = await generateUsername(
+        profile.username || profile.email.split("@")[0] || profile.name
+      );
+      user = await User.create({
+        username,
+        email: profile.email.toLowerCase(),
+        password: crypto.randomBytes(32).toString("hex"),
+        hasPassword: false,
+        name: profile.name || username,
+        avatar: profile.avatar,
+        emailVerified: profile.emailVerified,
+        identities: [identity],
+      });
+      isNewUser = true;
+    } else {
+      await User.updateOne(
+        {
+          _id: user._id,
+          identities: {
+            $elemMatch: { provider: profile.provider, subject: profile.subject },
+          },
+        },
+        { $set: { "identities.$.lastUsedAt": new Date() } }
+      );
+    }
+
+    if (user.isLocked()) {
+      return respond(423, {
+        error: "Account is temporarily locked due to too many failed login attempts",
+        code: "ACCOUNT_LOCKED",
+      });
+    }
+
+    if (user.status !== "active") {
+      return respond(403, { error: "Account is suspended" });
+    }
+
+    if (user.twoFactorEnabled) {
+      return respond(200, buildMfaChallenge(user));
+    }
+
+    const deletionChallenge = await resumeAccount(user, req);
+    if (deletionChallenge) {
+      return respond(200, deletionChallenge);
+    }
+
+    await LoginAttempt.record(req, { user: user._id, success: true });
+    await recordSecurityEvent(user._id, "login", req, {
+      method: "oauth",
+      provider: profile.provider,
+    });
+    const { token, refreshToken } = await createSession(user, req);
+    await user.updateLastActive();
+
+    return respond(isNewUser ? 201 : 200, {
+      token,
+      refreshToken,
+      isNewUser,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        fullName: user.name,
+        avatar: user.avatar,
+        role: user.role,
+      },
+      message: isNewUser ? "Account created successfully!" : "Login successful!",
+    });
+  } catch (error) {
+    return respond(500, { error: error.message });
+  }
+}
+
+function hashVerificationToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Pending token only accepted by /2fa/verify; protect() rejects it
+function buildMfaChallenge(user) {
+  const mfaToken = jwt.sign(
+    { userId: user._id, mfa: "pending" },
+    process.env.JWT_SECRET || "your-secret-key",
+    { expiresIn: "5m" }
+  );
+
+  return {
+    mfaRequired: true,
+    mfaToken,
+    methods: ["totp", "backup_code"],
+    expiresIn: 5 * 60,
+    message: "Two-factor verification required",
+  };
+}
+
+// Pending token only accepted by /cancel-deletion; protect() rejects it
+function buildDeletionChallenge(user) {
+  const deletionToken = jwt.sign(
+    { userId: user._id, deletion: "pending" },
+    process.env.JWT_SECRET || "your-secret-key",
+    { expiresIn: "10m" }
+  );
+
+  return {
+    deletionPending: true,
+    deletionToken,
+    deletionScheduledFor: user.deletionScheduledFor,
+    expiresIn: 10 * 60,
+    code: "ACCOUNT_PENDING_DELETION",
+    message:
+      "This account is scheduled for deletion. Cancel the deletion to log in.",
+  };
+}
+
+// Signing in reactivates a deactivated account; an account pending deletion
+// gets a challenge instead, so the owner has to cancel the deletion first
+async function resumeAccount(user, req) {
+  if (user.deletionScheduledFor) {
+    return buildDeletionChallenge(user);
+  }
+  if (user.deactivatedAt) {
+    await reactivateAccount(user);
+    await recordSecurityEvent(user._id, "account_reactivated", req);
+  }
+  return null;
+}
+
+// Count a failed password/second factor and email the owner when it locks
+async function registerFailedLogin(user, req) {
+  const lock = await user.incLoginAttempts();
+  await recordSecurityEvent(user._id, "login_failed", req, {
+    locked: lock.locked,
+  });
+  if (lock.locked && user.email) {
+    sendAccountLockedEmail(user.email, {
+      lockUntil: lock.lockUntil,
+      ipAddress: req.ip,
+    }).catch((err) =>
+      console.error("Failed to send account locked email:", err.message)
+    );
+  }
+  return lock;
+}
+
+// Record a wrong password or code on a signed-in 2FA change and answer 401,
+// or 423 once it locks the account
+async function rejectCredentials(req, res, user, reason, error) {
+  await LoginAttempt.record(req, { user: user._id, reason });
+  const lock = await registerFailedLogin(user, req);
+  if (lock.locked) {
+    return sendAccountLocked(res, lock.lockUntil);
+  }
+  return res.status(401).json({ error });
+}
+
+function sendAccountLocked(res, lockUntil) {
+  const retryAfter = Math.max(
+    1,
+    Math.ceil((new Date(lockUntil).getTime() - Date.now()) / 1000)
+  );
+  res.set("Retry-After", String(retryAfter));
+  return res.status(423).json({
+    error: "Account is temporarily locked due to too many failed login attempts",
+    code: "ACCOUNT_LOCKED",
+    retryAfter,
+    lockUntil,
+  });
+}
+
+// Accept a TOTP code at most once: claiming a code records its time step, and
+// codes from that step or earlier are refused from then on
+async function acceptTotpCode(user, code) {
+  const step = findCodeStep(user.twoFactorSecret, code);
+  if (step === -1) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { twoFactorLastStep: { $lt: step } },
+        { twoFactorLastStep: null },
+      ],
+    },
+    { $set: { twoFactorLastStep: step } }
+  );
+  return result.modifiedCount === 1;
+}
+
+// Check a TOTP code or consume a backup code. User must be loaded with
+// +twoFactorSecret +twoFactorBackupCodes.
+async function checkSecondFactor(user, { code, backupCode }) {
+  if (code && (await acceptTotpCode(user, code))) {
+    return { valid: true, usedBackupCode: false };
+  }
+
+  const candidate = backupCode || code;
+  const index = await findBackupCode(user.twoFactorBackupCodes, candidate);
+  if (index === -1) {
+    return { valid: false };
+  }
+
+  user.twoFactorBackupCodes.splice(index, 1);
+  await user.save();
+  return { valid: true, usedBackupCode: true };
+}
+
+function maskIdentifier(identifier, type) {
+  if (type === "email") {
+    const [local, domain] = identifier.split("@");
+    const maskedLocal =
+      local.length > 2
+        ? local.substring(0, 2) + "*".repeat(local.length - 2)
+        : "*".repeat(local.length);
+    return `${maskedLocal}@${domain}`;
+  } else {
+    // Phone number
+    return identifier.length > 4
+      ? "*".repeat(identifier.length - 4) + identifier.slice(-4)
+      : "*".repeat(identifier.length);
+  }
+}
+
+// Send the OTP through the configured SMS driver and record the outcome
+async function sendSMSOTP(otp) {
+  try {
+    const result = await sendOTPSMS(otp.identifier, otp.code, otp.purpose);
+    await otp.recordDelivery(result);
+  } catch (error) {
+    console.error("SMS sending error:", error.message);
+    await otp.recordDelivery({ error: error.message });
+  }
+  return otp.delivery;
 }
 
 // Get current user profile
@@ -773,8 +2140,8 @@ router.get("/profile", authenticate, async (req, res) => {
       location: user.location,
       website: user.website,
       isStreamer: user.isStreamer,
-      followingCount: user.following ? user.following.length : 0,
-      followerCount: user.followers ? user.followers.length : 0,
+      followingCount: user.followingCount || 0,
+      followerCount: user.followerCount || 0,
       streamerProfile: user.streamerProfile,
     };
 
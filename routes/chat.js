@@ -7,6 +7,7 @@ import Message from "../models/Message.js";
 import UserInteraction from "../models/UserInteraction.js";
 import { authenticateToken } from "../middleware/auth.js";
 import User from "../models/User.js";
+import Follow from "../models/Follow.js";
 import { io } from "../server.js";
 import Notification from "../models/Notification.js";
 
@@ -26,9 +27,9 @@ const isParticipant = (chat, userId) => {
 // Helper: check messaging permission between two users based on privacy rules
 const canInitiateOrMessage = async (senderId, recipientId) => {
   const [sender, recipient] = await Promise.all([
-    User.findById(senderId).select("following blockedUsers"),
+    User.findById(senderId).select("blockedUsers"),
     User.findById(recipientId).select(
-      "privacy.followers followers blockedUsers privacy.allowMessagesFrom"
+      "privacy.followers blockedUsers privacy.allowMessagesFrom"
     ),
   ]);
   if (!sender || !recipient) return { allowed: false, code: "NOT_FOUND" };
@@ -52,9 +53,7 @@ const canInitiateOrMessage = async (senderId, recipientId) => {
   const allow = recipient.privacy?.allowMessagesFrom || "everyone";
   if (allow === "none") return { allowed: false, code: "DM_DISABLED" };
 
-  const isFollower = (recipient.followers || []).some(
-    (id) => id.toString() === senderId.toString()
-  );
+  const isFollower = await Follow.isFollowing(senderId, recipientId);
   if (allow === "friends" && !isFollower) {
     // Not following yet: allow request only
     return { allowed: true, requiresApproval: true };
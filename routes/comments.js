@@ -0,0 +1,251 @@
+import express from "express";
+import { auth } from "../middleware/auth.js";
+import {
+  COMMENT_SORTS,
+  formatComment,
+  loadCommentParent,
+  findComment,
+  addComment,
+  listComments,
+  listReplies,
+  editComment,
+  deleteComment,
+  toggleCommentLike,
+  toggleCommentPin,
+  approveComments,
+} from "../services/commentService.js";
+
+/**
+ * Comment endpoints for posts or reels, mounted at /:id/comments of their
+ * router
+ * @param {"Post"|"Reel"} parentModel
+ * @returns {express.Router}
+ */
+export const commentRoutes = (parentModel) => {
+  const router = express.Router({ mergeParams: true });
+  const notFound = `${parentModel} not found`;
+
+  // Load the post or reel (404 if the viewer can't see it) and, for
+  // /:commentId routes, the comment
+  const loadTargets = async (req, res, next) => {
+    try {
+      req.parent = await loadCommentParent(
+        parentModel,
+        req.params.id,
+        req.user._id
+      );
+      if (!req.parent) {
+        return res.status(404).json({ success: false, error: notFound });
+      }
+      if (req.params.commentId) {
+        req.comment = await findComment(
+          req.parent,
+          req.params.commentId,
+          req.user._id
+        );
+        if (!req.comment) {
+          return res
+            .status(404)
+            .json({ success: false, error: "Comment not found" });
+        }
+      }
+      next();
+    } catch (error) {
+      console.error("Error loading comment:", error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+
+  const sendResult = (res, result, body) =>
+    result.success
+      ? res.json({ success: true, ...body })
+      : res
+          .status(result.status)
+          .json({ success: false, error: result.error });
+
+  // List top-level comments: ?sort=top|newest, ?limit= and ?cursor= from the
+  // previous page's pagination.nextCursor
+  router.get("/", auth, loadTargets, async (req, res) => {
+    try {
+      const { sort = "top", cursor, limit } = req.query;
+      if (!COMMENT_SORTS.includes(sort)) {
+        return res.status(400).json({
+          success: false,
+          error: `sort must be one of: ${COMMENT_SORTS.join(", ")}`,
+        });
+      }
+
+      const page = await listComments(parentModel, req.parent, req.user._id, {
+        sort,
+        cursor,
+        limit,
+      });
+      res.json({
+        success: true,
+        data: { comments: page.items },
+        pagination: { nextCursor: page.nextCursor, hasMore: page.hasMore },
+      });
+    } catch (error) {
+      console.error("Error fetching comments:", error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Add a comment, or a reply with replyTo
+  router.post("/", auth, loadTargets, async (req, res) => {
+    try {
+      const { text, content, replyTo } = req.body;
+      const result = await addComment(parentModel, req.parent, req.user, {
+        content: content ?? text,
+        replyTo,
+      });
+      if (!result.success) return sendResult(res, result);
+
+      res.status(201).json({
+        success: true,
+        data: formatComment(result.comment, req.user._id),
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error("Error adding comment:", error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // List a comment's replies, oldest first
+  router.get(
+    "/:commentId([0-9a-fA-F]{24})/replies",
+    auth,
+    loadTargets,
+    async (req, res) => {
+      try {
+        const { cursor, limit } = req.query;
+        const page = await listReplies(
+          parentModel,
+          req.parent,
+          req.comment,
+          req.user._id,
+          { cursor, limit }
+        );
+        res.json({
+          success: true,
+          data: { replies: page.items },
+          pagination: { nextCursor: page.nextCursor, hasMore: page.hasMore },
+        });
+      } catch (error) {
+        console.error("Error fetching replies:", error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    }
+  );
+
+  // Edit your comment
+  router.patch(
+    "/:commentId([0-9a-fA-F]{24})",
+    auth,
+    loadTargets,
+    async (req, res) => {
+      try {
+        const { text, content } = req.body;
+        const result = await editComment(
+          req.parent,
+          req.comment,
+          req.user,
+          content ?? text
+        );
+        sendResult(res, result, {
+          data: result.comment && formatComment(result.comment, req.user._id),
+        });
+      } catch (error) {
+        if (error.name === "ValidationError") {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error("Error editing comment:", error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    }
+  );
+
+  // Delete your comment, or any comment on your post or reel
+  router.delete(
+    "/:commentId([0-9a-fA-F]{24})",
+    auth,
+    loadTargets,
+    async (req, res) => {
+      try {
+        const result = await deleteComment(req.comment, req.user._id);
+        sendResult(res, result, { message: "Comment deleted" });
+      } catch (error) {
+        console.error("Error deleting comment:", error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    }
+  );
+
+  // Like/unlike a comment
+  router.post(
+    "/:commentId([0-9a-fA-F]{24})/like",
+    auth,
+    loadTargets,
+    async (req, res) => {
+      try {
+        const result = await toggleCommentLike(
+          parentModel,
+          req.parent,
+          req.comment,
+          req.user
+        );
+        sendResult(res, result, { isLiked: result.liked, likes: result.likes });
+      } catch (error) {
+        console.error("Error liking comment:", error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    }
+  );
+
+  // Pin/unpin a comment on your post or reel
+  router.post(
+    "/:commentId([0-9a-fA-F]{24})/pin",
+    auth,
+    loadTargets,
+    async (req, res) => {
+      try {
+        const result = await toggleCommentPin(req.comment, req.user._id);
+        sendResult(res, result, { isPinned: result.pinned });
+      } catch (error) {
+        console.error("Error pinning comment:", error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    }
+  );
+
+  // Approve a comment held because its author is restricted (post or reel
+  // author only)
+  router.post(
+    "/:commentId([0-9a-fA-F]{24})/approve",
+    auth,
+    loadTargets,
+    async (req, res) => {
+      try {
+        if (req.comment.parentAuthor.toString() !== req.user._id.toString()) {
+          return res.status(403).json({
+            success: false,
+            error: `Only the ${parentModel.toLowerCase()} author can approve comments`,
+          });
+        }
+
+        await approveComments({ _id: req.comment._id });
+        res.json({ success: true, message: "Comment approved" });
+      } catch (error) {
+        console.error("Error approving comment:", error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    }
+  );
+
+  return router;
+};
+
+export default commentRoutes;
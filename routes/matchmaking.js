@@ -1,5 +1,10 @@
 import express from "express";
-import { auth, adminAuth } from "../middleware/auth.js";
+import { auth } from "../middleware/auth.js";
+import {
+  requirePermission,
+  requireManageableUser,
+  outranks,
+} from "../middleware/permissions.js";
 import Match from "../models/Match.js";
 import Message from "../models/Message.js";
 import User from "../models/User.js";
@@ -9,10 +14,10 @@ import Chat from "../models/Chat.js";
 const router = express.Router();
 
 // Admin middleware
-router.use(auth, adminAuth);
+router.use(auth, requirePermission("admin:access"));
 
 // Get matchmaking overview statistics
-router.get("/overview", async (req, res) => {
+router.get("/overview", requirePermission("matchmaking:read"), async (req, res) => {
   try {
     const { period = "7d" } = req.query;
 
@@ -86,7 +91,7 @@ router.get("/overview", async (req, res) => {
 });
 
 // Get match logs with filtering
-router.get("/matches", async (req, res) => {
+router.get("/matches", requirePermission("matchmaking:read"), async (req, res) => {
   try {
     const {
       page = 1,
@@ -164,7 +169,7 @@ router.get("/matches", async (req, res) => {
 });
 
 // Get flagged conversations
-router.get("/flagged-chats", async (req, res) => {
+router.get("/flagged-chats", requirePermission("matchmaking:read"), async (req, res) => {
   try {
     const { page = 1, limit = 20, severity } = req.query;
     const skip = (page - 1) * limit;
@@ -231,7 +236,7 @@ router.get("/flagged-chats", async (req, res) => {
 });
 
 // Get chat conversation details
-router.get("/chat/:chatId", async (req, res) => {
+router.get("/chat/:chatId", requirePermission("matchmaking:read"), async (req, res) => {
   try {
     const { chatId } = req.params;
     const { page = 1, limit = 50 } = req.query;
@@ -291,7 +296,7 @@ router.get("/chat/:chatId", async (req, res) => {
 });
 
 // Suspend user from matchmaking
-router.post("/suspend-user/:userId", async (req, res) => {
+router.post("/suspend-user/:userId", requirePermission("users:suspend"), requireManageableUser("userId"), async (req, res) => {
   try {
     const { userId } = req.params;
     const {
@@ -357,7 +362,7 @@ router.post("/suspend-user/:userId", async (req, res) => {
 });
 
 // Unsuspend user
-router.post("/unsuspend-user/:userId", async (req, res) => {
+router.post("/unsuspend-user/:userId", requirePermission("users:suspend"), requireManageableUser("userId"), async (req, res) => {
   try {
     const { userId } = req.params;
     const { reason } = req.body;
@@ -398,7 +403,7 @@ router.post("/unsuspend-user/:userId", async (req, res) => {
 });
 
 // Review and moderate chat
-router.post("/moderate-chat/:chatId", async (req, res) => {
+router.post("/moderate-chat/:chatId", requirePermission("matchmaking:moderate"), async (req, res) => {
   try {
     const { chatId } = req.params;
     const { action, reason, reportId } = req.body;
@@ -412,6 +417,19 @@ router.post("/moderate-chat/:chatId", async (req, res) => {
       return res.status(404).json({ error: "Chat not found" });
     }
 
+    // Banning a chat suspends both participants, so neither may outrank the
+    // moderator
+    if (action === "ban_users") {
+      const participants = await User.find({ _id: { $in: chat.participants } }).select("role");
+      if (participants.some((participant) => outranks(participant.role, req.user.role))) {
+        return res.status(403).json({
+          success: false,
+          error: "You cannot manage a user who outranks you",
+          code: "TARGET_OUTRANKS",
+        });
+      }
+    }
+
     let moderationAction = {
       action,
       moderator: req.user.id,
@@ -475,7 +493,7 @@ router.post("/moderate-chat/:chatId", async (req, res) => {
 });
 
 // Get user matchmaking activity
-router.get("/user-activity/:userId", async (req, res) => {
+router.get("/user-activity/:userId", requirePermission("matchmaking:read"), async (req, res) => {
   try {
     const { userId } = req.params;
     const { period = "30d" } = req.query;
@@ -565,7 +583,7 @@ router.get("/user-activity/:userId", async (req, res) => {
 });
 
 // Get matchmaking analytics
-router.get("/analytics", async (req, res) => {
+router.get("/analytics", requirePermission("matchmaking:read"), async (req, res) => {
   try {
     const { period = "30d" } = req.query;
 
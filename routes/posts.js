@@ -1,48 +1,68 @@
 import express from "express";
 import mongoose from "mongoose";
-import { auth } from "../middleware/auth.js";
-import Post from "../models/Post.js";
+import { auth, requireVerifiedEmail } from "../middleware/auth.js";
+import Post, { UNPUBLISHED_STATUSES } from "../models/Post.js";
 import User from "../models/User.js";
 import Notification from "../models/Notification.js";
+import AudienceList from "../models/AudienceList.js";
+import Follow from "../models/Follow.js";
+import Mention from "../models/Mention.js";
+import UserSettings from "../models/UserSettings.js";
+import {
+  ACCESS,
+  isHiddenProfile,
+  resolveProfileAccess,
+  resolvePostFilter,
+  canViewerSeePost,
+} from "../services/visibilityPolicy.js";
+import {
+  collectHashtags,
+  extractHashtags,
+  countsTowardHashtags,
+  releaseHashtagUsage,
+} from "../services/hashtagService.js";
+import { FEED_MODES, getHomeFeed } from "../services/feedService.js";
+import { removePostFromTimelines } from "../services/timelineService.js";
+import { editPost, listRevisions } from "../services/postEditService.js";
+import {
+  MAX_UNPUBLISHED_POSTS,
+  resolvePublishState,
+  canQueueMorePosts,
+  announcePost,
+  publishPost,
+  listUnpublishedPosts,
+} from "../services/postScheduleService.js";
+import {
+  formatComment,
+  loadCommentParent,
+  addComment,
+  listComments,
+  removeParentComments,
+} from "../services/commentService.js";
+import { commentRoutes } from "./comments.js";
 
 const router = express.Router();
 
-// Get feed posts
-router.get("/feed", auth, async (req, res) => {
-  try {
-    let { page = 1, limit = 10 } = req.query;
+// Visibilities a post can be created with; "audience" comes with an
+// audienceListId
+const POST_VISIBILITIES = ["public", "friends", "private"];
 
-    // Ensure page is at least 1
-    page = Math.max(1, parseInt(page));
-    limit = Math.max(1, Math.min(50, parseInt(limit))); // Limit between 1-50
-
-    console.log(`Feed request - Page: ${page}, Limit: ${limit}`);
-
-    // Check if user is authenticated
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        error: "User not authenticated",
-      });
-    }
+// Posts created as "post" take their type from their media
+const postTypeFor = (type, media) => {
+  if (!media.length || type !== "post") return type;
+  if (media.some((m) => m.type === "video")) return "video";
+  if (media.some((m) => m.type === "image")) return "image";
+  return type;
+};
 
+// Get the home feed: ranked by default, or newest first with
+// ?mode=chronological (defaults to the user's app.feedMode setting)
+router.get("/feed", auth, async (req, res) => {
+  try {
+    const { cursor, limit } = req.query;
     const userId = req.user.id || req.user._id;
-    console.log(`User ID: ${userId}`);
-    console.log(`User object:`, req.user);
-
-    let user;
-    if (userId === "demo_user_id") {
-      // Demo user - use the user object from req.user
-      user = {
-        _id: userId,
-        following: req.user.following || [],
-        followers: req.user.followers || [],
-      };
-    } else {
-      // Real user - find in database
-      user = await User.findById(userId);
-    }
 
+    const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -50,233 +70,23 @@ router.get("/feed", auth, async (req, res) => {
       });
     }
 
-    console.log(`User following: ${user.following}`);
-    console.log(`Following count: ${user.following?.length || 0}`);
-
-    // Get all non-story posts first to debug
-    const allPosts = await Post.find({ type: { $ne: "story" } });
-    console.log(`Total posts in database: ${allPosts.length}`);
-    if (allPosts.length > 0) {
-      console.log(
-        `Sample post authorId: ${
-          allPosts[0].authorId
-        }, type: ${typeof allPosts[0].authorId}`
-      );
-    }
-
-    // Convert userId to ObjectId for consistent comparison, but handle demo user specially
-    let userObjectId;
-    if (userId === "demo_user_id") {
-      // Demo user - handle as string
-      userObjectId = userId;
-    } else {
-      // Real user - convert to ObjectId
-      userObjectId = new mongoose.Types.ObjectId(userId);
-    }
-
-    // Create array of user IDs to show posts from (following + self)
-    const followingIds = (user.following || []).map((id) => {
-      if (typeof id === "string" && id === "demo_user_id") {
-        return id; // Keep demo user ID as string
-      }
-      return typeof id === "string" ? new mongoose.Types.ObjectId(id) : id;
-    });
-    const userIdsToShow = [...followingIds, userObjectId];
-
-    console.log(
-      `Showing posts from users: ${userIdsToShow.map((id) => id.toString())}`
-    );
-
-    // Special handling for demo user - return sample posts + posts from followed users
-    if (userId === "demo_user_id") {
-      console.log("Demo user detected - getting posts from followed users");
-      console.log(
-        `Demo user following: ${JSON.stringify(user.following || [])}`
-      );
-
-      // Get posts from followed users if any
-      let followedUsersPosts = [];
-      if (user.following && user.following.length > 0) {
-        const followedUsersObjectIds = user.following.map((id) =>
-          typeof id === "string" ? new mongoose.Types.ObjectId(id) : id
-        );
-
-        console.log(
-          `Looking for posts from followed users: ${followedUsersObjectIds.map(
-            (id) => id.toString()
-          )}`
-        );
-
-        followedUsersPosts = await Post.find({
-          authorId: { $in: followedUsersObjectIds },
-          type: { $ne: "story" },
-        })
-          .populate("authorId", "username profileImage isVerified name")
-          .sort({ createdAt: -1 })
-          .limit(10);
-
-        console.log(
-          `Found ${followedUsersPosts.length} posts from followed users`
-        );
-      }
-
-      // Transform followed users' posts to match frontend expectations
-      const transformedFollowedPosts = followedUsersPosts.map((post) => {
-        let mediaType = "text";
-        let video = null;
-        let videoThumbnail = null;
-        let image = null;
-
-        // Support new media array
-        if (Array.isArray(post.media) && post.media.length > 0) {
-          const imageMedia = post.media.find((m) => m.type === "image");
-          const videoMedia = post.media.find((m) => m.type === "video");
-          if (videoMedia) {
-            mediaType = "video";
-            video = videoMedia.url;
-            videoThumbnail = videoMedia.thumbnail || null;
-          } else if (imageMedia) {
-            mediaType = "image";
-            image = imageMedia.url;
-          }
-        } else if (post.image || post.file) {
-          const mediaUrl = post.image || post.file;
-          const videoFormats = [
-            ".mp4",
-            ".webm",
-            ".avi",
-            ".mov",
-            ".mkv",
-            ".m4v",
-          ];
-          const isVideo = videoFormats.some((format) =>
-            mediaUrl?.toLowerCase().includes(format)
-          );
-          if (isVideo) {
-            mediaType = "video";
-            video = mediaUrl;
-            videoThumbnail = post.thumbnail || null;
-          } else {
-            mediaType = "image";
-            image = mediaUrl;
-          }
-        }
-
-        return {
-          id: post._id.toString(),
-          authorId: post.authorId._id.toString(),
-          authorName: post.authorId.name || post.authorId.username,
-          authorAvatar: post.authorId.profileImage || null,
-          content: post.content || "",
-          image,
-          video,
-          videoThumbnail,
-          mediaType,
-          likes: post.likes?.length || 0,
-          comments: post.comments?.length || 0,
-          shares: post.shares?.length || 0,
-          isLiked: post.likes?.includes(userId) || false,
-          timestamp: post.createdAt.toISOString(),
-          createdAt: post.createdAt.toISOString(),
-        };
-      });
-
-      const samplePosts = [
-        {
-          id: "demo_post_1",
-          authorId: "demo_user_id",
-          authorName: "Demo User",
-          authorAvatar: null,
-          content:
-            "Welcome to the demo! This is your first post. The feed system is working correctly! 🎉",
-          image: null,
-          video: null,
-          videoThumbnail: null,
-          mediaType: "text",
-          likes: 5,
-          comments: 2,
-          shares: 1,
-          isLiked: false,
-          timestamp: new Date().toISOString(),
-          createdAt: new Date().toISOString(),
-        },
-        {
-          id: "demo_post_2",
-          authorId: "demo_user_id",
-          authorName: "Demo User",
-          authorAvatar: null,
-          content:
-            "This is a second demo post to show the feed functionality. The authentication, feed query, and post display are all working! ✨",
-          image: null,
-          video: null,
-          videoThumbnail: null,
-          mediaType: "text",
-          likes: 12,
-          comments: 3,
-          shares: 0,
-          isLiked: true,
-          timestamp: new Date(Date.now() - 3600000).toISOString(), // 1 hour ago
-          createdAt: new Date(Date.now() - 3600000).toISOString(),
-        },
-      ];
-
-      // Combine sample posts with followed users' posts
-      const allPosts = [...transformedFollowedPosts, ...samplePosts];
-
-      // Sort by creation date (newest first)
-      allPosts.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-      console.log(
-        `Returning ${allPosts.length} total posts for demo user (${transformedFollowedPosts.length} from followed users + ${samplePosts.length} demo posts)`
-      );
-
-      return res.json({
-        success: true,
-        data: {
-          posts: allPosts,
-          pagination: {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total: allPosts.length,
-            totalPages: Math.ceil(allPosts.length / limit),
-            hasNext: false,
-            hasPrev: false,
-          },
-        },
+    let { mode } = req.query;
+    if (mode && !FEED_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `mode must be one of: ${FEED_MODES.join(", ")}`,
       });
     }
-
-    // Simple and effective query - show posts from followed users + own posts
-    // Include common types (post/image/video/text) and exclude stories
-    // Also include PSA posts from system user
-    const query = {
-      $or: [
-        {
-          authorId: { $in: userIdsToShow },
-          type: { $in: ["post", "image", "video", "text"] },
-        },
-        {
-          isPSA: true,
-          type: "text"
-        }
-      ]
-    };
-
-    console.log(`Feed query:`, JSON.stringify(query, null, 2));
-
-    const posts = await Post.find(query)
-      .populate("authorId", "username profileImage isVerified name")
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    console.log(`Found ${posts.length} feed posts`);
-    if (posts.length > 0) {
-      console.log(
-        `First post author: ${posts[0].authorId?.username}, id: ${posts[0].authorId?._id}`
-      );
+    if (!mode) {
+      const settings = await UserSettings.findOne({ userId: user._id })
+        .select("app.feedMode")
+        .lean();
+      mode = settings?.app?.feedMode || "ranked";
     }
 
+    const feed = await getHomeFeed(user, { mode, cursor, limit });
+    const { posts } = feed;
+
     // Transform posts to match frontend expectations
     const userIdStr = (req.user.id || req.user._id).toString();
     const transformedPosts = posts.map((post) => {
@@ -346,7 +156,7 @@ router.get("/feed", auth, async (req, res) => {
         mediaType,
         timestamp: post.createdAt,
         likes: Array.isArray(post.likes) ? post.likes.length : 0,
-        comments: Array.isArray(post.comments) ? post.comments.length : 0,
+        comments: post.engagement?.comments || 0,
         shares: Array.isArray(post.shares) ? post.shares.length : 0,
         isLiked: !!liked,
         isBookmarked: !!bookmarked,
@@ -365,16 +175,11 @@ router.get("/feed", auth, async (req, res) => {
       };
     });
 
-    console.log(`Transformed ${transformedPosts.length} feed posts`);
-    if (transformedPosts.length > 0) {
-      console.log(
-        `First transformed post:`,
-        JSON.stringify(transformedPosts[0], null, 2)
-      );
-    }
     res.json({
       success: true,
       data: transformedPosts,
+      mode: feed.mode,
+      pagination: { nextCursor: feed.nextCursor, hasMore: feed.hasMore },
       message: "Feed posts retrieved successfully",
     });
   } catch (error) {
@@ -393,11 +198,13 @@ router.get("/feed", auth, async (req, res) => {
 router.get("/stories", auth, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
+    const followingIds = await Follow.findFollowingIds(user._id);
 
     const stories = await Post.find({
-      author: { $in: [...user.following, req.user.id] },
+      author: { $in: [...followingIds, req.user.id] },
       type: "story",
       expiresAt: { $gt: new Date() },
+      ...(await AudienceList.visibleToFilter(user._id)),
     })
       .populate("author", "username profileImage")
       .sort({ createdAt: -1 });
@@ -420,9 +227,7 @@ router.get("/reels", auth, async (req, res) => {
     const user = await User.findById(userId);
     if (!user) return res.status(404).json({ error: "User not found" });
     const userIdsToShow = [
-      ...(user.following || []).map((id) =>
-        typeof id === "string" ? new mongoose.Types.ObjectId(id) : id
-      ),
+      ...(await Follow.findFollowingIds(user._id)),
       typeof userId === "string" ? new mongoose.Types.ObjectId(userId) : userId,
     ];
 
@@ -474,7 +279,7 @@ router.get("/reels", auth, async (req, res) => {
         video,
         videoThumbnail,
         likes: Array.isArray(post.likes) ? post.likes.length : 0,
-        comments: Array.isArray(post.comments) ? post.comments.length : 0,
+        comments: post.engagement?.comments || 0,
         shares: Array.isArray(post.shares) ? post.shares.length : 0,
         views: Array.isArray(post.views) ? post.views.length : 0,
         createdAt: post.createdAt,
@@ -505,13 +310,18 @@ router.get("/reels", auth, async (req, res) => {
 router.get("/:id([0-9a-fA-F]{24})", auth, async (req, res) => {
   try {
     const { id } = req.params;
-    const post = await Post.findById(id)
-      .populate("authorId", "username profileImage isVerified name")
-      .populate("comments.userId", "username name profileImage isVerified");
+    const post = await Post.findById(id).populate(
+      "authorId",
+      "username profileImage isVerified name"
+    );
 
     if (!post)
       return res.status(404).json({ success: false, error: "Post not found" });
 
+    // Posts the viewer may not see look like they don't exist
+    if (!(await canViewerSeePost(post, req.user.id || req.user._id)))
+      return res.status(404).json({ success: false, error: "Post not found" });
+
     // Resolve media
     let image = null;
     let video = null;
@@ -554,6 +364,9 @@ router.get("/:id([0-9a-fA-F]{24})", auth, async (req, res) => {
         )
       : false;
 
+    // First page of top comments; the rest come from GET /:id/comments
+    const comments = await listComments("Post", post, userIdStr);
+
     const transformed = {
       id: post._id.toString(),
       authorId: post.authorId?._id?.toString(),
@@ -565,23 +378,9 @@ router.get("/:id([0-9a-fA-F]{24})", auth, async (req, res) => {
       videoThumbnail,
       mediaType: video ? "video" : image ? "image" : "text",
       likes: Array.isArray(post.likes) ? post.likes.length : 0,
-      comments: (Array.isArray(post.comments) ? post.comments : []).map(
-        (c) => ({
-          _id: c._id,
-          content: c.content,
-          createdAt: c.createdAt,
-          likes: Array.isArray(c.likes) ? c.likes.length : 0,
-          user: c.userId
-            ? {
-                _id: c.userId._id,
-                name: c.userId.username || c.userId.name,
-                username: c.userId.username,
-                avatar: c.userId.profileImage,
-                verified: c.userId.isVerified || false,
-              }
-            : undefined,
-        })
-      ),
+      comments: comments.items,
+      commentCount: post.engagement?.comments || 0,
+      commentsCursor: comments.nextCursor,
       isLiked: !!liked,
       isBookmarked: !!bookmarked,
       createdAt: post.createdAt,
@@ -603,7 +402,7 @@ router.get("/:id([0-9a-fA-F]{24})", auth, async (req, res) => {
 });
 
 // Create post
-router.post("/", auth, async (req, res) => {
+router.post("/", auth, requireVerifiedEmail, async (req, res) => {
   try {
     console.log("Create post request body:", JSON.stringify(req.body, null, 2));
 
@@ -612,10 +411,12 @@ router.post("/", auth, async (req, res) => {
       type = "post",
       media = [],
       visibility = "public",
+      audienceListId,
       tags = [],
-      mentions = [],
       location,
       expiresAt,
+      status,
+      publishAt,
     } = req.body;
 
     // Validate content
@@ -623,28 +424,66 @@ router.post("/", auth, async (req, res) => {
       return res.status(400).json({ error: "Content is required" });
     }
 
-    // Determine post type based on media
-    let postType = type;
-    if (media.length > 0 && type === "post") {
-      const hasVideo = media.some((m) => m.type === "video");
-      const hasImage = media.some((m) => m.type === "image");
+    if (
+      !POST_VISIBILITIES.includes(visibility) &&
+      !(visibility === "audience" && audienceListId)
+    ) {
+      return res.status(400).json({
+        error: "Visibility must be public, friends or private, or audience with an audienceListId",
+        code: "INVALID_VISIBILITY",
+      });
+    }
 
-      if (hasVideo) {
-        postType = "video";
-      } else if (hasImage) {
-        postType = "image";
+    // Drafts and scheduled posts are published later by their author or the
+    // scheduler
+    const publishState = resolvePublishState({ status, publishAt });
+    if (publishState.error) {
+      return res
+        .status(400)
+        .json({ error: publishState.error, code: publishState.code });
+    }
+    const queued = publishState.status !== "published";
+    if (queued && type === "story") {
+      return res.status(400).json({
+        error: "Stories can't be saved as drafts or scheduled",
+        code: "INVALID_STATUS",
+      });
+    }
+    if (queued && !(await canQueueMorePosts(req.user.id))) {
+      return res.status(400).json({
+        error: `You can have at most ${MAX_UNPUBLISHED_POSTS} drafts and scheduled posts`,
+        code: "UNPUBLISHED_LIMIT_REACHED",
+      });
+    }
+
+    // Sharing with an audience list requires one of the author's own lists
+    let audienceList = null;
+    if (audienceListId) {
+      audienceList = mongoose.isValidObjectId(audienceListId)
+        ? await AudienceList.findOne({ _id: audienceListId, owner: req.user.id })
+        : null;
+      if (!audienceList) {
+        return res.status(400).json({
+          error: "Audience list not found",
+          code: "INVALID_AUDIENCE_LIST",
+        });
       }
     }
 
+    const postType = postTypeFor(type, media);
+
     const post = new Post({
       authorId: req.user.id,
       content: content.trim(),
       media,
       type: postType,
-      visibility,
-      tags,
-      mentions,
+      visibility: audienceList ? "audience" : visibility,
+      audienceList: audienceList?._id,
+      // Explicit tags plus the #hashtags in the content
+      tags: collectHashtags(tags, content),
       location,
+      status: publishState.status,
+      publishAt: publishState.publishAt,
       isApproved: true, // Auto-approve for now
       // Add expiration for stories
       ...(postType === "story" &&
@@ -659,24 +498,140 @@ router.post("/", auth, async (req, res) => {
 
     await post.save();
 
-    // Update user stats
-    await User.findByIdAndUpdate(req.user.id, {
-      $inc: { "stats.postsCount": 1 },
-    });
+    // Timelines, hashtags, mentions and stats wait until the post goes live
+    if (!queued) await announcePost(post, req.user);
 
-    const populatedPost = await Post.findById(post._id).populate(
-      "authorId",
-      "username profileImage isVerified name"
-    );
+    const populatedPost = await Post.findById(post._id)
+      .setOptions({ includeUnpublished: true })
+      .populate("authorId", "username profileImage isVerified name");
 
     console.log("Post created successfully:", populatedPost._id);
     res.status(201).json(populatedPost);
   } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
     console.error("Error creating post:", error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// List your drafts and scheduled posts (?status=draft|scheduled for one kind)
+router.get("/drafts", auth, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !UNPUBLISHED_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${UNPUBLISHED_STATUSES.join(", ")}`,
+      });
+    }
+
+    const posts = await listUnpublishedPosts(req.user._id, { status });
+    res.json({ success: true, data: posts });
+  } catch (error) {
+    console.error("Error fetching drafts:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Edit a draft or scheduled post. status/publishAt move it between drafts
+// and the schedule; status "published" publishes it now.
+router.patch("/drafts/:id([0-9a-fA-F]{24})", auth, async (req, res) => {
+  try {
+    const post = await Post.findOne({
+      _id: req.params.id,
+      authorId: req.user._id,
+      status: { $in: UNPUBLISHED_STATUSES },
+    });
+    if (!post)
+      return res.status(404).json({ success: false, error: "Draft not found" });
+
+    const { content, tags, location, media, status, publishAt } = req.body;
+    if (content !== undefined && !String(content).trim()) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Content cannot be empty" });
+    }
+
+    if (status !== undefined || publishAt !== undefined) {
+      const nextStatus =
+        status ?? (publishAt !== undefined ? "scheduled" : post.status);
+      const publishState = resolvePublishState({
+        status: nextStatus,
+        publishAt:
+          publishAt === undefined && nextStatus === "scheduled"
+            ? post.publishAt
+            : publishAt,
+      });
+      if (publishState.error) {
+        return res.status(400).json({
+          success: false,
+          error: publishState.error,
+          code: publishState.code,
+        });
+      }
+      post.publishAt = publishState.publishAt;
+      // Publishing happens below, once the edits are saved
+      if (publishState.status !== "published") post.status = publishState.status;
+    }
+
+    // Explicit tags stay unless replaced; hashtags follow the content
+    const explicitTags =
+      tags !== undefined
+        ? tags
+        : (post.tags || []).filter(
+            (t) => !extractHashtags(post.content).includes(t)
+          );
+    if (content !== undefined) post.content = String(content).trim();
+    post.tags = collectHashtags(explicitTags, post.content);
+    if (location !== undefined) post.location = location || undefined;
+    if (Array.isArray(media)) {
+      post.media = media;
+      const derivedType = postTypeFor("post", media);
+      if (derivedType !== "post") post.type = derivedType;
+    }
+    await post.save();
+
+    if (status === "published") await publishPost(post._id);
+
+    const updatedPost = await Post.findById(post._id)
+      .setOptions({ includeUnpublished: true })
+      .populate("authorId", "username profileImage isVerified name");
+    res.json({ success: true, data: updatedPost });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error("Error updating draft:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Discard a draft or cancel a scheduled post
+router.delete("/drafts/:id([0-9a-fA-F]{24})", auth, async (req, res) => {
+  try {
+    const post = await Post.findOneAndDelete({
+      _id: req.params.id,
+      authorId: req.user._id,
+      status: { $in: UNPUBLISHED_STATUSES },
+    });
+    if (!post)
+      return res.status(404).json({ success: false, error: "Draft not found" });
+
+    res.json({
+      success: true,
+      message:
+        post.status === "scheduled"
+          ? "Scheduled post cancelled"
+          : "Draft deleted",
+    });
+  } catch (error) {
+    console.error("Error deleting draft:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Like/unlike post
 router.post("/:id/like", auth, async (req, res) => {
   try {
@@ -754,110 +709,93 @@ router.post("/:id/like", auth, async (req, res) => {
   }
 });
 
-// Add comment
-router.post("/:id/comment", auth, async (req, res) => {
+// Add a comment (or a reply with replyTo). Kept for older clients; the same
+// as POST /:id/comments.
+router.post("/:id([0-9a-fA-F]{24})/comment", auth, async (req, res) => {
   try {
-    const { text } = req.body;
-    const post = await Post.findById(req.params.id).populate(
-      "authorId",
-      "username name"
-    );
-
+    const post = await loadCommentParent("Post", req.params.id, req.user._id);
     if (!post) return res.status(404).json({ error: "Post not found" });
 
-    // Normalize to schema: use { userId, content }
-    const content = (text || "").toString().trim();
-    if (!content) {
-      return res.status(400).json({ error: "Comment text is required" });
+    const { text, replyTo } = req.body;
+    const result = await addComment("Post", post, req.user, {
+      content: text,
+      replyTo,
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
-    post.comments.push({
-      userId: req.user.id,
-      content,
-      createdAt: new Date(),
+    res.json({
+      success: true,
+      data: formatComment(result.comment, req.user._id),
     });
+  } catch (error) {
+    console.error("Error adding comment:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    await post.save();
+// Comments: list, reply, edit, delete, like, pin and approve
+router.use("/:id([0-9a-fA-F]{24})/comments", commentRoutes("Post"));
 
-    // Notify author if commenter is different
-    const authorIdStr =
-      post.authorId?._id?.toString() || post.authorId?.toString();
-    const userIdStr = (req.user.id || req.user._id).toString();
-    if (authorIdStr && authorIdStr !== userIdStr) {
-      await Notification.createNotification({
-        type: "comment",
-        sender: req.user.id || req.user._id,
-        recipient: authorIdStr,
-        title: "New Comment",
-        message: `${
-          req.user.username || req.user.name || "Someone"
-        } commented: "${(text || "").toString().slice(0, 80)}"`,
-        data: { postId: post._id.toString() },
-        category: "social",
-        priority: "medium",
+// Edit a post's content, tags, location or media captions within the edit
+// window. The previous version is kept in the post's revision history.
+const updatePost = async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select("+revisions");
+    if (!post)
+      return res.status(404).json({ success: false, error: "Post not found" });
+
+    const { content, tags, location, media } = req.body;
+    const result = await editPost(
+      post,
+      { content, tags, location, media },
+      req.user
+    );
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+        code: result.code,
       });
     }
 
-    // Re-fetch the post to populate the latest comment's user
-    const refreshed = await Post.findById(post._id).populate(
-      "comments.userId",
-      "username name profileImage isVerified"
+    const populatedPost = await Post.findById(post._id).populate(
+      "authorId",
+      "username profileImage isVerified name"
     );
-    const latest = refreshed?.comments?.[refreshed.comments.length - 1];
-    const shaped = latest
-      ? {
-          _id: latest._id,
-          content: latest.content,
-          createdAt: latest.createdAt,
-          likes: Array.isArray(latest.likes) ? latest.likes.length : 0,
-          user: latest.userId
-            ? {
-                _id: latest.userId._id,
-                name: latest.userId.username || latest.userId.name,
-                username: latest.userId.username,
-                avatar: latest.userId.profileImage,
-                verified: latest.userId.isVerified || false,
-              }
-            : undefined,
-        }
-      : null;
-    res.json({ success: true, data: shaped });
+    res.json({ success: true, data: populatedPost });
   } catch (error) {
-    console.error("Error adding comment:", error);
-    res.status(500).json({ error: error.message });
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error("Error editing post:", error);
+    res.status(500).json({ success: false, error: error.message });
   }
-});
+};
 
-// Get comments for a post/reel with user info
-router.get("/:id([0-9a-fA-F]{24})/comments", auth, async (req, res) => {
+router.put("/:id([0-9a-fA-F]{24})", auth, updatePost);
+router.patch("/:id([0-9a-fA-F]{24})", auth, updatePost);
+
+// Get a post's edit history, newest version first
+router.get("/:id([0-9a-fA-F]{24})/revisions", auth, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id).populate(
-      "comments.userId",
-      "username name profileImage isVerified"
-    );
-    if (!post) return res.status(404).json({ error: "Post not found" });
+    const post = await Post.findById(req.params.id).select("+revisions");
 
-    const comments = (Array.isArray(post.comments) ? post.comments : []).map(
-      (c) => ({
-        _id: c._id,
-        content: c.content,
-        createdAt: c.createdAt,
-        likes: Array.isArray(c.likes) ? c.likes.length : 0,
-        user: c.userId
-          ? {
-              _id: c.userId._id,
-              name: c.userId.username || c.userId.name,
-              username: c.userId.username,
-              avatar: c.userId.profileImage,
-              verified: c.userId.isVerified || false,
-            }
-          : undefined,
-      })
-    );
+    // Posts the viewer may not see look like they don't exist
+    if (!post || !(await canViewerSeePost(post, req.user._id)))
+      return res.status(404).json({ success: false, error: "Post not found" });
 
-    res.json({ success: true, data: { comments } });
+    res.json({
+      success: true,
+      data: {
+        isEdited: post.isEdited,
+        editedAt: post.editedAt,
+        revisions: listRevisions(post),
+      },
+    });
   } catch (error) {
-    console.error("Error fetching comments:", error);
-    res.status(500).json({ error: error.message });
+    console.error("Error fetching post revisions:", error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
@@ -875,6 +813,12 @@ router.delete("/:id([0-9a-fA-F]{24})", auth, async (req, res) => {
     await User.findByIdAndUpdate(req.user.id, {
       $inc: { "stats.postsCount": -1 },
     });
+    if (countsTowardHashtags(post)) {
+      await releaseHashtagUsage(post.tags, "post");
+    }
+    await Mention.deleteMany({ post: post._id });
+    await removeParentComments(post._id);
+    await removePostFromTimelines(post._id);
 
     res.json({ message: "Post deleted successfully" });
   } catch (error) {
@@ -969,7 +913,7 @@ router.get("/saved", auth, async (req, res) => {
         videoThumbnail,
         mediaType,
         likes: Array.isArray(post.likes) ? post.likes.length : 0,
-        comments: Array.isArray(post.comments) ? post.comments.length : 0,
+        comments: post.engagement?.comments || 0,
         shares: Array.isArray(post.shares) ? post.shares.length : 0,
         createdAt: post.createdAt,
         user: {
@@ -997,28 +941,24 @@ router.get("/user/:userId", auth, async (req, res) => {
     const { userId } = req.params;
     const { page = 1, limit = 20 } = req.query;
 
-    // Privacy gating: if target user is private and requester is not a follower, block
+    // Privacy gating through the shared visibility policy
+    let visibilityFilter;
     try {
-      const targetUser = await User.findById(userId).select(
-        "privacy.profileVisibility followers"
-      );
-      if (!targetUser) {
+      const viewerId = req.user.id || req.user._id;
+      const { owner, access } = await resolveProfileAccess(userId, viewerId);
+      if (!owner || isHiddenProfile(access)) {
         return res
           .status(404)
           .json({ success: false, error: "User not found" });
       }
-      const isPrivate = targetUser.privacy?.profileVisibility === "private";
-      const isSelf = (req.user.id || req.user._id).toString() === userId;
-      const isFollower = (targetUser.followers || []).some(
-        (id) => id.toString() === (req.user.id || req.user._id).toString()
-      );
-      if (isPrivate && !isSelf && !isFollower) {
+      if (access.level !== ACCESS.FULL) {
         return res.status(403).json({
           success: false,
           error: "This account is private",
-          code: "ACCOUNT_PRIVATE",
+          code: access.reason,
         });
       }
+      visibilityFilter = await resolvePostFilter(access.relationship, viewerId);
     } catch (e) {
       // If privacy check fails, default to safe deny
       return res.status(403).json({ success: false, error: "Access denied" });
@@ -1028,9 +968,9 @@ router.get("/user/:userId", auth, async (req, res) => {
     const posts = await Post.find({
       authorId: userId,
       type: { $ne: "story" }, // Exclude stories, include all other types
+      ...visibilityFilter,
     })
       .populate("authorId", "username profileImage isVerified name")
-      .populate("comments.userId", "username name profileImage isVerified")
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -1099,23 +1039,7 @@ router.get("/user/:userId", auth, async (req, res) => {
         videoThumbnail,
         mediaType,
         likes: post.likes || [],
-        comments: (Array.isArray(post.comments) ? post.comments : []).map(
-          (c) => ({
-            _id: c._id,
-            content: c.content,
-            createdAt: c.createdAt,
-            likes: Array.isArray(c.likes) ? c.likes.length : 0,
-            user: c.userId
-              ? {
-                  _id: c.userId._id,
-                  name: c.userId.username || c.userId.name,
-                  username: c.userId.username,
-                  avatar: c.userId.profileImage,
-                  verified: c.userId.isVerified || false,
-                }
-              : undefined,
-          })
-        ),
+        comments: post.engagement?.comments || 0,
         isLiked: !!liked,
         isBookmarked: !!bookmarked,
         user: {
@@ -1147,58 +1071,4 @@ router.get("/user/:userId", auth, async (req, res) => {
   }
 });
 
-// Demo endpoint to create sample posts for testing
-router.post("/demo", auth, async (req, res) => {
-  try {
-    const demoPosts = [
-      {
-        authorId: req.user.id,
-        content:
-          "Welcome to our social platform! 🎉 This is a demo post to test the feed functionality.",
-        type: "post",
-        isApproved: true,
-        image:
-          "https://images.unsplash.com/photo-1501594907352-04cda38ebc29?w=800&h=600&fit=crop",
-        mediaType: "image",
-      },
-      {
-        authorId: req.user.id,
-        content: "Beautiful sunset from my travels ✨ #photography #sunset",
-        type: "post",
-        isApproved: true,
-        image:
-          "https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800&h=600&fit=crop",
-        mediaType: "image",
-      },
-      {
-        authorId: req.user.id,
-        content: "Just finished an amazing workout! 💪 #fitness #motivation",
-        type: "post",
-        isApproved: true,
-      },
-      {
-        authorId: req.user.id,
-        content:
-          "Coffee and coding - the perfect combination ☕️ #developer #coding",
-        type: "post",
-        isApproved: true,
-        image:
-          "https://images.unsplash.com/photo-1461749280684-dccba630e2f6?w=800&h=600&fit=crop",
-        mediaType: "image",
-      },
-    ];
-
-    const createdPosts = await Post.insertMany(demoPosts);
-    console.log(`Created ${createdPosts.length} demo posts`);
-
-    res.json({
-      message: `Created ${createdPosts.length} demo posts successfully!`,
-      posts: createdPosts,
-    });
-  } catch (error) {
-    console.error("Error creating demo posts:", error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
 export default router;
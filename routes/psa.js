@@ -1,15 +1,16 @@
 import express from "express";
-import { auth, adminAuth } from "../middleware/auth.js";
+import { auth } from "../middleware/auth.js";
+import { requirePermission, hasPermission } from "../middleware/permissions.js";
 import PSA from "../models/PSA.js";
 import User from "../models/User.js";
 
 const router = express.Router();
 
-// Admin middleware
-router.use(auth, adminAuth);
+// All routes need a signed-in user; management routes check permissions
+router.use(auth);
 
 // Get all PSAs
-router.get("/", async (req, res) => {
+router.get("/", requirePermission("psa:read"), async (req, res) => {
   try {
     const { page = 1, limit = 10, status, type } = req.query;
     const skip = (page - 1) * limit;
@@ -41,7 +42,7 @@ router.get("/", async (req, res) => {
 });
 
 // Get single PSA
-router.get("/:id", async (req, res) => {
+router.get("/:id", requirePermission("psa:read"), async (req, res) => {
   try {
     const psa = await PSA.findById(req.params.id).populate(
       "createdBy",
@@ -59,7 +60,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // Create new PSA
-router.post("/", async (req, res) => {
+router.post("/", requirePermission("psa:publish"), async (req, res) => {
   try {
     const {
       title,
@@ -113,7 +114,7 @@ router.post("/", async (req, res) => {
 });
 
 // Update PSA
-router.put("/:id", async (req, res) => {
+router.put("/:id", requirePermission("psa:publish"), async (req, res) => {
   try {
     const updates = req.body;
 
@@ -143,7 +144,7 @@ router.put("/:id", async (req, res) => {
 });
 
 // Delete PSA
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermission("psa:delete"), async (req, res) => {
   try {
     const psa = await PSA.findByIdAndDelete(req.params.id);
 
@@ -158,7 +159,7 @@ router.delete("/:id", async (req, res) => {
 });
 
 // Activate PSA
-router.post("/:id/activate", async (req, res) => {
+router.post("/:id/activate", requirePermission("psa:publish"), async (req, res) => {
   try {
     const psa = await PSA.findByIdAndUpdate(
       req.params.id,
@@ -187,7 +188,7 @@ router.post("/:id/activate", async (req, res) => {
 });
 
 // Deactivate PSA
-router.post("/:id/deactivate", async (req, res) => {
+router.post("/:id/deactivate", requirePermission("psa:publish"), async (req, res) => {
   try {
     const psa = await PSA.findByIdAndUpdate(
       req.params.id,
@@ -212,7 +213,7 @@ router.post("/:id/deactivate", async (req, res) => {
 });
 
 // Get PSA metrics
-router.get("/:id/metrics", async (req, res) => {
+router.get("/:id/metrics", requirePermission("psa:read"), async (req, res) => {
   try {
     const psa = await PSA.findById(req.params.id);
 
@@ -282,7 +283,7 @@ router.get("/public/active", auth, async (req, res) => {
 });
 
 // Preview PSA (before publishing)
-router.post("/preview", async (req, res) => {
+router.post("/preview", requirePermission("psa:publish"), async (req, res) => {
   try {
     const psaData = req.body;
 
@@ -305,7 +306,7 @@ router.post("/preview", async (req, res) => {
 });
 
 // Bulk operations
-router.post("/bulk", async (req, res) => {
+router.post("/bulk", requirePermission("psa:publish"), async (req, res) => {
   try {
     const { action, psaIds } = req.body;
 
@@ -326,6 +327,14 @@ router.post("/bulk", async (req, res) => {
         message = "PSAs deactivated successfully";
         break;
       case "delete":
+        if (!(await hasPermission(req.user, "psa:delete"))) {
+          return res.status(403).json({
+            success: false,
+            error: "You do not have permission to perform this action",
+            code: "FORBIDDEN",
+            missing: ["psa:delete"],
+          });
+        }
         await PSA.deleteMany({ _id: { $in: psaIds } });
         return res.json({ message: "PSAs deleted successfully" });
       default:
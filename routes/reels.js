@@ -1,10 +1,31 @@
 import express from "express";
-import { auth } from "../middleware/auth.js";
+import { auth, requireVerifiedEmail } from "../middleware/auth.js";
 import { uploadReel, cloudinaryUtils } from "../config/cloudinary.js";
 import User from "../models/User.js";
 import Reel from "../models/Reel.js";
 import Report from "../models/Reports.js";
 import Notification from "../models/Notification.js";
+import Mention from "../models/Mention.js";
+import {
+  canViewContent,
+  filterByAuthorAccess,
+  resolveProfileAccess,
+  VIEWER_FIELDS,
+} from "../services/visibilityPolicy.js";
+import {
+  collectHashtags,
+  recordHashtagUsage,
+  releaseHashtagUsage,
+} from "../services/hashtagService.js";
+import { recordMentions } from "../services/mentionService.js";
+import {
+  formatComment,
+  loadCommentParent,
+  addComment,
+  listComments,
+  removeParentComments,
+} from "../services/commentService.js";
+import { commentRoutes } from "./comments.js";
 
 const router = express.Router();
 
@@ -16,6 +37,17 @@ router.get("/feed", auth, async (req, res) => {
 
     let query = { isActive: true };
 
+    // Skip muted and blocked accounts; private/friends-only accounts the
+    // viewer can't see are dropped from the page below
+    const viewer = await User.findById(req.user.id).select(
+      `${VIEWER_FIELDS} mutedUsers`
+    );
+    if (viewer) {
+      query.author = {
+        $nin: [...(viewer.mutedUsers || []), ...(viewer.blockedUsers || [])],
+      };
+    }
+
     // Add category filter
     if (category) {
       query.category = category;
@@ -34,10 +66,15 @@ router.get("/feed", auth, async (req, res) => {
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
+    const visibleReels = await filterByAuthorAccess(
+      viewer,
+      reels,
+      (reel) => reel.author
+    );
 
     // Add user interaction data
     const reelsWithInteractions = await Promise.all(
-      reels.map(async (reel) => {
+      visibleReels.map(async (reel) => {
         const isLiked = reel.likes.includes(req.user.id);
         const isSaved = req.user.savedReels?.includes(reel._id) || false;
 
@@ -46,7 +83,7 @@ router.get("/feed", auth, async (req, res) => {
           isLiked,
           isSaved,
           likesCount: reel.likes.length,
-          commentsCount: reel.comments.length,
+          commentsCount: reel.commentsCount || 0,
           sharesCount: reel.shares.length,
         };
       })
@@ -62,7 +99,7 @@ router.get("/feed", auth, async (req, res) => {
 });
 
 // Upload new reel
-router.post("/upload", auth, uploadReel.single("video"), async (req, res) => {
+router.post("/upload", auth, requireVerifiedEmail, uploadReel.single("video"), async (req, res) => {
   try {
     const { caption, tags, category = "general" } = req.body;
 
@@ -85,13 +122,24 @@ router.post("/upload", auth, uploadReel.single("video"), async (req, res) => {
       videoUrl: req.file.path, // Cloudinary URL
       videoPublicId: req.file.filename, // Cloudinary public ID
       caption,
-      tags: tags ? tags.split(",").map((tag) => tag.trim()) : [],
+      // Comma-separated tags plus the #hashtags in the caption
+      tags: collectHashtags(tags, caption),
       category,
       duration: req.file.duration || 0, // Video duration in seconds
       thumbnail: thumbnailUrl, // Generated thumbnail URL
     });
 
     await reel.save();
+    await recordHashtagUsage(reel.tags, "reel");
+
+    const mentionIds = await recordMentions(reel.caption, {
+      author: req.user,
+      source: { type: "reel", reel },
+    });
+    if (mentionIds.length) {
+      reel.mentions = mentionIds;
+      await reel.save();
+    }
     await reel.populate("author", "username profilePicture isVerified");
 
     res.status(201).json({
@@ -116,14 +164,23 @@ router.post("/upload", auth, uploadReel.single("video"), async (req, res) => {
 // Get single reel
 router.get("/:id", auth, async (req, res) => {
   try {
-    const reel = await Reel.findById(req.params.id)
-      .populate("author", "username profilePicture isVerified")
-      .populate("comments.author", "username profilePicture");
+    const reel = await Reel.findById(req.params.id).populate(
+      "author",
+      "username profilePicture isVerified"
+    );
 
     if (!reel) {
       return res.status(404).json({ error: "Reel not found" });
     }
 
+    const { owner, viewer, follows } = await resolveProfileAccess(
+      reel.author?._id || reel.author,
+      req.user.id
+    );
+    if (!owner || !canViewContent(owner, viewer, follows)) {
+      return res.status(404).json({ error: "Reel not found" });
+    }
+
     // Increment view count
     await Reel.findByIdAndUpdate(req.params.id, {
       $inc: { views: 1 },
@@ -132,13 +189,17 @@ router.get("/:id", auth, async (req, res) => {
 
     const isLiked = reel.likes.includes(req.user.id);
     const isSaved = req.user.savedReels?.includes(reel._id) || false;
+    // First page of top comments; the rest come from GET /:id/comments
+    const comments = await listComments("Reel", reel, req.user._id);
 
     res.json({
       ...reel.toObject(),
+      comments: comments.items,
+      commentsCursor: comments.nextCursor,
       isLiked,
       isSaved,
       likesCount: reel.likes.length,
-      commentsCount: reel.comments.length,
+      commentsCount: reel.commentsCount || 0,
       sharesCount: reel.shares.length,
     });
   } catch (error) {
@@ -198,59 +259,36 @@ router.post("/:id/like", auth, async (req, res) => {
   }
 });
 
-// Comment on reel
+// Comment on reel (or reply with replyTo). Kept for older clients; the same
+// as POST /:id/comments.
 router.post("/:id/comment", auth, async (req, res) => {
   try {
-    const { text } = req.body;
-
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({ error: "Comment text is required" });
-    }
-
-    const reel = await Reel.findById(req.params.id);
+    const reel = await loadCommentParent("Reel", req.params.id, req.user._id);
     if (!reel) {
       return res.status(404).json({ error: "Reel not found" });
     }
 
-    const comment = {
-      author: req.user.id,
-      text: text.trim(),
-      createdAt: new Date(),
-    };
-
-    reel.comments.push(comment);
-    await reel.save();
-    await reel.populate("comments.author", "username profilePicture");
-
-    // Notify author on comment (avoid self)
-    if (reel.author?.toString && reel.author.toString() !== req.user.id) {
-      try {
-        await Notification.createNotification({
-          type: "comment",
-          sender: req.user.id,
-          recipient: reel.author,
-          title: "New Comment",
-          message: `${
-            req.user.username || req.user.name || "Someone"
-          } commented on your reel`,
-          data: { reelId: reel._id.toString() },
-          category: "social",
-          priority: "medium",
-        });
-      } catch (e) {
-        console.warn("Failed to create reel comment notification:", e.message);
-      }
+    const { text, replyTo } = req.body;
+    const result = await addComment("Reel", reel, req.user, {
+      content: text,
+      replyTo,
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
 
     res.status(201).json({
       message: "Comment added successfully",
-      comment: reel.comments[reel.comments.length - 1],
+      comment: formatComment(result.comment, req.user._id),
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Comments: list, reply, edit, delete, like, pin and approve
+router.use("/:id([0-9a-fA-F]{24})/comments", commentRoutes("Reel"));
+
 // Share reel
 router.post("/:id/share", auth, async (req, res) => {
   try {
@@ -320,7 +358,7 @@ router.get("/saved", auth, async (req, res) => {
       video: reel.videoUrl || null,
       videoThumbnail: reel.thumbnail || null,
       likes: Array.isArray(reel.likes) ? reel.likes.length : 0,
-      comments: Array.isArray(reel.comments) ? reel.comments.length : 0,
+      comments: reel.commentsCount || 0,
       shares: Array.isArray(reel.shares) ? reel.shares.length : 0,
       views: reel.views || 0,
       createdAt: reel.createdAt,
@@ -392,10 +430,10 @@ router.get("/:id/stats", auth, async (req, res) => {
     const stats = {
       views: reel.views,
       likes: reel.likes.length,
-      comments: reel.comments.length,
+      comments: reel.commentsCount || 0,
       shares: reel.shares.length,
       engagement: (
-        ((reel.likes.length + reel.comments.length + reel.shares.length) /
+        ((reel.likes.length + (reel.commentsCount || 0) + reel.shares.length) /
           Math.max(reel.views, 1)) *
         100
       ).toFixed(2),
@@ -421,6 +459,9 @@ router.delete("/:id", auth, async (req, res) => {
     }
 
     await Reel.findByIdAndDelete(req.params.id);
+    await releaseHashtagUsage(reel.tags, "reel");
+    await Mention.deleteMany({ reel: reel._id });
+    await removeParentComments(reel._id);
 
     res.json({ message: "Reel deleted successfully" });
   } catch (error) {
@@ -448,7 +489,7 @@ router.get("/trending/now", auth, async (req, res) => {
           engagementScore: {
             $add: [
               { $size: "$likes" },
-              { $multiply: [{ $size: "$comments" }, 2] },
+              { $multiply: [{ $ifNull: ["$commentsCount", 0] }, 2] },
               { $multiply: ["$shares", 3] },
               { $divide: ["$views", 10] },
             ],
@@ -5,6 +5,7 @@ import ContentReport from '../models/ContentReport.js';
 import User from '../models/User.js';
 import Post from '../models/Post.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { requirePermission, hasPermission } from '../middleware/permissions.js';
 
 const router = express.Router();
 
@@ -219,21 +220,12 @@ router.get('/my-reports', authenticateToken, async (req, res) => {
 });
 
 // Get reports against a user (admin only)
-router.get('/against/:userId', authenticateToken, async (req, res) => {
+router.get('/against/:userId', authenticateToken, requirePermission('reports:read'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { status, page = 1, limit = 20 } = req.query;
     const skip = (page - 1) * limit;
 
-    // Check if user is admin
-    const user = await User.findById(req.user.id);
-    if (user.role !== 'admin' && user.role !== 'moderator') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin privileges required.'
-      });
-    }
-
     const query = { reportedUser: userId };
     if (status) {
       query.status = status;
@@ -268,20 +260,11 @@ router.get('/against/:userId', authenticateToken, async (req, res) => {
 });
 
 // Get all reports (admin only)
-router.get('/all', authenticateToken, async (req, res) => {
+router.get('/all', authenticateToken, requirePermission('reports:read'), async (req, res) => {
   try {
     const { status, type, priority, page = 1, limit = 50 } = req.query;
     const skip = (page - 1) * limit;
 
-    // Check if user is admin
-    const user = await User.findById(req.user.id);
-    if (user.role !== 'admin' && user.role !== 'moderator') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin privileges required.'
-      });
-    }
-
     const query = {};
     if (status) query.status = status;
     if (type) query.reportType = type;
@@ -316,19 +299,10 @@ router.get('/all', authenticateToken, async (req, res) => {
 });
 
 // Get high priority reports (admin only)
-router.get('/high-priority', authenticateToken, async (req, res) => {
+router.get('/high-priority', authenticateToken, requirePermission('reports:read'), async (req, res) => {
   try {
     const { limit = 20 } = req.query;
 
-    // Check if user is admin
-    const user = await User.findById(req.user.id);
-    if (user.role !== 'admin' && user.role !== 'moderator') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin privileges required.'
-      });
-    }
-
     const reports = await Report.find({ 
       $or: [
         { priority: 'high' },
@@ -355,7 +329,7 @@ router.get('/high-priority', authenticateToken, async (req, res) => {
 });
 
 // Update report status (admin only)
-router.put('/:reportId/status', authenticateToken, [
+router.put('/:reportId/status', authenticateToken, requirePermission('reports:review'), [
   body('status').isIn(['pending', 'investigating', 'resolved', 'dismissed']),
   body('note').optional().isString().trim()
 ], async (req, res) => {
@@ -372,15 +346,6 @@ router.put('/:reportId/status', authenticateToken, [
       });
     }
 
-    // Check if user is admin
-    const user = await User.findById(req.user.id);
-    if (user.role !== 'admin' && user.role !== 'moderator') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin privileges required.'
-      });
-    }
-
     const report = await Report.findById(reportId);
     if (!report) {
       return res.status(404).json({
@@ -406,7 +371,7 @@ router.put('/:reportId/status', authenticateToken, [
 });
 
 // Take action on report (admin only)
-router.put('/:reportId/action', authenticateToken, [
+router.put('/:reportId/action', authenticateToken, requirePermission('reports:review'), [
   body('action').isIn([
     'none',
     'warning',
@@ -430,15 +395,6 @@ router.put('/:reportId/action', authenticateToken, [
       });
     }
 
-    // Check if user is admin
-    const user = await User.findById(req.user.id);
-    if (user.role !== 'admin' && user.role !== 'moderator') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin privileges required.'
-      });
-    }
-
     const report = await Report.findById(reportId);
     if (!report) {
       return res.status(404).json({
@@ -474,17 +430,8 @@ router.put('/:reportId/action', authenticateToken, [
 });
 
 // Get report statistics
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, requirePermission('reports:read'), async (req, res) => {
   try {
-    // Check if user is admin
-    const user = await User.findById(req.user.id);
-    if (user.role !== 'admin' && user.role !== 'moderator') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin privileges required.'
-      });
-    }
-
     const stats = await Report.aggregate([
       {
         $group: {
@@ -557,8 +504,7 @@ router.get('/:reportId', authenticateToken, async (req, res) => {
     }
 
     // Check if user can access this report
-    const user = await User.findById(req.user.id);
-    if (user.role !== 'admin' && user.role !== 'moderator') {
+    if (!(await hasPermission(req.user, 'reports:read'))) {
       // Users can only see their own reports
       if (report.reporter.toString() !== req.user.id) {
         return res.status(403).json({
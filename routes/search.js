@@ -0,0 +1,51 @@
+import express from "express";
+import { auth } from "../middleware/auth.js";
+import { search, SEARCH_TYPES } from "../services/searchService.js";
+
+const router = express.Router();
+
+const MAX_QUERY_LENGTH = 100;
+
+// Unified search across users, posts, reels, streams and static pages
+// ?q=&types=users,posts&limit=&offset=
+router.get("/", auth, async (req, res) => {
+  try {
+    const query = String(req.query.q || "").trim().slice(0, MAX_QUERY_LENGTH);
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: "Search query is required",
+        code: "QUERY_REQUIRED",
+      });
+    }
+
+    const types = req.query.types
+      ? String(req.query.types)
+          .split(",")
+          .map((t) => t.trim())
+          .filter(Boolean)
+      : SEARCH_TYPES;
+    const unknown = types.filter((t) => !SEARCH_TYPES.includes(t));
+    if (unknown.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown search type: ${unknown.join(", ")}`,
+        code: "INVALID_SEARCH_TYPE",
+      });
+    }
+
+    const sections = await search(query, {
+      viewerId: req.user.id || req.user._id,
+      types,
+      limit: req.query.limit,
+      offset: req.query.offset,
+    });
+
+    res.json({ success: true, data: { query, sections } });
+  } catch (error) {
+    console.error("Error searching:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+export default router;
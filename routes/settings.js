@@ -3,15 +3,26 @@ import { body, validationResult } from "express-validator";
 import UserSettings from "../models/UserSettings.js";
 import User from "../models/User.js";
 import { authenticateToken } from "../middleware/auth.js";
-import Post from "../models/Post.js";
-import Reel from "../models/Reel.js";
 import Chat from "../models/Chat.js";
-import Notification from "../models/Notification.js";
-import Report from "../models/Reports.js";
-import ContentReport from "../models/ContentReport.js";
-import Match from "../models/Match.js";
-import UserInteraction from "../models/UserInteraction.js";
-import { cloudinaryUtils } from "../config/cloudinary.js";
+import { listProviders, startAuthorization } from "../services/oauthService.js";
+import {
+  recordSecurityEvent,
+  listSecurityEvents,
+  SECURITY_EVENT_TYPES,
+} from "../services/securityEventService.js";
+import {
+  requestDataExport,
+  listDataExports,
+  getDataExport,
+  createDownloadToken,
+  findDownloadableExport,
+} from "../services/dataExportService.js";
+import {
+  DELETION_GRACE_DAYS,
+  deactivateAccount,
+  scheduleAccountDeletion,
+} from "../services/accountService.js";
+import { disconnectSessions } from "../services/sessionService.js";
 
 const router = express.Router();
 
@@ -100,6 +111,9 @@ router.put(
     body("profileVisibility").optional().isIn(["public", "friends", "private"]),
     body("showOnlineStatus").optional().isBoolean(),
     body("allowMessages").optional().isBoolean(),
+    body("allowMentionsFrom")
+      .optional()
+      .isIn(["everyone", "following", "none"]),
     body("allowFriendRequests").optional().isBoolean(),
     body("showActivityStatus").optional().isBoolean(),
     body("allowAnalytics").optional().isBoolean(),
@@ -146,6 +160,9 @@ router.put(
       if (typeof req.body.allowProfileViews === "boolean") {
         privacyUpdate["privacy.allowProfileViews"] = req.body.allowProfileViews;
       }
+      if (typeof req.body.allowMentionsFrom === "string") {
+        privacyUpdate["privacy.allowMentionsFrom"] = req.body.allowMentionsFrom;
+      }
       if (Object.keys(privacyUpdate).length > 0) {
         await User.findByIdAndUpdate(req.user.id, { $set: privacyUpdate });
       }
@@ -223,6 +240,7 @@ router.put(
     body("downloadQuality").optional().isIn(["low", "medium", "high"]),
     body("soundEffects").optional().isBoolean(),
     body("hapticFeedback").optional().isBoolean(),
+    body("feedMode").optional().isIn(["ranked", "chronological"]),
   ],
   async (req, res) => {
     try {
@@ -361,145 +379,454 @@ router.get("/export", authenticateToken, async (req, res) => {
   }
 });
 
-export default router;
+// Status of a data export, with a fresh download link once it is ready
+const serializeDataExport = (job, req) => {
+  const data = {
+    id: job._id,
+    status: job.status,
+    requestedAt: job.createdAt,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt,
+    fileSize: job.fileSize,
+    counts: job.counts,
+  };
+  if (job.status === "ready" && job.expiresAt > new Date()) {
+    const { token, expiresAt } = createDownloadToken(job);
+    data.downloadUrl = `${req.baseUrl}/export/data/${job._id}/download?token=${token}`;
+    data.downloadUrlExpiresAt = expiresAt;
+  }
+  if (job.status === "failed") {
+    data.error = "The export could not be created. Please request a new one.";
+  }
+  return data;
+};
 
-// Danger Zone: Permanently delete account
-router.delete("/account", authenticateToken, async (req, res) => {
-  const userId = req.user.id;
+// Request a full personal data export (built in the background)
+router.post("/export/data", authenticateToken, async (req, res) => {
   try {
-    const user = await User.findById(userId);
+    const { job, created } = await requestDataExport(req.user.id);
+
+    res.status(created ? 202 : 200).json({
+      success: true,
+      message: created
+        ? "Your data export has been requested. We'll notify you when it's ready."
+        : "A data export is already in progress",
+      data: serializeDataExport(job, req),
+    });
+  } catch (error) {
+    console.error("Error requesting data export:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to request data export",
+    });
+  }
+});
+
+// List the user's data exports
+router.get("/export/data", authenticateToken, async (req, res) => {
+  try {
+    const jobs = await listDataExports(req.user.id);
+
+    res.json({
+      success: true,
+      data: jobs.map((job) => serializeDataExport(job, req)),
+    });
+  } catch (error) {
+    console.error("Error listing data exports:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load data exports",
+    });
+  }
+});
+
+// Poll a data export
+router.get(
+  "/export/data/:exportId([0-9a-fA-F]{24})",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const job = await getDataExport(req.user.id, req.params.exportId);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: "Data export not found",
+        });
+      }
+
+      res.json({ success: true, data: serializeDataExport(job, req) });
+    } catch (error) {
+      console.error("Error loading data export:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to load data export",
+      });
+    }
+  }
+);
+
+// Download a finished data export. The signed link stands in for the auth
+// header so it also works as a plain browser download.
+router.get(
+  "/export/data/:exportId([0-9a-fA-F]{24})/download",
+  async (req, res) => {
+    try {
+      const job = await findDownloadableExport(
+        req.params.exportId,
+        String(req.query.token || "")
+      );
+      if (!job) {
+        return res.status(410).json({
+          success: false,
+          message: "This download link is invalid or has expired",
+          code: "EXPORT_LINK_EXPIRED",
+        });
+      }
+
+      res.download(job.filePath, job.fileName, (error) => {
+        if (error && !res.headersSent) {
+          res.status(410).json({
+            success: false,
+            message: "This data export is no longer available",
+            code: "EXPORT_LINK_EXPIRED",
+          });
+        }
+      });
+    } catch (error) {
+      console.error("Error downloading data export:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to download data export",
+      });
+    }
+  }
+);
+
+// List linked sign-in providers
+router.get("/identities", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("identities hasPassword");
     if (!user) {
       return res
         .status(404)
         .json({ success: false, message: "User not found" });
     }
 
-    // Helper to try deleting a Cloudinary asset from a URL
-    const tryDeleteFromUrl = async (url) => {
-      if (!url || typeof url !== "string") return;
-      try {
-        // Attempt to parse public_id and resource type from the URL
-        // Expected: https://res.cloudinary.com/<cloud>/image|video/upload/.../<public_id>.<ext>
-        const m = url.match(
-          /res\.cloudinary\.com\/[^/]+\/(image|video)\/upload\/(?:v\d+\/)?(.+?)\.[a-z0-9]+(?:\?|$)/i
-        );
-        if (m) {
-          const resourceType = m[1].toLowerCase();
-          const publicId = m[2];
-          await cloudinaryUtils.deleteFile(publicId, resourceType);
-        }
-      } catch (e) {
-        console.warn("Cloudinary delete failed for", url, e?.message);
+    res.json({
+      success: true,
+      data: {
+        hasPassword: user.hasPassword !== false,
+        identities: (user.identities || []).map((identity) => ({
+          provider: identity.provider,
+          email: identity.email,
+          name: identity.name,
+          linkedAt: identity.linkedAt,
+          lastUsedAt: identity.lastUsedAt,
+        })),
+        availableProviders: listProviders(),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching linked identities:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch linked accounts",
+    });
+  }
+});
+
+// Start linking a provider; the provider callback attaches the identity
+router.post(
+  "/identities/:provider(google|apple|github)/link",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user.id).select("identities");
+      if (!user) {
+        return res
+          .status(404)
+          .json({ success: false, message: "User not found" });
+      }
+
+      if (user.identities.some((i) => i.provider === req.params.provider)) {
+        return res.status(400).json({
+          success: false,
+          message: "This provider is already linked",
+        });
       }
-    };
 
-    // 1) Collect user's posts and reels
-    const [posts, reels] = await Promise.all([
-      Post.find({ authorId: userId }),
-      Reel.find({ author: userId }),
-    ]);
-
-    // 2) Purge Cloudinary media
-    // Avatar
-    await tryDeleteFromUrl(user.avatar);
-    // Posts media and thumbnails
-    for (const p of posts) {
-      for (const media of p.media || []) {
-        await tryDeleteFromUrl(media.url);
-        if (media.thumbnail) await tryDeleteFromUrl(media.thumbnail);
+      const result = await startAuthorization(req.params.provider, {
+        mode: "link",
+        userId: user._id,
+      });
+      if (!result.success) {
+        return res.status(404).json({
+          success: false,
+          message: result.error,
+          code: result.code,
+        });
       }
+
+      res.json({
+        success: true,
+        data: { authorizationUrl: result.authorizationUrl, state: result.state },
+      });
+    } catch (error) {
+      console.error("Error starting provider link:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to start linking",
+      });
     }
-    // Reels video and thumbnail
-    for (const r of reels) {
-      if (r.videoPublicId) {
-        try {
-          await cloudinaryUtils.deleteFile(r.videoPublicId, "video");
-        } catch (e) {
-          console.warn(
-            "Cloudinary delete failed for reel publicId",
-            r.videoPublicId,
-            e?.message
-          );
-        }
+  }
+);
+
+// Unlink a provider
+router.delete(
+  "/identities/:provider(google|apple|github)",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user.id).select(
+        "identities hasPassword +passkeys"
+      );
+      if (!user) {
+        return res
+          .status(404)
+          .json({ success: false, message: "User not found" });
+      }
+
+      const remaining = user.identities.filter(
+        (i) => i.provider !== req.params.provider
+      );
+      if (remaining.length === user.identities.length) {
+        return res.status(404).json({
+          success: false,
+          message: "This provider is not linked",
+        });
+      }
+
+      // Keep at least one way to sign in
+      if (
+        remaining.length === 0 &&
+        user.hasPassword === false &&
+        user.passkeys.length === 0
+      ) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Set a password before unlinking your only sign-in method",
+          code: "LAST_SIGN_IN_METHOD",
+        });
       }
-      if (r.thumbnail) await tryDeleteFromUrl(r.thumbnail);
-      if (r.videoUrl) await tryDeleteFromUrl(r.videoUrl);
+
+      user.identities = remaining;
+      await user.save();
+
+      res.json({
+        success: true,
+        message: "Provider unlinked successfully",
+      });
+    } catch (error) {
+      console.error("Error unlinking provider:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to unlink provider",
+      });
+    }
+  }
+);
+
+const formatPasskey = (passkey) => ({
+  id: passkey._id,
+  name: passkey.name,
+  deviceType: passkey.deviceType,
+  backedUp: passkey.backedUp,
+  transports: passkey.transports,
+  createdAt: passkey.createdAt,
+  lastUsedAt: passkey.lastUsedAt,
+});
+
+// List registered passkeys
+router.get("/passkeys", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("+passkeys");
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    res.json({
+      success: true,
+      data: { passkeys: (user.passkeys || []).map(formatPasskey) },
+    });
+  } catch (error) {
+    console.error("Error fetching passkeys:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch passkeys",
+    });
+  }
+});
+
+// Rename a passkey
+router.patch(
+  "/passkeys/:id([0-9a-fA-F]{24})",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const name = String(req.body.name || "").trim();
+      if (!name || name.length > 50) {
+        return res.status(400).json({
+          success: false,
+          message: "Name must be between 1 and 50 characters",
+        });
+      }
+
+      const user = await User.findById(req.user.id).select("+passkeys");
+      const passkey = user && user.passkeys.id(req.params.id);
+      if (!passkey) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Passkey not found" });
+      }
+
+      passkey.name = name;
+      await user.save();
+
+      res.json({ success: true, data: { passkey: formatPasskey(passkey) } });
+    } catch (error) {
+      console.error("Error renaming passkey:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to rename passkey",
+      });
+    }
+  }
+);
+
+// Revoke a passkey
+router.delete(
+  "/passkeys/:id([0-9a-fA-F]{24})",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user.id).select(
+        "+passkeys identities hasPassword"
+      );
+      const passkey = user && user.passkeys.id(req.params.id);
+      if (!passkey) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Passkey not found" });
+      }
+
+      // Keep at least one way to sign in
+      if (
+        user.passkeys.length === 1 &&
+        user.hasPassword === false &&
+        user.identities.length === 0
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Set a password before removing your only sign-in method",
+          code: "LAST_SIGN_IN_METHOD",
+        });
+      }
+
+      const { name } = passkey;
+      passkey.deleteOne();
+      await user.save();
+      await recordSecurityEvent(user._id, "passkey_removed", req, {
+        passkeyId: req.params.id,
+        name,
+      });
+
+      res.json({ success: true, message: "Passkey removed" });
+    } catch (error) {
+      console.error("Error removing passkey:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove passkey",
+      });
+    }
+  }
+);
+
+// Account activity: sign-ins, password resets, 2FA and session changes
+router.get("/security-events", authenticateToken, async (req, res) => {
+  try {
+    const { page, limit, type } = req.query;
+    if (type !== undefined && !SECURITY_EVENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${SECURITY_EVENT_TYPES.join(", ")}`,
+      });
+    }
+
+    const result = await listSecurityEvents(req.user.id, { page, limit, type });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error("Error fetching security events:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch security events",
+    });
+  }
+});
+
+export default router;
+
+// Danger Zone: Deactivate account (hidden until the next sign-in)
+router.post("/account/deactivate", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    await deactivateAccount(user);
+    disconnectSessions(req.app.get("io"), { userId: user._id });
+    await recordSecurityEvent(user._id, "account_deactivated", req);
+
+    res.json({
+      success: true,
+      message: "Account deactivated. Sign in again to reactivate it.",
+    });
+  } catch (error) {
+    console.error("Error deactivating account:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to deactivate account" });
+  }
+});
+
+// Danger Zone: Delete account after a grace period. The account is hidden
+// right away and can be restored by signing in and cancelling the deletion.
+router.delete("/account", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
     }
 
-    const postIds = posts.map((p) => p._id);
-    const reelIds = reels.map((r) => r._id);
-
-    // 3) Relationship cleanup: remove this user from everyone else's arrays
-    await Promise.all([
-      User.updateMany({ followers: userId }, { $pull: { followers: userId } }),
-      User.updateMany({ following: userId }, { $pull: { following: userId } }),
-      User.updateMany(
-        { followRequests: userId },
-        { $pull: { followRequests: userId } }
-      ),
-      User.updateMany(
-        { sentFollowRequests: userId },
-        { $pull: { sentFollowRequests: userId } }
-      ),
-      User.updateMany(
-        { blockedUsers: userId },
-        { $pull: { blockedUsers: userId } }
-      ),
-      // Remove saved posts/reels referencing this user's content
-      postIds.length
-        ? User.updateMany(
-            { savedPosts: { $in: postIds } },
-            { $pull: { savedPosts: { $in: postIds } } }
-          )
-        : Promise.resolve(),
-      reelIds.length
-        ? User.updateMany(
-            { savedReels: { $in: reelIds } },
-            { $pull: { savedReels: { $in: reelIds } } }
-          )
-        : Promise.resolve(),
-    ]);
-
-    // 4) Delete content authored by this user
-    await Promise.all([
-      Post.deleteMany({ authorId: userId }),
-      Reel.deleteMany({ author: userId }),
-    ]);
-
-    // 4b) Clean up notifications, reports, matches, interactions
-    await Promise.all([
-      // Notifications sent to or from this user
-      Notification.deleteMany({
-        $or: [{ recipient: userId }, { sender: userId }],
-      }),
-      // Admin/simple reports model
-      Report.deleteMany({
-        $or: [{ reporter: userId }, { reportedUser: userId }],
-      }),
-      // Content reports model
-      ContentReport.deleteMany({
-        $or: [{ reporter: userId }],
-      }),
-      // Matches involving this user
-      Match.deleteMany({
-        $or: [{ userId }, { matchedUserId: userId }],
-      }),
-      // All user interactions (both directions)
-      UserInteraction.deleteMany({
-        $or: [{ user1: userId }, { user2: userId }],
-      }),
-    ]);
-
-    // 5) Optional: mark chats still accessible but with a note. We keep chats/messages for history.
-    // No DB change here; the chat APIs will render a fallback label for missing participants.
-
-    // 6) Remove user settings doc
-    await UserSettings.findOneAndDelete({ userId });
-
-    // 7) Finally, delete the user
-    await User.findByIdAndDelete(userId);
-
-    res.json({ success: true, message: "Account deleted permanently" });
+    const deletionScheduledFor = await scheduleAccountDeletion(user);
+    disconnectSessions(req.app.get("io"), { userId: user._id });
+    await recordSecurityEvent(user._id, "account_deletion_scheduled", req, {
+      deletionScheduledFor,
+    });
+
+    res.json({
+      success: true,
+      message: `Account scheduled for deletion in ${DELETION_GRACE_DAYS} days. Sign in before then to cancel.`,
+      data: { deletionScheduledFor },
+    });
   } catch (error) {
     console.error("Error deleting account:", error);
     res
@@ -1,11 +1,13 @@
 import express from "express";
-import { auth, adminAuth } from "../middleware/auth.js";
+import { auth } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
 import StaticContent from "../models/StaticContent.js";
 
 const router = express.Router();
 
-// Admin middleware for write operations
-const adminRequired = [auth, adminAuth];
+// Permission middleware for admin operations
+const staticEditor = [auth, requirePermission("static:edit")];
+const staticPublisher = [auth, requirePermission("static:publish")];
 
 // Get static content (public endpoint)
 router.get("/:page", async (req, res) => {
@@ -34,7 +36,7 @@ router.get("/:page", async (req, res) => {
 });
 
 // Get all static pages (admin)
-router.get("/admin/pages", ...adminRequired, async (req, res) => {
+router.get("/admin/pages", ...staticEditor, async (req, res) => {
   try {
     const { status } = req.query;
 
@@ -54,7 +56,7 @@ router.get("/admin/pages", ...adminRequired, async (req, res) => {
 });
 
 // Get specific page for editing (admin)
-router.get("/admin/edit/:page", ...adminRequired, async (req, res) => {
+router.get("/admin/edit/:page", ...staticEditor, async (req, res) => {
   try {
     const { page } = req.params;
 
@@ -73,7 +75,7 @@ router.get("/admin/edit/:page", ...adminRequired, async (req, res) => {
 });
 
 // Create new static page (admin)
-router.post("/admin/create", ...adminRequired, async (req, res) => {
+router.post("/admin/create", ...staticEditor, async (req, res) => {
   try {
     const { page, title, content, seo, isPublished = false } = req.body;
 
@@ -116,7 +118,7 @@ router.post("/admin/create", ...adminRequired, async (req, res) => {
 });
 
 // Update static page (admin)
-router.put("/admin/edit/:page", ...adminRequired, async (req, res) => {
+router.put("/admin/edit/:page", ...staticEditor, async (req, res) => {
   try {
     const { page } = req.params;
     const updates = req.body;
@@ -151,7 +153,7 @@ router.put("/admin/edit/:page", ...adminRequired, async (req, res) => {
 });
 
 // Delete static page (admin)
-router.delete("/admin/delete/:page", ...adminRequired, async (req, res) => {
+router.delete("/admin/delete/:page", ...staticEditor, async (req, res) => {
   try {
     const { page } = req.params;
 
@@ -172,7 +174,7 @@ router.delete("/admin/delete/:page", ...adminRequired, async (req, res) => {
 });
 
 // Publish/Unpublish page (admin)
-router.patch("/admin/:page/publish", ...adminRequired, async (req, res) => {
+router.patch("/admin/:page/publish", ...staticPublisher, async (req, res) => {
   try {
     const { page } = req.params;
     const { isPublished } = req.body;
@@ -201,7 +203,7 @@ router.patch("/admin/:page/publish", ...adminRequired, async (req, res) => {
 });
 
 // Update SEO settings (admin)
-router.patch("/admin/:page/seo", ...adminRequired, async (req, res) => {
+router.patch("/admin/:page/seo", ...staticEditor, async (req, res) => {
   try {
     const { page } = req.params;
     const { seo } = req.body;
@@ -234,7 +236,7 @@ router.patch("/admin/:page/seo", ...adminRequired, async (req, res) => {
 });
 
 // Get page analytics (admin)
-router.get("/admin/:page/analytics", ...adminRequired, async (req, res) => {
+router.get("/admin/:page/analytics", ...staticEditor, async (req, res) => {
   try {
     const { page } = req.params;
     const { period = "30d" } = req.query;
@@ -359,7 +361,7 @@ router.post("/:page/view", async (req, res) => {
 });
 
 // Bulk operations (admin)
-router.post("/admin/bulk", ...adminRequired, async (req, res) => {
+router.post("/admin/bulk", ...staticEditor, async (req, res) => {
   try {
     const { action, pages } = req.body;
 
@@ -1,27 +1,45 @@
 import express from "express";
+import mongoose from "mongoose";
 import Post from "../models/Post.js";
 import User from "../models/User.js";
-import { auth } from "../middleware/auth.js";
+import AudienceList from "../models/AudienceList.js";
+import Follow from "../models/Follow.js";
+import {
+  ACCESS,
+  isHiddenProfile,
+  resolveProfileAccess,
+  resolvePostFilter,
+  canViewerSeePost,
+  filterActiveAuthorIds,
+} from "../services/visibilityPolicy.js";
+import { auth, requireVerifiedEmail } from "../middleware/auth.js";
 
 const router = express.Router();
 
 // Get stories for current user's feed (from people they follow)
 router.get("/", auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select("following");
+    const user = await User.findById(req.user.id).select("mutedUsers");
 
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    // Get stories from people the user follows + their own stories
-    const userFollowing = user.following || [];
+    // Get stories from people the user follows (minus muted and deactivated)
+    // + their own stories
+    const mutedIds = new Set((user.mutedUsers || []).map((id) => id.toString()));
+    const userFollowing = await filterActiveAuthorIds(
+      (await Follow.findFollowingIds(user._id)).filter(
+        (id) => !mutedIds.has(id.toString())
+      )
+    );
     const authorIds = [...userFollowing, req.user.id];
 
     const stories = await Post.find({
       authorId: { $in: authorIds },
       type: "story",
       expiresAt: { $gt: new Date() }, // Only non-expired stories
+      ...(await AudienceList.visibleToFilter(req.user.id)),
     })
       .populate("authorId", "username name profileImage verified")
       .sort({ createdAt: -1 })
@@ -119,28 +137,24 @@ router.get("/user/:userId", auth, async (req, res) => {
     const { userId } = req.params;
 
     // Check if the requesting user can view this user's stories
-    const targetUser = await User.findById(userId).select(
-      "privacy.profileVisibility followers"
-    );
+    const viewerId = req.user.id || req.user._id;
+    const { owner, access } = await resolveProfileAccess(userId, viewerId);
 
-    if (!targetUser) {
+    if (!owner || isHiddenProfile(access)) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    const isSelf = (req.user.id || req.user._id).toString() === userId;
-    const isPrivate = targetUser.privacy?.profileVisibility === "private";
-    const isFollower = (targetUser.followers || []).some(
-      (id) => id.toString() === (req.user.id || req.user._id).toString()
-    );
-
-    if (isPrivate && !isSelf && !isFollower) {
-      return res.status(403).json({ error: "Cannot view this user's stories" });
+    if (access.level !== ACCESS.FULL) {
+      return res
+        .status(403)
+        .json({ error: "Cannot view this user's stories", code: access.reason });
     }
 
     const stories = await Post.find({
       authorId: userId,
       type: "story",
       expiresAt: { $gt: new Date() },
+      ...(await resolvePostFilter(access.relationship, viewerId)),
     })
       .populate("authorId", "username name profileImage verified")
       .sort({ createdAt: -1 });
@@ -153,10 +167,16 @@ router.get("/user/:userId", auth, async (req, res) => {
 });
 
 // Create a new story
-router.post("/", auth, async (req, res) => {
+router.post("/", auth, requireVerifiedEmail, async (req, res) => {
   try {
-    const { content, media, textOverlays, stickers, backgroundColor } =
-      req.body;
+    const {
+      content,
+      media,
+      textOverlays,
+      stickers,
+      backgroundColor,
+      audienceListId,
+    } = req.body;
 
     if (!media && !content && !textOverlays?.length) {
       return res
@@ -164,6 +184,20 @@ router.post("/", auth, async (req, res) => {
         .json({ error: "Story must have content, media, or text overlays" });
     }
 
+    // Optionally share only with one of the author's audience lists
+    let audienceList = null;
+    if (audienceListId) {
+      audienceList = mongoose.isValidObjectId(audienceListId)
+        ? await AudienceList.findOne({ _id: audienceListId, owner: req.user.id })
+        : null;
+      if (!audienceList) {
+        return res.status(400).json({
+          error: "Audience list not found",
+          code: "INVALID_AUDIENCE_LIST",
+        });
+      }
+    }
+
     // Calculate expiration time (24 hours from now)
     const expiresAt = new Date();
     expiresAt.setHours(expiresAt.getHours() + 24);
@@ -174,6 +208,10 @@ router.post("/", auth, async (req, res) => {
       media: media || [],
       type: "story",
       expiresAt,
+      ...(audienceList && {
+        visibility: "audience",
+        audienceList: audienceList._id,
+      }),
       metadata: {
         textOverlays: textOverlays || [],
         stickers: stickers || [],
@@ -181,7 +219,6 @@ router.post("/", auth, async (req, res) => {
       },
       views: [],
       likes: [],
-      comments: [],
     });
 
     await story.save();
@@ -203,7 +240,11 @@ router.post("/:storyId/view", auth, async (req, res) => {
     const { storyId } = req.params;
 
     const story = await Post.findById(storyId);
-    if (!story || story.type !== "story") {
+    if (
+      !story ||
+      story.type !== "story" ||
+      !(await canViewerSeePost(story, req.user.id))
+    ) {
       return res.status(404).json({ error: "Story not found" });
     }
 
@@ -1,7 +1,9 @@
 import express from 'express';
-import { auth } from '../middleware/auth.js';
+import { auth, requireVerifiedEmail } from '../middleware/auth.js';
 import Stream from '../models/Stream.js';
 import User from '../models/User.js';
+import { canViewStream, resolveProfileAccess } from '../services/visibilityPolicy.js';
+import { recordMentions } from '../services/mentionService.js';
 import {
   generateVideoSDKToken,
   createMeeting,
@@ -144,6 +146,11 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ error: 'Stream not found' });
     }
     
+    const { owner, viewer, follows } = await resolveProfileAccess(stream.streamerId, req.user.id);
+    if (!owner || !canViewStream(stream, owner, viewer, follows)) {
+      return res.status(403).json({ error: 'This stream is private', code: 'STREAM_PRIVATE' });
+    }
+    
     // Add viewer if not already viewing
     if (!stream.viewers.includes(req.user.id)) {
       stream.viewers.push(req.user.id);
@@ -161,7 +168,7 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // Start stream
-router.post('/start', auth, async (req, res) => {
+router.post('/start', auth, requireVerifiedEmail, async (req, res) => {
   try {
     const { title, description, category, thumbnail } = req.body;
     
@@ -325,7 +332,11 @@ router.post('/:id/end', auth, async (req, res) => {
 // Add chat message
 router.post('/:id/chat', auth, async (req, res) => {
   try {
-    const { message } = req.body;
+    const message = String(req.body.message || '').trim();
+    if (!message) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
     const stream = await Stream.findById(req.params.id);
     
     if (!stream || !stream.isLive) {
@@ -344,6 +355,12 @@ router.post('/:id/chat', auth, async (req, res) => {
     }
     
     await stream.save();
+
+    const sent = stream.chat[stream.chat.length - 1];
+    await recordMentions(message, {
+      author: req.user,
+      source: { type: 'stream_chat', stream, commentId: sent._id }
+    });
     
     const populatedStream = await Stream.findById(stream._id)
       .populate('chat.user', 'username profileImage');
@@ -400,6 +417,18 @@ router.get('/:id/join', auth, async (req, res) => {
       });
     }
     
+    const { owner, viewer, follows } = await resolveProfileAccess(
+      stream.streamerId?._id || stream.streamerId,
+      req.user.id
+    );
+    if (!owner || !canViewStream(stream, owner, viewer, follows)) {
+      return res.status(403).json({
+        success: false,
+        error: 'This stream is private',
+        code: 'STREAM_PRIVATE'
+      });
+    }
+    
     // Generate token for viewer
     const token = generateVideoSDKToken({
       permissions: ['allow_join'],
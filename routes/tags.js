@@ -0,0 +1,156 @@
+import express from "express";
+import { auth } from "../middleware/auth.js";
+import User from "../models/User.js";
+import Hashtag from "../models/Hashtag.js";
+import {
+  TRENDING_WINDOWS,
+  normalizeHashtag,
+  getTrendingHashtags,
+  listTaggedContent,
+  followHashtag,
+  unfollowHashtag,
+} from "../services/hashtagService.js";
+import { VIEWER_FIELDS } from "../services/visibilityPolicy.js";
+
+const router = express.Router();
+
+const CONTENT_TYPES = ["posts", "reels"];
+
+const hashtagSummary = (name, hashtag, isFollowing) => ({
+  name,
+  postCount: hashtag?.postCount || 0,
+  reelCount: hashtag?.reelCount || 0,
+  followerCount: hashtag?.followerCount || 0,
+  isFollowing,
+});
+
+// Resolve :tag to its normalized name, or answer 400
+const parseTag = (req, res) => {
+  const name = normalizeHashtag(req.params.tag);
+  if (!name) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid hashtag",
+      code: "INVALID_HASHTAG",
+    });
+  }
+  return name;
+};
+
+// Trending hashtags (?window=1h|24h|7d|30d&limit=)
+router.get("/trending", auth, async (req, res) => {
+  try {
+    const { window = "24h", limit } = req.query;
+    if (!TRENDING_WINDOWS[window]) {
+      return res.status(400).json({
+        success: false,
+        message: `Window must be one of: ${Object.keys(TRENDING_WINDOWS).join(", ")}`,
+        code: "INVALID_WINDOW",
+      });
+    }
+
+    const hashtags = await getTrendingHashtags({ window, limit });
+    res.json({ success: true, data: { window, hashtags } });
+  } catch (error) {
+    console.error("Error fetching trending hashtags:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Hashtags the current user follows
+router.get("/me/following", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id || req.user._id)
+      .select("followedHashtags")
+      .lean();
+    const names = user?.followedHashtags || [];
+    const hashtags = await Hashtag.find({ name: { $in: names } }).lean();
+    const byName = new Map(hashtags.map((h) => [h.name, h]));
+
+    res.json({
+      success: true,
+      data: names.map((name) => hashtagSummary(name, byName.get(name), true)),
+    });
+  } catch (error) {
+    console.error("Error fetching followed hashtags:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Public posts and reels with a hashtag, newest first
+// (?type=posts|reels&cursor=&limit=)
+router.get("/:tag", auth, async (req, res) => {
+  try {
+    const name = parseTag(req, res);
+    if (!name) return;
+
+    const { type, cursor, limit } = req.query;
+    if (type && !CONTENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "Type must be posts or reels",
+        code: "INVALID_CONTENT_TYPE",
+      });
+    }
+
+    // Skip muted and blocked authors; the listing drops the rest the viewer
+    // may not see
+    const viewer = await User.findById(req.user.id || req.user._id)
+      .select(`${VIEWER_FIELDS} mutedUsers followedHashtags`)
+      .lean();
+    const excludedAuthorIds = viewer
+      ? [...(viewer.mutedUsers || []), ...(viewer.blockedUsers || [])]
+      : [];
+
+    const [hashtag, page] = await Promise.all([
+      Hashtag.findOne({ name }).lean(),
+      listTaggedContent(name, { viewer, excludedAuthorIds, type, cursor, limit }),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        hashtag: hashtagSummary(
+          name,
+          hashtag,
+          (viewer?.followedHashtags || []).includes(name)
+        ),
+        items: page.items,
+      },
+      pagination: { nextCursor: page.nextCursor, hasMore: page.hasMore },
+    });
+  } catch (error) {
+    console.error("Error fetching hashtag:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Follow a hashtag: its public posts show up in the home feed
+router.post("/:tag/follow", auth, async (req, res) => {
+  try {
+    const name = parseTag(req, res);
+    if (!name) return;
+
+    await followHashtag(req.user.id || req.user._id, name);
+    res.json({ success: true, message: `Following #${name}`, data: { name, isFollowing: true } });
+  } catch (error) {
+    console.error("Error following hashtag:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Unfollow a hashtag
+router.delete("/:tag/follow", auth, async (req, res) => {
+  try {
+    const name = parseTag(req, res);
+    if (!name) return;
+
+    await unfollowHashtag(req.user.id || req.user._id, name);
+    res.json({ success: true, message: `Unfollowed #${name}`, data: { name, isFollowing: false } });
+  } catch (error) {
+    console.error("Error unfollowing hashtag:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+export default router;
@@ -1,6 +1,38 @@
 import express from "express";
+import mongoose from "mongoose";
 import User from "../models/User.js";
 import Notification from "../models/Notification.js";
+import AudienceList from "../models/AudienceList.js";
+import Follow from "../models/Follow.js";
+import Post from "../models/Post.js";
+import UserInteraction from "../models/UserInteraction.js";
+import {
+  ACCESS,
+  isHiddenProfile,
+  resolveProfileAccess,
+  redactProfile,
+  publicProfile,
+} from "../services/visibilityPolicy.js";
+import {
+  listFollowers,
+  listFollowing,
+  listMutualFollowers,
+  findFollowedAmong,
+  findFollowersAmong,
+  getFollowedBy,
+} from "../services/followService.js";
+import {
+  getSuggestions,
+  recordImpressions,
+  dismissSuggestion,
+} from "../services/suggestionService.js";
+import { search } from "../services/searchService.js";
+import { listMentions } from "../services/mentionService.js";
+import { approveComments } from "../services/commentService.js";
+import {
+  backfillTimeline,
+  removeAuthorFromTimeline,
+} from "../services/timelineService.js";
 import { protect as authenticate, authorize } from "../middleware/auth.js";
 
 const router = express.Router();
@@ -28,7 +60,7 @@ router.get("/me", authenticate, async (req, res) => {
   }
 });
 
-// Search users
+// Search users (prefix and typo tolerant, ranked by relevance and followers)
 router.get("/search", authenticate, async (req, res) => {
   try {
     const { q, limit = 10 } = req.query;
@@ -37,26 +69,70 @@ router.get("/search", authenticate, async (req, res) => {
       return res.json([]);
     }
 
-    const searchQuery = q.trim();
-    const filter = {
-      $or: [
-        { username: { $regex: searchQuery, $options: "i" } },
-        { name: { $regex: searchQuery, $options: "i" } },
-        { bio: { $regex: searchQuery, $options: "i" } },
-      ],
-    };
+    const [section] = await search(q.trim(), {
+      viewerId: req.user._id,
+      types: ["users"],
+      limit,
+    });
 
-    const users = await User.find(filter)
-      .select("-password -email")
-      .limit(parseInt(limit))
-      .sort({ followers: -1 }); // Sort by follower count
+    res.json(section.results);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json(users);
+// "People you may know" (?limit=)
+router.get("/suggestions", authenticate, async (req, res) => {
+  try {
+    const suggestions = await getSuggestions(req.user._id, req.query);
+
+    // Shown suggestions that never get followed slowly sink
+    await recordImpressions(
+      req.user._id,
+      suggestions.map((s) => s.user._id)
+    );
+
+    res.json({
+      success: true,
+      data: suggestions.map(({ user, reason }) => ({
+        user: {
+          _id: user._id,
+          username: user.username,
+          name: user.name,
+          avatar: user.avatar || user.profileImage,
+          isVerified: user.isVerified || false,
+          bio: user.bio || "",
+          followerCount: user.followerCount || 0,
+        },
+        reason,
+      })),
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Stop suggesting a user
+router.post(
+  "/suggestions/:id([0-9a-fA-F]{24})/dismiss",
+  authenticate,
+  async (req, res) => {
+    try {
+      if (req.params.id === req.user._id.toString()) {
+        return res.status(400).json({ error: "You cannot do this to yourself" });
+      }
+      if (!(await User.exists({ _id: req.params.id }))) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      await dismissSuggestion(req.user._id, req.params.id);
+      res.json({ success: true, message: "Suggestion dismissed" });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
 // ... keep '/me/*' and other specific routes above ...
 
 // Update profile
@@ -102,6 +178,14 @@ router.put("/profile", authenticate, async (req, res) => {
           .status(400)
           .json({ success: false, error: "Username is already taken" });
     }
+    // Email changes must be confirmed through /api/auth/change-email
+    if (updateData.email && updateData.email !== req.user.email) {
+      return res.status(400).json({
+        success: false,
+        error: "Use /api/auth/change-email/request to change your email",
+        code: "EMAIL_CHANGE_REQUIRES_CONFIRMATION",
+      });
+    }
     if (updateData.email) {
       const exists = await User.findOne({
         email: String(updateData.email).toLowerCase(),
@@ -147,84 +231,22 @@ router.post("/:id/follow", authenticate, async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
-    // Handle demo user case
-    if (req.user._id === "demo_user_id") {
-      // For demo user, we need to maintain a following list in memory/session
-      // Check current follow status more reliably
-      const isCurrentlyFollowing =
-        targetUser.followers && targetUser.followers.includes(req.user._id);
-
-      if (isCurrentlyFollowing) {
-        // Unfollow
-        targetUser.followers.pull(req.user._id);
-        // Remove from demo user's following list
-        const followingIndex = req.user.following.indexOf(req.params.id);
-        if (followingIndex > -1) {
-          req.user.following.splice(followingIndex, 1);
-        }
-      } else {
-        // Follow
-        if (!targetUser.followers) {
-          targetUser.followers = [];
-        }
-        targetUser.followers.push(req.user._id);
-        // Add to demo user's following list
-        if (!req.user.following.includes(req.params.id)) {
-          req.user.following.push(req.params.id);
-        }
-      }
-
-      await targetUser.save();
-
-      console.log(`Demo user following count: ${req.user.following.length}`);
-      console.log(
-        `Demo user following list: ${JSON.stringify(req.user.following)}`
-      );
-      console.log(`Target user follower count: ${targetUser.followers.length}`);
-
-      return res.json({
-        success: true,
-        data: {
-          following: !isCurrentlyFollowing,
-          followerCount: targetUser.followers.length,
-          currentUserFollowingCount: req.user.following.length,
-        },
-        message: !isCurrentlyFollowing
-          ? "User followed successfully"
-          : "User unfollowed successfully",
-      });
-    }
-
-    // Handle real users
     const currentUser = await User.findById(req.user._id);
 
     if (!currentUser) {
       return res.status(404).json({ error: "Current user not found" });
     }
 
-    console.log(`Current user: ${currentUser.username} (${currentUser._id})`);
-    console.log(`Target user: ${targetUser.username} (${targetUser._id})`);
-    console.log(
-      `Current following BEFORE: ${JSON.stringify(currentUser.following)}`
-    );
-    console.log(
-      `Target followers BEFORE: ${JSON.stringify(targetUser.followers)}`
-    );
-
     // Convert to strings for proper comparison
     const targetIdString = req.params.id.toString();
     const currentUserIdString = req.user._id.toString();
 
-    const isFollowing = currentUser.following.some(
-      (id) => id.toString() === targetIdString
-    );
-    console.log(`Is currently following: ${isFollowing}`);
+    const isFollowing = await Follow.isFollowing(req.user._id, targetUser._id);
 
     // If already following, toggle to unfollow
     if (isFollowing) {
-      console.log("UNFOLLOWING USER");
-      currentUser.following.pull(req.params.id);
-      targetUser.followers.pull(req.user._id);
+      await Follow.unfollow(req.user._id, targetUser._id);
+      await removeAuthorFromTimeline(req.user._id, targetUser._id);
       // Also clear any stale follow requests
       currentUser.sentFollowRequests = (
         currentUser.sentFollowRequests || []
@@ -235,7 +257,6 @@ router.post("/:id/follow", authenticate, async (req, res) => {
     } else {
       // If target is private, create a follow request instead of direct follow
       if (targetUser.privacy?.profileVisibility === "private") {
-        console.log("TARGET IS PRIVATE - CREATING FOLLOW REQUEST");
         // Avoid duplicates
         const alreadyRequested = (targetUser.followRequests || []).some(
           (id) => id.toString() === currentUserIdString
@@ -252,51 +273,52 @@ router.post("/:id/follow", authenticate, async (req, res) => {
           currentUser.sentFollowRequests.push(req.params.id);
         }
       } else {
-        console.log("FOLLOWING USER");
-        currentUser.following.push(req.params.id);
-        targetUser.followers.push(req.user._id);
+        await Follow.follow(req.user._id, targetUser._id);
+        await backfillTimeline(req.user._id, targetUser._id);
       }
     }
 
-    console.log(
-      `Current following AFTER push/pull: ${JSON.stringify(
-        currentUser.following
-      )}`
-    );
-    console.log(
-      `Target followers AFTER push/pull: ${JSON.stringify(
-        targetUser.followers
-      )}`
-    );
+    // Save follow request changes (counters are updated by Follow itself)
+    await Promise.all([currentUser.save(), targetUser.save()]);
 
-    // Save both users
-    const saveResults = await Promise.all([
-      currentUser.save(),
-      targetUser.save(),
+    // Refresh counters from the database
+    const [refreshedCurrentUser, refreshedTargetUser] = await Promise.all([
+      User.findById(req.user._id).select("followingCount"),
+      User.findById(req.params.id).select("followerCount"),
     ]);
-    console.log("SAVE COMPLETED");
-
-    // Refresh data from database to verify the save worked
-    const refreshedCurrentUser = await User.findById(req.user._id);
-    const refreshedTargetUser = await User.findById(req.params.id);
-
-    console.log(
-      `REFRESHED Current following: ${JSON.stringify(
-        refreshedCurrentUser.following
-      )}`
-    );
-    console.log(
-      `REFRESHED Target followers: ${JSON.stringify(
-        refreshedTargetUser.followers
-      )}`
-    );
 
-    console.log(
-      `After update - Current following count: ${refreshedCurrentUser.following.length}`
-    );
-    console.log(
-      `After update - Target follower count: ${refreshedTargetUser.followers.length}`
-    );
+    // Record follows in UserInteraction so suggestions can learn from them;
+    // clients pass `source` (e.g. "suggestions") to say where it happened
+    const followedDirectly =
+      isFollowing || targetUser.privacy?.profileVisibility !== "private";
+    if (followedDirectly) {
+      const contexts = UserInteraction.schema.path("context").enumValues;
+      const context = contexts.includes(req.body?.source)
+        ? req.body.source
+        : "profile";
+      try {
+        if (isFollowing) {
+          // An old follow shouldn't keep boosting someone they unfollowed
+          await UserInteraction.updateMany(
+            {
+              user1: req.user._id,
+              user2: targetUser._id,
+              interactionType: "follow",
+              isActive: true,
+            },
+            { isActive: false }
+          );
+        }
+        await UserInteraction.recordInteraction(
+          req.user._id,
+          targetUser._id,
+          isFollowing ? "unfollow" : "follow",
+          context
+        );
+      } catch (interactionErr) {
+        console.warn("Interaction record failed:", interactionErr?.message);
+      }
+    }
 
     // Fire-and-forget: create notifications for follow or follow-request events
     try {
@@ -342,8 +364,8 @@ router.post("/:id/follow", authenticate, async (req, res) => {
           targetUser.privacy?.profileVisibility === "private" && !isFollowing
             ? true
             : false,
-        followerCount: refreshedTargetUser.followers.length,
-        currentUserFollowingCount: refreshedCurrentUser.following.length,
+        followerCount: refreshedTargetUser.followerCount,
+        currentUserFollowingCount: refreshedCurrentUser.followingCount,
       },
       message: isFollowing
         ? "User unfollowed successfully"
@@ -371,8 +393,9 @@ router.post("/:id/request-follow", authenticate, async (req, res) => {
     const targetIdString = req.params.id.toString();
     const currentUserIdString = req.user._id.toString();
 
-    const alreadyFollowing = currentUser.following?.some(
-      (id) => id.toString() === targetIdString
+    const alreadyFollowing = await Follow.isFollowing(
+      req.user._id,
+      targetUser._id
     );
     if (alreadyFollowing) {
       return res.json({ success: true, message: "Already following" });
@@ -459,20 +482,12 @@ router.post("/requests/:requesterId/accept", authenticate, async (req, res) => {
       (u) => u.toString() !== req.user._id.toString()
     );
 
-    // Establish follow
-    if (!currentUser.followers?.some((u) => u.toString() === requesterId)) {
-      currentUser.followers.push(requesterId);
-    }
-    if (
-      !requester.following?.some(
-        (u) => u.toString() === req.user._id.toString()
-      )
-    ) {
-      requester.following.push(req.user._id);
-    }
-
     await Promise.all([currentUser.save(), requester.save()]);
 
+    // Establish follow
+    await Follow.follow(requester._id, currentUser._id);
+    await backfillTimeline(requester._id, currentUser._id);
+
     // Notify requester their request was accepted
     try {
       await Notification.create({
@@ -522,82 +537,308 @@ router.post(
   }
 );
 
-// Get current user's followers
-router.get("/me/followers", authenticate, async (req, res) => {
+const MAX_AUDIENCE_LISTS = 20;
+
+const formatAudienceList = (list) => ({
+  id: list._id,
+  name: list.name,
+  memberCount: list.members.length,
+  members: list.populated("members") ? list.members : undefined,
+  createdAt: list.createdAt,
+  updatedAt: list.updatedAt,
+});
+
+// Keep valid, existing user ids other than the owner's
+const resolveListMembers = async (ownerId, userIds) => {
+  const ids = [...new Set((Array.isArray(userIds) ? userIds : []).map(String))]
+    .filter((id) => mongoose.isValidObjectId(id) && id !== ownerId.toString());
+  if (!ids.length) return [];
+  const users = await User.find({ _id: { $in: ids } }).select("_id");
+  return users.map((u) => u._id);
+};
+
+// List the current user's audience lists
+router.get("/me/lists", authenticate, async (req, res) => {
+  try {
+    const lists = await AudienceList.find({ owner: req.user._id }).sort({
+      name: 1,
+    });
+    return res.json({ success: true, data: lists.map(formatAudienceList) });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Create an audience list
+router.post("/me/lists", authenticate, async (req, res) => {
   try {
-    let user;
-    if (req.user._id === "demo_user_id") {
-      // For demo user, find all users who have demo_user_id in their followers array
-      const usersWithDemoInFollowers = await User.find({
-        followers: "demo_user_id",
-      }).select("username fullName avatar isVerified bio");
+    const name = String(req.body.name || "").trim();
+    if (!name) {
+      return res.status(400).json({ error: "List name is required" });
+    }
 
-      return res.json({
-        success: true,
-        data: usersWithDemoInFollowers || [],
-        message: "Followers retrieved successfully",
+    const count = await AudienceList.countDocuments({ owner: req.user._id });
+    if (count >= MAX_AUDIENCE_LISTS) {
+      return res.status(400).json({
+        error: `You can have at most ${MAX_AUDIENCE_LISTS} lists`,
+        code: "LIST_LIMIT_REACHED",
       });
-    } else {
-      user = await User.findById(req.user._id)
-        .populate("followers", "username fullName avatar isVerified bio")
-        .select("followers");
     }
 
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+    if (await AudienceList.exists({ owner: req.user._id, name })) {
+      return res.status(409).json({ error: "A list with this name already exists" });
     }
 
-    res.json({
-      success: true,
-      data: user.followers || [],
-      message: "Followers retrieved successfully",
+    const list = await AudienceList.create({
+      owner: req.user._id,
+      name,
+      members: await resolveListMembers(req.user._id, req.body.members),
     });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+
+    return res.status(201).json({ success: true, data: formatAudienceList(list) });
+  } catch (e) {
+    if (e.name === "ValidationError") {
+      return res.status(400).json({ error: e.message });
+    }
+    return res.status(500).json({ error: e.message });
   }
 });
 
-// Get current user's following
-router.get("/me/following", authenticate, async (req, res) => {
+// Get one audience list with its members
+router.get("/me/lists/:listId([0-9a-fA-F]{24})", authenticate, async (req, res) => {
   try {
-    console.log("=== FOLLOWING ENDPOINT HIT ===");
-    console.log(`User ID: ${req.user._id}`);
+    const list = await AudienceList.findOne({
+      _id: req.params.listId,
+      owner: req.user._id,
+    }).populate("members", "username name avatar isVerified");
+    if (!list) return res.status(404).json({ error: "List not found" });
+    return res.json({ success: true, data: formatAudienceList(list) });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
 
-    // Get the current user with following populated
-    const user = await User.findById(req.user._id)
-      .populate("following", "username fullName name avatar isVerified bio")
-      .select("following");
+// Rename a list and/or replace its members
+router.put("/me/lists/:listId([0-9a-fA-F]{24})", authenticate, async (req, res) => {
+  try {
+    const list = await AudienceList.findOne({
+      _id: req.params.listId,
+      owner: req.user._id,
+    });
+    if (!list) return res.status(404).json({ error: "List not found" });
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: "User not found",
+    if (req.body.name !== undefined) {
+      const name = String(req.body.name).trim();
+      if (!name) {
+        return res.status(400).json({ error: "List name is required" });
+      }
+      const duplicate = await AudienceList.exists({
+        owner: req.user._id,
+        name,
+        _id: { $ne: list._id },
       });
+      if (duplicate) {
+        return res.status(409).json({ error: "A list with this name already exists" });
+      }
+      list.name = name;
     }
 
-    const followingList = user.following || [];
+    if (req.body.members !== undefined) {
+      list.members = await resolveListMembers(req.user._id, req.body.members);
+    }
 
-    // Transform the data to match expected format
-    const transformedFollowing = followingList.map((followedUser) => ({
-      id: followedUser._id,
-      _id: followedUser._id,
-      username: followedUser.username,
-      fullName: followedUser.fullName || followedUser.name,
-      avatar: followedUser.avatar,
-      isVerified: followedUser.isVerified || false,
-      bio: followedUser.bio || "",
-      verified: followedUser.isVerified || false,
-      isFollowing: true, // Since these are users the current user follows
-      mutual: false, // TODO: Check if this is mutual
-    }));
+    await list.save();
+    return res.json({ success: true, data: formatAudienceList(list) });
+  } catch (e) {
+    if (e.name === "ValidationError") {
+      return res.status(400).json({ error: e.message });
+    }
+    return res.status(500).json({ error: e.message });
+  }
+});
 
-    console.log(`Returning ${transformedFollowing.length} following users`);
+// Add members to a list
+router.post(
+  "/me/lists/:listId([0-9a-fA-F]{24})/members",
+  authenticate,
+  async (req, res) => {
+    try {
+      const list = await AudienceList.findOne({
+        _id: req.params.listId,
+        owner: req.user._id,
+      });
+      if (!list) return res.status(404).json({ error: "List not found" });
 
-    res.json({
+      const members = await resolveListMembers(req.user._id, req.body.userIds);
+      members.forEach((id) => {
+        if (!list.hasMember(id)) list.members.push(id);
+      });
+
+      await list.save();
+      return res.json({ success: true, data: formatAudienceList(list) });
+    } catch (e) {
+      if (e.name === "ValidationError") {
+        return res.status(400).json({ error: e.message });
+      }
+      return res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+// Remove a member from a list
+router.delete(
+  "/me/lists/:listId([0-9a-fA-F]{24})/members/:userId([0-9a-fA-F]{24})",
+  authenticate,
+  async (req, res) => {
+    try {
+      const list = await AudienceList.findOneAndUpdate(
+        { _id: req.params.listId, owner: req.user._id },
+        { $pull: { members: req.params.userId } },
+        { new: true }
+      );
+      if (!list) return res.status(404).json({ error: "List not found" });
+      return res.json({ success: true, data: formatAudienceList(list) });
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+// Delete a list. Posts and stories shared with it keep pointing at the
+// deleted list, so from then on only the author can see them.
+router.delete("/me/lists/:listId([0-9a-fA-F]{24})", authenticate, async (req, res) => {
+  try {
+    const list = await AudienceList.findOneAndDelete({
+      _id: req.params.listId,
+      owner: req.user._id,
+    });
+    if (!list) return res.status(404).json({ error: "List not found" });
+
+    return res.json({ success: true, message: "List deleted" });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Get users the current user has muted
+router.get("/me/muted", authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate("mutedUsers", "username name avatar isVerified")
+      .select("mutedUsers");
+    if (!user) return res.status(404).json({ error: "User not found" });
+    return res.json({ success: true, data: user.mutedUsers || [] });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Get users the current user has restricted
+router.get("/me/restricted", authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate("restrictedUsers", "username name avatar isVerified")
+      .select("restrictedUsers");
+    if (!user) return res.status(404).json({ error: "User not found" });
+    return res.json({ success: true, data: user.restrictedUsers || [] });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Where the current user was @mentioned, newest first (?cursor=&limit=)
+router.get("/me/mentions", authenticate, async (req, res) => {
+  try {
+    const page = await listMentions(req.user._id, req.query);
+    return res.json({
       success: true,
-      data: transformedFollowing,
-      message: "Following retrieved successfully",
+      data: page.mentions.map((m) => ({
+        _id: m._id,
+        sourceType: m.sourceType,
+        excerpt: m.excerpt,
+        createdAt: m.createdAt,
+        user: {
+          _id: m.mentionedBy._id,
+          username: m.mentionedBy.username,
+          name: m.mentionedBy.name,
+          avatar: m.mentionedBy.avatar || m.mentionedBy.profileImage,
+          isVerified: m.mentionedBy.isVerified || false,
+        },
+        post: m.post || undefined,
+        reel: m.reel || undefined,
+        stream: m.stream || undefined,
+        commentId: m.commentId,
+      })),
+      pagination: { nextCursor: page.nextCursor, hasMore: page.hasMore },
     });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Shape a page of users for follower/following listings, marking which of
+// them the viewer follows and which follow the viewer back
+const formatFollowPage = async (page, viewerId) => {
+  const ids = page.users.map((u) => u._id);
+  const [followedByViewer, followingViewer] = await Promise.all([
+    findFollowedAmong(viewerId, ids),
+    findFollowersAmong(viewerId, ids),
+  ]);
+
+  return page.users.map((u) => {
+    const isFollowing = followedByViewer.has(u._id.toString());
+    const followsYou = followingViewer.has(u._id.toString());
+    return {
+      id: u._id,
+      _id: u._id,
+      username: u.username,
+      fullName: u.fullName || u.name,
+      avatar: u.avatar || u.profileImage,
+      isVerified: u.isVerified || false,
+      verified: u.isVerified || false,
+      bio: u.bio || "",
+      followedAt: u.followedAt,
+      isFollowing,
+      followsYou,
+      mutual: isFollowing && followsYou,
+    };
+  });
+};
+
+const followListResponse = async (page, viewerId, message) => ({
+  success: true,
+  data: await formatFollowPage(page, viewerId),
+  pagination: { nextCursor: page.nextCursor, hasMore: page.hasMore },
+  message,
+});
+
+// Get current user's followers (?cursor=&limit=)
+router.get("/me/followers", authenticate, async (req, res) => {
+  try {
+    const page = await listFollowers(req.user._id, req.query);
+    res.json(
+      await followListResponse(
+        page,
+        req.user._id,
+        "Followers retrieved successfully"
+      )
+    );
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get current user's following (?cursor=&limit=)
+router.get("/me/following", authenticate, async (req, res) => {
+  try {
+    const page = await listFollowing(req.user._id, req.query);
+    res.json(
+      await followListResponse(
+        page,
+        req.user._id,
+        "Following retrieved successfully"
+      )
+    );
   } catch (error) {
     console.error("Error in /me/following:", error);
     res.status(500).json({
@@ -613,32 +854,27 @@ router.get(
   authenticate,
   async (req, res) => {
     try {
-      const user = await User.findById(req.params.id)
-        .populate("followers", "username fullName avatar isVerified bio")
-        .select("followers");
-
-      if (!user) {
+      const { owner, access } = await resolveProfileAccess(
+        req.params.id,
+        req.user._id
+      );
+      if (!owner) {
         return res.status(404).json({ error: "User not found" });
       }
-
-      // Privacy: if target is private and requester is not a follower or self, deny
-      const targetUserFull = await User.findById(req.params.id).select(
-        "privacy.profileVisibility followers"
-      );
-      const isPrivate = targetUserFull.privacy?.profileVisibility === "private";
-      const isSelf = (req.user.id || req.user._id).toString() === req.params.id;
-      const isFollower = (targetUserFull.followers || []).some(
-        (id) => id.toString() === (req.user.id || req.user._id).toString()
-      );
-      if (isPrivate && !isSelf && !isFollower) {
-        return res.status(403).json({ error: "This account is private" });
+      if (access.level !== ACCESS.FULL) {
+        return res
+          .status(403)
+          .json({ error: "This account is private", code: access.reason });
       }
 
-      res.json({
-        success: true,
-        data: user.followers || [],
-        message: "Followers retrieved successfully",
-      });
+      const page = await listFollowers(owner._id, req.query);
+      res.json(
+        await followListResponse(
+          page,
+          req.user._id,
+          "Followers retrieved successfully"
+        )
+      );
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -651,38 +887,168 @@ router.get(
   authenticate,
   async (req, res) => {
     try {
-      const user = await User.findById(req.params.id)
-        .populate("following", "username fullName avatar isVerified bio")
-        .select("following");
-
-      if (!user) {
+      const { owner, access } = await resolveProfileAccess(
+        req.params.id,
+        req.user._id
+      );
+      if (!owner) {
         return res.status(404).json({ error: "User not found" });
       }
+      if (access.level !== ACCESS.FULL) {
+        return res
+          .status(403)
+          .json({ error: "This account is private", code: access.reason });
+      }
 
-      // Privacy: if target is private and requester is not a follower or self, deny
-      const targetUserFull = await User.findById(req.params.id).select(
-        "privacy.profileVisibility followers"
+      const page = await listFollowing(owner._id, req.query);
+      res.json(
+        await followListResponse(
+          page,
+          req.user._id,
+          "Following retrieved successfully"
+        )
       );
-      const isPrivate = targetUserFull.privacy?.profileVisibility === "private";
-      const isSelf = (req.user.id || req.user._id).toString() === req.params.id;
-      const isFollower = (targetUserFull.followers || []).some(
-        (id) => id.toString() === (req.user.id || req.user._id).toString()
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Get the user's followers that the current user also follows. Only built
+// from the viewer's own follows, so it's available on private profiles too.
+router.get(
+  "/:id([0-9a-fA-F]{24})/mutual-followers",
+  authenticate,
+  async (req, res) => {
+    try {
+      const { owner, access } = await resolveProfileAccess(
+        req.params.id,
+        req.user._id
       );
-      if (isPrivate && !isSelf && !isFollower) {
-        return res.status(403).json({ error: "This account is private" });
+      if (!owner || isHiddenProfile(access)) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      if (access.level === ACCESS.NONE) {
+        return res
+          .status(403)
+          .json({ error: "This profile is not available", code: access.reason });
       }
 
-      res.json({
-        success: true,
-        data: user.following || [],
-        message: "Following retrieved successfully",
-      });
+      const page = await listMutualFollowers(owner._id, req.user._id, req.query);
+      res.json(
+        await followListResponse(
+          page,
+          req.user._id,
+          "Mutual followers retrieved successfully"
+        )
+      );
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   }
 );
 
+// Add or remove another user in one of the current user's control lists
+// (mutedUsers / restrictedUsers). Returns an error to send, or null.
+const updateSocialControl = async (userId, targetId, field, enabled) => {
+  if (targetId === userId.toString()) {
+    return { status: 400, error: "You cannot do this to yourself" };
+  }
+  if (!(await User.exists({ _id: targetId }))) {
+    return { status: 404, error: "User not found" };
+  }
+
+  await User.updateOne(
+    { _id: userId },
+    enabled
+      ? { $addToSet: { [field]: targetId } }
+      : { $pull: { [field]: targetId } }
+  );
+  return null;
+};
+
+// Mute a user: hide their posts, stories and reels from my feeds
+router.post("/:id([0-9a-fA-F]{24})/mute", authenticate, async (req, res) => {
+  try {
+    const failure = await updateSocialControl(
+      req.user._id,
+      req.params.id,
+      "mutedUsers",
+      true
+    );
+    if (failure) {
+      return res.status(failure.status).json({ error: failure.error });
+    }
+    return res.json({ success: true, muted: true });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Unmute a user
+router.delete("/:id([0-9a-fA-F]{24})/mute", authenticate, async (req, res) => {
+  try {
+    const failure = await updateSocialControl(
+      req.user._id,
+      req.params.id,
+      "mutedUsers",
+      false
+    );
+    if (failure) {
+      return res.status(failure.status).json({ error: failure.error });
+    }
+    return res.json({ success: true, muted: false });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Restrict a user: their new comments on my posts need my approval
+router.post("/:id([0-9a-fA-F]{24})/restrict", authenticate, async (req, res) => {
+  try {
+    const failure = await updateSocialControl(
+      req.user._id,
+      req.params.id,
+      "restrictedUsers",
+      true
+    );
+    if (failure) {
+      return res.status(failure.status).json({ error: failure.error });
+    }
+    return res.json({ success: true, restricted: true });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Unrestrict a user; comments still waiting for approval become visible
+router.delete(
+  "/:id([0-9a-fA-F]{24})/restrict",
+  authenticate,
+  async (req, res) => {
+    try {
+      const failure = await updateSocialControl(
+        req.user._id,
+        req.params.id,
+        "restrictedUsers",
+        false
+      );
+      if (failure) {
+        return res.status(failure.status).json({ error: failure.error });
+      }
+
+      await approveComments({
+        parentAuthor: req.user._id,
+        author: req.params.id,
+      });
+
+      return res.json({ success: true, restricted: false });
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
+  }
+);
+
 // Block user
 router.post("/:id/block", authenticate, async (req, res) => {
   try {
@@ -696,6 +1062,22 @@ router.post("/:id/block", authenticate, async (req, res) => {
     }
 
     await user.save();
+
+    // Neither side's posts stay in the other's timeline while blocked;
+    // unblocking restores them where a follow still exists
+    if (isBlocked) {
+      const [following, followedBy] = await Promise.all([
+        Follow.isFollowing(user._id, req.params.id),
+        Follow.isFollowing(req.params.id, user._id),
+      ]);
+      if (following) await backfillTimeline(user._id, req.params.id);
+      if (followedBy) await backfillTimeline(req.params.id, user._id);
+    } else {
+      await Promise.all([
+        removeAuthorFromTimeline(user._id, req.params.id),
+        removeAuthorFromTimeline(req.params.id, user._id),
+      ]);
+    }
     res.json({ blocked: !isBlocked });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -705,54 +1087,53 @@ router.post("/:id/block", authenticate, async (req, res) => {
 // Get user profile (ObjectId constrained to avoid capturing '/me')
 router.get("/:id([0-9a-fA-F]{24})", authenticate, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select("-password");
-    if (!user) {
+    const { owner, access } = await resolveProfileAccess(
+      req.params.id,
+      req.user._id
+    );
+
+    // Blocked users and deactivated profiles look as if they didn't exist
+    if (!owner || isHiddenProfile(access)) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    // Enforce profile view privacy: if target disabled profile views, only self can view
-    const viewerId = (req.user._id || req.user.id).toString();
-    const isSelf = viewerId === req.params.id.toString();
-    if (user?.privacy && user.privacy.allowProfileViews === false && !isSelf) {
+    if (access.level === ACCESS.NONE) {
       return res.status(403).json({
         success: false,
         error: "This profile is not available",
-        code: "PROFILE_VIEWS_DISABLED",
+        code: access.reason,
       });
     }
 
-    // Check if current user is following this user
-    let isFollowing = false;
-    if (req.user._id !== "demo_user_id") {
-      const currentUser = await User.findById(req.user._id);
-      isFollowing =
-        currentUser?.following?.some(
-          (id) => id.toString() === req.params.id.toString()
-        ) || false;
-    } else {
-      // For demo users, check if demo user ID is in the target user's followers
-      isFollowing =
-        user.followers?.some((id) => id.toString() === "demo_user_id") || false;
-    }
+    const [postCount, followedBy] = await Promise.all([
+      Post.countDocuments({
+        authorId: owner._id,
+        type: { $ne: "story" },
+      }),
+      // "Followed by alice and 3 others" from the viewer's own follows
+      getFollowedBy(owner._id, req.user._id),
+    ]);
 
-    // Determine if follow was requested (for private accounts)
-    const isRequested = user.followRequests?.some(
-      (id) => id.toString() === (req.user._id || req.user.id).toString()
-    );
+    // Not approved: counts and identity only
+    if (access.level === ACCESS.LIMITED) {
+      return res.json({
+        success: true,
+        data: {
+          ...redactProfile(owner, access.relationship, { postCount }),
+          followedBy,
+        },
+        message: "This account is private",
+      });
+    }
 
-    // Add computed fields
-    const userResponse = {
-      ...user.toObject(),
-      isFollowing,
-      requested: !!isRequested,
-      followerCount: user.followers?.length || 0,
-      followingCount: user.following?.length || 0,
-      postCount: 0, // TODO: Calculate actual post count
-    };
+    const user = await User.findById(req.params.id);
 
     res.json({
       success: true,
-      data: userResponse,
+      data: {
+        ...publicProfile(user, access.relationship, { postCount }),
+        followedBy,
+      },
       message: "User profile retrieved successfully",
     });
   } catch (error) {
@@ -0,0 +1,106 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Post from "../models/Post.js";
+import Reel from "../models/Reel.js";
+import Hashtag from "../models/Hashtag.js";
+import {
+  collectHashtags,
+  countsTowardHashtags,
+} from "../services/hashtagService.js";
+
+dotenv.config();
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/social-media-platform";
+
+const BATCH_SIZE = 500;
+
+// Normalize the tags of existing posts and reels (adding the #hashtags in
+// their captions) and recompute the Hashtag post/reel counters from them.
+// Hourly trending data only covers content created after this feature.
+// Safe to run more than once.
+//
+// Usage: node scripts/backfill-hashtags.js
+
+async function retag(Model, textField, kind, counts) {
+  const cursor = Model.find({})
+    .select(`${textField} tags type visibility audienceList isDeleted isActive`)
+    .lean()
+    .cursor();
+
+  let ops = [];
+  let updated = 0;
+  const flush = async () => {
+    if (ops.length) {
+      const result = await Model.bulkWrite(ops, { ordered: false });
+      updated += result.modifiedCount;
+      ops = [];
+    }
+  };
+
+  for await (const doc of cursor) {
+    const tags = collectHashtags(doc.tags || [], doc[textField]);
+    if (JSON.stringify(tags) !== JSON.stringify(doc.tags || [])) {
+      ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { tags } } } });
+    }
+
+    const counted =
+      kind === "post"
+        ? countsTowardHashtags(doc) && !doc.isDeleted
+        : doc.isActive;
+    if (counted) {
+      for (const name of tags) {
+        const entry = counts.get(name) || { postCount: 0, reelCount: 0 };
+        entry[`${kind}Count`] += 1;
+        counts.set(name, entry);
+      }
+    }
+
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  return updated;
+}
+
+async function main() {
+  await mongoose.connect(MONGODB_URI, {
+    serverSelectionTimeoutMS: 8000,
+    socketTimeoutMS: 45000,
+  });
+
+  try {
+    await Hashtag.syncIndexes();
+
+    const counts = new Map();
+    const posts = await retag(Post, "content", "post", counts);
+    const reels = await retag(Reel, "caption", "reel", counts);
+    console.log(`Updated tags on ${posts} posts and ${reels} reels`);
+
+    // Tags no longer in use keep their followers but drop to zero
+    await Hashtag.updateMany({}, { $set: { postCount: 0, reelCount: 0 } });
+    const names = [...counts.keys()];
+    for (let i = 0; i < names.length; i += BATCH_SIZE) {
+      await Hashtag.bulkWrite(
+        names.slice(i, i + BATCH_SIZE).map((name) => ({
+          updateOne: {
+            filter: { name },
+            update: { $set: counts.get(name) },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+    }
+    console.log(`Recomputed counts for ${names.length} hashtags`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(async (e) => {
+  console.error("backfill-hashtags failed:", e);
+  try {
+    await mongoose.disconnect();
+  } catch {}
+  process.exit(1);
+});
@@ -0,0 +1,199 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Post from "../models/Post.js";
+import Reel from "../models/Reel.js";
+import Comment from "../models/Comment.js";
+import { recountComments } from "../services/commentService.js";
+
+dotenv.config();
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/social-media-platform";
+
+const BATCH_SIZE = 1000;
+
+// Move the legacy embedded Post.comments (with their replies) and
+// Reel.comments arrays into the Comment collection, recompute the comment and
+// reply counts and drop the arrays. Comments keep their ids, so existing
+// mentions still point at them. Safe to run more than once.
+//
+// Usage: node scripts/migrate-comments.js [--keep-arrays]
+
+const likerIds = (likes) =>
+  (likes || []).map((like) => like?.userId || like).filter(Boolean);
+
+const commentDoc = (fields) => {
+  const likes = likerIds(fields.likes);
+  const createdAt = fields.createdAt || new Date();
+  return {
+    replyTo: null,
+    thread: null,
+    depth: 0,
+    replyCount: 0,
+    mentions: [],
+    pendingApproval: false,
+    isPinned: false,
+    isEdited: false,
+    isDeleted: false,
+    ...fields,
+    likes,
+    likeCount: likes.length,
+    createdAt,
+    updatedAt: createdAt,
+  };
+};
+
+// Legacy post comments: { userId, content, pendingApproval, likes: [{ userId }], replies }
+const postComments = (post) =>
+  (post.comments || [])
+    .filter((c) => c.userId && c.content)
+    .flatMap((c) => {
+      const base = {
+        parentModel: "Post",
+        parent: post._id,
+        parentAuthor: post.authorId,
+      };
+      return [
+        commentDoc({
+          ...base,
+          _id: c._id,
+          author: c.userId,
+          content: c.content,
+          pendingApproval: !!c.pendingApproval,
+          likes: c.likes,
+          createdAt: c.createdAt,
+        }),
+        ...(c.replies || [])
+          .filter((r) => r.userId && r.content)
+          .map((r) =>
+            commentDoc({
+              ...base,
+              _id: r._id,
+              author: r.userId,
+              content: r.content,
+              replyTo: c._id,
+              thread: c._id,
+              depth: 1,
+              likes: r.likes,
+              createdAt: r.createdAt,
+            })
+          ),
+      ];
+    });
+
+// Legacy reel comments: { author, text, likes: [userId] }
+const reelComments = (reel) =>
+  (reel.comments || [])
+    .filter((c) => c.author && c.text)
+    .map((c) =>
+      commentDoc({
+        _id: c._id,
+        parentModel: "Reel",
+        parent: reel._id,
+        parentAuthor: reel.author,
+        author: c.author,
+        content: c.text,
+        likes: c.likes,
+        createdAt: c.createdAt,
+      })
+    );
+
+async function insertComments(docs) {
+  if (!docs.length) return 0;
+  try {
+    const result = await Comment.collection.insertMany(docs, { ordered: false });
+    return result.insertedCount;
+  } catch (e) {
+    // Comments copied by an earlier run are skipped
+    if (e.code === 11000 || e.writeErrors) {
+      return e.result?.insertedCount ?? e.insertedCount ?? 0;
+    }
+    throw e;
+  }
+}
+
+async function copyComments(Model, parentModel, toComments) {
+  // Read the raw documents: the arrays are no longer part of the schema
+  const cursor = Model.collection.find(
+    { comments: { $exists: true, $ne: [] } },
+    {
+      projection: {
+        comments: 1,
+        [parentModel === "Post" ? "authorId" : "author"]: 1,
+      },
+    }
+  );
+
+  let batch = [];
+  let inserted = 0;
+  let parents = 0;
+  for await (const parent of cursor) {
+    batch.push(...toComments(parent));
+    parents++;
+    if (batch.length >= BATCH_SIZE) {
+      inserted += await insertComments(batch);
+      batch = [];
+    }
+  }
+  inserted += await insertComments(batch);
+  return { inserted, parents };
+}
+
+async function main() {
+  const keepArrays = process.argv.includes("--keep-arrays");
+
+  await mongoose.connect(MONGODB_URI, {
+    serverSelectionTimeoutMS: 8000,
+    socketTimeoutMS: 45000,
+  });
+
+  try {
+    await Comment.syncIndexes();
+
+    for (const [Model, parentModel, toComments] of [
+      [Post, "Post", postComments],
+      [Reel, "Reel", reelComments],
+    ]) {
+      const { inserted, parents } = await copyComments(
+        Model,
+        parentModel,
+        toComments
+      );
+      console.log(
+        `Inserted ${inserted} comments from ${parents} ${parentModel.toLowerCase()}s`
+      );
+
+      let counted = 0;
+      for await (const parent of Model.collection.find(
+        {},
+        { projection: { _id: 1 } }
+      )) {
+        await recountComments(parentModel, parent._id);
+        counted++;
+      }
+      console.log(
+        `Recomputed comment counts for ${counted} ${parentModel.toLowerCase()}s`
+      );
+
+      if (!keepArrays) {
+        const result = await Model.collection.updateMany(
+          { comments: { $exists: true } },
+          { $unset: { comments: "" } }
+        );
+        console.log(
+          `Removed embedded comment arrays from ${result.modifiedCount} ${parentModel.toLowerCase()}s`
+        );
+      }
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(async (e) => {
+  console.error("migrate-comments failed:", e);
+  try {
+    await mongoose.disconnect();
+  } catch {}
+  process.exit(1);
+});
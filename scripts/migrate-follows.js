@@ -0,0 +1,123 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Follow from "../models/Follow.js";
+
+dotenv.config();
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/social-media-platform";
+
+const BATCH_SIZE = 1000;
+
+// Move the legacy embedded User.followers / User.following arrays into the
+// Follow collection, recompute the denormalized counters and drop the arrays.
+// Safe to run more than once.
+//
+// Usage: node scripts/migrate-follows.js [--keep-arrays]
+
+async function insertEdges(edges) {
+  if (!edges.length) return 0;
+  try {
+    const inserted = await Follow.insertMany(edges, { ordered: false });
+    return inserted.length;
+  } catch (e) {
+    // Duplicate edges (already migrated, or listed on both sides) are fine
+    if (e.code === 11000 || e.writeErrors) {
+      return e.insertedDocs?.length ?? e.result?.insertedCount ?? 0;
+    }
+    throw e;
+  }
+}
+
+async function copyEdges() {
+  // Read the raw documents: the arrays are no longer part of the schema
+  const cursor = User.collection.find(
+    {
+      $or: [
+        { following: { $exists: true, $ne: [] } },
+        { followers: { $exists: true, $ne: [] } },
+      ],
+    },
+    { projection: { following: 1, followers: 1 } }
+  );
+
+  let batch = [];
+  let inserted = 0;
+  for await (const user of cursor) {
+    for (const followingId of user.following || []) {
+      if (!user._id.equals(followingId)) {
+        batch.push({ follower: user._id, following: followingId });
+      }
+    }
+    // Either side of an edge may be missing in legacy data
+    for (const followerId of user.followers || []) {
+      if (!user._id.equals(followerId)) {
+        batch.push({ follower: followerId, following: user._id });
+      }
+    }
+    if (batch.length >= BATCH_SIZE) {
+      inserted += await insertEdges(batch);
+      batch = [];
+    }
+  }
+  inserted += await insertEdges(batch);
+  return inserted;
+}
+
+async function recountUser(userId) {
+  const [followerCount, followingCount] = await Promise.all([
+    Follow.countDocuments({ following: userId }),
+    Follow.countDocuments({ follower: userId }),
+  ]);
+  await User.collection.updateOne(
+    { _id: userId },
+    { $set: { followerCount, followingCount } }
+  );
+}
+
+async function main() {
+  const keepArrays = process.argv.includes("--keep-arrays");
+
+  await mongoose.connect(MONGODB_URI, {
+    serverSelectionTimeoutMS: 8000,
+    socketTimeoutMS: 45000,
+  });
+
+  try {
+    await Follow.syncIndexes();
+
+    const inserted = await copyEdges();
+    console.log(`Inserted ${inserted} follow edges`);
+
+    let counted = 0;
+    for await (const user of User.collection.find({}, { projection: { _id: 1 } })) {
+      await recountUser(user._id);
+      counted++;
+    }
+    console.log(`Recomputed follower/following counts for ${counted} users`);
+
+    if (!keepArrays) {
+      const result = await User.collection.updateMany(
+        {
+          $or: [
+            { followers: { $exists: true } },
+            { following: { $exists: true } },
+          ],
+        },
+        { $unset: { followers: "", following: "" } }
+      );
+      console.log(`Removed embedded follow arrays from ${result.modifiedCount} users`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(async (e) => {
+  console.error("migrate-follows failed:", e);
+  try {
+    await mongoose.disconnect();
+  } catch {}
+  process.exit(1);
+});
@@ -0,0 +1,175 @@
+// Minimal OpenID Connect provider for exercising social login locally.
+//
+//   npm run mock:oidc
+//   OAUTH_GOOGLE_ISSUER=http://localhost:4010 OAUTH_GOOGLE_CLIENT_ID=mock-client \
+//   OAUTH_GOOGLE_CLIENT_SECRET=mock-secret npm run dev
+//
+// /authorize signs the user in immediately and redirects back with a code.
+// Pick the identity with query params on the authorization URL
+// (login_hint=<email>, sub=<id>, name=<name>) or the MOCK_OIDC_* env vars.
+import http from "http";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || "mock-secret";
+const KEY_ID = "mock-key-1";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+
+// code -> { clientId, redirectUri, nonce, codeChallenge, user }
+const codes = new Map();
+// access token -> user
+const accessTokens = new Map();
+
+const defaultUser = () => ({
+  sub: process.env.MOCK_OIDC_SUB || "mock-user-1",
+  email: process.env.MOCK_OIDC_EMAIL || "mock.user@example.com",
+  email_verified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== "false",
+  name: process.env.MOCK_OIDC_NAME || "Mock User",
+  picture: "https://i.pravatar.cc/300?img=12",
+});
+
+const base64url = (buffer) =>
+  buffer
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => resolve(new URLSearchParams(data)));
+  });
+
+const handlers = {
+  "GET /.well-known/openid-configuration": (req, res) =>
+    sendJson(res, 200, {
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      userinfo_endpoint: `${ISSUER}/userinfo`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ["code"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: ["RS256"],
+      code_challenge_methods_supported: ["S256"],
+    }),
+
+  "GET /jwks": (req, res) =>
+    sendJson(res, 200, {
+      keys: [
+        { ...publicKey.export({ format: "jwk" }), kid: KEY_ID, alg: "RS256", use: "sig" },
+      ],
+    }),
+
+  "GET /authorize": (req, res, url) => {
+    const q = url.searchParams;
+    if (q.get("response_type") !== "code" || !q.get("redirect_uri")) {
+      return sendJson(res, 400, { error: "invalid_request" });
+    }
+
+    const user = defaultUser();
+    if (q.get("login_hint")) user.email = q.get("login_hint");
+    if (q.get("sub")) user.sub = q.get("sub");
+    if (q.get("name")) user.name = q.get("name");
+
+    const code = base64url(crypto.randomBytes(16));
+    codes.set(code, {
+      clientId: q.get("client_id"),
+      redirectUri: q.get("redirect_uri"),
+      nonce: q.get("nonce"),
+      codeChallenge: q.get("code_challenge"),
+      user,
+    });
+
+    const redirect = new URL(q.get("redirect_uri"));
+    redirect.searchParams.set("code", code);
+    if (q.get("state")) redirect.searchParams.set("state", q.get("state"));
+    res.writeHead(302, { Location: redirect.toString() });
+    res.end();
+  },
+
+  "POST /token": async (req, res) => {
+    const body = await readBody(req);
+    const grant = codes.get(body.get("code"));
+    codes.delete(body.get("code"));
+
+    if (
+      !grant ||
+      body.get("grant_type") !== "authorization_code" ||
+      body.get("client_id") !== grant.clientId ||
+      body.get("redirect_uri") !== grant.redirectUri ||
+      body.get("client_secret") !== CLIENT_SECRET
+    ) {
+      return sendJson(res, 400, { error: "invalid_grant" });
+    }
+
+    if (grant.codeChallenge) {
+      const verifier = body.get("code_verifier") || "";
+      const challenge = base64url(crypto.createHash("sha256").update(verifier).digest());
+      if (challenge !== grant.codeChallenge) {
+        return sendJson(res, 400, { error: "invalid_grant", error_description: "PKCE verification failed" });
+      }
+    }
+
+    const accessToken = base64url(crypto.randomBytes(24));
+    accessTokens.set(accessToken, grant.user);
+
+    const idToken = jwt.sign(
+      { ...grant.user, ...(grant.nonce && { nonce: grant.nonce }) },
+      privateKey,
+      {
+        algorithm: "RS256",
+        keyid: KEY_ID,
+        issuer: ISSUER,
+        audience: grant.clientId,
+        expiresIn: "5m",
+      }
+    );
+
+    sendJson(res, 200, {
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: 3600,
+      id_token: idToken,
+    });
+  },
+
+  "GET /userinfo": (req, res) => {
+    const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+    const user = accessTokens.get(token);
+    if (!user) return sendJson(res, 401, { error: "invalid_token" });
+    sendJson(res, 200, user);
+  },
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+  const handler = handlers[`${req.method} ${url.pathname}`];
+  if (!handler) return sendJson(res, 404, { error: "not_found" });
+
+  try {
+    await handler(req, res, url);
+  } catch (error) {
+    console.error("Mock OIDC error:", error);
+    sendJson(res, 500, { error: "server_error" });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🔑 Mock OIDC provider running at ${ISSUER}`);
+});
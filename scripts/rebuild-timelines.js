@@ -0,0 +1,57 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Timeline from "../models/Timeline.js";
+import { rebuildTimeline } from "../services/timelineService.js";
+
+dotenv.config();
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/social-media-platform";
+
+// Recreate every user's precomputed home timeline from the accounts they
+// follow. Run once after deploying timelines, and whenever they drift (e.g.
+// after changing TIMELINE_FANOUT_MAX_FOLLOWERS). Safe to run more than once.
+//
+// Usage: node scripts/rebuild-timelines.js [--user <id>]
+
+async function main() {
+  const userFlag = process.argv.indexOf("--user");
+  const onlyUserId = userFlag !== -1 ? process.argv[userFlag + 1] : null;
+  if (userFlag !== -1 && !mongoose.isValidObjectId(onlyUserId)) {
+    throw new Error("--user needs a user id");
+  }
+
+  await mongoose.connect(MONGODB_URI, {
+    serverSelectionTimeoutMS: 8000,
+    socketTimeoutMS: 45000,
+  });
+
+  try {
+    await Timeline.syncIndexes();
+
+    const query = onlyUserId
+      ? { _id: new mongoose.Types.ObjectId(onlyUserId) }
+      : {};
+    let users = 0;
+    let entries = 0;
+    for await (const user of User.collection.find(query, { projection: { _id: 1 } })) {
+      entries += await rebuildTimeline(user._id);
+      users++;
+      if (users % 1000 === 0) {
+        console.log(`Rebuilt ${users} timelines...`);
+      }
+    }
+    console.log(`Rebuilt ${users} timelines with ${entries} entries`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(async (e) => {
+  console.error("rebuild-timelines failed:", e);
+  try {
+    await mongoose.disconnect();
+  } catch {}
+  process.exit(1);
+});
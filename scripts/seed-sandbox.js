@@ -0,0 +1,34 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { seedSandboxAccounts } from "../services/sandboxService.js";
+
+dotenv.config();
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://localhost:27017/social-media-platform";
+
+async function main() {
+  if (process.env.NODE_ENV === "production") {
+    console.error("Refusing to seed sandbox accounts in production");
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(MONGODB_URI);
+    const users = await seedSandboxAccounts();
+    console.log(
+      `Sandbox accounts ready: ${users.map((u) => u.username).join(", ")}`
+    );
+    console.log(
+      `Password: ${process.env.SANDBOX_PASSWORD || "Sandbox@123"} (or POST /api/auth/sandbox/login with SANDBOX_MODE=true)`
+    );
+  } catch (e) {
+    console.error("Sandbox seeding failed:", e);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main();
@@ -30,11 +30,17 @@ import staticRoutes from "./routes/static.js";
 import matchmakingRoutes from "./routes/matchmaking.js";
 import uploadRoutes from "./routes/upload.js";
 import storiesRoutes from "./routes/stories.js";
+import searchRoutes from "./routes/search.js";
+import tagRoutes from "./routes/tags.js";
 
 // Import middleware
 import { errorHandler } from "./middleware/errorHandler.js";
 import { socketAuth } from "./middleware/socketAuth.js";
 import User from "./models/User.js";
+import { isSandboxMode, seedSandboxAccounts } from "./services/sandboxService.js";
+import { startAccountPurgeJob } from "./services/accountService.js";
+import { startDataExportJob } from "./services/dataExportService.js";
+import { startPostScheduler } from "./services/postScheduleService.js";
 
 dotenv.config();
 
@@ -67,6 +73,9 @@ const io = new Server(server, {
   },
 });
 
+// Routes reach the socket server through req.app.get("io")
+app.set("io", io);
+
 // Rate limiting - Very generous limits for development
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 1 * 60 * 1000, // 1 minute
@@ -149,6 +158,8 @@ app.use("/api/static", staticRoutes);
 app.use("/api/admin/matchmaking", matchmakingRoutes);
 app.use("/api/uploads", uploadRoutes);
 app.use("/api/stories", storiesRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/tags", tagRoutes);
 
 // Health check
 app.get("/health", (req, res) => {
@@ -161,6 +172,8 @@ io.on("connection", (socket) => {
   console.log("User connected:", socket.userId);
 
   socket.join(`user_${socket.userId}`);
+  // Lets revoking a session close the sockets opened with it
+  socket.join(`session_${socket.sessionId}`);
 
   // Mark user online
   if (socket.userId) {
@@ -201,6 +214,19 @@ mongoose
     }
   )
   .then(() => console.log("Connected to MongoDB"))
+  .then(() => {
+    // Delete accounts whose deletion grace period has passed
+    startAccountPurgeJob();
+    // Build queued personal data exports and delete expired archives
+    startDataExportJob();
+    // Publish scheduled posts when their time comes
+    startPostScheduler();
+    if (isSandboxMode()) {
+      return seedSandboxAccounts().catch((err) =>
+        console.error("Sandbox seeding failed:", err.message)
+      );
+    }
+  })
   .catch((err) => {
     console.error("MongoDB connection error:", err);
     // Try to connect to local MongoDB as fallback
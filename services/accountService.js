@@ -0,0 +1,323 @@
+import User from "../models/User.js";
+import UserSettings from "../models/UserSettings.js";
+import Post, { UNPUBLISHED_STATUSES } from "../models/Post.js";
+import Reel from "../models/Reel.js";
+import Notification from "../models/Notification.js";
+import Report from "../models/Reports.js";
+import ContentReport from "../models/ContentReport.js";
+import Match from "../models/Match.js";
+import UserInteraction from "../models/UserInteraction.js";
+import Session from "../models/Session.js";
+import SecurityEvent from "../models/SecurityEvent.js";
+import Hashtag from "../models/Hashtag.js";
+import Mention from "../models/Mention.js";
+import FeedImpression from "../models/FeedImpression.js";
+import Timeline from "../models/Timeline.js";
+import AudienceList from "../models/AudienceList.js";
+import { cloudinaryUtils } from "../config/cloudinary.js";
+import { removeAllFollows } from "./followService.js";
+import { removeUserDataExports } from "./dataExportService.js";
+import {
+  removeParentComments,
+  removeUserComments,
+} from "./commentService.js";
+import {
+  countsTowardHashtags,
+  releaseHashtagUsage,
+} from "./hashtagService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// How long a deletion request can be cancelled by signing in
+export const DELETION_GRACE_DAYS =
+  parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// How often the purge job looks for accounts past their grace period
+const PURGE_INTERVAL_MS =
+  (parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES) || 60) * MINUTE_MS;
+
+let purgeTimer = null;
+
+/**
+ * Hide a user's profile and content until they sign in again. Signs out
+ * every session.
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+export const deactivateAccount = async (user) => {
+  user.deactivatedAt = user.deactivatedAt || new Date();
+  await user.save();
+  await Session.revokeAllForUser(user._id, "account_deactivated");
+};
+
+/**
+ * Undo a deactivation (not a pending deletion; see cancelAccountDeletion)
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+export const reactivateAccount = async (user) => {
+  user.deactivatedAt = undefined;
+  await user.save();
+};
+
+/**
+ * Deactivate an account now and delete it for good once the grace period
+ * has passed. Signs out every session.
+ * @param {Object} user - User document
+ * @returns {Promise<Date>} When the account will be deleted
+ */
+export const scheduleAccountDeletion = async (user) => {
+  const now = new Date();
+  user.deactivatedAt = user.deactivatedAt || now;
+  user.deletionRequestedAt = now;
+  user.deletionScheduledFor = new Date(now.getTime() + DELETION_GRACE_DAYS * DAY_MS);
+  await user.save();
+  await Session.revokeAllForUser(user._id, "account_deletion");
+  return user.deletionScheduledFor;
+};
+
+/**
+ * Cancel a pending deletion and reactivate the account
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+export const cancelAccountDeletion = async (user) => {
+  user.deactivatedAt = undefined;
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save();
+};
+
+// Try deleting a Cloudinary asset from its URL
+const tryDeleteFromUrl = async (url) => {
+  if (!url || typeof url !== "string") return;
+  try {
+    // Attempt to parse public_id and resource type from the URL
+    // Expected: https://res.cloudinary.com/<cloud>/image|video/upload/.../<public_id>.<ext>
+    const m = url.match(
+      /res\.cloudinary\.com\/[^/]+\/(image|video)\/upload\/(?:v\d+\/)?(.+?)\.[a-z0-9]+(?:\?|$)/i
+    );
+    if (m) {
+      const resourceType = m[1].toLowerCase();
+      const publicId = m[2];
+      await cloudinaryUtils.deleteFile(publicId, resourceType);
+    }
+  } catch (e) {
+    console.warn("Cloudinary delete failed for", url, e?.message);
+  }
+};
+
+/**
+ * Permanently delete an account: media, content, relationships and the user
+ * itself. Chats and messages are kept for the other participants.
+ * @param {string|Object} userId
+ * @returns {Promise<boolean>} False if the user doesn't exist
+ */
+export const purgeAccount = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return false;
+
+  // 1) Collect user's posts and reels
+  const [posts, reels] = await Promise.all([
+    Post.find({ authorId: userId }).setOptions({ includeUnpublished: true }),
+    Reel.find({ author: userId }),
+  ]);
+
+  // 2) Purge Cloudinary media
+  // Avatar
+  await tryDeleteFromUrl(user.avatar);
+  // Posts media and thumbnails
+  for (const p of posts) {
+    for (const media of p.media || []) {
+      await tryDeleteFromUrl(media.url);
+      if (media.thumbnail) await tryDeleteFromUrl(media.thumbnail);
+    }
+  }
+  // Reels video and thumbnail
+  for (const r of reels) {
+    if (r.videoPublicId) {
+      try {
+        await cloudinaryUtils.deleteFile(r.videoPublicId, "video");
+      } catch (e) {
+        console.warn(
+          "Cloudinary delete failed for reel publicId",
+          r.videoPublicId,
+          e?.message
+        );
+      }
+    }
+    if (r.thumbnail) await tryDeleteFromUrl(r.thumbnail);
+    if (r.videoUrl) await tryDeleteFromUrl(r.videoUrl);
+  }
+
+  const postIds = posts.map((p) => p._id);
+  const reelIds = reels.map((r) => r._id);
+
+  // 3) Relationship cleanup: drop follow edges and remove this user from
+  // everyone else's arrays
+  await Promise.all([
+    removeAllFollows(userId),
+    User.updateMany(
+      { followRequests: userId },
+      { $pull: { followRequests: userId } }
+    ),
+    User.updateMany(
+      { sentFollowRequests: userId },
+      { $pull: { sentFollowRequests: userId } }
+    ),
+    User.updateMany(
+      { blockedUsers: userId },
+      { $pull: { blockedUsers: userId } }
+    ),
+    User.updateMany(
+      { mutedUsers: userId },
+      { $pull: { mutedUsers: userId } }
+    ),
+    User.updateMany(
+      { restrictedUsers: userId },
+      { $pull: { restrictedUsers: userId } }
+    ),
+    // Other people's audience lists lose this member; the user's own go
+    AudienceList.updateMany(
+      { members: userId },
+      { $pull: { members: userId } }
+    ),
+    AudienceList.deleteMany({ owner: userId }),
+    // Remove saved posts/reels referencing this user's content
+    postIds.length
+      ? User.updateMany(
+          { savedPosts: { $in: postIds } },
+          { $pull: { savedPosts: { $in: postIds } } }
+        )
+      : Promise.resolve(),
+    reelIds.length
+      ? User.updateMany(
+          { savedReels: { $in: reelIds } },
+          { $pull: { savedReels: { $in: reelIds } } }
+        )
+      : Promise.resolve(),
+    // Followed hashtags lose a follower
+    user.followedHashtags?.length
+      ? Hashtag.updateMany(
+          { name: { $in: user.followedHashtags }, followerCount: { $gt: 0 } },
+          { $inc: { followerCount: -1 } }
+        )
+      : Promise.resolve(),
+  ]);
+
+  // 4) Delete content authored by this user
+  for (const p of posts) {
+    // Drafts and scheduled posts never counted towards their hashtags
+    if (UNPUBLISHED_STATUSES.includes(p.status)) continue;
+    if (countsTowardHashtags(p)) await releaseHashtagUsage(p.tags, "post");
+  }
+  for (const r of reels) {
+    await releaseHashtagUsage(r.tags, "reel");
+  }
+  await Promise.all([
+    Post.deleteMany({ authorId: userId }),
+    Reel.deleteMany({ author: userId }),
+  ]);
+  // Comments on that content, and the user's comments elsewhere
+  await removeParentComments([...postIds, ...reelIds]);
+  await removeUserComments(userId);
+
+  // 4b) Clean up notifications, reports, matches, interactions, mentions
+  await Promise.all([
+    // Notifications sent to or from this user
+    Notification.deleteMany({
+      $or: [{ recipient: userId }, { sender: userId }],
+    }),
+    // Admin/simple reports model
+    Report.deleteMany({
+      $or: [{ reporter: userId }, { reportedUser: userId }],
+    }),
+    // Content reports model
+    ContentReport.deleteMany({
+      $or: [{ reporter: userId }],
+    }),
+    // Matches involving this user
+    Match.deleteMany({
+      $or: [{ userId }, { matchedUserId: userId }],
+    }),
+    // All user interactions (both directions)
+    UserInteraction.deleteMany({
+      $or: [{ user1: userId }, { user2: userId }],
+    }),
+    // Mentions of or by this user, and mentions in their posts and reels
+    Mention.deleteMany({
+      $or: [
+        { mentionedUser: userId },
+        { mentionedBy: userId },
+        { post: { $in: postIds } },
+        { reel: { $in: reelIds } },
+      ],
+    }),
+  ]);
+
+  // 5) Chats and messages are kept for history; the chat APIs render a
+  // fallback label for missing participants.
+
+  // 6) Remove user settings doc, sessions, account activity, feed history,
+  // timelines and data exports
+  await Promise.all([
+    UserSettings.findOneAndDelete({ userId }),
+    Session.deleteMany({ user: userId }),
+    SecurityEvent.deleteMany({ user: userId }),
+    FeedImpression.deleteMany({ user: userId }),
+    Timeline.deleteMany({ $or: [{ user: userId }, { author: userId }] }),
+    removeUserDataExports(userId),
+  ]);
+
+  // 7) Finally, delete the user
+  await User.findByIdAndDelete(userId);
+  return true;
+};
+
+/**
+ * Delete every account whose grace period has passed. One failing account
+ * doesn't stop the others.
+ * @returns {Promise<number>} Accounts deleted
+ */
+export const purgeDueAccounts = async () => {
+  const due = await User.find({ deletionScheduledFor: { $lte: new Date() } })
+    .select("_id")
+    .lean();
+
+  let purged = 0;
+  for (const { _id } of due) {
+    try {
+      if (await purgeAccount(_id)) purged++;
+    } catch (error) {
+      console.error(`Failed to purge account ${_id}:`, error.message);
+    }
+  }
+  if (purged) console.log(`Purged ${purged} deleted accounts`);
+  return purged;
+};
+
+/**
+ * Run purgeDueAccounts now and then every ACCOUNT_PURGE_INTERVAL_MINUTES
+ */
+export const startAccountPurgeJob = () => {
+  if (purgeTimer) return;
+  const run = () =>
+    purgeDueAccounts().catch((error) =>
+      console.error("Account purge failed:", error.message)
+    );
+  run();
+  purgeTimer = setInterval(run, PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+};
+
+export default {
+  DELETION_GRACE_DAYS,
+  deactivateAccount,
+  reactivateAccount,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeAccount,
+  purgeDueAccounts,
+  startAccountPurgeJob,
+};
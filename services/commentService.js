@@ -0,0 +1,703 @@
+import mongoose from "mongoose";
+import Comment from "../models/Comment.js";
+import Post from "../models/Post.js";
+import Reel from "../models/Reel.js";
+import User from "../models/User.js";
+import Mention from "../models/Mention.js";
+import Notification from "../models/Notification.js";
+import { recordMentions, updateCommentMentions } from "./mentionService.js";
+import {
+  canViewerSeePost,
+  canViewContent,
+  canViewComment,
+  resolveProfileAccess,
+} from "./visibilityPolicy.js";
+
+export const COMMENT_SORTS = ["top", "newest"];
+
+// Replies nest this deep; replying to a comment at the limit adds to its
+// parent's replies instead
+export const MAX_REPLY_DEPTH = 2;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const AUTHOR_FIELDS = "username name profileImage isVerified";
+
+// How each kind of parent stores its author and comment count, and how its
+// comments show up in mentions and notifications
+const PARENTS = {
+  Post: {
+    model: Post,
+    authorField: "authorId",
+    countField: "engagement.comments",
+    mentionType: "comment",
+    sourceKey: "post",
+    dataKey: "postId",
+    label: "post",
+  },
+  Reel: {
+    model: Reel,
+    authorField: "author",
+    countField: "commentsCount",
+    mentionType: "reel_comment",
+    sourceKey: "reel",
+    dataKey: "reelId",
+    label: "reel",
+  },
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const pageSize = (limit) =>
+  Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || DEFAULT_PAGE_SIZE));
+
+/**
+ * Encode a position in a comment listing as an opaque cursor
+ * @param {Object} position - { s: sort, l: likeCount, c: createdAt ms, id }
+ * @returns {string}
+ */
+export const encodeCommentCursor = (position) =>
+  Buffer.from(JSON.stringify(position)).toString("base64url");
+
+/**
+ * Decode a cursor from encodeCommentCursor
+ * @param {string} cursor
+ * @param {string} sort - Sort the cursor must belong to
+ * @returns {Object|null} The position, or null for a missing, malformed or
+ *   other-sort cursor
+ */
+export const decodeCommentCursor = (cursor, sort) => {
+  if (!cursor) return null;
+  try {
+    const position = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+    if (position?.s !== sort || !mongoose.isValidObjectId(position.id)) {
+      return null;
+    }
+    const key = sort === "top" ? position.l : position.c;
+    return Number.isFinite(key) ? position : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Query clause continuing a listing after a cursor position
+const afterPosition = (position, sort) => {
+  const id = new mongoose.Types.ObjectId(String(position.id));
+  if (sort === "top") {
+    return {
+      $or: [
+        { likeCount: { $lt: position.l } },
+        { likeCount: position.l, _id: { $lt: id } },
+      ],
+    };
+  }
+  const createdAt = new Date(position.c);
+  return sort === "oldest"
+    ? {
+        $or: [
+          { createdAt: { $gt: createdAt } },
+          { createdAt, _id: { $gt: id } },
+        ],
+      }
+    : {
+        $or: [
+          { createdAt: { $lt: createdAt } },
+          { createdAt, _id: { $lt: id } },
+        ],
+      };
+};
+
+const positionOf = (comment, sort) => ({
+  s: sort,
+  id: comment._id.toString(),
+  ...(sort === "top"
+    ? { l: comment.likeCount || 0 }
+    : { c: new Date(comment.createdAt).getTime() }),
+});
+
+const SORT_ORDERS = {
+  top: { likeCount: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+};
+
+/**
+ * Shape a comment for API responses
+ * @param {Object} comment - Comment with author populated
+ * @param {string|Object} viewerId
+ * @returns {Object}
+ */
+export const formatComment = (comment, viewerId) => {
+  const viewer = idOf(viewerId);
+  const author = comment.isDeleted ? null : comment.author;
+  return {
+    _id: comment._id,
+    content: comment.isDeleted ? "" : comment.content,
+    createdAt: comment.createdAt,
+    replyTo: comment.replyTo || null,
+    depth: comment.depth || 0,
+    likes: comment.likeCount || 0,
+    isLiked: !!viewer && (comment.likes || []).some((id) => idOf(id) === viewer),
+    replyCount: comment.replyCount || 0,
+    isPinned: comment.isPinned || false,
+    isEdited: comment.isEdited || false,
+    isDeleted: comment.isDeleted || false,
+    pendingApproval: comment.pendingApproval || undefined,
+    user: author?._id
+      ? {
+          _id: author._id,
+          name: author.username || author.name,
+          username: author.username,
+          avatar: author.profileImage,
+          verified: author.isVerified || false,
+        }
+      : undefined,
+  };
+};
+
+// Comments held for approval are only listed for their author and the
+// parent's author
+const visibleTo = (parent, parentModel, viewerId) => {
+  const viewer = idOf(viewerId);
+  if (viewer === idOf(parent[PARENTS[parentModel].authorField])) return {};
+  return {
+    $or: [
+      { pendingApproval: { $ne: true } },
+      { author: new mongoose.Types.ObjectId(viewer) },
+    ],
+  };
+};
+
+const adjustCounts = async (comment, delta) => {
+  const { model, countField } = PARENTS[comment.parentModel];
+  await model.updateOne(
+    { _id: comment.parent },
+    { $inc: { [countField]: delta } },
+    { timestamps: false }
+  );
+  if (comment.replyTo) {
+    await Comment.updateOne(
+      { _id: comment.replyTo },
+      { $inc: { replyCount: delta } },
+      { timestamps: false }
+    );
+  }
+};
+
+const mentionSource = (comment, parent) => {
+  const { mentionType, sourceKey } = PARENTS[comment.parentModel];
+  return { type: mentionType, [sourceKey]: parent, commentId: comment._id };
+};
+
+const notify = async (data) => {
+  try {
+    await Notification.createNotification({ category: "social", ...data });
+  } catch (error) {
+    console.error("Failed to send comment notification:", error.message);
+  }
+};
+
+/**
+ * Load a post or reel the viewer is allowed to see
+ * @param {"Post"|"Reel"} parentModel
+ * @param {string} parentId
+ * @param {string|Object} viewerId
+ * @returns {Promise<Object|null>} The parent, or null if it doesn't exist or
+ *   is hidden from the viewer
+ */
+export const loadCommentParent = async (parentModel, parentId, viewerId) => {
+  if (!mongoose.isValidObjectId(parentId)) return null;
+  const parent = await PARENTS[parentModel].model.findById(parentId);
+  if (!parent) return null;
+
+  if (parentModel === "Post") {
+    return (await canViewerSeePost(parent, viewerId)) ? parent : null;
+  }
+  const { owner, viewer, follows } = await resolveProfileAccess(
+    parent.author,
+    viewerId
+  );
+  return owner && canViewContent(owner, viewer, follows) ? parent : null;
+};
+
+/**
+ * Find one of a parent's comments the viewer can see
+ * @param {Object} parent - Post or reel
+ * @param {string} commentId
+ * @param {string|Object} viewerId
+ * @returns {Promise<Object|null>}
+ */
+export const findComment = async (parent, commentId, viewerId) => {
+  if (!mongoose.isValidObjectId(commentId)) return null;
+  const comment = await Comment.findOne({ _id: commentId, parent: parent._id });
+  return comment && canViewComment(comment, comment.parentAuthor, viewerId)
+    ? comment
+    : null;
+};
+
+/**
+ * Add a comment, or a reply to one of the parent's comments. Comments from
+ * users the parent's author restricted wait for approval.
+ * @param {"Post"|"Reel"} parentModel
+ * @param {Object} parent - Post or reel the author can see
+ * @param {Object} author - Commenter ({ _id, username, name })
+ * @param {Object} input - { content, replyTo }
+ * @returns {Promise<{ success: boolean, comment?: Object, status?: number, error?: string }>}
+ */
+export const addComment = async (parentModel, parent, author, { content, replyTo }) => {
+  const { authorField, dataKey, label } = PARENTS[parentModel];
+  const text = (content || "").toString().trim();
+  if (!text) {
+    return { success: false, status: 400, error: "Comment text is required" };
+  }
+
+  let target = null;
+  if (replyTo) {
+    target = await findComment(parent, replyTo, author._id);
+    if (!target || target.isDeleted || target.pendingApproval) {
+      return { success: false, status: 404, error: "Comment not found" };
+    }
+  }
+  // Past the depth limit, replies join the replied-to comment's siblings
+  const replyParent =
+    target && target.depth >= MAX_REPLY_DEPTH
+      ? await Comment.findById(target.replyTo)
+      : target;
+
+  const parentAuthorId = idOf(parent[authorField]);
+  const authorId = idOf(author._id);
+  const pendingApproval =
+    parentAuthorId !== authorId &&
+    !!(await User.exists({ _id: parentAuthorId, restrictedUsers: authorId }));
+
+  const comment = await Comment.create({
+    parentModel,
+    parent: parent._id,
+    parentAuthor: parentAuthorId,
+    author: author._id,
+    content: text,
+    replyTo: replyParent?._id || null,
+    thread: replyParent ? replyParent.thread || replyParent._id : null,
+    depth: replyParent ? replyParent.depth + 1 : 0,
+    pendingApproval,
+  });
+
+  // Held comments only count, mention or notify anyone once approved
+  if (!pendingApproval) {
+    await adjustCounts(comment, 1);
+    comment.mentions = await recordMentions(text, {
+      author,
+      source: mentionSource(comment, parent),
+    });
+    if (comment.mentions.length) await comment.save();
+
+    const excerpt = text.slice(0, 80);
+    const repliedToId = idOf(target?.author);
+    if (repliedToId && repliedToId !== authorId) {
+      await notify({
+        type: "comment",
+        sender: author._id,
+        recipient: repliedToId,
+        title: "New Reply",
+        message: `${author.username || author.name || "Someone"} replied: "${excerpt}"`,
+        data: { [dataKey]: parent._id.toString(), commentId: comment._id.toString() },
+        priority: "medium",
+      });
+    }
+    if (parentAuthorId !== authorId && parentAuthorId !== repliedToId) {
+      await notify({
+        type: "comment",
+        sender: author._id,
+        recipient: parentAuthorId,
+        title: "New Comment",
+        message: `${author.username || author.name || "Someone"} commented on your ${label}: "${excerpt}"`,
+        data: { [dataKey]: parent._id.toString(), commentId: comment._id.toString() },
+        priority: "medium",
+      });
+    }
+  }
+
+  await comment.populate("author", AUTHOR_FIELDS);
+  return { success: true, comment };
+};
+
+/**
+ * Page through a parent's top-level comments. The pinned comment leads the
+ * first page.
+ * @param {"Post"|"Reel"} parentModel
+ * @param {Object} parent
+ * @param {string|Object} viewerId
+ * @param {Object} options - { sort ("top" or "newest"), cursor, limit }
+ * @returns {Promise<{ items: Object[], nextCursor: string|null, hasMore: boolean }>}
+ */
+export const listComments = async (
+  parentModel,
+  parent,
+  viewerId,
+  { sort = "top", cursor, limit } = {}
+) => {
+  const size = pageSize(limit);
+  const position = decodeCommentCursor(cursor, sort);
+  const base = {
+    parent: parent._id,
+    replyTo: null,
+    ...visibleTo(parent, parentModel, viewerId),
+  };
+
+  const pinned = position
+    ? []
+    : await Comment.find({ ...base, isPinned: true })
+        .populate("author", AUTHOR_FIELDS)
+        .lean();
+  const query = { ...base, isPinned: { $ne: true } };
+  const rows = await Comment.find(
+    position ? { $and: [query, afterPosition(position, sort)] } : query
+  )
+    .sort(SORT_ORDERS[sort])
+    .limit(size + 1)
+    .populate("author", AUTHOR_FIELDS)
+    .lean();
+
+  const hasMore = rows.length > size;
+  const page = hasMore ? rows.slice(0, size) : rows;
+  return {
+    items: [...pinned, ...page].map((c) => formatComment(c, viewerId)),
+    nextCursor: hasMore
+      ? encodeCommentCursor(positionOf(page[page.length - 1], sort))
+      : null,
+    hasMore,
+  };
+};
+
+/**
+ * Page through a comment's replies, oldest first
+ * @param {"Post"|"Reel"} parentModel
+ * @param {Object} parent
+ * @param {Object} comment - Replied-to comment
+ * @param {string|Object} viewerId
+ * @param {Object} options - { cursor, limit }
+ * @returns {Promise<{ items: Object[], nextCursor: string|null, hasMore: boolean }>}
+ */
+export const listReplies = async (
+  parentModel,
+  parent,
+  comment,
+  viewerId,
+  { cursor, limit } = {}
+) => {
+  const size = pageSize(limit);
+  const position = decodeCommentCursor(cursor, "oldest");
+  const query = {
+    replyTo: comment._id,
+    ...visibleTo(parent, parentModel, viewerId),
+  };
+
+  const rows = await Comment.find(
+    position ? { $and: [query, afterPosition(position, "oldest")] } : query
+  )
+    .sort(SORT_ORDERS.oldest)
+    .limit(size + 1)
+    .populate("author", AUTHOR_FIELDS)
+    .lean();
+
+  const hasMore = rows.length > size;
+  const page = hasMore ? rows.slice(0, size) : rows;
+  return {
+    items: page.map((c) => formatComment(c, viewerId)),
+    nextCursor: hasMore
+      ? encodeCommentCursor(positionOf(page[page.length - 1], "oldest"))
+      : null,
+    hasMore,
+  };
+};
+
+/**
+ * Change a comment's text (its author only). Mentions are re-parsed.
+ * @param {Object} parent
+ * @param {Object} comment
+ * @param {Object} editor - Editing user ({ _id, username, name })
+ * @param {string} content
+ * @returns {Promise<{ success: boolean, comment?: Object, status?: number, error?: string }>}
+ */
+export const editComment = async (parent, comment, editor, content) => {
+  if (idOf(comment.author) !== idOf(editor._id) || comment.isDeleted) {
+    return { success: false, status: 403, error: "Not authorized" };
+  }
+  const text = (content || "").toString().trim();
+  if (!text) {
+    return { success: false, status: 400, error: "Comment text is required" };
+  }
+
+  comment.content = text;
+  comment.isEdited = true;
+  comment.editedAt = new Date();
+  await comment.save();
+  // Held comments mention nobody until they're approved
+  if (!comment.pendingApproval) {
+    comment.mentions = await updateCommentMentions(comment, {
+      author: editor,
+      source: mentionSource(comment, parent),
+    });
+    await comment.save();
+  }
+
+  await comment.populate("author", AUTHOR_FIELDS);
+  return { success: true, comment };
+};
+
+/**
+ * Delete a comment (its author or the parent's author). Comments with
+ * replies stay as a placeholder so the thread keeps its shape.
+ * @param {Object} comment
+ * @param {string|Object} userId
+ * @returns {Promise<{ success: boolean, status?: number, error?: string }>}
+ */
+export const deleteComment = async (comment, userId) => {
+  const user = idOf(userId);
+  if (![idOf(comment.author), idOf(comment.parentAuthor)].includes(user)) {
+    return { success: false, status: 403, error: "Not authorized" };
+  }
+  if (comment.isDeleted) return { success: true };
+
+  // Replies held for approval keep a comment in place too. Either way the
+  // change only applies to a comment not already deleted, so a concurrent
+  // delete can't take the counts down twice.
+  const live = { _id: comment._id, isDeleted: { $ne: true } };
+  const removed = (await Comment.exists({ replyTo: comment._id }))
+    ? await Comment.findOneAndUpdate(
+        live,
+        {
+          $set: {
+            isDeleted: true,
+            deletedAt: new Date(),
+            isPinned: false,
+            likes: [],
+            likeCount: 0,
+          },
+          $unset: { content: "" },
+        },
+        { new: true }
+      )
+    : await Comment.findOneAndDelete(live);
+  if (!removed) return { success: true };
+
+  await Mention.deleteMany({ commentId: comment._id });
+  if (!removed.pendingApproval) await adjustCounts(removed, -1);
+  return { success: true };
+};
+
+/**
+ * Like or unlike a comment
+ * @param {"Post"|"Reel"} parentModel
+ * @param {Object} parent
+ * @param {Object} comment
+ * @param {Object} user - Liking user ({ _id, username, name })
+ * @returns {Promise<{ success: boolean, liked?: boolean, likes?: number, status?: number, error?: string }>}
+ */
+export const toggleCommentLike = async (parentModel, parent, comment, user) => {
+  if (comment.isDeleted) {
+    return { success: false, status: 404, error: "Comment not found" };
+  }
+  const userId = new mongoose.Types.ObjectId(idOf(user._id));
+
+  // Guarded updates keep likeCount in step with likes under concurrent taps
+  const unliked = await Comment.findOneAndUpdate(
+    { _id: comment._id, likes: userId },
+    { $pull: { likes: userId }, $inc: { likeCount: -1 } },
+    { new: true, timestamps: false }
+  );
+  if (unliked) {
+    return { success: true, liked: false, likes: unliked.likeCount };
+  }
+
+  const liked = await Comment.findOneAndUpdate(
+    { _id: comment._id, likes: { $ne: userId } },
+    { $push: { likes: userId }, $inc: { likeCount: 1 } },
+    { new: true, timestamps: false }
+  );
+  if (!liked) {
+    return { success: true, liked: true, likes: comment.likeCount };
+  }
+
+  if (idOf(comment.author) !== idOf(userId)) {
+    const { dataKey } = PARENTS[parentModel];
+    await notify({
+      type: "like",
+      sender: userId,
+      recipient: comment.author,
+      title: "New Like",
+      message: `${user.username || user.name || "Someone"} liked your comment`,
+      data: { [dataKey]: parent._id.toString(), commentId: comment._id.toString() },
+      priority: "low",
+    });
+  }
+  return { success: true, liked: true, likes: liked.likeCount };
+};
+
+/**
+ * Pin or unpin a top-level comment (the parent's author only). Pinning one
+ * unpins any other.
+ * @param {Object} comment
+ * @param {string|Object} userId
+ * @returns {Promise<{ success: boolean, pinned?: boolean, status?: number, error?: string }>}
+ */
+export const toggleCommentPin = async (comment, userId) => {
+  if (idOf(comment.parentAuthor) !== idOf(userId)) {
+    return { success: false, status: 403, error: "Only the author can pin comments" };
+  }
+  if (comment.replyTo || comment.isDeleted || comment.pendingApproval) {
+    return { success: false, status: 400, error: "This comment can't be pinned" };
+  }
+
+  if (comment.isPinned) {
+    comment.isPinned = false;
+    comment.pinnedAt = undefined;
+  } else {
+    await Comment.updateMany(
+      { parent: comment.parent, isPinned: true },
+      { $set: { isPinned: false }, $unset: { pinnedAt: "" } }
+    );
+    comment.isPinned = true;
+    comment.pinnedAt = new Date();
+  }
+  await comment.save();
+  return { success: true, pinned: comment.isPinned };
+};
+
+/**
+ * Publish comments held for approval: count them, and record their mentions
+ * @param {Object} filter - Comment query, e.g. { _id } or { parentAuthor, author }
+ * @returns {Promise<number>} Comments approved
+ */
+export const approveComments = async (filter) => {
+  const held = await Comment.find({ ...filter, pendingApproval: true });
+  let approved = 0;
+  for (const comment of held) {
+    const { modifiedCount } = await Comment.updateOne(
+      { _id: comment._id, pendingApproval: true },
+      { $set: { pendingApproval: false } }
+    );
+    if (!modifiedCount) continue;
+    approved++;
+    await adjustCounts(comment, 1);
+
+    const parent = await PARENTS[comment.parentModel].model.findById(comment.parent);
+    if (!parent) continue;
+    const mentions = await recordMentions(comment.content, {
+      author: { _id: comment.author },
+      source: mentionSource(comment, parent),
+    });
+    if (mentions.length) {
+      await Comment.updateOne({ _id: comment._id }, { mentions });
+    }
+  }
+  return approved;
+};
+
+/**
+ * Remove every comment on posts or reels, and their mentions
+ * @param {string|Object|Array} parentIds - One post or reel id, or several
+ * @returns {Promise<void>}
+ */
+export const removeParentComments = async (parentIds) => {
+  const filter = { parent: { $in: [].concat(parentIds) } };
+  const ids = await Comment.distinct("_id", filter);
+  if (!ids.length) return;
+  await Mention.deleteMany({ commentId: { $in: ids } });
+  await Comment.deleteMany(filter);
+};
+
+/**
+ * Recompute a parent's comment count and its comments' reply counts
+ * @param {"Post"|"Reel"} parentModel
+ * @param {string|Object} parentId
+ * @returns {Promise<number>} The parent's comment count
+ */
+export const recountComments = async (parentModel, parentId) => {
+  const { model, countField } = PARENTS[parentModel];
+  const parent = new mongoose.Types.ObjectId(idOf(parentId));
+  const live = { parent, isDeleted: { $ne: true }, pendingApproval: { $ne: true } };
+
+  const [count, replies] = await Promise.all([
+    Comment.countDocuments(live),
+    Comment.aggregate([
+      { $match: { ...live, replyTo: { $ne: null } } },
+      { $group: { _id: "$replyTo", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  await Comment.updateMany({ parent }, { $set: { replyCount: 0 } }, { timestamps: false });
+  if (replies.length) {
+    await Comment.bulkWrite(
+      replies.map((r) => ({
+        updateOne: {
+          filter: { _id: r._id },
+          update: { $set: { replyCount: r.count } },
+          timestamps: false,
+        },
+      }))
+    );
+  }
+  await model.updateOne(
+    { _id: parent },
+    { $set: { [countField]: count } },
+    { timestamps: false }
+  );
+  return count;
+};
+
+/**
+ * Remove a user's comments everywhere, for account deletion. Comments with
+ * replies are left as placeholders, and the affected counts are recomputed.
+ * @param {string|Object} userId
+ * @returns {Promise<void>}
+ */
+export const removeUserComments = async (userId) => {
+  const comments = await Comment.find({ author: userId })
+    .select("parentModel parent replyCount")
+    .lean();
+  if (!comments.length) return;
+
+  const ids = comments.map((c) => c._id);
+  const withReplies = comments.filter((c) => c.replyCount > 0).map((c) => c._id);
+  await Mention.deleteMany({ commentId: { $in: ids } });
+  await Comment.deleteMany({ _id: { $in: ids, $nin: withReplies } });
+  if (withReplies.length) {
+    await Comment.updateMany(
+      { _id: { $in: withReplies } },
+      {
+        $set: { isDeleted: true, deletedAt: new Date(), isPinned: false, likes: [], likeCount: 0 },
+        $unset: { content: "" },
+      }
+    );
+  }
+
+  const parents = new Map(comments.map((c) => [idOf(c.parent), c.parentModel]));
+  for (const [parentId, parentModel] of parents) {
+    await recountComments(parentModel, parentId);
+  }
+};
+
+export default {
+  COMMENT_SORTS,
+  MAX_REPLY_DEPTH,
+  encodeCommentCursor,
+  decodeCommentCursor,
+  formatComment,
+  loadCommentParent,
+  findComment,
+  addComment,
+  listComments,
+  listReplies,
+  editComment,
+  deleteComment,
+  toggleCommentLike,
+  toggleCommentPin,
+  approveComments,
+  removeParentComments,
+  recountComments,
+  removeUserComments,
+};
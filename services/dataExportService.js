@@ -0,0 +1,458 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import DataExport from "../models/DataExport.js";
+import User from "../models/User.js";
+import UserSettings from "../models/UserSettings.js";
+import Post from "../models/Post.js";
+import Reel from "../models/Reel.js";
+import Comment from "../models/Comment.js";
+import Chat from "../models/Chat.js";
+import Message from "../models/Message.js";
+import Match from "../models/Match.js";
+import UserInteraction from "../models/UserInteraction.js";
+import Notification from "../models/Notification.js";
+import Report from "../models/Reports.js";
+import ContentReport from "../models/ContentReport.js";
+import Subscription from "../models/Subscription.js";
+import { createZip } from "./zipArchive.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Where finished archives are written until they expire
+const EXPORT_DIR =
+  process.env.DATA_EXPORT_DIR || path.join(os.tmpdir(), "data-exports");
+
+// How long a finished archive can be downloaded
+export const EXPORT_RETENTION_HOURS =
+  parseInt(process.env.DATA_EXPORT_RETENTION_HOURS) || 48;
+
+// How long each download link handed to the owner stays valid
+export const DOWNLOAD_LINK_MINUTES =
+  parseInt(process.env.DATA_EXPORT_LINK_MINUTES) || 15;
+
+// How often the job looks for queued exports and expired archives
+const JOB_INTERVAL_MS = MINUTE_MS;
+
+// Exports stuck in "processing" this long (server restarted mid-build) are
+// queued again
+const STALE_PROCESSING_MS = HOUR_MS;
+
+// Secrets and one-time tokens never leave the server
+const PRIVATE_USER_FIELDS = [
+  "password",
+  "emailVerificationToken",
+  "emailVerificationExpires",
+  "passwordResetToken",
+  "passwordResetExpires",
+  "twoFactorSecret",
+  "twoFactorBackupCodes",
+  "passkeys",
+  "loginAttempts",
+  "lockUntil",
+  "lockCount",
+]
+  .map((field) => `-${field}`)
+  .join(" ");
+
+const README = `Personal data export
+
+profile.json        Your account and profile, plus your settings
+posts.json          Posts you published
+stories.json        Stories you published, including expired ones
+comments.json       Comments you left on posts and reels
+reels.json          Reels you published
+messages.json       Your chats and the messages you sent
+matches.json        Your matches
+interactions.json   Likes, passes and other interactions with other users
+notifications.json  Notifications you received
+reports.json        Reports you filed about users and content
+subscriptions.json  Streamers you subscribe to
+media.json          Links to the photos and videos you uploaded
+
+Media files are not copied into this archive; download them from the links
+in media.json while your account exists.
+`;
+
+let jobTimer = null;
+let jobRunning = false;
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+// Every media URL a user uploaded, for media.json
+const collectMediaLinks = (user, posts, stories, reels, messages) => {
+  const links = [];
+  const add = (url, source, id) => {
+    if (url) links.push({ url, source, id });
+  };
+
+  add(user.avatar, "avatar");
+  for (const post of [...posts, ...stories]) {
+    for (const media of post.media || []) {
+      add(media.url, post.type === "story" ? "story" : "post", post._id);
+      add(media.thumbnail, "thumbnail", post._id);
+    }
+  }
+  for (const reel of reels) {
+    add(reel.videoUrl, "reel", reel._id);
+    add(reel.thumbnail, "thumbnail", reel._id);
+  }
+  for (const message of messages) {
+    add(message.mediaUrl, "message", message._id);
+  }
+  return links;
+};
+
+/**
+ * Collect everything stored about a user, as the files of their export
+ * archive. Messages are limited to the ones the user sent; their chats list
+ * the other participants by username only.
+ * @param {string|Object} userId
+ * @returns {Promise<{ entries: Array<{ name: string, data: string }>, counts: Object }>}
+ */
+export const collectUserData = async (userId) => {
+  const id = new mongoose.Types.ObjectId(userId.toString());
+
+  const user = await User.findById(id).select(PRIVATE_USER_FIELDS).lean();
+  if (!user) throw new Error("User not found");
+
+  const [
+    settings,
+    posts,
+    stories,
+    comments,
+    reels,
+    chats,
+    messages,
+    matches,
+    interactions,
+    notifications,
+    userReports,
+    contentReports,
+    subscriptions,
+  ] = await Promise.all([
+    UserSettings.findOne({ userId: id }).lean(),
+    Post.find({ authorId: id, type: { $ne: "story" } })
+      .setOptions({ includeUnpublished: true })
+      .select("-likes -views -shares")
+      .sort({ createdAt: -1 })
+      .lean(),
+    Post.find({ authorId: id, type: "story" })
+      .select("-likes -views -shares")
+      .sort({ createdAt: -1 })
+      .lean(),
+    Comment.find({ author: id, isDeleted: { $ne: true } })
+      .select("parentModel parent replyTo content isEdited editedAt createdAt")
+      .sort({ createdAt: -1 })
+      .lean()
+      .then((rows) =>
+        rows.map(({ parentModel, parent, ...comment }) => ({
+          ...comment,
+          source: parentModel.toLowerCase(),
+          [parentModel === "Post" ? "postId" : "reelId"]: parent,
+        }))
+      ),
+    Reel.find({ author: id })
+      .select("-likes")
+      .sort({ createdAt: -1 })
+      .lean(),
+    Chat.find({ participants: id })
+      .select("participants createdAt updatedAt")
+      .populate("participants", "username")
+      .lean(),
+    Message.find({ senderId: id })
+      .select("chatId content messageType mediaUrl isEdited editedAt isDeleted createdAt")
+      .sort({ createdAt: 1 })
+      .lean(),
+    Match.find({ $or: [{ userId: id }, { matchedUserId: id }] }).lean(),
+    UserInteraction.find({ $or: [{ user1: id }, { user2: id }] }).lean(),
+    Notification.find({ recipient: id })
+      .select("type title message data isRead createdAt")
+      .sort({ createdAt: -1 })
+      .lean(),
+    Report.find({ reporter: id })
+      .select("reportedUser reportType reason evidence status createdAt")
+      .lean(),
+    ContentReport.find({ reporter: id })
+      .select("targetType targetId reportType reason additionalInfo status createdAt")
+      .lean(),
+    Subscription.find({ subscriberId: id }).lean(),
+  ]);
+
+  const media = collectMediaLinks(user, posts, stories, reels, messages);
+
+  const files = {
+    "profile.json": { profile: user, settings },
+    "posts.json": posts,
+    "stories.json": stories,
+    "comments.json": comments,
+    "reels.json": reels,
+    "messages.json": {
+      chats: chats.map((chat) => ({
+        _id: chat._id,
+        participants: (chat.participants || []).map(
+          (p) => p?.username || "Deleted user"
+        ),
+        createdAt: chat.createdAt,
+      })),
+      messages,
+    },
+    "matches.json": matches,
+    "interactions.json": interactions,
+    "notifications.json": notifications,
+    "reports.json": { users: userReports, content: contentReports },
+    "subscriptions.json": subscriptions,
+    "media.json": media,
+  };
+
+  const counts = {
+    posts: posts.length,
+    stories: stories.length,
+    comments: comments.length,
+    reels: reels.length,
+    messages: messages.length,
+    matches: matches.length,
+    interactions: interactions.length,
+    notifications: notifications.length,
+    reports: userReports.length + contentReports.length,
+    subscriptions: subscriptions.length,
+    media: media.length,
+  };
+
+  const entries = [
+    { name: "README.txt", data: README },
+    ...Object.entries(files).map(([name, value]) => ({
+      name,
+      data: toJson(value),
+    })),
+  ];
+  return { entries, counts };
+};
+
+/**
+ * Queue a data export for a user. Only one export is built at a time per
+ * user; asking again while one is queued or running returns that one.
+ * @param {string|Object} userId
+ * @returns {Promise<{ job: Object, created: boolean }>}
+ */
+export const requestDataExport = async (userId) => {
+  const existing = await DataExport.findOne({
+    user: userId,
+    status: { $in: ["pending", "processing"] },
+  });
+  if (existing) return { job: existing, created: false };
+
+  const job = await DataExport.create({ user: userId });
+  // Start right away instead of waiting for the next job tick
+  setImmediate(runDataExportJobs);
+  return { job, created: true };
+};
+
+/**
+ * Build one queued export: collect the data, write the archive and notify the
+ * owner. Failures are recorded on the export, never thrown.
+ * @param {Object} job - DataExport document in "processing" state
+ * @returns {Promise<void>}
+ */
+export const processDataExport = async (job) => {
+  try {
+    const { entries, counts } = await collectUserData(job.user);
+    const archive = createZip(entries);
+
+    await fs.mkdir(EXPORT_DIR, { recursive: true });
+    const fileName = `data-export-${job._id}.zip`;
+    const filePath = path.join(EXPORT_DIR, fileName);
+    await fs.writeFile(filePath, archive);
+
+    job.status = "ready";
+    job.completedAt = new Date();
+    job.expiresAt = new Date(Date.now() + EXPORT_RETENTION_HOURS * HOUR_MS);
+    job.filePath = filePath;
+    job.fileName = fileName;
+    job.fileSize = archive.length;
+    job.counts = counts;
+    await job.save();
+
+    await Notification.createNotification({
+      type: "system",
+      recipient: job.user,
+      title: "Your data export is ready",
+      message: `Download it from your settings within ${EXPORT_RETENTION_HOURS} hours.`,
+      data: { exportId: job._id.toString() },
+      category: "system",
+      priority: "medium",
+    }).catch((error) =>
+      console.error("Failed to notify about data export:", error.message)
+    );
+  } catch (error) {
+    console.error(`Data export ${job._id} failed:`, error.message);
+    job.status = "failed";
+    job.error = error.message;
+    job.completedAt = new Date();
+    await job.save().catch(() => {});
+  }
+};
+
+// Delete an archive from disk; missing files are fine
+const removeArchive = async (filePath) => {
+  if (!filePath) return;
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn("Failed to delete data export", filePath, error.message);
+    }
+  }
+};
+
+/**
+ * Build every queued export, one at a time, and delete expired archives
+ * @returns {Promise<void>}
+ */
+export const runDataExportJobs = async () => {
+  if (jobRunning) return;
+  jobRunning = true;
+  try {
+    await DataExport.updateMany(
+      {
+        status: "processing",
+        startedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) },
+      },
+      { $set: { status: "pending" } }
+    );
+
+    let job;
+    while (
+      (job = await DataExport.findOneAndUpdate(
+        { status: "pending" },
+        { $set: { status: "processing", startedAt: new Date() } },
+        { sort: { createdAt: 1 }, new: true }
+      ))
+    ) {
+      await processDataExport(job);
+    }
+
+    const expired = await DataExport.find({
+      status: "ready",
+      expiresAt: { $lte: new Date() },
+    }).select("+filePath");
+    for (const item of expired) {
+      await removeArchive(item.filePath);
+      item.status = "expired";
+      item.filePath = undefined;
+      await item.save();
+    }
+  } catch (error) {
+    console.error("Data export job failed:", error.message);
+  } finally {
+    jobRunning = false;
+  }
+};
+
+/**
+ * Run runDataExportJobs now and then every minute
+ */
+export const startDataExportJob = () => {
+  if (jobTimer) return;
+  runDataExportJobs();
+  jobTimer = setInterval(runDataExportJobs, JOB_INTERVAL_MS);
+  jobTimer.unref();
+};
+
+/**
+ * A user's exports, newest first
+ * @param {string|Object} userId
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object[]>}
+ */
+export const listDataExports = (userId, { limit = 10 } = {}) =>
+  DataExport.find({ user: userId }).sort({ createdAt: -1 }).limit(limit).lean();
+
+/**
+ * One of a user's exports
+ * @param {string|Object} userId
+ * @param {string} exportId
+ * @returns {Promise<Object|null>}
+ */
+export const getDataExport = (userId, exportId) =>
+  DataExport.findOne({ _id: exportId, user: userId }).lean();
+
+/**
+ * Sign a short-lived download link for a finished export. The link never
+ * outlives the archive.
+ * @param {Object} job - DataExport in "ready" state
+ * @returns {{ token: string, expiresAt: Date }}
+ */
+export const createDownloadToken = (job) => {
+  const expiresAt = new Date(
+    Math.min(
+      Date.now() + DOWNLOAD_LINK_MINUTES * MINUTE_MS,
+      new Date(job.expiresAt).getTime()
+    )
+  );
+  const token = jwt.sign(
+    {
+      exportId: job._id.toString(),
+      purpose: "data_export",
+      exp: Math.floor(expiresAt.getTime() / 1000),
+    },
+    process.env.JWT_SECRET || "your-secret-key"
+  );
+  return { token, expiresAt };
+};
+
+/**
+ * Resolve a download link to the export it was issued for
+ * @param {string} exportId
+ * @param {string} token
+ * @returns {Promise<Object|null>} The export with filePath, or null if the
+ *   link is invalid, expired or the archive is gone
+ */
+export const findDownloadableExport = async (exportId, token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET || "your-secret-key");
+  } catch (e) {
+    return null;
+  }
+  if (decoded.purpose !== "data_export" || decoded.exportId !== exportId) {
+    return null;
+  }
+
+  const job = await DataExport.findById(exportId).select("+filePath");
+  if (!job || job.status !== "ready" || job.expiresAt <= new Date()) {
+    return null;
+  }
+  return job;
+};
+
+/**
+ * Delete every export of a user along with the archives
+ * @param {string|Object} userId
+ * @returns {Promise<void>}
+ */
+export const removeUserDataExports = async (userId) => {
+  const jobs = await DataExport.find({ user: userId }).select("+filePath");
+  for (const job of jobs) {
+    await removeArchive(job.filePath);
+  }
+  await DataExport.deleteMany({ user: userId });
+};
+
+export default {
+  EXPORT_RETENTION_HOURS,
+  DOWNLOAD_LINK_MINUTES,
+  collectUserData,
+  requestDataExport,
+  processDataExport,
+  runDataExportJobs,
+  startDataExportJob,
+  listDataExports,
+  getDataExport,
+  createDownloadToken,
+  findDownloadableExport,
+  removeUserDataExports,
+};
@@ -66,6 +66,64 @@ export const sendOTPEmail = async (to, code, purpose) => {
   }
 };
 
+/**
+ * Notify the account owner that sign-in was locked after failed attempts
+ * @param {string} to - Recipient email
+ * @param {Object} details - Lock details
+ * @param {Date} details.lockUntil - When the lock expires
+ * @param {string} details.ipAddress - IP address of the last failed attempt
+ */
+export const sendAccountLockedEmail = async (to, { lockUntil, ipAddress } = {}) => {
+  try {
+    if (!transporter) {
+      throw new Error('Email service is not configured');
+    }
+
+    const mailOptions = {
+      from: `"${FROM_NAME}" <${FROM_EMAIL}>`,
+      to: to,
+      subject: 'Your Account Has Been Temporarily Locked - Trees Social',
+      html: getAccountLockedTemplate(lockUntil, ipAddress),
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Account locked email sent to ${to}`);
+    console.log('Message ID:', info.messageId);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Email sending error:', error.message);
+    throw new Error('Failed to send email');
+  }
+};
+
+/**
+ * Send an email verification link
+ * @param {string} to - Recipient email
+ * @param {string} link - Verification URL containing the token
+ */
+export const sendVerificationLinkEmail = async (to, link) => {
+  try {
+    if (!transporter) {
+      throw new Error('Email service is not configured');
+    }
+
+    const mailOptions = {
+      from: `"${FROM_NAME}" <${FROM_EMAIL}>`,
+      to: to,
+      subject: 'Verify Your Email - Trees Social',
+      html: getVerificationLinkTemplate(link),
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Verification link email sent to ${to}`);
+    console.log('Message ID:', info.messageId);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Email sending error:', error.message);
+    throw new Error('Failed to send email');
+  }
+};
+
 /**
  * Get email template based on purpose
  */
@@ -91,6 +149,10 @@ const getOTPEmailTemplate = (code, purpose) => {
       subject: 'Verify Your Phone - Trees Social',
       html: getPhoneVerificationTemplate(code),
     },
+    email_change: {
+      subject: 'Confirm Your Email Change - Trees Social',
+      html: getEmailChangeTemplate(code),
+    },
   };
 
   return templates[purpose] || templates.registration;
@@ -356,6 +418,151 @@ const getPhoneVerificationTemplate = (code) => `
 </html>
 `;
 
+/**
+ * Email Verification Link Template
+ */
+const getVerificationLinkTemplate = (link) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f4f4; margin: 0; padding: 0; }
+    .container { max-width: 600px; margin: 40px auto; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.1); }
+    .header { background: linear-gradient(135deg, #4facfe 0%, #00f2fe 100%); padding: 40px 20px; text-align: center; }
+    .header h1 { color: #ffffff; margin: 0; font-size: 28px; font-weight: 600; }
+    .content { padding: 40px 30px; }
+    .button-box { text-align: center; margin: 30px 0; }
+    .button { display: inline-block; background: #4facfe; color: #ffffff !important; padding: 14px 32px; border-radius: 8px; text-decoration: none; font-weight: 600; font-size: 16px; }
+    .message { color: #333333; font-size: 16px; line-height: 1.6; margin: 20px 0; }
+    .link { color: #6c757d; font-size: 13px; word-break: break-all; }
+    .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #6c757d; font-size: 14px; }
+    .footer a { color: #4facfe; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>✉️ Verify Your Email</h1>
+    </div>
+    <div class="content">
+      <p class="message">Hi there! 👋</p>
+      <p class="message">Please confirm that this is the email address for your <strong>Trees Social</strong> account:</p>
+
+      <div class="button-box">
+        <a class="button" href="${link}">Verify Email</a>
+        <p style="color: #6c757d; margin-top: 15px; font-size: 14px;">This link expires in 24 hours</p>
+      </div>
+
+      <p class="message">If the button doesn't work, copy this link into your browser:</p>
+      <p class="link">${link}</p>
+    </div>
+    <div class="footer">
+      <p>Need help? Contact us at <a href="mailto:support@treessocial.com">support@treessocial.com</a></p>
+      <p>&copy; 2025 Trees Social. All rights reserved.</p>
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+/**
+ * Email Change Template
+ */
+const getEmailChangeTemplate = (code) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f4f4; margin: 0; padding: 0; }
+    .container { max-width: 600px; margin: 40px auto; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.1); }
+    .header { background: linear-gradient(135deg, #4facfe 0%, #00f2fe 100%); padding: 40px 20px; text-align: center; }
+    .header h1 { color: #ffffff; margin: 0; font-size: 28px; font-weight: 600; }
+    .content { padding: 40px 30px; }
+    .otp-box { background: #f8f9fa; border: 2px dashed #4facfe; border-radius: 8px; padding: 30px; text-align: center; margin: 30px 0; }
+    .otp-code { font-size: 42px; font-weight: bold; color: #4facfe; letter-spacing: 8px; font-family: 'Courier New', monospace; }
+    .message { color: #333333; font-size: 16px; line-height: 1.6; margin: 20px 0; }
+    .warning { background: #f8d7da; border-left: 4px solid #dc3545; padding: 15px; margin: 20px 0; color: #721c24; font-size: 14px; }
+    .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #6c757d; font-size: 14px; }
+    .footer a { color: #4facfe; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>🔁 Confirm Email Change</h1>
+    </div>
+    <div class="content">
+      <p class="message">Hi there! 👋</p>
+      <p class="message">A request was made to change the email address on your <strong>Trees Social</strong> account. Codes were sent to both the current and the new address; enter this one to confirm:</p>
+
+      <div class="otp-box">
+        <div class="otp-code">${code}</div>
+        <p style="color: #6c757d; margin-top: 15px; font-size: 14px;">This code expires in 30 minutes</p>
+      </div>
+
+      <div class="warning">
+        <strong>⚠️ Didn't request this?</strong> Don't share this code and change your password right away. The email won't change without both codes.
+      </div>
+    </div>
+    <div class="footer">
+      <p>Need help? Contact us at <a href="mailto:support@treessocial.com">support@treessocial.com</a></p>
+      <p>&copy; 2025 Trees Social. All rights reserved.</p>
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+/**
+ * Account Locked Template
+ */
+const getAccountLockedTemplate = (lockUntil, ipAddress) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f4f4; margin: 0; padding: 0; }
+    .container { max-width: 600px; margin: 40px auto; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.1); }
+    .header { background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); padding: 40px 20px; text-align: center; }
+    .header h1 { color: #ffffff; margin: 0; font-size: 28px; font-weight: 600; }
+    .content { padding: 40px 30px; }
+    .message { color: #333333; font-size: 16px; line-height: 1.6; margin: 20px 0; }
+    .warning { background: #f8d7da; border-left: 4px solid #dc3545; padding: 15px; margin: 20px 0; color: #721c24; font-size: 14px; }
+    .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #6c757d; font-size: 14px; }
+    .footer a { color: #f5576c; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>🔐 Account Temporarily Locked</h1>
+    </div>
+    <div class="content">
+      <p class="message">Hello! 👋</p>
+      <p class="message">We noticed several failed sign-in attempts on your <strong>Trees Social</strong> account, so we've locked it temporarily to keep it safe.</p>
+      <p class="message">You can try again after <strong>${lockUntil ? new Date(lockUntil).toUTCString() : 'a short while'}</strong>.${ipAddress ? ` The last attempt came from IP address <strong>${ipAddress}</strong>.` : ''}</p>
+
+      <div class="warning">
+        <strong>⚠️ Wasn't you?</strong> Someone may be trying to guess your password. We recommend resetting your password and turning on two-factor authentication.
+      </div>
+    </div>
+    <div class="footer">
+      <p>Need help? Contact us at <a href="mailto:support@treessocial.com">support@treessocial.com</a></p>
+      <p>&copy; 2025 Trees Social. All rights reserved.</p>
+    </div>
+  </div>
+</body>
+</html>
+`;
+
 export default {
   sendOTPEmail,
+  sendAccountLockedEmail,
+  sendVerificationLinkEmail,
 };
@@ -0,0 +1,484 @@
+import mongoose from "mongoose";
+import Post, { publishedFilter } from "../models/Post.js";
+import AudienceList from "../models/AudienceList.js";
+import UserInteraction from "../models/UserInteraction.js";
+import FeedImpression from "../models/FeedImpression.js";
+import Follow from "../models/Follow.js";
+import {
+  filterByAuthorAccess,
+  postVisibilityFilter,
+} from "./visibilityPolicy.js";
+import {
+  TIMELINE_POST_TYPES,
+  readTimeline,
+  findPulledAuthorIds,
+} from "./timelineService.js";
+
+export const FEED_MODES = ["ranked", "chronological"];
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Ranked mode only considers this many of the newest posts from the last
+// FEED_WINDOW_DAYS
+const CANDIDATE_POOL = 500;
+const FEED_WINDOW_DAYS = 14;
+
+// A post's recency score halves every RECENCY_HALF_LIFE_HOURS
+export const RECENCY_HALF_LIFE_HOURS = 24;
+
+// How much each signal contributes to a post's score
+export const SCORE_WEIGHTS = {
+  recency: 4,
+  affinity: 1.5,
+  velocity: 2,
+  contentType: 0.5,
+};
+
+// Rich media tends to hold attention longer than plain text
+export const CONTENT_TYPE_BOOST = {
+  video: 1,
+  image: 0.6,
+  text: 0.2,
+};
+
+// Interaction weight given to the viewer's own posts
+const SELF_AFFINITY = 10;
+
+// Interaction types that say nothing positive about an author
+const IGNORED_INTERACTIONS = [
+  "block",
+  "unblock",
+  "report",
+  "dislike",
+  "pass",
+  "unfollow",
+  "impression",
+  "dismiss",
+];
+
+const AUTHOR_FIELDS = "username profileImage isVerified name";
+
+/**
+ * Encode a feed position as an opaque cursor
+ * @param {Object} position - { m: mode, t: ranked snapshot time } or
+ *   { m: "chronological", c: createdAt ms, id: post id }
+ * @returns {string}
+ */
+export const encodeFeedCursor = (position) =>
+  Buffer.from(JSON.stringify(position)).toString("base64url");
+
+/**
+ * Decode a cursor from encodeFeedCursor
+ * @param {string} cursor
+ * @param {string} mode - Mode the cursor must belong to
+ * @returns {Object|null} The position, or null for a missing, malformed or
+ *   other-mode cursor
+ */
+export const decodeFeedCursor = (cursor, mode) => {
+  if (!cursor) return null;
+  try {
+    const position = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+    if (position?.m !== mode) return null;
+    if (mode === "ranked") {
+      return Number.isFinite(position.t) ? position : null;
+    }
+    return Number.isFinite(position.c) && mongoose.isValidObjectId(position.id)
+      ? position
+      : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * The content type a post is ranked as, from its media
+ * @param {Object} post
+ * @returns {"video"|"image"|"text"}
+ */
+export const contentTypeOf = (post) => {
+  const media = post.media || [];
+  if (post.type === "video" || media.some((m) => m.type === "video")) {
+    return "video";
+  }
+  if (post.type === "image" || media.some((m) => m.type === "image")) {
+    return "image";
+  }
+  return "text";
+};
+
+/**
+ * Score a feed candidate: recency decay, the viewer's affinity for the author,
+ * engagement per hour since posting and content type
+ * @param {Object} post - { createdAt, type, media, likeCount, commentCount, shareCount }
+ * @param {Object} options - { affinity: summed interaction weight, now }
+ * @returns {number}
+ */
+export const scoreFeedPost = (post, { affinity = 0, now = Date.now() } = {}) => {
+  const ageHours = Math.max(0, (now - new Date(post.createdAt)) / HOUR_MS);
+  const recency = Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS);
+  const engagement =
+    (post.likeCount || 0) +
+    2 * (post.commentCount || 0) +
+    3 * (post.shareCount || 0);
+  const velocity = Math.log1p(engagement / (ageHours + 2));
+
+  return (
+    SCORE_WEIGHTS.recency * recency +
+    SCORE_WEIGHTS.affinity * Math.log1p(Math.max(0, affinity)) +
+    SCORE_WEIGHTS.velocity * velocity +
+    SCORE_WEIGHTS.contentType * CONTENT_TYPE_BOOST[contentTypeOf(post)]
+  );
+};
+
+/**
+ * Order feed candidates by score. Posts the viewer saw in an earlier session
+ * go after every unseen post.
+ * @param {Object[]} candidates - Posts as scoreFeedPost expects, with _id and authorId
+ * @param {Object} options
+ * @param {Map<string, number>} options.affinities - Interaction weight by author id
+ * @param {Set<string>} options.seenBefore - Ids of posts seen earlier
+ * @param {number} options.now
+ * @returns {Object[]}
+ */
+export const rankFeedPosts = (
+  candidates,
+  { affinities = new Map(), seenBefore = new Set(), now = Date.now() } = {}
+) =>
+  candidates
+    .map((post) => ({
+      post,
+      seen: seenBefore.has(post._id.toString()),
+      score: scoreFeedPost(post, {
+        affinity: affinities.get(post.authorId?.toString()) || 0,
+        now,
+      }),
+    }))
+    .sort(
+      (a, b) =>
+        a.seen - b.seen ||
+        b.score - a.score ||
+        new Date(b.post.createdAt) - new Date(a.post.createdAt)
+    )
+    .map(({ post }) => post);
+
+/**
+ * Post filter for what a viewer may see from the accounts they follow: all
+ * their own posts, public posts, "friends" posts from authors who follow them
+ * back and posts shared with lists they're on
+ * @param {Object} viewerId
+ * @param {Array} friendIds - Followed authors who follow the viewer back
+ * @param {Array} audienceListIds - Lists the viewer belongs to
+ * @returns {Object} Post filter
+ */
+export const feedVisibilityFilter = (
+  viewerId,
+  friendIds = [],
+  audienceListIds = []
+) => ({
+  $or: [
+    { authorId: viewerId },
+    {
+      authorId: { $in: friendIds },
+      ...postVisibilityFilter({ isFriend: true }, audienceListIds),
+    },
+    postVisibilityFilter({ isFriend: false }, audienceListIds),
+  ],
+});
+
+/**
+ * Query for the posts that may appear in a user's home feed: entries from
+ * their precomputed timeline and posts by followed pull-model authors that
+ * they may see, PSAs, and public posts under followed hashtags. Muted and
+ * blocked accounts are left out; posts by other authors whose profile the
+ * user can't see are dropped once loaded.
+ * @param {Object} user - Viewer (User document)
+ * @param {Object} sources
+ * @param {Array} sources.timelinePostIds - Ids read from the user's timeline
+ * @param {Array} sources.pulledAuthorIds - Followed authors to read directly
+ * @returns {Promise<Object>} Post filter
+ */
+export const buildFeedQuery = async (
+  user,
+  { timelinePostIds = [], pulledAuthorIds = [] } = {}
+) => {
+  const excludedAuthorIds = [
+    ...(user.mutedUsers || []),
+    ...(user.blockedUsers || []),
+  ];
+
+  const followedHashtags = user.followedHashtags || [];
+  const hashtagSources = [];
+  if (followedHashtags.length) {
+    hashtagSources.push({
+      tags: { $in: followedHashtags },
+      type: { $in: TIMELINE_POST_TYPES },
+      visibility: { $in: ["public", null] },
+    });
+  }
+
+  // Timeline entries can outlive the viewer's access (an author stops
+  // following them back), so followed authors' posts are checked again here
+  const timelineAuthorIds = timelinePostIds.length
+    ? await Post.distinct("authorId", { _id: { $in: timelinePostIds } })
+    : [];
+  const [friendIds, audienceListIds] = await Promise.all([
+    Follow.distinct("follower", {
+      following: user._id,
+      follower: { $in: [...timelineAuthorIds, ...pulledAuthorIds] },
+    }),
+    AudienceList.findMemberListIds(user._id),
+  ]);
+  const followedVisible = feedVisibilityFilter(
+    user._id,
+    friendIds,
+    audienceListIds
+  );
+
+  return {
+    $and: [
+      {
+        $or: [
+          { $and: [{ _id: { $in: timelinePostIds } }, followedVisible] },
+          {
+            $and: [
+              {
+                authorId: { $in: pulledAuthorIds },
+                type: { $in: TIMELINE_POST_TYPES },
+              },
+              followedVisible,
+            ],
+          },
+          { isPSA: true, type: "text" },
+          ...hashtagSources,
+        ],
+      },
+      { authorId: { $nin: excludedAuthorIds } },
+      // Hide audience-list posts unless the viewer is on the list
+      await AudienceList.visibleToFilter(user._id),
+    ],
+  };
+};
+
+/**
+ * Summed interaction weight from a viewer to each author
+ * @param {Object} viewerId
+ * @param {Array} authorIds
+ * @returns {Promise<Map<string, number>>}
+ */
+export const loadAuthorAffinities = async (viewerId, authorIds) => {
+  const rows = await UserInteraction.aggregate([
+    {
+      $match: {
+        user1: viewerId,
+        user2: { $in: authorIds },
+        isActive: true,
+        interactionType: { $nin: IGNORED_INTERACTIONS },
+      },
+    },
+    { $group: { _id: "$user2", weight: { $sum: "$weight" } } },
+  ]);
+  const affinities = new Map(rows.map((r) => [r._id.toString(), r.weight]));
+  affinities.set(viewerId.toString(), SELF_AFFINITY);
+  return affinities;
+};
+
+// Remember which posts were served so later pages and sessions skip them.
+// Failures are logged and never thrown.
+const recordFeedImpressions = async (userId, postIds) => {
+  if (!postIds.length) return;
+  try {
+    const seenAt = new Date();
+    await FeedImpression.bulkWrite(
+      postIds.map((post) => ({
+        updateOne: {
+          filter: { user: userId, post },
+          update: { $set: { seenAt } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    console.error("Failed to record feed impressions:", error.message);
+  }
+};
+
+// Drop posts by authors the viewer may not see (restricted profiles they
+// don't follow, deactivated accounts); timelines keep their entries so the
+// posts come back if access does
+const withoutHiddenAuthors = (user, posts) =>
+  filterByAuthorAccess(user, posts, (p) => p.authorId);
+
+// Load full posts for a page, keeping the page order
+const loadPosts = async (ids) => {
+  const posts = await Post.find({ _id: { $in: ids } }).populate(
+    "authorId",
+    AUTHOR_FIELDS
+  );
+  const byId = new Map(posts.map((p) => [p._id.toString(), p]));
+  return ids.map((id) => byId.get(id.toString())).filter(Boolean);
+};
+
+const rankedPage = async (user, position, limit) => {
+  const now = Date.now();
+  // Posts published after the first page wait for a fresh feed instead of
+  // reshuffling the pages in between
+  const asOf = new Date(position?.t ?? now);
+  const windowStart = new Date(now - FEED_WINDOW_DAYS * DAY_MS);
+
+  const [timelinePostIds, pulledAuthorIds] = await Promise.all([
+    readTimeline(user._id, {
+      since: windowStart,
+      until: asOf,
+      limit: CANDIDATE_POOL,
+    }),
+    findPulledAuthorIds(user._id),
+  ]);
+  const query = await buildFeedQuery(user, { timelinePostIds, pulledAuthorIds });
+
+  const [candidates, impressions] = await Promise.all([
+    Post.aggregate([
+      {
+        $match: {
+          ...publishedFilter(),
+          $and: [query, { createdAt: { $gte: windowStart, $lte: asOf } }],
+        },
+      },
+      { $sort: { createdAt: -1 } },
+      { $limit: CANDIDATE_POOL },
+      {
+        $project: {
+          authorId: 1,
+          type: 1,
+          media: 1,
+          createdAt: 1,
+          likeCount: { $size: { $ifNull: ["$likes", []] } },
+          commentCount: { $ifNull: ["$engagement.comments", 0] },
+          shareCount: { $size: { $ifNull: ["$shares", []] } },
+        },
+      },
+    ]),
+    FeedImpression.find({ user: user._id, seenAt: { $gte: windowStart } })
+      .select("post seenAt")
+      .lean(),
+  ]);
+
+  // Posts already served since this feed started are skipped; posts seen in
+  // an earlier session are ranked after unseen ones
+  const servedNow = new Set();
+  const seenBefore = new Set();
+  for (const impression of impressions) {
+    (impression.seenAt >= asOf ? servedNow : seenBefore).add(
+      impression.post.toString()
+    );
+  }
+
+  const fresh = await withoutHiddenAuthors(
+    user,
+    candidates.filter((p) => !servedNow.has(p._id.toString()))
+  );
+  const authorIds = [
+    ...new Set(fresh.map((p) => p.authorId?.toString()).filter(Boolean)),
+  ].map((id) => new mongoose.Types.ObjectId(id));
+  const affinities = await loadAuthorAffinities(user._id, authorIds);
+
+  const ranked = rankFeedPosts(fresh, { affinities, seenBefore, now });
+  const hasMore = ranked.length > limit;
+  const pageIds = ranked.slice(0, limit).map((p) => p._id);
+  await recordFeedImpressions(user._id, pageIds);
+
+  return {
+    posts: await loadPosts(pageIds),
+    nextCursor: hasMore
+      ? encodeFeedCursor({ m: "ranked", t: asOf.getTime() })
+      : null,
+    hasMore,
+  };
+};
+
+const chronologicalPage = async (user, position, limit) => {
+  const [timelinePostIds, pulledAuthorIds] = await Promise.all([
+    // The newest limit + 1 timeline entries past the cursor are enough: no
+    // other timeline post can make this page
+    readTimeline(user._id, {
+      after: position && { createdAt: new Date(position.c), id: position.id },
+      limit: limit + 1,
+    }),
+    findPulledAuthorIds(user._id),
+  ]);
+  const query = await buildFeedQuery(user, { timelinePostIds, pulledAuthorIds });
+
+  const after = position
+    ? {
+        $or: [
+          { createdAt: { $lt: new Date(position.c) } },
+          {
+            createdAt: new Date(position.c),
+            _id: { $lt: new mongoose.Types.ObjectId(position.id) },
+          },
+        ],
+      }
+    : {};
+
+  const rows = await Post.find({ $and: [query, after] })
+    .populate("authorId", AUTHOR_FIELDS)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1);
+
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  const last = page[page.length - 1];
+  return {
+    posts: await withoutHiddenAuthors(user, page),
+    nextCursor: hasMore
+      ? encodeFeedCursor({
+          m: "chronological",
+          c: last.createdAt.getTime(),
+          id: last._id.toString(),
+        })
+      : null,
+    hasMore,
+  };
+};
+
+/**
+ * One page of a user's home feed. Ranked mode orders posts by score and skips
+ * posts already served; chronological mode is newest first. Cursors from the
+ * other mode, or that don't parse, start from the top.
+ * @param {Object} user - Viewer (User document)
+ * @param {Object} options - { mode, cursor, limit }
+ * @returns {Promise<{ posts: Object[], nextCursor: string|null, hasMore: boolean, mode: string }>}
+ */
+export const getHomeFeed = async (user, { mode = "ranked", cursor, limit } = {}) => {
+  const feedMode = FEED_MODES.includes(mode) ? mode : "ranked";
+  const size = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit) || DEFAULT_LIMIT));
+  const position = decodeFeedCursor(cursor, feedMode);
+
+  const page =
+    feedMode === "ranked"
+      ? await rankedPage(user, position, size)
+      : await chronologicalPage(user, position, size);
+  return { ...page, mode: feedMode };
+};
+
+export default {
+  FEED_MODES,
+  SCORE_WEIGHTS,
+  CONTENT_TYPE_BOOST,
+  RECENCY_HALF_LIFE_HOURS,
+  encodeFeedCursor,
+  decodeFeedCursor,
+  contentTypeOf,
+  scoreFeedPost,
+  rankFeedPosts,
+  feedVisibilityFilter,
+  buildFeedQuery,
+  loadAuthorAffinities,
+  getHomeFeed,
+};
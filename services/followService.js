@@ -0,0 +1,210 @@
+import mongoose from "mongoose";
+import Follow from "../models/Follow.js";
+import User from "../models/User.js";
+
+// Fields returned for each user in follower/following listings
+export const FOLLOW_USER_FIELDS =
+  "username name fullName avatar profileImage isVerified bio";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// How many names "Followed by ..." spells out before "and N others"
+const FOLLOWED_BY_PREVIEW = 2;
+
+const parseLimit = (limit) =>
+  Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || DEFAULT_PAGE_SIZE));
+
+// Follow edges are paged by _id (newest first); the cursor is the last edge id
+const cursorClause = (cursor) =>
+  cursor && mongoose.isValidObjectId(cursor)
+    ? { _id: { $lt: new mongoose.Types.ObjectId(cursor) } }
+    : {};
+
+const pageOf = async (query, userField, limit) => {
+  const edges = await Follow.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .populate(userField, FOLLOW_USER_FIELDS)
+    .lean();
+
+  const hasMore = edges.length > limit;
+  const page = hasMore ? edges.slice(0, limit) : edges;
+  return {
+    // Edges whose user has since been deleted populate to null
+    users: page
+      .filter((edge) => edge[userField])
+      .map((edge) => ({ ...edge[userField], followedAt: edge.createdAt })),
+    nextCursor: hasMore ? page[page.length - 1]._id.toString() : null,
+    hasMore,
+  };
+};
+
+/**
+ * Page through a user's followers, newest first
+ * @param {string|Object} userId - User whose followers to list
+ * @param {Object} options - { cursor, limit }
+ * @returns {Promise<{ users: Object[], nextCursor: string|null, hasMore: boolean }>}
+ */
+export const listFollowers = (userId, { cursor, limit } = {}) =>
+  pageOf(
+    { following: userId, ...cursorClause(cursor) },
+    "follower",
+    parseLimit(limit)
+  );
+
+/**
+ * Page through the accounts a user follows, newest first
+ * @param {string|Object} userId - User whose follows to list
+ * @param {Object} options - { cursor, limit }
+ * @returns {Promise<{ users: Object[], nextCursor: string|null, hasMore: boolean }>}
+ */
+export const listFollowing = (userId, { cursor, limit } = {}) =>
+  pageOf(
+    { follower: userId, ...cursorClause(cursor) },
+    "following",
+    parseLimit(limit)
+  );
+
+/**
+ * Page through a user's followers that the viewer also follows
+ * @param {string|Object} userId - Profile owner
+ * @param {string|Object} viewerId - Viewer
+ * @param {Object} options - { cursor, limit }
+ * @returns {Promise<{ users: Object[], nextCursor: string|null, hasMore: boolean }>}
+ */
+export const listMutualFollowers = async (userId, viewerId, { cursor, limit } = {}) => {
+  const viewerFollowingIds = await Follow.findFollowingIds(viewerId);
+  return pageOf(
+    {
+      following: userId,
+      follower: { $in: viewerFollowingIds },
+      ...cursorClause(cursor),
+    },
+    "follower",
+    parseLimit(limit)
+  );
+};
+
+/**
+ * Mark which of the given users the viewer follows
+ * @param {string|Object} viewerId - Viewer
+ * @param {Array} userIds - Users to check
+ * @returns {Promise<Set<string>>} Ids the viewer follows
+ */
+export const findFollowedAmong = async (viewerId, userIds) => {
+  if (!viewerId || !userIds.length) return new Set();
+  const ids = await Follow.distinct("following", {
+    follower: viewerId,
+    following: { $in: userIds },
+  });
+  return new Set(ids.map(String));
+};
+
+/**
+ * Mark which of the given users follow a user back
+ * @param {string|Object} userId - User being followed
+ * @param {Array} userIds - Users to check
+ * @returns {Promise<Set<string>>} Ids that follow userId
+ */
+export const findFollowersAmong = async (userId, userIds) => {
+  if (!userId || !userIds.length) return new Set();
+  const ids = await Follow.distinct("follower", {
+    following: userId,
+    follower: { $in: userIds },
+  });
+  return new Set(ids.map(String));
+};
+
+/**
+ * Render the "Followed by alice, bob and 3 others" line
+ * @param {string[]} names - Usernames to spell out
+ * @param {number} total - Total number of mutual followers
+ * @returns {string|null}
+ */
+export const formatFollowedBy = (names, total) => {
+  if (!names.length || !total) return null;
+
+  const others = total - names.length;
+  if (others > 0) {
+    const label = others === 1 ? "other" : "others";
+    return `Followed by ${names.join(", ")} and ${others} ${label}`;
+  }
+  if (names.length === 1) return `Followed by ${names[0]}`;
+  return `Followed by ${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+};
+
+/**
+ * Build the "followed by" context a viewer sees on a profile: a few of the
+ * viewer's follows that also follow the owner, plus the total
+ * @param {string|Object} userId - Profile owner
+ * @param {string|Object} viewerId - Viewer
+ * @returns {Promise<{ users: Object[], count: number, text: string|null }>}
+ */
+export const getFollowedBy = async (userId, viewerId) => {
+  if (!viewerId || userId.toString() === viewerId.toString()) {
+    return { users: [], count: 0, text: null };
+  }
+
+  const viewerFollowingIds = await Follow.findFollowingIds(viewerId);
+  if (!viewerFollowingIds.length) {
+    return { users: [], count: 0, text: null };
+  }
+
+  const query = { following: userId, follower: { $in: viewerFollowingIds } };
+  const [count, preview] = await Promise.all([
+    Follow.countDocuments(query),
+    Follow.find(query)
+      .sort({ _id: -1 })
+      .limit(FOLLOWED_BY_PREVIEW)
+      .populate("follower", "username name avatar profileImage isVerified")
+      .lean(),
+  ]);
+
+  const users = preview.map((edge) => edge.follower).filter(Boolean);
+  return {
+    users,
+    count,
+    text: formatFollowedBy(
+      users.map((u) => u.username),
+      count
+    ),
+  };
+};
+
+/**
+ * Remove every follow edge touching a user and fix the other side's counters
+ * (used when an account is deleted)
+ * @param {string|Object} userId - User being removed
+ * @returns {Promise<void>}
+ */
+export const removeAllFollows = async (userId) => {
+  const [followerIds, followingIds] = await Promise.all([
+    Follow.findFollowerIds(userId),
+    Follow.findFollowingIds(userId),
+  ]);
+
+  await Promise.all([
+    User.updateMany(
+      { _id: { $in: followerIds }, followingCount: { $gt: 0 } },
+      { $inc: { followingCount: -1 } }
+    ),
+    User.updateMany(
+      { _id: { $in: followingIds }, followerCount: { $gt: 0 } },
+      { $inc: { followerCount: -1 } }
+    ),
+  ]);
+  await Follow.deleteMany({ $or: [{ follower: userId }, { following: userId }] });
+};
+
+export default {
+  FOLLOW_USER_FIELDS,
+  listFollowers,
+  listFollowing,
+  listMutualFollowers,
+  findFollowedAmong,
+  findFollowersAmong,
+  formatFollowedBy,
+  getFollowedBy,
+  removeAllFollows,
+};
@@ -0,0 +1,375 @@
+import mongoose from "mongoose";
+import Hashtag from "../models/Hashtag.js";
+import HashtagUsage from "../models/HashtagUsage.js";
+import Post from "../models/Post.js";
+import Reel from "../models/Reel.js";
+import User from "../models/User.js";
+import { filterByAuthorAccess } from "./visibilityPolicy.js";
+
+export const MAX_HASHTAG_LENGTH = 30;
+
+// Tags kept per post or reel
+const MAX_TAGS_PER_ITEM = 30;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Trending windows, in hours
+export const TRENDING_WINDOWS = {
+  "1h": 1,
+  "24h": 24,
+  "7d": 7 * 24,
+  "30d": 30 * 24,
+};
+
+const AUTHOR_FIELDS = "username name avatar profileImage isVerified";
+
+// A "#" starts a hashtag unless it follows a word character, "&" (HTML
+// entities) or "/" (URL fragments)
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&/#])#([\p{L}\p{N}_]+)/gu;
+
+const COUNT_FIELDS = { post: "postCount", reel: "reelCount" };
+const USAGE_FIELDS = { post: "posts", reel: "reels" };
+
+/**
+ * Normalize a tag to its stored form: lower-case, without the leading "#"
+ * @param {string} tag
+ * @returns {string|null} The normalized tag, or null if it isn't a valid hashtag
+ */
+export const normalizeHashtag = (tag) => {
+  const name = String(tag || "")
+    .trim()
+    .replace(/^#+/, "")
+    .normalize("NFC")
+    .toLowerCase();
+  if (!name || name.length > MAX_HASHTAG_LENGTH) return null;
+  // Letters, digits and underscores, and not only digits
+  if (!/^[\p{L}\p{N}_]+$/u.test(name) || /^\p{N}+$/u.test(name)) return null;
+  return name;
+};
+
+/**
+ * Find the hashtags in a caption
+ * @param {string} text
+ * @returns {string[]} Normalized, without duplicates, in order of appearance
+ */
+export const extractHashtags = (text) => {
+  const tags = [];
+  for (const match of String(text || "").matchAll(HASHTAG_PATTERN)) {
+    const name = normalizeHashtag(match[2]);
+    if (name && !tags.includes(name)) tags.push(name);
+  }
+  return tags;
+};
+
+/**
+ * Combine explicitly supplied tags with the hashtags in a caption
+ * @param {string[]|string} tags - Tags from the request (array or comma-separated)
+ * @param {string} text - Caption or post content
+ * @returns {string[]}
+ */
+export const collectHashtags = (tags, text) => {
+  const explicit = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  const names = [...explicit.map(normalizeHashtag), ...extractHashtags(text)];
+  return [...new Set(names.filter(Boolean))].slice(0, MAX_TAGS_PER_ITEM);
+};
+
+/**
+ * Whether a post's tags count towards hashtag pages and trending. Stories and
+ * posts not visible to everyone don't.
+ * @param {Object} post
+ * @returns {boolean}
+ */
+export const countsTowardHashtags = (post) =>
+  post.type !== "story" &&
+  (post.visibility || "public") === "public" &&
+  !post.audienceList;
+
+const startOfHour = (date) =>
+  new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+
+/**
+ * Count a new post or reel towards its hashtags. Failures are logged and
+ * never thrown.
+ * @param {string[]} tags - Normalized tags
+ * @param {string} kind - "post" or "reel"
+ * @returns {Promise<void>}
+ */
+export const recordHashtagUsage = async (tags, kind) => {
+  if (!tags?.length) return;
+  try {
+    const now = new Date();
+    const hour = startOfHour(now);
+    await Promise.all([
+      Hashtag.bulkWrite(
+        tags.map((name) => ({
+          updateOne: {
+            filter: { name },
+            update: {
+              $inc: { [COUNT_FIELDS[kind]]: 1 },
+              $set: { lastUsedAt: now },
+            },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      ),
+      HashtagUsage.bulkWrite(
+        tags.map((name) => ({
+          updateOne: {
+            filter: { name, hour },
+            update: { $inc: { [USAGE_FIELDS[kind]]: 1 } },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      ),
+    ]);
+  } catch (error) {
+    console.error("Failed to record hashtag usage:", error.message);
+  }
+};
+
+/**
+ * Stop counting a deleted post or reel. Hourly usage is left as it was.
+ * Failures are logged and never thrown.
+ * @param {string[]} tags - Normalized tags
+ * @param {string} kind - "post" or "reel"
+ * @returns {Promise<void>}
+ */
+export const releaseHashtagUsage = async (tags, kind) => {
+  if (!tags?.length) return;
+  const field = COUNT_FIELDS[kind];
+  try {
+    await Hashtag.updateMany(
+      { name: { $in: tags }, [field]: { $gt: 0 } },
+      { $inc: { [field]: -1 } }
+    );
+  } catch (error) {
+    console.error("Failed to release hashtag usage:", error.message);
+  }
+};
+
+/**
+ * Most used hashtags over a recent window
+ * @param {Object} options - { window (a TRENDING_WINDOWS key, default "24h"), limit }
+ * @returns {Promise<Array<{ name: string, uses: number, posts: number, reels: number, postCount: number, reelCount: number, followerCount: number }>>}
+ */
+export const getTrendingHashtags = async ({ window = "24h", limit } = {}) => {
+  const hours = TRENDING_WINDOWS[window] || TRENDING_WINDOWS["24h"];
+  const size = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || 10));
+  const since = new Date(Date.now() - hours * HOUR_MS);
+
+  return HashtagUsage.aggregate([
+    { $match: { hour: { $gte: startOfHour(since) } } },
+    {
+      $group: {
+        _id: "$name",
+        posts: { $sum: "$posts" },
+        reels: { $sum: "$reels" },
+      },
+    },
+    { $addFields: { uses: { $add: ["$posts", "$reels"] } } },
+    { $match: { uses: { $gt: 0 } } },
+    { $sort: { uses: -1, _id: 1 } },
+    { $limit: size },
+    {
+      $lookup: {
+        from: Hashtag.collection.name,
+        localField: "_id",
+        foreignField: "name",
+        as: "hashtag",
+      },
+    },
+    { $unwind: "$hashtag" },
+    {
+      $project: {
+        _id: 0,
+        name: "$_id",
+        uses: 1,
+        posts: 1,
+        reels: 1,
+        postCount: "$hashtag.postCount",
+        reelCount: "$hashtag.reelCount",
+        followerCount: "$hashtag.followerCount",
+      },
+    },
+  ]);
+};
+
+// Posts and reels are merged newest first; the cursor is "<createdAt ms>_<id>"
+const parseCursor = (cursor) => {
+  const [time, id] = String(cursor || "").split("_");
+  const createdAt = new Date(Number(time));
+  if (!id || !mongoose.isValidObjectId(id) || isNaN(createdAt)) return null;
+  return { createdAt, id: new mongoose.Types.ObjectId(id) };
+};
+
+const cursorClause = (cursor) =>
+  cursor
+    ? {
+        $or: [
+          { createdAt: { $lt: cursor.createdAt } },
+          { createdAt: cursor.createdAt, _id: { $lt: cursor.id } },
+        ],
+      }
+    : {};
+
+const newestFirst = (a, b) =>
+  b.createdAt - a.createdAt || b._id.toString().localeCompare(a._id.toString());
+
+const authorCard = (u) =>
+  u && {
+    _id: u._id,
+    username: u.username,
+    name: u.name,
+    avatar: u.avatar || u.profileImage,
+    isVerified: u.isVerified || false,
+  };
+
+const formatPost = (p) => ({
+  type: "post",
+  _id: p._id,
+  content: p.content,
+  tags: p.tags || [],
+  media: p.media || [],
+  likes: (p.likes || []).length,
+  comments: p.engagement?.comments || 0,
+  author: authorCard(p.authorId),
+  createdAt: p.createdAt,
+});
+
+const formatReel = (r) => ({
+  type: "reel",
+  _id: r._id,
+  caption: r.caption,
+  tags: r.tags || [],
+  thumbnail: r.thumbnail,
+  videoUrl: r.videoUrl,
+  duration: r.duration || 0,
+  views: r.views || 0,
+  likes: (r.likes || []).length,
+  author: authorCard(r.author),
+  createdAt: r.createdAt,
+});
+
+/**
+ * Page through the public posts and reels carrying a hashtag, newest first.
+ * Items by authors the viewer may not see are dropped, so a page can come
+ * back short; the cursor still moves past them.
+ * @param {string} name - Normalized tag
+ * @param {Object} options - { viewer, excludedAuthorIds, type ("posts", "reels" or both), cursor, limit }
+ * @returns {Promise<{ items: Object[], nextCursor: string|null, hasMore: boolean }>}
+ */
+export const listTaggedContent = async (
+  name,
+  { viewer = null, excludedAuthorIds = [], type, cursor, limit } = {}
+) => {
+  const size = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, parseInt(limit) || DEFAULT_PAGE_SIZE)
+  );
+  const after = cursorClause(parseCursor(cursor));
+  const sort = { createdAt: -1, _id: -1 };
+
+  const [posts, reels] = await Promise.all([
+    type === "reels"
+      ? []
+      : Post.find({
+          tags: name,
+          type: { $ne: "story" },
+          visibility: { $in: ["public", null] },
+          audienceList: null,
+          isDeleted: { $ne: true },
+          authorId: { $nin: excludedAuthorIds },
+          ...after,
+        })
+          .sort(sort)
+          .limit(size + 1)
+          .populate("authorId", AUTHOR_FIELDS)
+          .lean(),
+    type === "posts"
+      ? []
+      : Reel.find({
+          tags: name,
+          isActive: true,
+          author: { $nin: excludedAuthorIds },
+          ...after,
+        })
+          .sort(sort)
+          .limit(size + 1)
+          .populate("author", AUTHOR_FIELDS)
+          .lean(),
+  ]);
+
+  const merged = [...posts.map(formatPost), ...reels.map(formatReel)].sort(
+    newestFirst
+  );
+  const hasMore = merged.length > size;
+  const scanned = merged.slice(0, size);
+  const last = scanned[scanned.length - 1];
+
+  return {
+    items: await filterByAuthorAccess(viewer, scanned, (item) => item.author),
+    nextCursor: hasMore ? `${last.createdAt.getTime()}_${last._id}` : null,
+    hasMore,
+  };
+};
+
+/**
+ * Follow a hashtag so its public posts show up in the user's feed
+ * @param {string|Object} userId
+ * @param {string} name - Normalized tag
+ * @returns {Promise<boolean>} False if the user already followed it
+ */
+export const followHashtag = async (userId, name) => {
+  const result = await User.updateOne(
+    { _id: userId },
+    { $addToSet: { followedHashtags: name } }
+  );
+  if (!result.modifiedCount) return false;
+
+  await Hashtag.updateOne(
+    { name },
+    { $inc: { followerCount: 1 } },
+    { upsert: true }
+  );
+  return true;
+};
+
+/**
+ * Stop following a hashtag
+ * @param {string|Object} userId
+ * @param {string} name - Normalized tag
+ * @returns {Promise<boolean>} False if the user didn't follow it
+ */
+export const unfollowHashtag = async (userId, name) => {
+  const result = await User.updateOne(
+    { _id: userId },
+    { $pull: { followedHashtags: name } }
+  );
+  if (!result.modifiedCount) return false;
+
+  await Hashtag.updateOne(
+    { name, followerCount: { $gt: 0 } },
+    { $inc: { followerCount: -1 } }
+  );
+  return true;
+};
+
+export default {
+  MAX_HASHTAG_LENGTH,
+  TRENDING_WINDOWS,
+  normalizeHashtag,
+  extractHashtags,
+  collectHashtags,
+  countsTowardHashtags,
+  recordHashtagUsage,
+  releaseHashtagUsage,
+  getTrendingHashtags,
+  listTaggedContent,
+  followHashtag,
+  unfollowHashtag,
+};
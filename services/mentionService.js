@@ -0,0 +1,325 @@
+import mongoose from "mongoose";
+import Mention from "../models/Mention.js";
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import AudienceList from "../models/AudienceList.js";
+import Follow from "../models/Follow.js";
+import {
+  OWNER_FIELDS,
+  canViewContent,
+  canViewPost,
+  canViewStream,
+  loadFollows,
+} from "./visibilityPolicy.js";
+
+// Mentions resolved per piece of text; the rest stay plain text
+export const MAX_MENTIONS = 10;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const EXCERPT_LENGTH = 200;
+
+const AUTHOR_FIELDS = "username name avatar profileImage isVerified";
+
+// An "@" starts a mention unless it follows a word character, "." or "/"
+// (emails, URLs); usernames are letters, digits, "_" and "-"
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_.\-@/])@([a-z0-9_-]{1,50})/giu;
+
+// Where each kind of mention appeared, for notifications
+const SOURCE_LABELS = {
+  post: "a post",
+  comment: "a comment",
+  reel: "a reel",
+  reel_comment: "a comment",
+  stream_chat: "a live chat",
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+const includesId = (list, id) =>
+  !!id && (list || []).some((item) => idOf(item) === id);
+
+/**
+ * Find the @usernames in a piece of text
+ * @param {string} text
+ * @returns {string[]} Lower-cased usernames, without duplicates, at most MAX_MENTIONS
+ */
+export const extractMentions = (text) => {
+  const usernames = [];
+  for (const match of String(text || "").matchAll(MENTION_PATTERN)) {
+    const username = match[2].toLowerCase();
+    if (!usernames.includes(username)) usernames.push(username);
+    if (usernames.length >= MAX_MENTIONS) break;
+  }
+  return usernames;
+};
+
+/**
+ * Whether an author may mention a user: never themselves, never across a
+ * block, and only as allowed by the target's privacy.allowMentionsFrom
+ * ("everyone", "following" = accounts the target follows, or "none")
+ * @param {Object} author - Author (blockedUsers)
+ * @param {Object} target - Mentioned user (privacy, blockedUsers)
+ * @param {Object} options - { targetFollowsAuthor }
+ * @returns {boolean}
+ */
+export const canMention = (author, target, { targetFollowsAuthor = false } = {}) => {
+  const authorId = idOf(author);
+  const targetId = idOf(target);
+  if (authorId === targetId) return false;
+  if (
+    includesId(target.blockedUsers, authorId) ||
+    includesId(author.blockedUsers, targetId)
+  ) {
+    return false;
+  }
+
+  switch (target.privacy?.allowMentionsFrom) {
+    case "none":
+      return false;
+    case "following":
+      return targetFollowsAuthor;
+    default:
+      return true;
+  }
+};
+
+// The owner of the mentioned content and how to check a user can see it
+const CONTENT_CHECKS = {
+  post: {
+    ownerId: (source) => source.post.authorId,
+    canView: async (source, owner, target) => {
+      const { post } = source;
+      const isAudienceMember = post.audienceList
+        ? !!(await AudienceList.exists({ _id: post.audienceList, members: target._id }))
+        : false;
+      const follows = await loadFollows(owner._id, target._id);
+      return canViewPost(post, owner, target, follows, { isAudienceMember });
+    },
+  },
+  reel: {
+    ownerId: (source) => source.reel.author,
+    canView: async (source, owner, target) =>
+      canViewContent(owner, target, await loadFollows(owner._id, target._id)),
+  },
+  stream: {
+    ownerId: (source) => source.stream.streamerId,
+    canView: async (source, owner, target) =>
+      canViewStream(
+        source.stream,
+        owner,
+        target,
+        await loadFollows(owner._id, target._id)
+      ),
+  },
+};
+
+const contentKind = (type) => {
+  if (type === "post" || type === "comment") return "post";
+  if (type === "reel" || type === "reel_comment") return "reel";
+  return "stream";
+};
+
+/**
+ * Resolve the @mentions in a piece of text, record them and notify everyone
+ * the author may mention and who can see the content. Failures are logged
+ * and never thrown.
+ * @param {string} text
+ * @param {Object} options
+ * @param {Object} options.author - Writer ({ _id, username, name })
+ * @param {Object} options.source - { type, post | reel | stream, commentId };
+ *   type is one of post, comment, reel, reel_comment, stream_chat
+ * @param {Array} options.excludeUserIds - Users already mentioned (e.g. before
+ *   an edit) who shouldn't be recorded or notified again
+ * @returns {Promise<Array>} Ids of the users mentioned
+ */
+export const recordMentions = async (
+  text,
+  { author, source, excludeUserIds = [] }
+) => {
+  const excluded = new Set(excludeUserIds.map((id) => idOf(id)));
+  const usernames = extractMentions(text);
+  if (!usernames.length) return [];
+
+  try {
+    const check = CONTENT_CHECKS[contentKind(source.type)];
+    const [writer, owner, candidates] = await Promise.all([
+      User.findById(author._id).select("username name blockedUsers").lean(),
+      User.findById(idOf(check.ownerId(source))).select(OWNER_FIELDS).lean(),
+      User.find({
+        username: { $in: usernames },
+        status: { $ne: "suspended" },
+        isActive: { $ne: false },
+        deactivatedAt: null,
+      })
+        .select(OWNER_FIELDS)
+        .lean(),
+    ]);
+    if (!writer || !owner) return [];
+
+    const mentioned = [];
+    for (const target of candidates) {
+      if (excluded.has(idOf(target))) continue;
+      const targetFollowsAuthor =
+        target.privacy?.allowMentionsFrom === "following" &&
+        (await Follow.isFollowing(target._id, writer._id));
+      if (!canMention(writer, target, { targetFollowsAuthor })) continue;
+      if (!(await check.canView(source, owner, target))) continue;
+      mentioned.push(target);
+    }
+    if (!mentioned.length) return [];
+
+    const refs = {
+      post: source.post?._id,
+      reel: source.reel?._id,
+      stream: source.stream?._id,
+      commentId: source.commentId,
+    };
+    const excerpt = String(text).trim().slice(0, EXCERPT_LENGTH);
+    await Mention.insertMany(
+      mentioned.map((target) => ({
+        mentionedUser: target._id,
+        mentionedBy: writer._id,
+        sourceType: source.type,
+        ...refs,
+        excerpt,
+      }))
+    );
+
+    const name = writer.username || writer.name || "Someone";
+    await Promise.all(
+      mentioned.map((target) =>
+        Notification.createNotification({
+          type: "mention",
+          sender: writer._id,
+          recipient: target._id,
+          title: "New Mention",
+          message: `${name} mentioned you in ${SOURCE_LABELS[source.type]}: "${excerpt.slice(0, 80)}"`,
+          data: {
+            postId: refs.post?.toString(),
+            reelId: refs.reel?.toString(),
+            streamId: refs.stream?.toString(),
+            commentId: refs.commentId?.toString(),
+          },
+          category: "social",
+          priority: "medium",
+        })
+      )
+    );
+
+    return mentioned.map((target) => target._id);
+  } catch (error) {
+    console.error("Failed to record mentions:", error.message);
+    return [];
+  }
+};
+
+// Re-resolve the mentions in edited text. Users still mentioned keep their
+// mention without a new notification, users no longer mentioned lose it, and
+// new mentions are recorded and notified.
+const updateMentions = async (text, previousIds, { author, source, mentionFilter }) => {
+  const previous = await User.find({ _id: { $in: previousIds || [] } })
+    .select("username")
+    .lean();
+  const usernames = extractMentions(text);
+  const stillMentioned = (user) =>
+    usernames.includes(String(user.username).toLowerCase());
+  const kept = previous.filter(stillMentioned).map((user) => user._id);
+  const removed = previous
+    .filter((user) => !stillMentioned(user))
+    .map((user) => user._id);
+
+  if (removed.length) {
+    await Mention.deleteMany({
+      ...mentionFilter,
+      mentionedUser: { $in: removed },
+    });
+  }
+  const added = await recordMentions(text, {
+    author,
+    source,
+    excludeUserIds: kept,
+  });
+  return [...kept, ...added];
+};
+
+/**
+ * Re-resolve a post's mentions after its content changed
+ * @param {Object} post - Post with its updated content and previous mentions
+ * @param {Object} author - Writer ({ _id, username, name })
+ * @returns {Promise<Array>} Ids of every user the post now mentions
+ */
+export const updatePostMentions = (post, author) =>
+  updateMentions(post.content, post.mentions, {
+    author,
+    source: { type: "post", post },
+    mentionFilter: { post: post._id, sourceType: "post" },
+  });
+
+/**
+ * Re-resolve a comment's mentions after it was edited
+ * @param {Object} comment - Comment with its updated content and previous mentions
+ * @param {Object} options - { author, source } as for recordMentions
+ * @returns {Promise<Array>} Ids of every user the comment now mentions
+ */
+export const updateCommentMentions = (comment, { author, source }) =>
+  updateMentions(comment.content, comment.mentions, {
+    author,
+    source,
+    mentionFilter: { commentId: comment._id },
+  });
+
+/**
+ * Page through the places a user was mentioned, newest first. Mentions by
+ * users blocked in either direction are left out.
+ * @param {string|Object} userId - Mentioned user
+ * @param {Object} options - { cursor, limit }
+ * @returns {Promise<{ mentions: Object[], nextCursor: string|null, hasMore: boolean }>}
+ */
+export const listMentions = async (userId, { cursor, limit } = {}) => {
+  const size = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, parseInt(limit) || DEFAULT_PAGE_SIZE)
+  );
+
+  const [user, blockedBy] = await Promise.all([
+    User.findById(userId).select("blockedUsers").lean(),
+    User.distinct("_id", { blockedUsers: userId }),
+  ]);
+  const hiddenIds = [...(user?.blockedUsers || []), ...blockedBy];
+
+  const query = { mentionedUser: userId, mentionedBy: { $nin: hiddenIds } };
+  if (cursor && mongoose.isValidObjectId(cursor)) {
+    query._id = { $lt: new mongoose.Types.ObjectId(cursor) };
+  }
+
+  const rows = await Mention.find(query)
+    .sort({ _id: -1 })
+    .limit(size + 1)
+    .populate("mentionedBy", AUTHOR_FIELDS)
+    .populate("post", "content type media")
+    .populate("reel", "caption thumbnail")
+    .populate("stream", "title status thumbnail")
+    .lean();
+
+  const hasMore = rows.length > size;
+  const page = hasMore ? rows.slice(0, size) : rows;
+  return {
+    // Skip mentions whose author or content has since been deleted
+    mentions: page.filter(
+      (m) => m.mentionedBy && (m.post || m.reel || m.stream)
+    ),
+    nextCursor: hasMore ? page[page.length - 1]._id.toString() : null,
+    hasMore,
+  };
+};
+
+export default {
+  MAX_MENTIONS,
+  extractMentions,
+  canMention,
+  recordMentions,
+  updatePostMentions,
+  updateCommentMentions,
+  listMentions,
+};
@@ -0,0 +1,36 @@
+// Words and phrases that keep text from being published, from a
+// comma-separated MODERATION_BLOCKED_TERMS
+const BLOCKED_TERMS = String(process.env.MODERATION_BLOCKED_TERMS || "")
+  .split(",")
+  .map((term) => term.trim().toLowerCase())
+  .filter(Boolean);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whole-word match, so "class" doesn't trip on "ass"
+const termPattern = (term) =>
+  new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(term)}($|[^\\p{L}\\p{N}_])`, "iu");
+
+/**
+ * Check user-written text against the moderation rules
+ * @param {string|string[]} texts - Text, or several fields of one item
+ * @param {Object} options - { blockedTerms } to override MODERATION_BLOCKED_TERMS
+ * @returns {{ approved: boolean, reason?: string }}
+ */
+export const reviewText = (texts, { blockedTerms = BLOCKED_TERMS } = {}) => {
+  const text = (Array.isArray(texts) ? texts : [texts])
+    .filter(Boolean)
+    .join("\n");
+  const match = blockedTerms.find((term) => termPattern(term).test(text));
+  if (match) {
+    return {
+      approved: false,
+      reason: "It contains language that isn't allowed on Trees",
+    };
+  }
+  return { approved: true };
+};
+
+export default {
+  reviewText,
+};
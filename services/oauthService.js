@@ -0,0 +1,312 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import AuthChallenge from "../models/AuthChallenge.js";
+
+const METADATA_TTL = 60 * 60 * 1000; // cache discovery documents and JWKS for 1 hour
+const metadataCache = new Map();
+
+const base64url = (buffer) =>
+  buffer
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const env = (provider, key) =>
+  process.env[`OAUTH_${provider.toUpperCase()}_${key}`];
+
+/**
+ * Provider definitions. OIDC providers are configured through discovery
+ * (`OAUTH_<PROVIDER>_ISSUER` overrides the issuer, e.g. to point at the
+ * local mock server). GitHub is plain OAuth2 unless an issuer is set.
+ */
+const PROVIDERS = {
+  google: {
+    label: "Google",
+    issuer: "https://accounts.google.com",
+    scopes: ["openid", "email", "profile"],
+  },
+  apple: {
+    label: "Apple",
+    issuer: "https://appleid.apple.com",
+    scopes: ["openid", "email", "name"],
+    // Apple posts the result back when name/email scopes are requested
+    authorizationParams: { response_mode: "form_post" },
+  },
+  github: {
+    label: "GitHub",
+    scopes: ["read:user", "user:email"],
+    endpoints: {
+      authorization_endpoint: "https://github.com/login/oauth/authorize",
+      token_endpoint: "https://github.com/login/oauth/access_token",
+      userinfo_endpoint: "https://api.github.com/user",
+    },
+  },
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Resolve a provider's runtime configuration
+ * @param {string} name - Provider name (google, apple, github)
+ * @returns {Object|null} Provider config, or null if unknown or not configured
+ */
+export const getProvider = (name) => {
+  const definition = PROVIDERS[name];
+  const clientId = definition && env(name, "CLIENT_ID");
+  if (!clientId) return null;
+
+  const issuer = env(name, "ISSUER") || definition.issuer;
+  return {
+    name,
+    label: definition.label,
+    clientId,
+    clientSecret: env(name, "CLIENT_SECRET"),
+    issuer,
+    // An explicit issuer always means OIDC discovery
+    oidc: !!issuer,
+    scopes: definition.scopes,
+    endpoints: issuer ? null : definition.endpoints,
+    authorizationParams: definition.authorizationParams || {},
+    redirectUri:
+      env(name, "REDIRECT_URI") ||
+      `${process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`}/api/auth/oauth/${name}/callback`,
+  };
+};
+
+/**
+ * List providers that have credentials configured
+ * @returns {Array<{ name: string, label: string }>}
+ */
+export const listProviders = () =>
+  PROVIDER_NAMES.map(getProvider)
+    .filter(Boolean)
+    .map(({ name, label }) => ({ name, label }));
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: "application/json", ...(options.headers || {}) },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(
+      data.error_description || data.error || `Request to ${url} failed (${response.status})`
+    );
+  }
+  return data;
+};
+
+const cachedJson = async (url) => {
+  const cached = metadataCache.get(url);
+  if (cached && cached.expiresAt > Date.now()) return cached.data;
+  const data = await fetchJson(url);
+  metadataCache.set(url, { data, expiresAt: Date.now() + METADATA_TTL });
+  return data;
+};
+
+const getEndpoints = (provider) => {
+  if (!provider.oidc) return provider.endpoints;
+  return cachedJson(
+    `${provider.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`
+  );
+};
+
+// Apple expects an ES256-signed JWT as the client secret
+const getClientSecret = (provider) => {
+  if (provider.name === "apple" && env("apple", "PRIVATE_KEY")) {
+    return jwt.sign({}, env("apple", "PRIVATE_KEY").replace(/\\n/g, "\n"), {
+      algorithm: "ES256",
+      keyid: env("apple", "KEY_ID"),
+      issuer: env("apple", "TEAM_ID"),
+      audience: "https://appleid.apple.com",
+      subject: provider.clientId,
+      expiresIn: "5m",
+    });
+  }
+  return provider.clientSecret;
+};
+
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw new Error("Malformed ID token");
+
+  const jwks = await cachedJson(metadata.jwks_uri);
+  let jwk = (jwks.keys || []).find((key) => key.kid === decoded.header.kid);
+  if (!jwk) {
+    // Keys may have rotated since they were cached
+    metadataCache.delete(metadata.jwks_uri);
+    const fresh = await cachedJson(metadata.jwks_uri);
+    jwk = (fresh.keys || []).find((key) => key.kid === decoded.header.kid);
+  }
+  if (!jwk) throw new Error("ID token signing key not found");
+
+  const claims = jwt.verify(
+    idToken,
+    crypto.createPublicKey({ key: jwk, format: "jwk" }),
+    {
+      algorithms: ["RS256", "ES256"],
+      audience: provider.clientId,
+      issuer: metadata.issuer,
+    }
+  );
+
+  if (nonce && claims.nonce !== nonce) {
+    throw new Error("ID token nonce mismatch");
+  }
+  return claims;
+};
+
+// GitHub only exposes verified addresses through /user/emails
+const fetchGithubProfile = async (accessToken) => {
+  const headers = { Authorization: `Bearer ${accessToken}` };
+  const apiUrl = process.env.OAUTH_GITHUB_API_URL || "https://api.github.com";
+  const [user, emails] = await Promise.all([
+    fetchJson(`${apiUrl}/user`, { headers }),
+    fetchJson(`${apiUrl}/user/emails`, { headers }).catch(() => []),
+  ]);
+  const primary =
+    emails.find((e) => e.primary && e.verified) || emails.find((e) => e.verified);
+
+  return {
+    subject: String(user.id),
+    email: primary ? primary.email : user.email,
+    emailVerified: !!primary,
+    name: user.name || user.login,
+    username: user.login,
+    avatar: user.avatar_url,
+  };
+};
+
+/**
+ * Start an authorization: store state/nonce/PKCE verifier and build the URL
+ * @param {string} providerName - Provider name
+ * @param {Object} options - { mode: "login" | "link", userId }
+ * @returns {Promise<{ success: boolean, error?: string, code?: string, authorizationUrl?: string, state?: string }>}
+ */
+export const startAuthorization = async (providerName, { mode = "login", userId } = {}) => {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    return { success: false, error: "Unknown or disabled provider", code: "PROVIDER_DISABLED" };
+  }
+
+  const endpoints = await getEndpoints(provider);
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(16));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+
+  await AuthChallenge.issue({
+    type: "oauth",
+    key: state,
+    provider: provider.name,
+    mode,
+    user: userId,
+    nonce,
+    codeVerifier,
+    redirectUri: provider.redirectUri,
+  });
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes.join(" "),
+    state,
+    code_challenge: base64url(crypto.createHash("sha256").update(codeVerifier).digest()),
+    code_challenge_method: "S256",
+    ...(provider.oidc && { nonce }),
+    ...provider.authorizationParams,
+  });
+
+  return {
+    success: true,
+    authorizationUrl: `${endpoints.authorization_endpoint}?${params.toString()}`,
+    state,
+  };
+};
+
+/**
+ * Finish an authorization: validate state, exchange the code and
+ * normalize the provider profile
+ * @param {string} providerName - Provider name from the callback URL
+ * @param {Object} params - { code, state, user } from the callback (`user` is Apple's first-login name payload)
+ * @returns {Promise<{ success: boolean, error?: string, code?: string, profile?: Object, challenge?: Object }>}
+ */
+export const completeAuthorization = async (providerName, { code, state, user } = {}) => {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    return { success: false, error: "Unknown or disabled provider", code: "PROVIDER_DISABLED" };
+  }
+
+  if (!code || !state) {
+    return { success: false, error: "Authorization code and state are required", code: "INVALID_CALLBACK" };
+  }
+
+  const challenge = await AuthChallenge.consume("oauth", String(state));
+  if (!challenge || challenge.provider !== provider.name) {
+    return { success: false, error: "Login session expired. Please try again.", code: "INVALID_STATE" };
+  }
+
+  try {
+    const endpoints = await getEndpoints(provider);
+    const tokens = await fetchJson(endpoints.token_endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        grant_type: "authorization_code",
+        code: String(code),
+        redirect_uri: challenge.redirectUri,
+        client_id: provider.clientId,
+        client_secret: getClientSecret(provider) || "",
+        code_verifier: challenge.codeVerifier,
+      }).toString(),
+    });
+
+    let profile;
+    if (provider.oidc) {
+      if (!tokens.id_token) throw new Error("Provider did not return an ID token");
+      const claims = await verifyIdToken(provider, endpoints, tokens.id_token, challenge.nonce);
+
+      // Apple only sends the user's name once, in the form post
+      let appleName = "";
+      if (user) {
+        try {
+          const parsed = typeof user === "string" ? JSON.parse(user) : user;
+          appleName = [parsed?.name?.firstName, parsed?.name?.lastName]
+            .filter(Boolean)
+            .join(" ");
+        } catch (e) {
+          // ignore malformed payload
+        }
+      }
+
+      profile = {
+        subject: String(claims.sub),
+        email: claims.email,
+        emailVerified: claims.email_verified === true || claims.email_verified === "true",
+        name: claims.name || appleName,
+        username: claims.preferred_username,
+        avatar: claims.picture,
+      };
+    } else {
+      profile = await fetchGithubProfile(tokens.access_token);
+    }
+
+    return {
+      success: true,
+      profile: { provider: provider.name, ...profile },
+      challenge,
+    };
+  } catch (error) {
+    console.error(`OAuth ${provider.name} error:`, error.message);
+    return { success: false, error: "Could not complete sign-in with provider", code: "PROVIDER_ERROR" };
+  }
+};
+
+export default {
+  PROVIDER_NAMES,
+  getProvider,
+  listProviders,
+  startAuthorization,
+  completeAuthorization,
+};
@@ -0,0 +1,222 @@
+import Post from "../models/Post.js";
+import Notification from "../models/Notification.js";
+import {
+  collectHashtags,
+  extractHashtags,
+  countsTowardHashtags,
+  recordHashtagUsage,
+  releaseHashtagUsage,
+} from "./hashtagService.js";
+import { updatePostMentions } from "./mentionService.js";
+import { reviewText } from "./moderationService.js";
+
+const MINUTE_MS = 60 * 1000;
+
+// How long after publishing a post can still be edited
+export const EDIT_WINDOW_MINUTES =
+  parseInt(process.env.POST_EDIT_WINDOW_MINUTES) || 60;
+
+// Edits allowed per post, which also bounds the revision history
+export const MAX_POST_EDITS = 20;
+
+// Post types that can be edited (stories and reels can't)
+const EDITABLE_TYPES = ["text", "image", "video", "audio", "file"];
+
+const sameId = (a, b) => String(a?._id || a) === String(b?._id || b);
+
+/**
+ * Whether a user may edit a post now
+ * @param {Object} post - Post with revisions selected
+ * @param {string|Object} userId - Editor
+ * @param {number} now
+ * @returns {{ allowed: boolean, status?: number, error?: string, code?: string }}
+ */
+export const checkEditAllowed = (post, userId, now = Date.now()) => {
+  if (!sameId(post.authorId, userId)) {
+    return { allowed: false, status: 403, error: "Not authorized", code: "NOT_AUTHOR" };
+  }
+  if (!EDITABLE_TYPES.includes(post.type) || post.isPSA) {
+    return {
+      allowed: false,
+      status: 400,
+      error: "This post can't be edited",
+      code: "NOT_EDITABLE",
+    };
+  }
+  if (now - new Date(post.createdAt).getTime() > EDIT_WINDOW_MINUTES * MINUTE_MS) {
+    return {
+      allowed: false,
+      status: 403,
+      error: `Posts can only be edited within ${EDIT_WINDOW_MINUTES} minutes of posting`,
+      code: "EDIT_WINDOW_CLOSED",
+    };
+  }
+  if ((post.revisions?.length || 0) >= MAX_POST_EDITS) {
+    return {
+      allowed: false,
+      status: 403,
+      error: `Posts can be edited at most ${MAX_POST_EDITS} times`,
+      code: "EDIT_LIMIT_REACHED",
+    };
+  }
+  return { allowed: true };
+};
+
+/**
+ * Snapshot the editable fields of a post as a revision
+ * @param {Object} post
+ * @param {Date} replacedAt - When the edit replacing this version happened
+ * @returns {Object}
+ */
+export const buildRevision = (post, replacedAt = new Date()) => ({
+  content: post.content,
+  tags: [...(post.tags || [])],
+  location: post.location?.name || post.location?.coordinates?.length
+    ? {
+        name: post.location.name,
+        coordinates: [...(post.location.coordinates || [])],
+      }
+    : undefined,
+  captions: (post.media || [])
+    .filter((m) => m.caption)
+    .map((m) => ({ media: m._id, caption: m.caption })),
+  createdAt: post.editedAt || post.createdAt,
+  replacedAt,
+});
+
+// Tell the author an edit was held back by moderation. Failures are logged.
+const notifyEditRejected = async (post, reason) => {
+  try {
+    await Notification.createNotification({
+      type: "post_rejected",
+      recipient: post.authorId,
+      title: "Your edit wasn't published",
+      message: `Your changes to your post weren't saved. ${reason}.`,
+      data: { postId: post._id.toString() },
+      category: "system",
+      priority: "medium",
+    });
+  } catch (error) {
+    console.error("Failed to notify about rejected edit:", error.message);
+  }
+};
+
+/**
+ * Edit a post's content, tags, location and media captions. The previous
+ * version goes into the revision history, hashtags and mentions are
+ * re-parsed, and edits rejected by moderation leave the post unchanged and
+ * notify the author.
+ * @param {Object} post - Post document with revisions selected
+ * @param {Object} changes - { content, tags, location, media: [{ id, caption }] }
+ * @param {Object} editor - Editing user ({ _id, username, name })
+ * @returns {Promise<{ success: boolean, post?: Object, status?: number, error?: string, code?: string }>}
+ */
+export const editPost = async (post, changes, editor) => {
+  const allowed = checkEditAllowed(post, editor._id);
+  if (!allowed.allowed) return { success: false, ...allowed };
+
+  const { content, tags, location, media } = changes;
+  if (content !== undefined && !String(content).trim()) {
+    return { success: false, status: 400, error: "Content cannot be empty" };
+  }
+
+  const captions = new Map();
+  for (const item of Array.isArray(media) ? media : []) {
+    const target = post.media.id(item?.id);
+    if (!target) {
+      return {
+        success: false,
+        status: 400,
+        error: "Media item not found on this post",
+        code: "MEDIA_NOT_FOUND",
+      };
+    }
+    captions.set(target._id.toString(), String(item.caption ?? "").trim());
+  }
+
+  const nextContent = content !== undefined ? String(content).trim() : post.content;
+  // Explicit tags stay unless replaced; hashtags follow the content
+  const explicitTags =
+    tags !== undefined
+      ? tags
+      : (post.tags || []).filter((t) => !extractHashtags(post.content).includes(t));
+  const nextTags = collectHashtags(explicitTags, nextContent);
+
+  const review = reviewText([nextContent, ...captions.values()]);
+  if (!review.approved) {
+    await notifyEditRejected(post, review.reason);
+    return {
+      success: false,
+      status: 422,
+      error: `Edit rejected: ${review.reason}`,
+      code: "EDIT_REJECTED",
+    };
+  }
+
+  const now = new Date();
+  const previousTags = [...(post.tags || [])];
+  post.revisions.push(buildRevision(post, now));
+
+  post.content = nextContent;
+  post.tags = nextTags;
+  if (location !== undefined) {
+    post.location = location
+      ? { name: location.name, coordinates: location.coordinates }
+      : undefined;
+  }
+  for (const item of post.media) {
+    if (captions.has(item._id.toString())) {
+      item.caption = captions.get(item._id.toString()) || undefined;
+    }
+  }
+  post.isEdited = true;
+  post.editedAt = now;
+  await post.save();
+
+  if (countsTowardHashtags(post)) {
+    await releaseHashtagUsage(
+      previousTags.filter((t) => !nextTags.includes(t)),
+      "post"
+    );
+    await recordHashtagUsage(
+      nextTags.filter((t) => !previousTags.includes(t)),
+      "post"
+    );
+  }
+
+  if (content !== undefined) {
+    const mentionIds = await updatePostMentions(post, editor);
+    await Post.updateOne({ _id: post._id }, { mentions: mentionIds });
+    post.mentions = mentionIds;
+  }
+
+  return { success: true, post };
+};
+
+/**
+ * A post's versions, newest first: the current one and then each revision
+ * @param {Object} post - Post with revisions selected
+ * @returns {Object[]}
+ */
+export const listRevisions = (post) => {
+  const current = {
+    ...buildRevision(post, null),
+    current: true,
+  };
+  const earlier = [...(post.revisions || [])]
+    .reverse()
+    .map((revision) => ({
+      ...(revision.toObject?.() || revision),
+      current: false,
+    }));
+  return [current, ...earlier];
+};
+
+export default {
+  EDIT_WINDOW_MINUTES,
+  MAX_POST_EDITS,
+  checkEditAllowed,
+  buildRevision,
+  editPost,
+  listRevisions,
+};
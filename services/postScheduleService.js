@@ -0,0 +1,217 @@
+import mongoose from "mongoose";
+import Post, { UNPUBLISHED_STATUSES } from "../models/Post.js";
+import User from "../models/User.js";
+import { fanOutPost } from "./timelineService.js";
+import { countsTowardHashtags, recordHashtagUsage } from "./hashtagService.js";
+import { recordMentions } from "./mentionService.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// How far ahead a post can be scheduled
+export const MAX_SCHEDULE_DAYS = 90;
+
+// Drafts and scheduled posts a user can have at once
+export const MAX_UNPUBLISHED_POSTS = 100;
+
+// How often the scheduler publishes posts whose publishAt has passed
+const SCHEDULER_INTERVAL_MS =
+  (parseInt(process.env.POST_SCHEDULER_INTERVAL_MINUTES) || 1) * MINUTE_MS;
+
+// Scheduled posts published per run
+const PUBLISH_BATCH_SIZE = 100;
+
+let schedulerTimer = null;
+
+/**
+ * Work out the publish state a post is created or updated with
+ * @param {Object} input - { status, publishAt } from the request
+ * @param {number} now
+ * @returns {{ status?: string, publishAt?: Date, error?: string, code?: string }}
+ */
+export const resolvePublishState = ({ status, publishAt } = {}, now = Date.now()) => {
+  if (status !== undefined && ![...UNPUBLISHED_STATUSES, "published"].includes(status)) {
+    return {
+      error: "status must be draft, scheduled or published",
+      code: "INVALID_STATUS",
+    };
+  }
+
+  if (publishAt === undefined || publishAt === null || publishAt === "") {
+    if (status === "scheduled") {
+      return { error: "Scheduled posts need a publishAt time", code: "INVALID_PUBLISH_AT" };
+    }
+    return { status: status || "published" };
+  }
+
+  if (status === "draft" || status === "published") {
+    return {
+      error: `publishAt can't be set on a ${status} post`,
+      code: "INVALID_PUBLISH_AT",
+    };
+  }
+  const date = new Date(publishAt);
+  if (Number.isNaN(date.getTime())) {
+    return { error: "publishAt must be a valid date", code: "INVALID_PUBLISH_AT" };
+  }
+  if (date.getTime() <= now) {
+    return { error: "publishAt must be in the future", code: "INVALID_PUBLISH_AT" };
+  }
+  if (date.getTime() > now + MAX_SCHEDULE_DAYS * DAY_MS) {
+    return {
+      error: `Posts can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead`,
+      code: "INVALID_PUBLISH_AT",
+    };
+  }
+  return { status: "scheduled", publishAt: date };
+};
+
+/**
+ * Whether a user can save another draft or scheduled post
+ * @param {string|Object} userId
+ * @returns {Promise<boolean>}
+ */
+export const canQueueMorePosts = async (userId) =>
+  (await Post.countDocuments({
+    authorId: userId,
+    status: { $in: UNPUBLISHED_STATUSES },
+  })) < MAX_UNPUBLISHED_POSTS;
+
+/**
+ * Everything that happens when a post goes live: followers' timelines,
+ * hashtag counts, @mention notifications and the author's post count
+ * @param {Object} post - Published post document
+ * @param {Object} author - Writer ({ _id, username, name })
+ * @returns {Promise<Object>} The post, with its mentions
+ */
+export const announcePost = async (post, author) => {
+  // Push into followers' home timelines
+  await fanOutPost(post);
+
+  if (countsTowardHashtags(post)) {
+    await recordHashtagUsage(post.tags, "post");
+  }
+
+  // @mentions resolve to users who accept them and can see the post
+  const mentionIds = await recordMentions(post.content, {
+    author,
+    source: { type: "post", post },
+  });
+  if (mentionIds.length) {
+    await Post.updateOne({ _id: post._id }, { mentions: mentionIds });
+    post.mentions = mentionIds;
+  }
+
+  await User.findByIdAndUpdate(author._id, {
+    $inc: { "stats.postsCount": 1 },
+  });
+  return post;
+};
+
+/**
+ * Publish a draft or scheduled post now. Its creation time becomes the
+ * publish time, so it's ordered in feeds as a new post. Only one caller wins
+ * when several try at once.
+ * @param {string|Object} postId
+ * @param {Object} options - { status } the post must still be in
+ * @returns {Promise<Object|null>} The published post, or null if it was
+ *   already published, cancelled or changed
+ */
+export const publishPost = async (postId, { status = UNPUBLISHED_STATUSES } = {}) => {
+  const now = new Date();
+  // createdAt is immutable through mongoose, so the claim goes to the driver
+  const { modifiedCount } = await Post.collection.updateOne(
+    {
+      _id: new mongoose.Types.ObjectId(String(postId)),
+      status: { $in: [].concat(status) },
+    },
+    {
+      $set: { status: "published", publishedAt: now, createdAt: now, updatedAt: now },
+      $unset: { publishAt: "" },
+    }
+  );
+  if (!modifiedCount) return null;
+
+  const post = await Post.findById(postId);
+  if (!post) return null;
+  const author = await User.findById(post.authorId)
+    .select("username name")
+    .lean();
+  return announcePost(post, author || { _id: post.authorId });
+};
+
+/**
+ * Publish scheduled posts whose publishAt has passed, oldest first.
+ * Failures are logged per post.
+ * @returns {Promise<number>} Posts published
+ */
+export const publishDuePosts = async () => {
+  const due = await Post.find({
+    status: "scheduled",
+    publishAt: { $lte: new Date() },
+  })
+    .select("_id")
+    .sort({ publishAt: 1 })
+    .limit(PUBLISH_BATCH_SIZE)
+    .lean();
+
+  let published = 0;
+  for (const { _id } of due) {
+    try {
+      if (await publishPost(_id, { status: "scheduled" })) published++;
+    } catch (error) {
+      console.error(`Failed to publish scheduled post ${_id}:`, error.message);
+    }
+  }
+  return published;
+};
+
+/**
+ * Run publishDuePosts now and then every POST_SCHEDULER_INTERVAL_MINUTES
+ */
+export const startPostScheduler = () => {
+  if (schedulerTimer) return;
+  const run = () =>
+    publishDuePosts().catch((error) =>
+      console.error("Post scheduler failed:", error.message)
+    );
+  run();
+  schedulerTimer = setInterval(run, SCHEDULER_INTERVAL_MS);
+  schedulerTimer.unref();
+};
+
+/**
+ * A user's drafts (most recently changed first) and scheduled posts (next
+ * to publish first)
+ * @param {string|Object} userId
+ * @param {Object} options - { status } to list only drafts or scheduled posts
+ * @returns {Promise<Object[]>}
+ */
+export const listUnpublishedPosts = async (userId, { status } = {}) => {
+  const statuses = status ? [status] : UNPUBLISHED_STATUSES;
+  const posts = await Post.find({
+    authorId: userId,
+    status: { $in: statuses },
+  })
+    .sort({ updatedAt: -1 })
+    .limit(MAX_UNPUBLISHED_POSTS)
+    .lean();
+
+  const scheduled = posts
+    .filter((post) => post.status === "scheduled")
+    .sort((a, b) => a.publishAt - b.publishAt);
+  const drafts = posts.filter((post) => post.status === "draft");
+  return [...scheduled, ...drafts];
+};
+
+export default {
+  MAX_SCHEDULE_DAYS,
+  MAX_UNPUBLISHED_POSTS,
+  resolvePublishState,
+  canQueueMorePosts,
+  announcePost,
+  publishPost,
+  publishDuePosts,
+  startPostScheduler,
+  listUnpublishedPosts,
+};
@@ -0,0 +1,128 @@
+import User from "../models/User.js";
+import Post from "../models/Post.js";
+import Follow from "../models/Follow.js";
+import { rebuildTimeline } from "./timelineService.js";
+
+const SANDBOX_ACCOUNTS = [
+  {
+    username: "sandbox_demo",
+    name: "Demo User",
+    email: "demo@sandbox.treessocial.com",
+    bio: "Sandbox account for trying out Trees Social",
+  },
+  {
+    username: "sandbox_alex",
+    name: "Alex Rivera",
+    email: "alex@sandbox.treessocial.com",
+    bio: "Photographer and traveller",
+  },
+  {
+    username: "sandbox_sam",
+    name: "Sam Patel",
+    email: "sam@sandbox.treessocial.com",
+    bio: "Developer, coffee enthusiast",
+  },
+];
+
+const SAMPLE_POSTS = {
+  sandbox_demo: [
+    {
+      content:
+        "Welcome to our social platform! 🎉 This is a demo post to test the feed functionality.",
+      image:
+        "https://images.unsplash.com/photo-1501594907352-04cda38ebc29?w=800&h=600&fit=crop",
+    },
+  ],
+  sandbox_alex: [
+    {
+      content: "Beautiful sunset from my travels ✨ #photography #sunset",
+      image:
+        "https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800&h=600&fit=crop",
+    },
+    { content: "Just finished an amazing workout! 💪 #fitness #motivation" },
+  ],
+  sandbox_sam: [
+    {
+      content:
+        "Coffee and coding - the perfect combination ☕️ #developer #coding",
+      image:
+        "https://images.unsplash.com/photo-1461749280684-dccba630e2f6?w=800&h=600&fit=crop",
+    },
+  ],
+};
+
+/**
+ * Whether sandbox mode is on. Requires SANDBOX_MODE=true and is never
+ * enabled in production.
+ * @returns {boolean}
+ */
+export const isSandboxMode = () =>
+  process.env.SANDBOX_MODE === "true" && process.env.NODE_ENV !== "production";
+
+/**
+ * Usernames of the seeded sandbox accounts
+ * @returns {string[]}
+ */
+export const getSandboxUsernames = () =>
+  SANDBOX_ACCOUNTS.map((account) => account.username);
+
+/**
+ * Create (or top up) the sandbox accounts, their follow graph and sample
+ * posts. Safe to run repeatedly.
+ * @returns {Promise<Object[]>} The sandbox user documents
+ */
+export const seedSandboxAccounts = async () => {
+  const password = process.env.SANDBOX_PASSWORD || "Sandbox@123";
+  const users = [];
+
+  for (const account of SANDBOX_ACCOUNTS) {
+    let user = await User.findOne({ username: account.username });
+    if (!user) {
+      user = await User.create({
+        ...account,
+        password,
+        isSandbox: true,
+        emailVerified: true,
+      });
+      console.log(`🧪 Created sandbox account ${account.username}`);
+    }
+    users.push(user);
+  }
+
+  // Everyone follows everyone so feeds have content
+  for (const user of users) {
+    for (const other of users) {
+      if (!other._id.equals(user._id)) {
+        await Follow.follow(user._id, other._id);
+      }
+    }
+  }
+
+  for (const user of users) {
+    const hasPosts = await Post.exists({ authorId: user._id });
+    if (hasPosts) continue;
+
+    const posts = (SAMPLE_POSTS[user.username] || []).map(({ content, image }) => ({
+      authorId: user._id,
+      content,
+      type: image ? "image" : "text",
+      media: image ? [{ type: "image", url: image }] : [],
+    }));
+    if (posts.length) {
+      await Post.insertMany(posts);
+    }
+  }
+
+  // Seeded posts skip the fan-out that publishing does
+  for (const user of users) {
+    await rebuildTimeline(user._id);
+  }
+
+  return users;
+};
+
+export default {
+  isSandboxMode,
+  getSandboxUsernames,
+  seedSandboxAccounts,
+};
@@ -0,0 +1,269 @@
+// In-process inverted index with prefix and typo-tolerant lookups.
+// Used by searchService, which keeps one index per searchable type.
+
+const MAX_TERM_LENGTH = 40;
+
+// Relative score of each kind of term match
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.8,
+  typo1: 0.6,
+  typo2: 0.4,
+};
+
+// How much popularity can lift a result, per order of magnitude
+const POPULARITY_BOOST = 0.15;
+
+/**
+ * Lower-case and strip accents so "Café" matches "cafe"
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalize = (text) =>
+  String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+/**
+ * Split text into searchable terms (letters, digits and underscores)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) =>
+  normalize(text)
+    .split(/[^\p{L}\p{N}_]+/u)
+    .filter((term) => term && term.length <= MAX_TERM_LENGTH);
+
+/**
+ * How many typos a query term may contain: none for short terms, one from
+ * four characters, two from eight
+ * @param {string} term
+ * @returns {number}
+ */
+export const allowedTypos = (term) => {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+};
+
+/**
+ * Damerau-Levenshtein distance (adjacent swaps count as one edit), giving up
+ * once it exceeds max
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Largest distance worth computing
+ * @returns {number} The distance, or max + 1 if it is larger than max
+ */
+export const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (
+        prevPrev &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+/**
+ * Create an empty index
+ * @returns {{ add: Function, remove: Function, has: Function, search: Function, size: Function, clear: Function }}
+ */
+export const createSearchIndex = () => {
+  // id -> { terms: string[], popularity: number }
+  const docs = new Map();
+  // term -> Map(id -> field weight)
+  const postings = new Map();
+  // first character -> Set of terms, for typo lookups
+  const buckets = new Map();
+  // Sorted terms for prefix lookups; rebuilt lazily after changes
+  let sortedTerms = null;
+
+  const addPosting = (term, id, weight) => {
+    let list = postings.get(term);
+    if (!list) {
+      list = new Map();
+      postings.set(term, list);
+      if (!buckets.has(term[0])) buckets.set(term[0], new Set());
+      buckets.get(term[0]).add(term);
+      sortedTerms = null;
+    }
+    list.set(id, (list.get(id) || 0) + weight);
+  };
+
+  const removePosting = (term, id) => {
+    const list = postings.get(term);
+    if (!list) return;
+    list.delete(id);
+    if (!list.size) {
+      postings.delete(term);
+      buckets.get(term[0])?.delete(term);
+      sortedTerms = null;
+    }
+  };
+
+  const remove = (id) => {
+    const key = String(id);
+    const doc = docs.get(key);
+    if (!doc) return;
+    doc.terms.forEach((term) => removePosting(term, key));
+    docs.delete(key);
+  };
+
+  /**
+   * Add or replace a document
+   * @param {string|Object} id - Document id
+   * @param {Array<{ text: string, weight: number }>} fields - Text to index
+   * @param {number} popularity - Followers, likes, views...
+   */
+  const add = (id, fields, popularity = 0) => {
+    const key = String(id);
+    remove(key);
+
+    const weights = new Map();
+    fields.forEach(({ text, weight = 1 }) => {
+      // Count each term once per field
+      new Set(tokenize(text)).forEach((term) => {
+        weights.set(term, (weights.get(term) || 0) + weight);
+      });
+    });
+    if (!weights.size) return;
+
+    weights.forEach((weight, term) => addPosting(term, key, weight));
+    docs.set(key, {
+      terms: [...weights.keys()],
+      popularity: Math.max(0, Number(popularity) || 0),
+    });
+  };
+
+  const termsWithPrefix = (prefix) => {
+    if (!sortedTerms) sortedTerms = [...postings.keys()].sort();
+
+    // Binary search for the first term >= prefix
+    let lo = 0;
+    let hi = sortedTerms.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sortedTerms[mid] < prefix) lo = mid + 1;
+      else hi = mid;
+    }
+    const matches = [];
+    for (let i = lo; i < sortedTerms.length; i++) {
+      if (!sortedTerms[i].startsWith(prefix)) break;
+      if (sortedTerms[i] !== prefix) matches.push(sortedTerms[i]);
+    }
+    return matches;
+  };
+
+  // Index terms a query term can match, with the quality of each match.
+  // Typos are only tolerated after the first character.
+  const expand = (queryTerm) => {
+    const matches = new Map();
+    if (postings.has(queryTerm)) matches.set(queryTerm, MATCH_QUALITY.exact);
+
+    if (queryTerm.length >= 2) {
+      termsWithPrefix(queryTerm).forEach((term) =>
+        matches.set(term, MATCH_QUALITY.prefix)
+      );
+    }
+
+    const maxTypos = allowedTypos(queryTerm);
+    if (maxTypos) {
+      (buckets.get(queryTerm[0]) || []).forEach((term) => {
+        if (matches.has(term)) return;
+        const distance = editDistance(queryTerm, term, maxTypos);
+        if (distance <= maxTypos) {
+          matches.set(term, distance === 1 ? MATCH_QUALITY.typo1 : MATCH_QUALITY.typo2);
+        }
+      });
+    }
+    return matches;
+  };
+
+  /**
+   * Rank documents for a query. Documents matching every query term come
+   * first; if there are none, partial matches are returned.
+   * @param {string} query
+   * @returns {Array<{ id: string, score: number }>} Best first
+   */
+  const search = (query) => {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (!queryTerms.length || !docs.size) return [];
+
+    // id -> { relevance, matched }
+    const hits = new Map();
+    queryTerms.forEach((queryTerm) => {
+      const best = new Map();
+      expand(queryTerm).forEach((quality, term) => {
+        const list = postings.get(term);
+        const idf = Math.log(1 + docs.size / list.size);
+        list.forEach((weight, id) => {
+          const score = quality * weight * idf;
+          if (score > (best.get(id) || 0)) best.set(id, score);
+        });
+      });
+
+      best.forEach((score, id) => {
+        const hit = hits.get(id) || { relevance: 0, matched: 0 };
+        hit.relevance += score;
+        hit.matched += 1;
+        hits.set(id, hit);
+      });
+    });
+
+    let candidates = [...hits.entries()];
+    const complete = candidates.filter(([, hit]) => hit.matched === queryTerms.length);
+    if (complete.length) candidates = complete;
+
+    return candidates
+      .map(([id, hit]) => {
+        const coverage = hit.matched / queryTerms.length;
+        const boost =
+          1 + POPULARITY_BOOST * Math.log10(1 + docs.get(id).popularity);
+        return { id, score: hit.relevance * coverage * coverage * boost };
+      })
+      .sort((a, b) => b.score - a.score);
+  };
+
+  return {
+    add,
+    remove,
+    search,
+    has: (id) => docs.has(String(id)),
+    size: () => docs.size,
+    clear: () => {
+      docs.clear();
+      postings.clear();
+      buckets.clear();
+      sortedTerms = null;
+    },
+  };
+};
+
+export default {
+  normalize,
+  tokenize,
+  allowedTypos,
+  editDistance,
+  createSearchIndex,
+};
@@ -0,0 +1,362 @@
+import User from "../models/User.js";
+import Post, { publishedFilter } from "../models/Post.js";
+import Reel from "../models/Reel.js";
+import Stream from "../models/Stream.js";
+import StaticContent from "../models/StaticContent.js";
+import { createSearchIndex } from "./searchIndex.js";
+import { VIEWER_FIELDS, filterByAuthorAccess } from "./visibilityPolicy.js";
+
+const MINUTE_MS = 60 * 1000;
+
+// Changes are picked up this often; a full rebuild also drops deleted documents
+const REFRESH_MS =
+  (parseInt(process.env.SEARCH_INDEX_REFRESH_SECONDS) || 60) * 1000;
+const REBUILD_MS =
+  (parseInt(process.env.SEARCH_INDEX_REBUILD_MINUTES) || 60) * MINUTE_MS;
+
+// Most recently updated documents kept in memory per type
+const MAX_DOCS_PER_TYPE = parseInt(process.env.SEARCH_INDEX_MAX_DOCS) || 50000;
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 50;
+
+// Ranked ids fetched per requested result, to leave room for privacy filtering
+const OVERFETCH = 3;
+
+const stripHtml = (text) => String(text || "").replace(/<[^>]+>/g, " ");
+
+const likeCount = { $size: { $ifNull: ["$likes", []] } };
+
+// What each searchable type indexes: the documents to load, the text fields
+// with their weights and the popularity used to break ties
+const SOURCES = {
+  users: {
+    model: User,
+    match: {
+      status: { $ne: "suspended" },
+      isActive: { $ne: false },
+      isBlocked: { $ne: true },
+      deactivatedAt: null,
+      "privacy.allowProfileViews": { $ne: false },
+    },
+    project: { username: 1, name: 1, bio: 1, followerCount: 1 },
+    fields: (u) => [
+      { text: u.username, weight: 3 },
+      { text: u.name, weight: 2 },
+      { text: u.bio, weight: 0.5 },
+    ],
+    popularity: (u) => u.followerCount,
+  },
+  posts: {
+    model: Post,
+    match: { ...publishedFilter(), type: { $ne: "story" }, isDeleted: { $ne: true } },
+    project: { content: 1, tags: 1, likeCount },
+    fields: (p) => [
+      { text: p.content, weight: 1 },
+      { text: (p.tags || []).join(" "), weight: 2 },
+    ],
+    popularity: (p) => p.likeCount,
+  },
+  reels: {
+    model: Reel,
+    match: { isActive: true },
+    project: { caption: 1, tags: 1, category: 1, views: 1 },
+    fields: (r) => [
+      { text: r.caption, weight: 1 },
+      { text: (r.tags || []).join(" "), weight: 2 },
+      { text: r.category, weight: 0.5 },
+    ],
+    popularity: (r) => r.views,
+  },
+  streams: {
+    model: Stream,
+    match: { status: { $ne: "cancelled" } },
+    project: {
+      title: 1,
+      description: 1,
+      tags: 1,
+      category: 1,
+      totalViews: 1,
+      currentViewers: 1,
+    },
+    fields: (s) => [
+      { text: s.title, weight: 2 },
+      { text: s.description, weight: 0.5 },
+      { text: (s.tags || []).join(" "), weight: 2 },
+      { text: s.category, weight: 0.5 },
+    ],
+    popularity: (s) => (s.totalViews || 0) + (s.currentViewers || 0) * 10,
+  },
+  pages: {
+    model: StaticContent,
+    match: { isPublished: true },
+    project: {
+      title: 1,
+      page: 1,
+      content: 1,
+      tags: 1,
+      "seo.metaDescription": 1,
+    },
+    fields: (p) => [
+      { text: p.title, weight: 3 },
+      { text: p.page, weight: 2 },
+      { text: (p.tags || []).join(" "), weight: 2 },
+      { text: p.seo?.metaDescription, weight: 1 },
+      { text: stripHtml(p.content), weight: 0.3 },
+    ],
+    popularity: () => 0,
+  },
+};
+
+export const SEARCH_TYPES = Object.keys(SOURCES);
+
+const indexes = Object.fromEntries(
+  SEARCH_TYPES.map((type) => [type, createSearchIndex()])
+);
+
+const state = {
+  ready: null, // Promise of the first full build
+  lastSync: null,
+  lastRebuild: null,
+  refreshing: null,
+};
+
+const indexDocument = (type, doc) => {
+  const source = SOURCES[type];
+  indexes[type].add(doc._id, source.fields(doc), source.popularity(doc));
+};
+
+const loadType = async (type, since) => {
+  const source = SOURCES[type];
+  const changedSince = since ? { updatedAt: { $gt: since } } : {};
+
+  const docs = await source.model.aggregate([
+    { $match: { ...source.match, ...changedSince } },
+    { $sort: { updatedAt: -1 } },
+    { $limit: MAX_DOCS_PER_TYPE },
+    { $project: source.project },
+  ]);
+
+  if (since) {
+    // Documents that stopped being searchable (unpublished, deactivated...)
+    const dropped = await source.model.distinct("_id", {
+      $nor: [source.match],
+      ...changedSince,
+    });
+    dropped.forEach((id) => indexes[type].remove(id));
+  } else {
+    indexes[type].clear();
+  }
+  docs.forEach((doc) => indexDocument(type, doc));
+  return docs.length;
+};
+
+/**
+ * Rebuild every index from the database
+ * @returns {Promise<void>}
+ */
+export const rebuildSearchIndex = async () => {
+  const startedAt = new Date();
+  const counts = await Promise.all(SEARCH_TYPES.map((type) => loadType(type)));
+  state.lastSync = startedAt;
+  state.lastRebuild = startedAt;
+  const summary = SEARCH_TYPES.map((type, i) => `${counts[i]} ${type}`);
+  console.log(`Search index built: ${summary.join(", ")}`);
+};
+
+const refresh = async () => {
+  const startedAt = new Date();
+  if (startedAt - state.lastRebuild >= REBUILD_MS) {
+    await rebuildSearchIndex();
+    return;
+  }
+  await Promise.all(SEARCH_TYPES.map((type) => loadType(type, state.lastSync)));
+  state.lastSync = startedAt;
+};
+
+// Build on first use, then refresh in the background once the index is stale
+const ensureIndex = async () => {
+  if (!state.ready) {
+    state.ready = rebuildSearchIndex().catch((error) => {
+      state.ready = null;
+      throw error;
+    });
+  }
+  await state.ready;
+
+  if (!state.refreshing && Date.now() - state.lastSync >= REFRESH_MS) {
+    state.refreshing = refresh()
+      .catch((error) =>
+        console.error("Search index refresh failed:", error.message)
+      )
+      .finally(() => {
+        state.refreshing = null;
+      });
+  }
+};
+
+const authorCard = (u) =>
+  u && {
+    _id: u._id,
+    username: u.username,
+    name: u.name,
+    avatar: u.avatar || u.profileImage,
+    isVerified: u.isVerified || false,
+  };
+
+// Load ranked ids from the database, dropping anything the viewer may not see
+const HYDRATORS = {
+  users: async (ids, { viewer }) => {
+    const users = await User.find({
+      _id: { $in: ids, $nin: viewer.blockedUsers || [] },
+      blockedUsers: { $ne: viewer._id },
+      ...SOURCES.users.match,
+    })
+      .select("username name avatar profileImage isVerified bio followerCount")
+      .lean();
+    return users.map((u) => ({
+      ...authorCard(u),
+      bio: u.bio || "",
+      followerCount: u.followerCount || 0,
+    }));
+  },
+  posts: async (ids, { viewer }) => {
+    const posts = await Post.find({
+      _id: { $in: ids },
+      ...SOURCES.posts.match,
+      $or: [
+        { authorId: viewer._id },
+        { visibility: { $in: ["public", null] }, audienceList: null },
+      ],
+    })
+      .populate("authorId", "username name avatar profileImage isVerified")
+      .lean();
+    const visible = await filterByAuthorAccess(viewer, posts, (p) => p.authorId);
+    return visible.map((p) => ({
+      _id: p._id,
+      content: p.content,
+      tags: p.tags || [],
+      media: (p.media || []).slice(0, 1),
+      likes: (p.likes || []).length,
+      comments: p.engagement?.comments || 0,
+      author: authorCard(p.authorId),
+      createdAt: p.createdAt,
+    }));
+  },
+  reels: async (ids, { viewer }) => {
+    const reels = await Reel.find({
+      _id: { $in: ids },
+      ...SOURCES.reels.match,
+    })
+      .populate("author", "username name avatar profileImage isVerified")
+      .lean();
+    const visible = await filterByAuthorAccess(viewer, reels, (r) => r.author);
+    return visible.map((r) => ({
+      _id: r._id,
+      caption: r.caption,
+      thumbnail: r.thumbnail,
+      tags: r.tags || [],
+      views: r.views || 0,
+      author: authorCard(r.author),
+      createdAt: r.createdAt,
+    }));
+  },
+  streams: async (ids, { viewer }) => {
+    const streams = await Stream.find({
+      _id: { $in: ids },
+      ...SOURCES.streams.match,
+      $or: [{ streamerId: viewer._id }, { isPrivate: { $ne: true } }],
+    })
+      .populate("streamerId", "username name avatar profileImage isVerified")
+      .lean();
+    const visible = await filterByAuthorAccess(
+      viewer,
+      streams,
+      (s) => s.streamerId
+    );
+    return visible.map((s) => ({
+      _id: s._id,
+      title: s.title,
+      category: s.category,
+      status: s.status,
+      thumbnail: s.thumbnail,
+      currentViewers: s.currentViewers || 0,
+      scheduledAt: s.scheduledAt,
+      streamer: authorCard(s.streamerId),
+    }));
+  },
+  pages: async (ids) => {
+    const pages = await StaticContent.find({
+      _id: { $in: ids },
+      ...SOURCES.pages.match,
+    })
+      .select("page title seo.metaDescription updatedAt")
+      .lean();
+    return pages.map((p) => ({
+      _id: p._id,
+      page: p.page,
+      title: p.title,
+      description: p.seo?.metaDescription || "",
+      updatedAt: p.updatedAt,
+    }));
+  },
+};
+
+/**
+ * Search users, posts, reels, streams and static pages. Each type gets its
+ * own ranked section; results the viewer may not see are filtered out.
+ * @param {string} query - Free text; prefixes and small typos match
+ * @param {Object} options - { viewerId, types, limit, offset }
+ * @returns {Promise<Array<{ type: string, results: Object[], hasMore: boolean, nextOffset: number|null }>>}
+ */
+export const search = async (query, options = {}) => {
+  const types = (options.types || SEARCH_TYPES).filter((t) => SOURCES[t]);
+  const limit = Math.min(
+    MAX_LIMIT,
+    Math.max(1, parseInt(options.limit) || DEFAULT_LIMIT)
+  );
+  const offset = Math.max(0, parseInt(options.offset) || 0);
+
+  await ensureIndex();
+
+  const viewer = (options.viewerId &&
+    (await User.findById(options.viewerId).select(VIEWER_FIELDS).lean())) || {
+    _id: null,
+    blockedUsers: [],
+  };
+  const context = { viewer };
+
+  return Promise.all(
+    types.map(async (type) => {
+      const ranked = indexes[type].search(query);
+      const ids = ranked
+        .slice(offset, offset + limit * OVERFETCH)
+        .map((hit) => hit.id);
+      const hydrated = ids.length ? await HYDRATORS[type](ids, context) : [];
+      const byId = new Map(hydrated.map((doc) => [doc._id.toString(), doc]));
+
+      // Keep the ranking order; the offset advances past filtered-out ids too
+      const results = [];
+      let consumed = 0;
+      while (consumed < ids.length && results.length < limit) {
+        const doc = byId.get(ids[consumed]);
+        if (doc) results.push(doc);
+        consumed++;
+      }
+      const hasMore = ranked.length > offset + consumed;
+
+      return {
+        type,
+        results,
+        hasMore,
+        nextOffset: hasMore ? offset + consumed : null,
+      };
+    })
+  );
+};
+
+export default {
+  SEARCH_TYPES,
+  search,
+  rebuildSearchIndex,
+};
@@ -0,0 +1,195 @@
+import SecurityEvent from "../models/SecurityEvent.js";
+import Notification from "../models/Notification.js";
+import { describeDevice } from "./sessionService.js";
+
+// Event types that can be recorded and filtered on
+export const SECURITY_EVENT_TYPES = SecurityEvent.schema.path("type").enumValues;
+
+// Headers set by common CDNs/proxies with the client's country
+const DEFAULT_COUNTRY_HEADERS = [
+  "cf-ipcountry",
+  "cloudfront-viewer-country",
+  "x-vercel-ip-country",
+  "x-country-code",
+];
+
+const EVENT_LABELS = {
+  login: "Signed in",
+  login_failed: "Failed sign-in attempt",
+  password_reset: "Password reset",
+  otp_sent: "Verification code sent",
+  two_factor_enabled: "Two-factor authentication enabled",
+  two_factor_disabled: "Two-factor authentication disabled",
+  backup_codes_regenerated: "Backup codes regenerated",
+  passkey_added: "Passkey added",
+  passkey_removed: "Passkey removed",
+  email_changed: "Email address changed",
+  session_revoked: "Session signed out",
+  sessions_revoked: "Other sessions signed out",
+  account_deactivated: "Account deactivated",
+  account_reactivated: "Account reactivated",
+  account_deletion_scheduled: "Account deletion requested",
+  account_deletion_cancelled: "Account deletion cancelled",
+};
+
+/**
+ * Resolve the client's country from proxy headers. The header can be
+ * pinned with GEOIP_COUNTRY_HEADER.
+ * @param {Object} req - Express request
+ * @returns {string|undefined} Upper-case country code
+ */
+export const getCountry = (req) => {
+  const headers = process.env.GEOIP_COUNTRY_HEADER
+    ? [process.env.GEOIP_COUNTRY_HEADER.toLowerCase()]
+    : DEFAULT_COUNTRY_HEADERS;
+
+  for (const header of headers) {
+    const value = String(req?.get?.(header) || "").trim().toUpperCase();
+    // XX = unknown, T1 = Tor (Cloudflare)
+    if (/^[A-Z]{2}$/.test(value) && value !== "XX") {
+      return value;
+    }
+  }
+  return undefined;
+};
+
+const deviceKey = (device) => `${device.type}|${device.browser}|${device.os}`;
+
+// Compare a login against the user's earlier successful logins
+const detectAnomalies = async (userId, device, country) => {
+  const previous = await SecurityEvent.find({ user: userId, type: "login" })
+    .select("device country")
+    .sort({ createdAt: -1 })
+    .limit(100)
+    .lean();
+
+  // First login on record: nothing to compare with
+  if (!previous.length) {
+    return { isNewDevice: false, isNewCountry: false };
+  }
+
+  const key = deviceKey(device);
+  const knownCountries = previous.map((e) => e.country).filter(Boolean);
+
+  return {
+    isNewDevice: !previous.some((e) => e.device && deviceKey(e.device) === key),
+    isNewCountry:
+      !!country && knownCountries.length > 0 && !knownCountries.includes(country),
+  };
+};
+
+const notifyNewSignIn = (event) => {
+  const where = [event.device.name, event.country].filter(Boolean).join(", ");
+  const reason = event.isNewCountry ? "a new location" : "a new device";
+
+  return Notification.createNotification({
+    recipient: event.user,
+    type: "system",
+    category: "security",
+    priority: "high",
+    title: "New sign-in to your account",
+    message: `Your account was signed in from ${reason}${where ? ` (${where})` : ""}. If this wasn't you, change your password and sign out other sessions.`,
+    data: {
+      securityEventId: event._id,
+      ipAddress: event.ipAddress,
+      country: event.country,
+      device: event.device.name,
+    },
+    actionUrl: "/settings/security",
+    actionText: "Review activity",
+  });
+};
+
+/**
+ * Record a security event for a user. Logins are checked against previous
+ * logins and the user is notified about new devices or countries.
+ * Failures are logged and never thrown, so callers can always await it.
+ * @param {string|Object} userId - User id
+ * @param {string} type - Event type (see SecurityEvent)
+ * @param {Object} req - Express request (for IP, User-Agent and country)
+ * @param {Object} metadata - Extra details to store with the event
+ * @returns {Promise<Object|null>} The event, or null if it could not be saved
+ */
+export const recordSecurityEvent = async (userId, type, req, metadata = {}) => {
+  try {
+    const userAgent = req?.get?.("User-Agent") || "";
+    const device = describeDevice(userAgent);
+    const country = getCountry(req);
+
+    const anomalies =
+      type === "login"
+        ? await detectAnomalies(userId, device, country)
+        : { isNewDevice: false, isNewCountry: false };
+
+    const event = await SecurityEvent.create({
+      user: userId,
+      type,
+      ipAddress: req?.ip,
+      userAgent,
+      device,
+      country,
+      ...anomalies,
+      metadata,
+    });
+
+    if (event.isNewDevice || event.isNewCountry) {
+      await notifyNewSignIn(event);
+    }
+
+    return event;
+  } catch (error) {
+    console.error(`Failed to record security event ${type}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Page through a user's security events, newest first
+ * @param {string|Object} userId - User id
+ * @param {Object} options - { page, limit, type } (unknown types are ignored)
+ * @returns {Promise<{ events: Object[], pagination: Object }>}
+ */
+export const listSecurityEvents = async (userId, options = {}) => {
+  const page = Math.max(1, parseInt(options.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(options.limit) || 20));
+
+  const query = { user: userId };
+  if (SECURITY_EVENT_TYPES.includes(options.type)) query.type = options.type;
+
+  const [events, total] = await Promise.all([
+    SecurityEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    SecurityEvent.countDocuments(query),
+  ]);
+
+  return {
+    events: events.map((event) => ({
+      id: event._id,
+      type: event.type,
+      description: EVENT_LABELS[event.type] || event.type,
+      ipAddress: event.ipAddress,
+      device: event.device,
+      country: event.country,
+      isNewDevice: event.isNewDevice,
+      isNewCountry: event.isNewCountry,
+      metadata: event.metadata,
+      createdAt: event.createdAt,
+    })),
+    pagination: {
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      hasMore: page * limit < total,
+    },
+  };
+};
+
+export default {
+  SECURITY_EVENT_TYPES,
+  getCountry,
+  recordSecurityEvent,
+  listSecurityEvents,
+};
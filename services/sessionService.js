@@ -0,0 +1,219 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Session from "../models/Session.js";
+
+const JWT_SECRET = () => process.env.JWT_SECRET || "your-secret-key";
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// How long the token replaced by a rotation is answered with TOKEN_ROTATED
+// instead of being treated as reuse
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashToken = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+/**
+ * Derive a coarse device description from a User-Agent header
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {{ type: string, browser: string, os: string, name: string }}
+ */
+export const describeDevice = (userAgent = "") => {
+  const ua = String(userAgent || "");
+
+  let type = "unknown";
+  if (/ipad|tablet/i.test(ua)) type = "tablet";
+  else if (/mobi|iphone|android/i.test(ua)) type = "mobile";
+  else if (/windows|macintosh|linux|x11|cros/i.test(ua)) type = "desktop";
+
+  let browser = "";
+  if (/edg\//i.test(ua)) browser = "Edge";
+  else if (/opr\/|opera/i.test(ua)) browser = "Opera";
+  else if (/chrome\//i.test(ua)) browser = "Chrome";
+  else if (/firefox\//i.test(ua)) browser = "Firefox";
+  else if (/safari\//i.test(ua)) browser = "Safari";
+  else if (/okhttp|dart|cfnetwork/i.test(ua)) browser = "App";
+
+  let os = "";
+  if (/windows/i.test(ua)) os = "Windows";
+  else if (/iphone|ipad|ios/i.test(ua)) os = "iOS";
+  else if (/mac os x|macintosh/i.test(ua)) os = "macOS";
+  else if (/android/i.test(ua)) os = "Android";
+  else if (/cros/i.test(ua)) os = "ChromeOS";
+  else if (/linux/i.test(ua)) os = "Linux";
+
+  const name = [browser, os].filter(Boolean).join(" on ") || "Unknown device";
+
+  return { type, browser, os, name };
+};
+
+/**
+ * Sign a short-lived access token bound to a session. Clients renew it with
+ * their refresh token.
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {string} JWT
+ */
+export const signAccessToken = (user, session) =>
+  jwt.sign({ userId: user._id, sid: session._id }, JWT_SECRET(), {
+    expiresIn: process.env.JWT_EXPIRES_IN || "15m",
+  });
+
+const buildRefreshToken = (session) => {
+  const secret = crypto.randomBytes(32).toString("hex");
+  return { secret, token: `${session._id}.${secret}` };
+};
+
+/**
+ * Create a new session for a successful login
+ * @param {Object} user - Authenticated user document
+ * @param {Object} req - Express request (for IP and User-Agent)
+ * @returns {Promise<{ token: string, refreshToken: string, session: Object }>}
+ */
+export const createSession = async (user, req) => {
+  const userAgent = req?.get?.("User-Agent") || "";
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: "pending",
+    device: describeDevice(userAgent),
+    ipAddress: req?.ip,
+    userAgent,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  const { secret, token: refreshToken } = buildRefreshToken(session);
+  session.refreshTokenHash = hashToken(secret);
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken,
+    session,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair. The swap is a
+ * single conditional update, so two refreshes with the same token can't both
+ * succeed. Presenting an already rotated refresh token revokes the whole
+ * session, unless it was rotated moments ago (several tabs refreshing at
+ * once), in which case the caller gets TOKEN_ROTATED and should retry with
+ * the newer token.
+ * @param {string} refreshToken - Refresh token issued by createSession/rotate
+ * @param {Object} req - Express request
+ * @returns {Promise<{ success: boolean, error?: string, code?: string, token?: string, refreshToken?: string, session?: Object }>}
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!sessionId || !secret || !/^[0-9a-fA-F]{24}$/.test(sessionId)) {
+    return { success: false, error: "Invalid refresh token", code: "INVALID_REFRESH_TOKEN" };
+  }
+
+  const session = await Session.findById(sessionId).populate("user");
+  if (!session || !session.user) {
+    return { success: false, error: "Invalid refresh token", code: "INVALID_REFRESH_TOKEN" };
+  }
+
+  if (!session.isActive()) {
+    return { success: false, error: "Session has been revoked or expired", code: "SESSION_REVOKED" };
+  }
+
+  if (session.user.status !== "active") {
+    return { success: false, error: "Account is suspended", code: "ACCOUNT_SUSPENDED" };
+  }
+
+  const presentedHash = hashToken(secret);
+  const next = buildRefreshToken(session);
+  const now = new Date();
+  const rotated = await Session.findOneAndUpdate(
+    {
+      _id: session._id,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(next.secret),
+        previousRefreshTokenHash: presentedHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        ...(req?.ip && { ipAddress: req.ip }),
+      },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // Lost the race or replayed: decide from the stored state
+    const current = await Session.findById(sessionId).select(
+      "+previousRefreshTokenHash revokedAt expiresAt rotatedAt"
+    );
+    if (!current || !current.isActive()) {
+      return { success: false, error: "Session has been revoked or expired", code: "SESSION_REVOKED" };
+    }
+    if (
+      current.previousRefreshTokenHash === presentedHash &&
+      Date.now() - new Date(current.rotatedAt).getTime() < ROTATION_GRACE_MS
+    ) {
+      return { success: false, error: "Refresh token was already rotated", code: "TOKEN_ROTATED" };
+    }
+    // Old token replayed: assume it leaked and kill the session
+    await current.revoke("token_reuse");
+    disconnectSessions(req?.app?.get("io"), { sessionId });
+    return { success: false, error: "Refresh token reuse detected", code: "TOKEN_REUSE" };
+  }
+
+  return {
+    success: true,
+    token: signAccessToken(session.user, rotated),
+    refreshToken: next.token,
+    session: rotated,
+  };
+};
+
+/**
+ * Check that the session referenced by an access token is still usable
+ * and bump its last-used timestamp (at most once a minute).
+ * @param {string} sessionId - Session id from the token's `sid` claim
+ * @returns {Promise<boolean>} Whether the session is active
+ */
+export const touchSession = async (sessionId) => {
+  const session = await Session.findById(sessionId).select(
+    "revokedAt expiresAt lastUsedAt"
+  );
+  if (!session || !session.isActive()) return false;
+
+  if (Date.now() - new Date(session.lastUsedAt).getTime() > 60 * 1000) {
+    Session.updateOne(
+      { _id: session._id },
+      { $set: { lastUsedAt: new Date() } }
+    ).catch(() => {});
+  }
+  return true;
+};
+
+/**
+ * Close the sockets opened with now-revoked sessions. Socket authentication
+ * only checks the session at handshake, so they would otherwise stay open.
+ * @param {import("socket.io").Server} [io] - Socket.IO server (`app.get("io")`)
+ * @param {Object} target - `{ sessionId }` for one session, or `{ userId }`
+ *   for all of a user's sessions, optionally sparing `exceptSessionId`
+ */
+export const disconnectSessions = (io, { sessionId, userId, exceptSessionId } = {}) => {
+  if (!io) return;
+  let sockets = sessionId ? io.in(`session_${sessionId}`) : io.in(`user_${userId}`);
+  if (exceptSessionId) {
+    sockets = sockets.except(`session_${exceptSessionId}`);
+  }
+  sockets.disconnectSockets(true);
+};
+
+export default {
+  describeDevice,
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  touchSession,
+  disconnectSessions,
+};
@@ -0,0 +1,185 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const TWILIO_API_BASE = process.env.TWILIO_API_BASE || "https://api.twilio.com";
+const SMS_FILE_PATH = process.env.SMS_FILE_PATH || "logs/sms-outbox.log";
+
+const PURPOSE_LABELS = {
+  registration: "verify your account",
+  login: "sign in",
+  password_reset: "reset your password",
+  phone_verification: "verify your phone number",
+  email_verification: "verify your email",
+};
+
+/**
+ * Twilio-style HTTP driver (Messages API)
+ */
+const twilioDriver = {
+  name: "twilio",
+  async send(to, body, { statusCallback } = {}) {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    const from = process.env.TWILIO_FROM_NUMBER;
+    const messagingServiceSid = process.env.TWILIO_MESSAGING_SERVICE_SID;
+
+    if (!accountSid || !authToken || (!from && !messagingServiceSid)) {
+      throw new Error("Twilio SMS driver is not configured");
+    }
+
+    const params = new URLSearchParams({ To: to, Body: body });
+    if (messagingServiceSid) {
+      params.set("MessagingServiceSid", messagingServiceSid);
+    } else {
+      params.set("From", from);
+    }
+    if (statusCallback) {
+      params.set("StatusCallback", statusCallback);
+    }
+
+    const response = await fetch(
+      `${TWILIO_API_BASE}/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      {
+        method: "POST",
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString("base64")}`,
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: params.toString(),
+      }
+    );
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `Twilio API error (${response.status})`);
+    }
+
+    return { messageId: data.sid, status: data.status || "queued" };
+  },
+};
+
+/**
+ * File sink driver: appends one JSON line per message (dev and tests)
+ */
+const fileDriver = {
+  name: "file",
+  async send(to, body) {
+    const messageId = `file_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+    const filePath = path.resolve(SMS_FILE_PATH);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(
+      filePath,
+      JSON.stringify({ id: messageId, to, body, sentAt: new Date().toISOString() }) + "\n"
+    );
+    return { messageId, status: "delivered" };
+  },
+};
+
+/**
+ * Console sink driver: logs the message instead of sending it
+ */
+const consoleDriver = {
+  name: "console",
+  async send(to, body) {
+    const messageId = `console_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+    console.log(`📱 SMS to ${to}: ${body}`);
+    return { messageId, status: "delivered" };
+  },
+};
+
+const drivers = {
+  twilio: twilioDriver,
+  file: fileDriver,
+  console: consoleDriver,
+};
+
+/**
+ * Resolve the SMS driver from SMS_DRIVER (twilio | file | console).
+ * Defaults to twilio when credentials are present, console otherwise. In
+ * production only twilio is allowed: the sinks would write codes to logs or
+ * disk in plain text.
+ * @returns {{ name: string, send: Function }}
+ */
+export const getDriver = () => {
+  const configured = (process.env.SMS_DRIVER || "").toLowerCase();
+  const driver = configured
+    ? drivers[configured]
+    : process.env.TWILIO_ACCOUNT_SID
+      ? twilioDriver
+      : consoleDriver;
+  if (!driver) {
+    throw new Error(`Unknown SMS_DRIVER "${configured}"`);
+  }
+  if (process.env.NODE_ENV === "production" && driver !== twilioDriver) {
+    throw new Error(
+      "No SMS provider configured: set SMS_DRIVER=twilio and the TWILIO_* credentials"
+    );
+  }
+  return driver;
+};
+
+/**
+ * Send an SMS through the configured driver
+ * @param {string} to - Recipient phone number (E.164)
+ * @param {string} body - Message text
+ * @param {Object} options - Driver options (statusCallback)
+ * @returns {Promise<{ provider: string, messageId: string, status: string }>}
+ */
+export const sendSMS = async (to, body, options = {}) => {
+  const driver = getDriver();
+  const result = await driver.send(to, body, {
+    statusCallback: process.env.SMS_STATUS_CALLBACK_URL,
+    ...options,
+  });
+  return { provider: driver.name, ...result };
+};
+
+/**
+ * Send an OTP code by SMS
+ * @param {string} to - Recipient phone number
+ * @param {string} code - OTP code
+ * @param {string} purpose - Purpose of OTP (registration, login, etc.)
+ * @returns {Promise<{ provider: string, messageId: string, status: string }>}
+ */
+export const sendOTPSMS = (to, code, purpose) => {
+  const action = PURPOSE_LABELS[purpose] || "continue";
+  return sendSMS(
+    to,
+    `Your Trees Social code to ${action} is ${code}. It expires in 10 minutes. Don't share it with anyone.`
+  );
+};
+
+/**
+ * Validate the X-Twilio-Signature header of a status callback
+ * @param {string} url - Full callback URL as configured with Twilio
+ * @param {Object} params - POSTed form parameters
+ * @param {string} signature - X-Twilio-Signature header value
+ * @returns {boolean} Whether the signature matches
+ */
+export const verifyTwilioSignature = (url, params = {}, signature = "") => {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken || !signature) return false;
+
+  const payload = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + key + params[key], url);
+  const expected = crypto
+    .createHmac("sha1", authToken)
+    .update(payload)
+    .digest("base64");
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+export default {
+  getDriver,
+  sendSMS,
+  sendOTPSMS,
+  verifyTwilioSignature,
+};
@@ -0,0 +1,334 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Follow from "../models/Follow.js";
+import UserInteraction from "../models/UserInteraction.js";
+import UserPreference from "../models/UserPreference.js";
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// How many candidates each signal contributes before ranking
+const CANDIDATE_POOL = 200;
+
+// Friends-of-friends are computed from at most this many of the viewer's follows
+const MAX_FOLLOWS_SAMPLED = 500;
+
+// Score per mutual connection, shared interest and interaction weight point,
+// and the penalty per recent impression that didn't lead to a follow
+export const SCORE_WEIGHTS = {
+  mutual: 3,
+  interest: 2,
+  interaction: 1,
+  impression: 0.5,
+};
+
+// Interaction types that say nothing positive about a pair of users
+const IGNORED_INTERACTIONS = [
+  "block",
+  "unblock",
+  "report",
+  "dislike",
+  "pass",
+  "unfollow",
+  "impression",
+  "dismiss",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DISMISS_DAYS = parseInt(process.env.SUGGESTION_DISMISS_DAYS) || 90;
+const IMPRESSION_TTL_DAYS = 30;
+const IMPRESSION_WINDOW_DAYS = 7;
+
+const SUGGESTION_USER_FIELDS =
+  "username name avatar profileImage isVerified bio followerCount";
+
+// Accounts that can be suggested at all
+const ELIGIBLE_USER_FILTER = {
+  status: { $ne: "suspended" },
+  isActive: { $ne: false },
+  isBlocked: { $ne: true },
+  deactivatedAt: null,
+  "privacy.allowProfileViews": { $ne: false },
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Everyone the viewer must not be offered: themselves, people they already
+// follow or asked to follow, blocks in either direction, mutes and dismissals
+const findExcludedIds = async (viewer, followingIds) => {
+  const [blockedBy, dismissed] = await Promise.all([
+    User.distinct("_id", { blockedUsers: viewer._id }),
+    UserInteraction.distinct("user2", {
+      user1: viewer._id,
+      interactionType: "dismiss",
+      context: "suggestions",
+      isActive: true,
+      expiresAt: { $gt: new Date() },
+    }),
+  ]);
+
+  const ids = [
+    viewer._id,
+    ...followingIds,
+    ...(viewer.blockedUsers || []),
+    ...(viewer.mutedUsers || []),
+    ...(viewer.sentFollowRequests || []),
+    ...blockedBy,
+    ...dismissed,
+  ];
+  const unique = [...new Set(ids.map(String))];
+  return unique.map(toObjectId);
+};
+
+// Accounts followed by the people the viewer follows, by number of mutuals
+const friendsOfFriends = (followingIds, excludedIds) => {
+  if (!followingIds.length) return [];
+  return Follow.aggregate([
+    {
+      $match: {
+        follower: { $in: followingIds.slice(0, MAX_FOLLOWS_SAMPLED) },
+        following: { $nin: excludedIds },
+      },
+    },
+    { $group: { _id: "$following", mutualCount: { $sum: 1 } } },
+    { $sort: { mutualCount: -1 } },
+    { $limit: CANDIDATE_POOL },
+  ]);
+};
+
+// Accounts whose matching preferences share interests with the viewer's
+const sharedInterests = async (viewerId, excludedIds) => {
+  const preference = await UserPreference.findOne({ userId: viewerId })
+    .select("interests")
+    .lean();
+  const interests = preference?.interests || [];
+  if (!interests.length) return [];
+
+  return UserPreference.aggregate([
+    {
+      $match: {
+        userId: { $nin: excludedIds },
+        isActive: { $ne: false },
+        interests: { $in: interests },
+      },
+    },
+    {
+      $project: {
+        _id: "$userId",
+        interests: { $setIntersection: ["$interests", interests] },
+      },
+    },
+    { $addFields: { interestCount: { $size: "$interests" } } },
+    { $sort: { interestCount: -1 } },
+    { $limit: CANDIDATE_POOL },
+  ]);
+};
+
+// Accounts the viewer has interacted with (in either direction), by weight
+const interactionWeights = (viewerId, excludedIds) =>
+  UserInteraction.aggregate([
+    {
+      $match: {
+        $or: [{ user1: viewerId }, { user2: viewerId }],
+        isActive: true,
+        interactionType: { $nin: IGNORED_INTERACTIONS },
+      },
+    },
+    {
+      $project: {
+        other: { $cond: [{ $eq: ["$user1", viewerId] }, "$user2", "$user1"] },
+        weight: 1,
+      },
+    },
+    { $match: { other: { $nin: excludedIds } } },
+    { $group: { _id: "$other", interactionScore: { $sum: "$weight" } } },
+    { $sort: { interactionScore: -1 } },
+    { $limit: CANDIDATE_POOL },
+  ]);
+
+const recentImpressions = (viewerId, candidateIds) =>
+  UserInteraction.aggregate([
+    {
+      $match: {
+        user1: viewerId,
+        user2: { $in: candidateIds },
+        interactionType: "impression",
+        context: "suggestions",
+        createdAt: { $gte: new Date(Date.now() - IMPRESSION_WINDOW_DAYS * DAY_MS) },
+      },
+    },
+    { $group: { _id: "$user2", count: { $sum: 1 } } },
+  ]);
+
+/**
+ * Combine a candidate's signals into a ranking score
+ * @param {Object} signals - { mutualCount, interests, interactionScore, impressions }
+ * @returns {number}
+ */
+export const scoreCandidate = ({
+  mutualCount = 0,
+  interests = [],
+  interactionScore = 0,
+  impressions = 0,
+}) =>
+  mutualCount * SCORE_WEIGHTS.mutual +
+  interests.length * SCORE_WEIGHTS.interest +
+  interactionScore * SCORE_WEIGHTS.interaction -
+  impressions * SCORE_WEIGHTS.impression;
+
+/**
+ * Explain a suggestion by its strongest signal
+ * @param {Object} signals - { mutualCount, interests, interactionScore }
+ * @returns {{ type: string, mutualCount?: number, interests?: string[] }}
+ */
+export const describeReason = ({ mutualCount = 0, interests = [], interactionScore = 0 }) => {
+  if (mutualCount > 0) return { type: "mutual_connections", mutualCount };
+  if (interests.length) {
+    return { type: "shared_interests", interests: interests.slice(0, 3) };
+  }
+  if (interactionScore > 0) return { type: "recent_interactions" };
+  return { type: "popular" };
+};
+
+/**
+ * Rank "people you may know" for a user: friends-of-friends, shared
+ * interests and past interactions, topped up with popular accounts
+ * @param {string|Object} userId - Viewer id
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array<{ user: Object, score: number, reason: Object }>>}
+ */
+export const getSuggestions = async (userId, options = {}) => {
+  const limit = Math.min(
+    MAX_LIMIT,
+    Math.max(1, parseInt(options.limit) || DEFAULT_LIMIT)
+  );
+
+  const viewer = await User.findById(userId)
+    .select("blockedUsers mutedUsers sentFollowRequests")
+    .lean();
+  if (!viewer) return [];
+
+  const viewerId = viewer._id;
+  const followingIds = await Follow.findFollowingIds(viewerId);
+  const excludedIds = await findExcludedIds(viewer, followingIds);
+
+  const [mutuals, interestMatches, interactions] = await Promise.all([
+    friendsOfFriends(followingIds, excludedIds),
+    sharedInterests(viewerId, excludedIds),
+    interactionWeights(viewerId, excludedIds),
+  ]);
+
+  // Merge the signals per candidate
+  const signals = new Map();
+  const merge = (rows) =>
+    rows.forEach(({ _id, ...values }) => {
+      if (!_id) return;
+      const key = _id.toString();
+      signals.set(key, { ...signals.get(key), ...values });
+    });
+  merge(mutuals);
+  merge(interestMatches);
+  merge(interactions);
+
+  const candidateIds = [...signals.keys()].map(toObjectId);
+  const [users, impressions] = await Promise.all([
+    User.find({ _id: { $in: candidateIds }, ...ELIGIBLE_USER_FILTER })
+      .select(SUGGESTION_USER_FIELDS)
+      .lean(),
+    recentImpressions(viewerId, candidateIds),
+  ]);
+  impressions.forEach(({ _id, count }) => {
+    signals.get(_id.toString()).impressions = count;
+  });
+
+  const ranked = users
+    .map((user) => {
+      const candidate = signals.get(user._id.toString());
+      return {
+        user,
+        score: scoreCandidate(candidate),
+        reason: describeReason(candidate),
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        (b.user.followerCount || 0) - (a.user.followerCount || 0)
+    )
+    .slice(0, limit);
+
+  // Not enough signal (e.g. a new account): top up with popular accounts
+  if (ranked.length < limit) {
+    const popular = await User.find({
+      _id: { $nin: [...excludedIds, ...ranked.map((s) => s.user._id)] },
+      ...ELIGIBLE_USER_FILTER,
+    })
+      .select(SUGGESTION_USER_FIELDS)
+      .sort({ followerCount: -1 })
+      .limit(limit - ranked.length)
+      .lean();
+    popular.forEach((user) =>
+      ranked.push({ user, score: 0, reason: describeReason({}) })
+    );
+  }
+
+  return ranked;
+};
+
+/**
+ * Record that suggestions were shown, so repeated impressions without a
+ * follow push them down. Failures are logged and never thrown.
+ * @param {string|Object} userId - Viewer id
+ * @param {Array} suggestedIds - Users that were shown
+ * @returns {Promise<void>}
+ */
+export const recordImpressions = async (userId, suggestedIds) => {
+  if (!suggestedIds.length) return;
+  try {
+    const expiresAt = new Date(Date.now() + IMPRESSION_TTL_DAYS * DAY_MS);
+    await UserInteraction.insertMany(
+      suggestedIds.map((id) => ({
+        user1: userId,
+        user2: id,
+        interactionType: "impression",
+        context: "suggestions",
+        weight: 0,
+        expiresAt,
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    console.error("Failed to record suggestion impressions:", error.message);
+  }
+};
+
+/**
+ * Hide a user from someone's suggestions for SUGGESTION_DISMISS_DAYS
+ * @param {string|Object} userId - Viewer id
+ * @param {string|Object} dismissedId - User to hide
+ * @returns {Promise<Object>} The dismiss interaction
+ */
+export const dismissSuggestion = (userId, dismissedId) =>
+  UserInteraction.findOneAndUpdate(
+    {
+      user1: userId,
+      user2: dismissedId,
+      interactionType: "dismiss",
+      context: "suggestions",
+    },
+    {
+      isActive: true,
+      weight: 0,
+      expiresAt: new Date(Date.now() + DISMISS_DAYS * DAY_MS),
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+export default {
+  SCORE_WEIGHTS,
+  scoreCandidate,
+  describeReason,
+  getSuggestions,
+  recordImpressions,
+  dismissSuggestion,
+};
@@ -0,0 +1,294 @@
+import mongoose from "mongoose";
+import Timeline from "../models/Timeline.js";
+import Post from "../models/Post.js";
+import User from "../models/User.js";
+import Follow from "../models/Follow.js";
+import AudienceList from "../models/AudienceList.js";
+import { postVisibilityFilter } from "./visibilityPolicy.js";
+
+// Authors with more followers than this aren't fanned out on write; their
+// followers pull their posts when the feed is read
+export const FANOUT_MAX_FOLLOWERS =
+  parseInt(process.env.TIMELINE_FANOUT_MAX_FOLLOWERS) || 5000;
+
+// Post types that go into home timelines (stories and reels have their own feeds)
+export const TIMELINE_POST_TYPES = ["post", "image", "video", "text"];
+
+// Posts copied into a timeline when its owner follows someone
+const BACKFILL_POSTS = 20;
+
+// How far back, and how many entries, a rebuilt timeline goes
+const REBUILD_WINDOW_DAYS = 30;
+const REBUILD_MAX_ENTRIES = 1000;
+
+const INSERT_BATCH_SIZE = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a post belongs in home timelines. PSAs reach every feed on read
+ * instead.
+ * @param {Object} post
+ * @returns {boolean}
+ */
+export const isTimelinePost = (post) =>
+  TIMELINE_POST_TYPES.includes(post.type) && !post.isPSA;
+
+/**
+ * Whether an author's posts are pulled at read time instead of fanned out
+ * @param {Object} author - User with followerCount
+ * @returns {boolean}
+ */
+export const usesPullModel = (author) =>
+  (author?.followerCount || 0) > FANOUT_MAX_FOLLOWERS;
+
+const entryFor = (userId, post) => ({
+  user: userId,
+  post: post._id,
+  author: post.authorId,
+  createdAt: post.createdAt,
+});
+
+// Insert timeline entries in batches; entries already there are skipped
+const insertEntries = async (entries) => {
+  for (let i = 0; i < entries.length; i += INSERT_BATCH_SIZE) {
+    try {
+      await Timeline.insertMany(entries.slice(i, i + INSERT_BATCH_SIZE), {
+        ordered: false,
+      });
+    } catch (error) {
+      if (error.code !== 11000 && !error.writeErrors) throw error;
+    }
+  }
+};
+
+/**
+ * Which of an author's followers may see a post: everyone for public posts,
+ * mutual followers for "friends" posts, list members for audience posts and
+ * nobody for private ones
+ * @param {Object} post - Post with authorId, visibility and audienceList
+ * @param {Array} followerIds - The author's followers
+ * @returns {Promise<Array>} Follower ids
+ */
+const followersWhoCanSee = async (post, followerIds) => {
+  if (!followerIds.length) return [];
+  if (post.audienceList) {
+    const list = await AudienceList.findById(post.audienceList)
+      .select("members")
+      .lean();
+    const members = new Set((list?.members || []).map(String));
+    return followerIds.filter((id) => members.has(String(id)));
+  }
+  switch (post.visibility) {
+    case "private":
+    case "audience":
+      return [];
+    case "friends":
+      return Follow.distinct("following", {
+        follower: post.authorId,
+        following: { $in: followerIds },
+      });
+    default:
+      return followerIds;
+  }
+};
+
+/**
+ * Push a new post into its author's timeline and, unless the author uses the
+ * pull model, the timelines of the followers allowed to see it. Failures are
+ * logged and never thrown.
+ * @param {Object} post - Saved post (_id, authorId, type, visibility, audienceList, createdAt)
+ * @returns {Promise<number>} Timelines written
+ */
+export const fanOutPost = async (post) => {
+  if (!isTimelinePost(post)) return 0;
+  try {
+    const author = await User.findById(post.authorId)
+      .select("followerCount")
+      .lean();
+    const followerIds = usesPullModel(author)
+      ? []
+      : await Follow.findFollowerIds(post.authorId);
+    const recipients = [
+      post.authorId,
+      ...(await followersWhoCanSee(post, followerIds)),
+    ];
+    await insertEntries(recipients.map((userId) => entryFor(userId, post)));
+    return recipients.length;
+  } catch (error) {
+    console.error("Failed to fan out post:", error.message);
+    return 0;
+  }
+};
+
+/**
+ * Remove a deleted post from every timeline. Failures are logged and never
+ * thrown.
+ * @param {string|Object} postId
+ * @returns {Promise<void>}
+ */
+export const removePostFromTimelines = async (postId) => {
+  try {
+    await Timeline.deleteMany({ post: postId });
+  } catch (error) {
+    console.error("Failed to remove post from timelines:", error.message);
+  }
+};
+
+/**
+ * Copy an author's latest posts into a user's timeline after a follow.
+ * Pull-model authors are skipped. Failures are logged and never thrown.
+ * @param {string|Object} userId - Timeline owner
+ * @param {string|Object} authorId - Newly followed author
+ * @returns {Promise<void>}
+ */
+export const backfillTimeline = async (userId, authorId) => {
+  try {
+    const author = await User.findById(authorId).select("followerCount").lean();
+    if (!author || usesPullModel(author)) return;
+
+    const [isFriend, audienceListIds] = await Promise.all([
+      Follow.isFollowing(authorId, userId),
+      AudienceList.findMemberListIds(userId),
+    ]);
+    const posts = await Post.find({
+      authorId,
+      type: { $in: TIMELINE_POST_TYPES },
+      isPSA: { $ne: true },
+      ...postVisibilityFilter({ isSelf: false, isFriend }, audienceListIds),
+    })
+      .select("authorId createdAt")
+      .sort({ createdAt: -1 })
+      .limit(BACKFILL_POSTS)
+      .lean();
+    await insertEntries(posts.map((post) => entryFor(userId, post)));
+  } catch (error) {
+    console.error("Failed to backfill timeline:", error.message);
+  }
+};
+
+/**
+ * Drop an author's posts from a user's timeline (unfollow, block). Failures
+ * are logged and never thrown.
+ * @param {string|Object} userId - Timeline owner
+ * @param {string|Object} authorId
+ * @returns {Promise<void>}
+ */
+export const removeAuthorFromTimeline = async (userId, authorId) => {
+  try {
+    await Timeline.deleteMany({ user: userId, author: authorId });
+  } catch (error) {
+    console.error("Failed to remove author from timeline:", error.message);
+  }
+};
+
+/**
+ * Followed authors whose posts the user pulls at read time
+ * @param {string|Object} userId
+ * @returns {Promise<Array>} Author ids
+ */
+export const findPulledAuthorIds = async (userId) => {
+  const largeAuthorIds = await User.distinct("_id", {
+    followerCount: { $gt: FANOUT_MAX_FOLLOWERS },
+  });
+  if (!largeAuthorIds.length) return [];
+  return Follow.distinct("following", {
+    follower: userId,
+    following: { $in: largeAuthorIds },
+  });
+};
+
+/**
+ * Post ids from a user's timeline, newest first
+ * @param {string|Object} userId
+ * @param {Object} options
+ * @param {Date} options.since - Oldest post time to include
+ * @param {Date} options.until - Newest post time to include
+ * @param {Object} options.after - { createdAt, id } keyset position to continue after
+ * @param {number} options.limit
+ * @returns {Promise<Array>} Post ids
+ */
+export const readTimeline = async (userId, { since, until, after, limit } = {}) => {
+  const query = { user: userId };
+  if (since || until) {
+    query.createdAt = {
+      ...(since && { $gte: since }),
+      ...(until && { $lte: until }),
+    };
+  }
+  if (after) {
+    query.$or = [
+      { createdAt: { $lt: after.createdAt } },
+      {
+        createdAt: after.createdAt,
+        post: { $lt: new mongoose.Types.ObjectId(String(after.id)) },
+      },
+    ];
+  }
+
+  const rows = await Timeline.find(query)
+    .sort({ createdAt: -1, post: -1 })
+    .limit(limit)
+    .select("post")
+    .lean();
+  return rows.map((row) => row.post);
+};
+
+/**
+ * Recreate a user's timeline from the accounts they follow: their own and
+ * fan-out authors' posts from the last REBUILD_WINDOW_DAYS
+ * @param {string|Object} userId
+ * @returns {Promise<number>} Entries written
+ */
+export const rebuildTimeline = async (userId) => {
+  const followingIds = await Follow.findFollowingIds(userId);
+  const fanOutAuthorIds = await User.distinct("_id", {
+    _id: { $in: followingIds },
+    followerCount: { $not: { $gt: FANOUT_MAX_FOLLOWERS } },
+  });
+
+  // Other authors' posts only when the user may see them
+  const [friendIds, audienceListIds] = await Promise.all([
+    Follow.distinct("follower", {
+      following: userId,
+      follower: { $in: fanOutAuthorIds },
+    }),
+    AudienceList.findMemberListIds(userId),
+  ]);
+
+  const posts = await Post.find({
+    type: { $in: TIMELINE_POST_TYPES },
+    isPSA: { $ne: true },
+    createdAt: { $gte: new Date(Date.now() - REBUILD_WINDOW_DAYS * DAY_MS) },
+    $or: [
+      { authorId: userId },
+      {
+        authorId: { $in: fanOutAuthorIds },
+        ...postVisibilityFilter({ isSelf: false }, audienceListIds),
+      },
+      { authorId: { $in: friendIds }, visibility: "friends", audienceList: null },
+    ],
+  })
+    .select("authorId createdAt")
+    .sort({ createdAt: -1 })
+    .limit(REBUILD_MAX_ENTRIES)
+    .lean();
+
+  await Timeline.deleteMany({ user: userId });
+  await insertEntries(posts.map((post) => entryFor(userId, post)));
+  return posts.length;
+};
+
+export default {
+  FANOUT_MAX_FOLLOWERS,
+  TIMELINE_POST_TYPES,
+  isTimelinePost,
+  usesPullModel,
+  fanOutPost,
+  removePostFromTimelines,
+  backfillTimeline,
+  removeAuthorFromTimeline,
+  findPulledAuthorIds,
+  readTimeline,
+  rebuildTimeline,
+};
@@ -0,0 +1,176 @@
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const ISSUER = process.env.TOTP_ISSUER || "Trees Social";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character in secret");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 encoded secret (160 bits)
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Build the otpauth:// URI consumed by authenticator apps
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} accountName - Label shown in the authenticator (email or username)
+ * @returns {string} otpauth URI
+ */
+export const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generate the TOTP code for a given time (RFC 6238, HMAC-SHA1)
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} timestamp - Unix time in milliseconds
+ * @returns {string} Zero padded code
+ */
+export const generateCode = (secret, timestamp = Date.now()) => {
+  const counter = Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Find the time step a TOTP code was generated for, allowing for small clock
+ * drift. Callers store the step of each accepted code and refuse codes from
+ * that step or earlier, so a code can't be replayed.
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number} window - Number of 30s steps accepted on each side
+ * @param {number} now - Unix time in milliseconds
+ * @returns {number} The matching time step, or -1
+ */
+export const findCodeStep = (secret, code, window = 1, now = Date.now()) => {
+  if (!secret || !code) return -1;
+  const normalized = String(code).replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return -1;
+
+  const current = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+  for (let step = -window; step <= window; step++) {
+    const candidate = generateCode(secret, now + step * TOTP_STEP_SECONDS * 1000);
+    if (
+      crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))
+    ) {
+      return current + step;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Verify a TOTP code, allowing for small clock drift
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number} window - Number of 30s steps accepted on each side
+ * @returns {boolean} Whether the code is valid
+ */
+export const verifyCode = (secret, code, window = 1) =>
+  findCodeStep(secret, code, window) !== -1;
+
+/**
+ * Generate one-time backup codes
+ * @param {number} count - Number of codes to generate
+ * @returns {Promise<{ codes: string[], hashes: string[] }>} Plain codes (shown once) and their bcrypt hashes
+ */
+export const generateBackupCodes = async (count = 10) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  const hashes = await Promise.all(codes.map((code) => bcrypt.hash(code, 10)));
+  return { codes, hashes };
+};
+
+/**
+ * Find which stored backup code hash matches the given code
+ * @param {string[]} hashes - Stored bcrypt hashes
+ * @param {string} code - Backup code entered by the user
+ * @returns {Promise<number>} Index of the matching hash, or -1
+ */
+export const findBackupCode = async (hashes = [], code) => {
+  const normalized = String(code || "").trim().toLowerCase();
+  if (!normalized) return -1;
+  for (let i = 0; i < hashes.length; i++) {
+    if (await bcrypt.compare(normalized, hashes[i])) return i;
+  }
+  return -1;
+};
+
+export default {
+  generateSecret,
+  buildOtpauthUri,
+  generateCode,
+  findCodeStep,
+  verifyCode,
+  generateBackupCodes,
+  findBackupCode,
+};
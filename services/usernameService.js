@@ -0,0 +1,93 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+
+const SUFFIXES = [
+  "user",
+  "pro",
+  "dev",
+  "live",
+  "stream",
+  "gamer",
+  "creator",
+  "2024",
+  "2025",
+];
+
+const RANDOM_WORDS = ["cool", "awesome", "best", "top", "super", "mega", "ultra"];
+
+const normalizeBase = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-zA-Z0-9]/g, "");
+
+const isTaken = (username) =>
+  User.exists({ username: { $regex: new RegExp(`^${username}$`, "i") } });
+
+/**
+ * Suggest available usernames derived from a base string
+ * @param {string} baseUsername - Desired username, name or email local part
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Promise<string[]>} Available usernames
+ */
+export const suggestUsernames = async (baseUsername, limit = 8) => {
+  const base = normalizeBase(baseUsername);
+  const suggestions = [];
+
+  // Generate various combinations
+  for (let i = 1; i <= 5; i++) {
+    suggestions.push(`${base}${i}`);
+  }
+
+  // Add common suffixes
+  SUFFIXES.forEach((suffix) => {
+    suggestions.push(`${base}_${suffix}`);
+    suggestions.push(`${base}-${suffix}`);
+  });
+
+  // Add random combinations
+  RANDOM_WORDS.forEach((word) => {
+    suggestions.push(`${base}_${word}`);
+    suggestions.push(`${base}-${word}`);
+  });
+
+  // Check availability and filter out taken usernames
+  const available = [];
+  for (const suggestion of suggestions) {
+    if (!(await isTaken(suggestion))) {
+      available.push(suggestion);
+      if (available.length >= limit) break;
+    }
+  }
+
+  return available;
+};
+
+/**
+ * Pick a single available username for an account created without one
+ * (e.g. social login). Tries the base itself first, then the suggestions.
+ * @param {string} baseUsername - Preferred base (name or email local part)
+ * @returns {Promise<string>} An available username
+ */
+export const generateUsername = async (baseUsername) => {
+  // Leave room for the longest suffix within the 30 character limit
+  let base = normalizeBase(baseUsername).slice(0, 20);
+  if (base.length < 3) {
+    base = `${base}user`;
+  }
+
+  if (!(await isTaken(base))) {
+    return base;
+  }
+
+  const [suggestion] = await suggestUsernames(base, 1);
+  if (suggestion) {
+    return suggestion;
+  }
+
+  return `${base}${crypto.randomInt(1000, 10000)}`;
+};
+
+export default {
+  suggestUsernames,
+  generateUsername,
+};
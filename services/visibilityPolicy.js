@@ -0,0 +1,430 @@
+import User from "../models/User.js";
+import AudienceList from "../models/AudienceList.js";
+import Follow from "../models/Follow.js";
+
+/**
+ * Profile access levels:
+ *  - full: profile and content are visible
+ *  - limited: only the redacted "private profile" card (identity + counts)
+ *  - none: the profile is not available at all
+ */
+export const ACCESS = {
+  FULL: "full",
+  LIMITED: "limited",
+  NONE: "none",
+};
+
+// Fields needed on the owner document to evaluate the policy
+export const OWNER_FIELDS =
+  "username name avatar profileImage isVerified privacy followerCount followingCount followRequests blockedUsers deactivatedAt";
+
+// Fields needed on the viewer document to evaluate the policy
+export const VIEWER_FIELDS = "blockedUsers";
+
+const idOf = (value) => (value?._id || value)?.toString();
+const includesId = (list, id) =>
+  !!id && (list || []).some((item) => idOf(item) === id);
+
+/**
+ * Work out how a viewer relates to a profile owner
+ * @param {Object} owner - Owner user (followRequests, blockedUsers)
+ * @param {Object|null} viewer - Viewer user (blockedUsers), or null
+ * @param {Object} follows - Follow edges between them, from loadFollows:
+ *   { isFollower (viewer follows owner), followsViewer (owner follows viewer) }
+ * @returns {{ isSelf: boolean, isFollower: boolean, followsViewer: boolean, isFriend: boolean, isBlocked: boolean, isRequested: boolean }}
+ */
+export const getRelationship = (owner, viewer, follows = {}) => {
+  const ownerId = idOf(owner);
+  const viewerId = idOf(viewer);
+
+  const isSelf = !!viewerId && ownerId === viewerId;
+  const isFollower = !!viewerId && !!follows.isFollower;
+  const followsViewer = !!viewerId && !!follows.followsViewer;
+
+  return {
+    isSelf,
+    isFollower,
+    followsViewer,
+    isFriend: isFollower && followsViewer,
+    isBlocked:
+      includesId(owner.blockedUsers, viewerId) ||
+      includesId(viewer?.blockedUsers, ownerId),
+    isRequested: includesId(owner.followRequests, viewerId),
+  };
+};
+
+/**
+ * Decide how much of a profile a viewer may see
+ * @param {Object} owner - Owner user
+ * @param {Object|null} viewer - Viewer user
+ * @param {Object} follows - Follow edges (see getRelationship)
+ * @returns {{ level: string, reason?: string, relationship: Object }}
+ */
+export const getProfileAccess = (owner, viewer, follows) => {
+  const relationship = getRelationship(owner, viewer, follows);
+  const privacy = owner.privacy || {};
+
+  if (relationship.isSelf) {
+    return { level: ACCESS.FULL, relationship };
+  }
+  if (relationship.isBlocked) {
+    return { level: ACCESS.NONE, reason: "BLOCKED", relationship };
+  }
+  if (owner.deactivatedAt) {
+    return { level: ACCESS.NONE, reason: "DEACTIVATED", relationship };
+  }
+  if (privacy.allowProfileViews === false) {
+    return { level: ACCESS.NONE, reason: "PROFILE_VIEWS_DISABLED", relationship };
+  }
+
+  switch (privacy.profileVisibility) {
+    case "private":
+      return relationship.isFollower
+        ? { level: ACCESS.FULL, relationship }
+        : { level: ACCESS.LIMITED, reason: "ACCOUNT_PRIVATE", relationship };
+    case "friends":
+      return relationship.isFriend
+        ? { level: ACCESS.FULL, relationship }
+        : { level: ACCESS.LIMITED, reason: "FRIENDS_ONLY", relationship };
+    default:
+      return { level: ACCESS.FULL, relationship };
+  }
+};
+
+/**
+ * Whether a profile should look as if it didn't exist: blocked (either way)
+ * and deactivated accounts
+ * @param {Object} access - From getProfileAccess
+ * @returns {boolean}
+ */
+export const isHiddenProfile = (access) =>
+  access.reason === "BLOCKED" || access.reason === "DEACTIVATED";
+
+/**
+ * Whether a viewer may see an owner's posts, reels, stories and lists
+ * @param {Object} owner - Owner user
+ * @param {Object|null} viewer - Viewer user
+ * @param {Object} follows - Follow edges (see getRelationship)
+ * @returns {boolean}
+ */
+export const canViewContent = (owner, viewer, follows) =>
+  getProfileAccess(owner, viewer, follows).level === ACCESS.FULL;
+
+/**
+ * Whether a viewer may see one post (or story). Audience-list members see
+ * list posts even on restricted profiles; blocks always win.
+ * @param {Object} post - Post with visibility and audienceList
+ * @param {Object} owner - Post author
+ * @param {Object|null} viewer - Viewer user
+ * @param {Object} follows - Follow edges (see getRelationship)
+ * @param {Object} options - { isAudienceMember }
+ * @returns {boolean}
+ */
+export const canViewPost = (
+  post,
+  owner,
+  viewer,
+  follows,
+  { isAudienceMember = false } = {}
+) => {
+  const access = getProfileAccess(owner, viewer, follows);
+  const { relationship } = access;
+
+  if (relationship.isSelf) return true;
+  if (access.level === ACCESS.NONE) return false;
+  if (post.audienceList) return isAudienceMember;
+  if (access.level !== ACCESS.FULL) return false;
+
+  switch (post.visibility) {
+    case "private":
+    case "audience":
+      return false;
+    case "friends":
+      return relationship.isFriend;
+    default:
+      return true;
+  }
+};
+
+/**
+ * Whether a viewer may watch a stream. Private streams are for followers.
+ * @param {Object} stream - Stream with isPrivate
+ * @param {Object} owner - Streamer
+ * @param {Object|null} viewer - Viewer user
+ * @param {Object} follows - Follow edges (see getRelationship)
+ * @returns {boolean}
+ */
+export const canViewStream = (stream, owner, viewer, follows) => {
+  const access = getProfileAccess(owner, viewer, follows);
+  if (access.relationship.isSelf) return true;
+  if (access.level !== ACCESS.FULL) return false;
+  return !stream.isPrivate || access.relationship.isFollower;
+};
+
+/**
+ * Whether a viewer may see a comment. Comments held for approval (from a
+ * restricted user) are only shown to the commenter and the post's or reel's
+ * author.
+ * @param {Object} comment - Comment with author (or legacy userId) and pendingApproval
+ * @param {string|Object} postAuthorId - Post or reel author id
+ * @param {string|Object} viewerId - Viewer id
+ * @returns {boolean}
+ */
+export const canViewComment = (comment, postAuthorId, viewerId) => {
+  if (!comment.pendingApproval) return true;
+  const viewer = idOf(viewerId);
+  return (
+    viewer === idOf(postAuthorId) ||
+    viewer === idOf(comment.author || comment.userId)
+  );
+};
+
+/**
+ * Post query clause for listing an owner's posts to a viewer who already
+ * has full access to the profile
+ * @param {Object} relationship - From getRelationship
+ * @param {Array} audienceListIds - Lists the viewer belongs to
+ * @returns {Object} Mongo filter
+ */
+export const postVisibilityFilter = (relationship, audienceListIds = []) => {
+  if (relationship.isSelf) return {};
+
+  const visibilities = relationship.isFriend ? ["public", "friends"] : ["public"];
+  return {
+    $or: [
+      { visibility: { $in: visibilities }, audienceList: null },
+      { visibility: { $exists: false }, audienceList: null },
+      { audienceList: { $in: audienceListIds } },
+    ],
+  };
+};
+
+/**
+ * The card shown instead of a profile the viewer can't fully see
+ * @param {Object} owner - Owner user
+ * @param {Object} relationship - From getRelationship
+ * @param {Object} counts - { postCount }
+ * @returns {Object}
+ */
+export const redactProfile = (owner, relationship, { postCount = 0 } = {}) => ({
+  _id: owner._id,
+  username: owner.username,
+  name: owner.name,
+  avatar: owner.avatar,
+  profileImage: owner.profileImage,
+  isVerified: owner.isVerified || false,
+  isPrivate: true,
+  profileVisibility: owner.privacy?.profileVisibility || "public",
+  followerCount: owner.followerCount || 0,
+  followingCount: owner.followingCount || 0,
+  postCount,
+  isFollowing: relationship.isFollower,
+  requested: relationship.isRequested,
+});
+
+/**
+ * The profile shown to a viewer with full access. Built from a whitelist so
+ * account internals (email, restricted/muted lists, linked identities,
+ * pending changes) never leave the server
+ * @param {Object} owner - Owner user
+ * @param {Object} relationship - From getRelationship
+ * @param {Object} counts - { postCount }
+ * @returns {Object}
+ */
+export const publicProfile = (owner, relationship, { postCount = 0 } = {}) => {
+  const privacy = owner.privacy || {};
+  return {
+    _id: owner._id,
+    username: owner.username,
+    name: owner.name,
+    avatar: owner.avatar,
+    profileImage: owner.profileImage,
+    bio: owner.bio,
+    location: owner.location,
+    website: owner.website,
+    isVerified: owner.isVerified || false,
+    badges: owner.badges || [],
+    isStreamer: owner.isStreamer || false,
+    streamerProfile: owner.streamerProfile,
+    subscriptionTiers: owner.subscriptionTiers || [],
+    isPrivate: false,
+    profileVisibility: privacy.profileVisibility || "public",
+    isOnline:
+      privacy.showOnlineStatus === false ? undefined : owner.isOnline || false,
+    lastSeen: privacy.showLastSeen === false ? undefined : owner.lastSeen,
+    createdAt: owner.createdAt,
+    followerCount: owner.followerCount || 0,
+    followingCount: owner.followingCount || 0,
+    postCount,
+    isFollowing: relationship.isFollower,
+    followsYou: relationship.followsViewer,
+    requested: relationship.isRequested,
+  };
+};
+
+/**
+ * Load the viewer fields the policy needs
+ * @param {string|Object} viewerId - Viewer id
+ * @returns {Promise<Object|null>}
+ */
+export const loadViewer = (viewerId) =>
+  viewerId ? User.findById(viewerId).select(VIEWER_FIELDS) : null;
+
+/**
+ * Load the follow edges between an owner and a viewer
+ * @param {string|Object} ownerId - Owner id
+ * @param {string|Object} viewerId - Viewer id
+ * @returns {Promise<{ isFollower: boolean, followsViewer: boolean }>}
+ */
+export const loadFollows = async (ownerId, viewerId) => {
+  if (!viewerId || idOf(ownerId) === idOf(viewerId)) {
+    return { isFollower: false, followsViewer: false };
+  }
+  const [isFollower, followsViewer] = await Promise.all([
+    Follow.isFollowing(viewerId, ownerId),
+    Follow.isFollowing(ownerId, viewerId),
+  ]);
+  return { isFollower, followsViewer };
+};
+
+/**
+ * Load an owner and viewer and evaluate profile access
+ * @param {string|Object} ownerId - Owner id
+ * @param {string|Object} viewerId - Viewer id
+ * @returns {Promise<{ owner: Object|null, viewer: Object|null, follows: Object, access: Object|null }>}
+ */
+export const resolveProfileAccess = async (ownerId, viewerId) => {
+  const [owner, viewer, follows] = await Promise.all([
+    User.findById(ownerId).select(OWNER_FIELDS),
+    loadViewer(viewerId),
+    loadFollows(ownerId, viewerId),
+  ]);
+  if (!owner) return { owner: null, viewer, follows, access: null };
+  return { owner, viewer, follows, access: getProfileAccess(owner, viewer, follows) };
+};
+
+/**
+ * Build the Post filter for listing an owner's posts to a viewer
+ * @param {Object} relationship - From getRelationship
+ * @param {string|Object} viewerId - Viewer id
+ * @returns {Promise<Object>} Mongo filter
+ */
+export const resolvePostFilter = async (relationship, viewerId) => {
+  if (relationship.isSelf) return {};
+  const listIds = await AudienceList.findMemberListIds(viewerId);
+  return postVisibilityFilter(relationship, listIds);
+};
+
+/**
+ * Load everything needed and check whether a viewer may see a post
+ * @param {Object} post - Post (authorId may be populated)
+ * @param {string|Object} viewerId - Viewer id
+ * @returns {Promise<boolean>}
+ */
+export const canViewerSeePost = async (post, viewerId) => {
+  const { owner, viewer, follows } = await resolveProfileAccess(
+    idOf(post.authorId),
+    viewerId
+  );
+  if (!owner) return false;
+
+  const isAudienceMember = post.audienceList
+    ? !!(await AudienceList.exists({ _id: post.audienceList, members: viewerId }))
+    : false;
+  return canViewPost(post, owner, viewer, follows, { isAudienceMember });
+};
+
+/**
+ * Which of the given authors' content a viewer must not see in global
+ * listings (restricted profiles they don't follow, deactivated accounts, and
+ * blocks in either direction). Only these authors are loaded, so the cost
+ * follows the page size, not the number of accounts.
+ * @param {Object|null} viewer - Viewer loaded with VIEWER_FIELDS
+ * @param {Array} authorIds - User ids
+ * @returns {Promise<Set<string>>} Hidden author ids
+ */
+export const findHiddenAuthorsAmong = async (viewer, authorIds) => {
+  const ids = [...new Set(authorIds.map(idOf).filter(Boolean))];
+  if (!ids.length) return new Set();
+
+  const viewerId = viewer?._id;
+  const [owners, following, followers] = await Promise.all([
+    User.find({ _id: { $in: ids } }).select(OWNER_FIELDS).lean(),
+    viewerId
+      ? Follow.distinct("following", { follower: viewerId, following: { $in: ids } })
+      : [],
+    viewerId
+      ? Follow.distinct("follower", { following: viewerId, follower: { $in: ids } })
+      : [],
+  ]);
+  const followingIds = new Set(following.map(idOf));
+  const followerIds = new Set(followers.map(idOf));
+
+  return new Set(
+    owners
+      .filter(
+        (owner) =>
+          !canViewContent(owner, viewer, {
+            isFollower: followingIds.has(idOf(owner)),
+            followsViewer: followerIds.has(idOf(owner)),
+          })
+      )
+      .map(idOf)
+  );
+};
+
+/**
+ * Drop the items whose authors a viewer must not see in global listings (see
+ * findHiddenAuthorsAmong), keeping the order
+ * @param {Object|null} viewer - Viewer loaded with VIEWER_FIELDS
+ * @param {Array} items - Posts, reels, streams...
+ * @param {Function} authorOf - Returns an item's author id or populated author
+ * @returns {Promise<Array>} The visible items
+ */
+export const filterByAuthorAccess = async (viewer, items, authorOf) => {
+  const hidden = await findHiddenAuthorsAmong(viewer, items.map(authorOf));
+  return hidden.size
+    ? items.filter((item) => !hidden.has(idOf(authorOf(item))))
+    : items;
+};
+
+/**
+ * Drop deactivated accounts from a list of author ids (e.g. the accounts a
+ * viewer follows, before building their feed)
+ * @param {Array} ids - User ids
+ * @returns {Promise<Array>} The ids whose accounts are active
+ */
+export const filterActiveAuthorIds = async (ids) => {
+  if (!ids.length) return ids;
+  const deactivated = new Set(
+    (
+      await User.distinct("_id", {
+        _id: { $in: ids },
+        deactivatedAt: { $ne: null },
+      })
+    ).map((id) => id.toString())
+  );
+  return ids.filter((id) => !deactivated.has(id.toString()));
+};
+
+export default {
+  ACCESS,
+  getRelationship,
+  getProfileAccess,
+  isHiddenProfile,
+  canViewContent,
+  canViewPost,
+  canViewStream,
+  canViewComment,
+  postVisibilityFilter,
+  redactProfile,
+  publicProfile,
+  loadViewer,
+  loadFollows,
+  resolveProfileAccess,
+  resolvePostFilter,
+  canViewerSeePost,
+  findHiddenAuthorsAmong,
+  filterByAuthorAccess,
+  filterActiveAuthorIds,
+};
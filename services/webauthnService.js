@@ -0,0 +1,211 @@
+import {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} from "@simplewebauthn/server";
+import AuthChallenge from "../models/AuthChallenge.js";
+import User from "../models/User.js";
+
+const RP_NAME = process.env.WEBAUTHN_RP_NAME || "Trees Social";
+const CHALLENGE_MINUTES = 5;
+
+const getRpId = () => process.env.WEBAUTHN_RP_ID || "localhost";
+
+const getOrigins = () =>
+  (process.env.WEBAUTHN_ORIGINS || process.env.FRONTEND_URL || "http://localhost:5173")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+
+const toBase64url = (bytes) => Buffer.from(bytes).toString("base64url");
+const fromBase64url = (value) => new Uint8Array(Buffer.from(value, "base64url"));
+
+// The challenge is echoed back inside clientDataJSON
+const readChallenge = (response) => {
+  try {
+    const clientData = JSON.parse(
+      Buffer.from(response.response.clientDataJSON, "base64url").toString("utf8")
+    );
+    return clientData.challenge;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Build registration options for a signed-in user
+ * @param {Object} user - User document loaded with +passkeys
+ * @returns {Promise<Object>} PublicKeyCredentialCreationOptionsJSON
+ */
+export const startRegistration = async (user) => {
+  const options = await generateRegistrationOptions({
+    rpName: RP_NAME,
+    rpID: getRpId(),
+    userID: new Uint8Array(Buffer.from(String(user._id))),
+    userName: user.username,
+    userDisplayName: user.name || user.username,
+    attestationType: "none",
+    excludeCredentials: (user.passkeys || []).map((passkey) => ({
+      id: passkey.credentialId,
+      transports: passkey.transports,
+    })),
+    authenticatorSelection: {
+      residentKey: "preferred",
+      userVerification: "preferred",
+    },
+  });
+
+  await AuthChallenge.issue(
+    { type: "webauthn_registration", key: options.challenge, user: user._id },
+    CHALLENGE_MINUTES
+  );
+
+  return options;
+};
+
+/**
+ * Verify a registration response and build the passkey record
+ * @param {Object} user - User document loaded with +passkeys
+ * @param {Object} response - RegistrationResponseJSON from the browser
+ * @returns {Promise<{ success: boolean, error?: string, code?: string, passkey?: Object }>}
+ */
+export const finishRegistration = async (user, response) => {
+  const challengeValue = readChallenge(response);
+  const challenge =
+    challengeValue &&
+    (await AuthChallenge.consume("webauthn_registration", challengeValue));
+  if (!challenge || String(challenge.user) !== String(user._id)) {
+    return { success: false, error: "Registration expired. Please try again.", code: "INVALID_CHALLENGE" };
+  }
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: challenge.key,
+      expectedOrigin: getOrigins(),
+      expectedRPID: getRpId(),
+      requireUserVerification: false,
+    });
+  } catch (error) {
+    return { success: false, error: error.message, code: "VERIFICATION_FAILED" };
+  }
+
+  if (!verification.verified) {
+    return { success: false, error: "Passkey could not be verified", code: "VERIFICATION_FAILED" };
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } =
+    verification.registrationInfo;
+
+  if (await User.exists({ "passkeys.credentialId": credential.id })) {
+    return { success: false, error: "This passkey is already registered", code: "PASSKEY_EXISTS" };
+  }
+
+  return {
+    success: true,
+    passkey: {
+      credentialId: credential.id,
+      publicKey: toBase64url(credential.publicKey),
+      counter: credential.counter,
+      transports: credential.transports || response.response?.transports || [],
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+    },
+  };
+};
+
+/**
+ * Build authentication options. With a user, only their passkeys are
+ * allowed; without one the browser offers any discoverable passkey.
+ * @param {Object|null} user - User document loaded with +passkeys, or null
+ * @returns {Promise<Object>} PublicKeyCredentialRequestOptionsJSON
+ */
+export const startAuthentication = async (user = null) => {
+  const options = await generateAuthenticationOptions({
+    rpID: getRpId(),
+    allowCredentials: (user?.passkeys || []).map((passkey) => ({
+      id: passkey.credentialId,
+      transports: passkey.transports,
+    })),
+    userVerification: "preferred",
+  });
+
+  await AuthChallenge.issue(
+    { type: "webauthn_authentication", key: options.challenge, user: user?._id },
+    CHALLENGE_MINUTES
+  );
+
+  return options;
+};
+
+/**
+ * Verify an authentication response and bump the credential counter
+ * @param {Object} response - AuthenticationResponseJSON from the browser
+ * @returns {Promise<{ success: boolean, error?: string, code?: string, user?: Object, userVerified?: boolean }>}
+ */
+export const finishAuthentication = async (response) => {
+  const challengeValue = readChallenge(response);
+  const challenge =
+    challengeValue &&
+    (await AuthChallenge.consume("webauthn_authentication", challengeValue));
+  if (!challenge) {
+    return { success: false, error: "Sign-in expired. Please try again.", code: "INVALID_CHALLENGE" };
+  }
+
+  const user = await User.findOne({ "passkeys.credentialId": response?.id }).select(
+    "+passkeys"
+  );
+  if (!user || (challenge.user && String(challenge.user) !== String(user._id))) {
+    return { success: false, error: "Passkey not recognised", code: "UNKNOWN_PASSKEY" };
+  }
+
+  const passkey = user.passkeys.find((p) => p.credentialId === response.id);
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: challenge.key,
+      expectedOrigin: getOrigins(),
+      expectedRPID: getRpId(),
+      credential: {
+        id: passkey.credentialId,
+        publicKey: fromBase64url(passkey.publicKey),
+        counter: passkey.counter,
+        transports: passkey.transports,
+      },
+      requireUserVerification: false,
+    });
+  } catch (error) {
+    return { success: false, error: error.message, code: "VERIFICATION_FAILED", user };
+  }
+
+  if (!verification.verified) {
+    return { success: false, error: "Passkey could not be verified", code: "VERIFICATION_FAILED", user };
+  }
+
+  await User.updateOne(
+    { _id: user._id, "passkeys.credentialId": passkey.credentialId },
+    {
+      $set: {
+        "passkeys.$.counter": verification.authenticationInfo.newCounter,
+        "passkeys.$.lastUsedAt": new Date(),
+      },
+    }
+  );
+
+  return {
+    success: true,
+    user,
+    userVerified: verification.authenticationInfo.userVerified,
+  };
+};
+
+export default {
+  startRegistration,
+  finishRegistration,
+  startAuthentication,
+  finishAuthentication,
+};
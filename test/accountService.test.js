@@ -0,0 +1,222 @@
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Post from '../models/Post.js';
+import Reel from '../models/Reel.js';
+import Follow from '../models/Follow.js';
+import Comment from '../models/Comment.js';
+import Hashtag from '../models/Hashtag.js';
+import Mention from '../models/Mention.js';
+import Notification from '../models/Notification.js';
+import Report from '../models/Reports.js';
+import ContentReport from '../models/ContentReport.js';
+import Match from '../models/Match.js';
+import UserInteraction from '../models/UserInteraction.js';
+import UserSettings from '../models/UserSettings.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import FeedImpression from '../models/FeedImpression.js';
+import Timeline from '../models/Timeline.js';
+import DataExport from '../models/DataExport.js';
+import AudienceList from '../models/AudienceList.js';
+import {
+  DELETION_GRACE_DAYS,
+  deactivateAccount,
+  reactivateAccount,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeAccount,
+  purgeDueAccounts,
+} from '../services/accountService.js';
+
+const USER_ID = '64b000000000000000000001';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Models purgeAccount writes to
+const PURGED_MODELS = [
+  User,
+  Post,
+  Reel,
+  Follow,
+  Comment,
+  Hashtag,
+  Mention,
+  Notification,
+  Report,
+  ContentReport,
+  Match,
+  UserInteraction,
+  Session,
+  SecurityEvent,
+  FeedImpression,
+  Timeline,
+  DataExport,
+  AudienceList,
+];
+
+// A user whose saves are captured instead of sent to the database
+const makeUser = (fields = {}) => {
+  const user = new User({ _id: USER_ID, username: 'alice', email: 'alice@example.com', ...fields });
+  user.save = jest.fn(async () => user);
+  return user;
+};
+
+describe('accountService', () => {
+  let revokeAll;
+
+  beforeEach(() => {
+    revokeAll = jest.spyOn(Session, 'revokeAllForUser').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('defaults to a 30 day grace period', () => {
+    expect(DELETION_GRACE_DAYS).toBe(30);
+  });
+
+  describe('deactivateAccount', () => {
+    it('marks the account and signs out every session', async () => {
+      const user = makeUser();
+      await deactivateAccount(user);
+
+      expect(user.deactivatedAt).toBeInstanceOf(Date);
+      expect(user.save).toHaveBeenCalled();
+      expect(revokeAll).toHaveBeenCalledWith(user._id, 'account_deactivated');
+    });
+
+    it('keeps the original deactivation date', async () => {
+      const since = new Date('2024-01-01');
+      const user = makeUser({ deactivatedAt: since });
+      await deactivateAccount(user);
+
+      expect(user.deactivatedAt).toEqual(since);
+    });
+  });
+
+  describe('reactivateAccount', () => {
+    it('clears the deactivation', async () => {
+      const user = makeUser({ deactivatedAt: new Date() });
+      await reactivateAccount(user);
+
+      expect(user.deactivatedAt).toBeUndefined();
+      expect(user.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('scheduleAccountDeletion', () => {
+    it('deactivates now and schedules deletion after the grace period', async () => {
+      const user = makeUser();
+      const scheduledFor = await scheduleAccountDeletion(user);
+
+      expect(user.deactivatedAt).toBeInstanceOf(Date);
+      expect(user.deletionRequestedAt).toEqual(user.deactivatedAt);
+      expect(scheduledFor.getTime() - user.deletionRequestedAt.getTime()).toBe(
+        DELETION_GRACE_DAYS * DAY_MS
+      );
+      expect(user.deletionScheduledFor).toEqual(scheduledFor);
+      expect(revokeAll).toHaveBeenCalledWith(user._id, 'account_deletion');
+    });
+  });
+
+  describe('cancelAccountDeletion', () => {
+    it('clears the schedule and reactivates the account', async () => {
+      const user = makeUser();
+      await scheduleAccountDeletion(user);
+      await cancelAccountDeletion(user);
+
+      expect(user.deactivatedAt).toBeUndefined();
+      expect(user.deletionRequestedAt).toBeUndefined();
+      expect(user.deletionScheduledFor).toBeUndefined();
+    });
+  });
+
+  describe('purgeDueAccounts', () => {
+    it('only looks at accounts past their grace period', async () => {
+      const find = jest.spyOn(User, 'find').mockReturnValue({
+        select() {
+          return this;
+        },
+        lean: async () => [],
+      });
+      const before = Date.now();
+
+      expect(await purgeDueAccounts()).toBe(0);
+
+      const [[query]] = find.mock.calls;
+      expect(query.deletionScheduledFor.$lte.getTime()).toBeGreaterThanOrEqual(before);
+    });
+
+    it('carries on past accounts that fail or no longer exist', async () => {
+      jest.spyOn(User, 'find').mockReturnValue({
+        select() {
+          return this;
+        },
+        lean: async () => [{ _id: 'a' }, { _id: 'b' }, { _id: 'c' }],
+      });
+      const findById = jest.spyOn(User, 'findById').mockImplementation(async (id) => {
+        if (id === 'b') throw new Error('db down');
+        return null;
+      });
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await purgeDueAccounts()).toBe(0);
+      expect(findById).toHaveBeenCalledTimes(3);
+      expect(error).toHaveBeenCalledWith('Failed to purge account b:', 'db down');
+    });
+  });
+
+  describe('purgeAccount', () => {
+    beforeEach(() => {
+      for (const Model of PURGED_MODELS) {
+        jest.spyOn(Model, 'updateMany').mockResolvedValue({});
+        jest.spyOn(Model, 'deleteMany').mockResolvedValue({});
+      }
+      jest.spyOn(User, 'findById').mockResolvedValue(makeUser());
+      jest.spyOn(User, 'findByIdAndDelete').mockResolvedValue({});
+      jest.spyOn(Post, 'find').mockReturnValue({ setOptions: async () => [] });
+      jest.spyOn(Reel, 'find').mockResolvedValue([]);
+      jest.spyOn(Follow, 'findFollowerIds').mockResolvedValue([]);
+      jest.spyOn(Follow, 'findFollowingIds').mockResolvedValue([]);
+      jest.spyOn(Comment, 'distinct').mockResolvedValue([]);
+      jest.spyOn(Comment, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+      jest.spyOn(DataExport, 'find').mockReturnValue({ select: async () => [] });
+      jest.spyOn(UserSettings, 'findOneAndDelete').mockResolvedValue(null);
+    });
+
+    it("takes the user out of other users' mute and restrict lists", async () => {
+      expect(await purgeAccount(USER_ID)).toBe(true);
+
+      expect(User.updateMany).toHaveBeenCalledWith(
+        { mutedUsers: USER_ID },
+        { $pull: { mutedUsers: USER_ID } }
+      );
+      expect(User.updateMany).toHaveBeenCalledWith(
+        { restrictedUsers: USER_ID },
+        { $pull: { restrictedUsers: USER_ID } }
+      );
+      expect(User.updateMany).toHaveBeenCalledWith(
+        { blockedUsers: USER_ID },
+        { $pull: { blockedUsers: USER_ID } }
+      );
+    });
+
+    it("removes the user from other people's audience lists and deletes their own", async () => {
+      await purgeAccount(USER_ID);
+
+      expect(AudienceList.updateMany).toHaveBeenCalledWith(
+        { members: USER_ID },
+        { $pull: { members: USER_ID } }
+      );
+      expect(AudienceList.deleteMany).toHaveBeenCalledWith({ owner: USER_ID });
+      expect(User.findByIdAndDelete).toHaveBeenCalledWith(USER_ID);
+    });
+
+    it('does nothing for accounts that no longer exist', async () => {
+      User.findById.mockResolvedValue(null);
+
+      expect(await purgeAccount(USER_ID)).toBe(false);
+      expect(AudienceList.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+});
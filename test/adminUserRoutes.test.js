@@ -0,0 +1,151 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import Session from '../models/Session.js';
+import Chat from '../models/Chat.js';
+import AdminLog from '../models/AdminLog.js';
+import { DEFAULT_ROLE_PERMISSIONS } from '../config/permissions.js';
+import adminRoutes from '../routes/admin.js';
+import matchmakingRoutes from '../routes/matchmaking.js';
+
+const SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const MODERATOR_ID = '64b000000000000000000001';
+const ADMIN_ID = '64b000000000000000000002';
+const MEMBER_ID = '64b000000000000000000003';
+const SESSION_ID = '64b0000000000000000000a1';
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+app.use('/api/admin/matchmaking', matchmakingRoutes);
+
+const token = jwt.sign({ userId: MODERATOR_ID, sid: SESSION_ID }, SECRET, { expiresIn: '5m' });
+
+// Moderators with users:update and users:impersonate on top of the
+// defaults, so PATCH /users/:id and impersonation get past requirePermission
+const stubRoles = () => {
+  Role.clearCache();
+  jest.spyOn(Role, 'findOne').mockImplementation(({ name }) => ({
+    lean: async () =>
+      name === 'moderator'
+        ? { name, permissions: [...DEFAULT_ROLE_PERMISSIONS.moderator, 'users:update', 'users:impersonate'] }
+        : null,
+  }));
+};
+
+const stubUsers = () => {
+  const users = {
+    [MODERATOR_ID]: new User({ _id: MODERATOR_ID, username: 'mod', role: 'moderator', status: 'active' }),
+    [ADMIN_ID]: new User({ _id: ADMIN_ID, username: 'root', role: 'admin', status: 'active' }),
+    [MEMBER_ID]: new User({ _id: MEMBER_ID, username: 'member', role: 'user', status: 'active' }),
+  };
+  jest.spyOn(User, 'findById').mockImplementation((id) => {
+    const user = users[String(id)] || null;
+    const query = Promise.resolve(user);
+    query.select = async () => user;
+    return query;
+  });
+  return users;
+};
+
+describe('admin routes that change another user', () => {
+  let updates;
+
+  beforeEach(() => {
+    stubRoles();
+    stubUsers();
+    jest.spyOn(Session, 'findById').mockReturnValue({
+      select: async () => ({ isActive: () => true, lastUsedAt: new Date() }),
+    });
+    updates = [
+      jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null),
+      jest.spyOn(User, 'findByIdAndDelete').mockResolvedValue(null),
+      jest.spyOn(User.prototype, 'save').mockImplementation(async function () {
+        return this;
+      }),
+    ];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const send = (method, path, body = {}) =>
+    request(app)[method](path).set('Authorization', `Bearer ${token}`).send(body);
+
+  it.each([
+    ['put', `/api/admin/users/${ADMIN_ID}/ban`, { reason: 'spam' }],
+    ['patch', `/api/admin/users/${ADMIN_ID}/status`, { isActive: false }],
+    ['patch', `/api/admin/users/${ADMIN_ID}`, { status: 'banned' }],
+    ['patch', `/api/admin/users/${ADMIN_ID}`, { email: 'mod@example.com' }],
+    ['post', `/api/admin/moderation/ban-user/${ADMIN_ID}`, { reason: 'spam' }],
+    ['post', `/api/admin/matchmaking/suspend-user/${ADMIN_ID}`, { reason: 'spam' }],
+    ['post', `/api/admin/matchmaking/unsuspend-user/${ADMIN_ID}`, {}],
+    ['post', `/api/admin/users/${ADMIN_ID}/impersonate`, { reason: 'support ticket' }],
+  ])('refuses a moderator on %s %s against an admin', async (method, path, body) => {
+    const res = await send(method, path, body);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('TARGET_OUTRANKS');
+    for (const update of updates) {
+      expect(update).not.toHaveBeenCalled();
+    }
+  });
+
+  it('lets a moderator ban a regular user', async () => {
+    User.findByIdAndUpdate.mockResolvedValue({ _id: MEMBER_ID });
+
+    const res = await send('put', `/api/admin/users/${MEMBER_ID}/ban`, { reason: 'spam' });
+
+    expect(res.status).toBe(200);
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+      MEMBER_ID,
+      { isActive: false, banReason: 'spam' },
+      { new: true }
+    );
+  });
+
+  it('responds 404 for unknown users', async () => {
+    const res = await send('put', '/api/admin/users/64b0000000000000000000ff/ban', {});
+    expect(res.status).toBe(404);
+  });
+
+  it('refuses to ban a chat whose participants outrank the moderator', async () => {
+    jest.spyOn(Chat, 'findById').mockResolvedValue({
+      _id: '64b0000000000000000000c1',
+      participants: [MEMBER_ID, ADMIN_ID],
+      save: jest.fn(),
+    });
+    jest.spyOn(User, 'find').mockReturnValue({
+      select: async () => [{ role: 'user' }, { role: 'admin' }],
+    });
+
+    const res = await send('post', '/api/admin/matchmaking/moderate-chat/64b0000000000000000000c1', {
+      action: 'ban_users',
+      reason: 'spam',
+    });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('TARGET_OUTRANKS');
+    expect(updates[2]).not.toHaveBeenCalled();
+  });
+
+  it('issues impersonation tokens for users who do not outrank the moderator', async () => {
+    const log = jest.spyOn(AdminLog, 'logAction').mockResolvedValue({});
+
+    const res = await send('post', `/api/admin/users/${MEMBER_ID}/impersonate`, {
+      reason: 'support ticket',
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.readOnly).toBe(true);
+    expect(jwt.verify(res.body.token, SECRET)).toMatchObject({
+      userId: MEMBER_ID,
+      impersonatedBy: MODERATOR_ID,
+    });
+    expect(log).toHaveBeenCalledWith(expect.objectContaining({ action: 'user_impersonated' }));
+  });
+});
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import AudienceList from '../models/AudienceList.js';
+
+const OWNER_ID = '64b000000000000000000001';
+const MEMBER_ID = '64b000000000000000000002';
+const STRANGER_ID = '64b000000000000000000003';
+
+const objectId = (i) => new mongoose.Types.ObjectId(i.toString(16).padStart(24, '0'));
+
+describe('AudienceList', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('hasMember', () => {
+    it('matches members by id, whether given a string or an ObjectId', () => {
+      const list = new AudienceList({ owner: OWNER_ID, name: 'Close Friends', members: [MEMBER_ID] });
+      expect(list.hasMember(MEMBER_ID)).toBe(true);
+      expect(list.hasMember(new mongoose.Types.ObjectId(MEMBER_ID))).toBe(true);
+      expect(list.hasMember(STRANGER_ID)).toBe(false);
+    });
+  });
+
+  describe('validation', () => {
+    it('accepts lists up to the member limit', () => {
+      const members = Array.from({ length: 1000 }, (_, i) => objectId(i + 1));
+      const list = new AudienceList({ owner: OWNER_ID, name: 'Everyone', members });
+      expect(list.validateSync()).toBeUndefined();
+    });
+
+    it('rejects lists over the member limit', () => {
+      const members = Array.from({ length: 1001 }, (_, i) => objectId(i + 1));
+      const list = new AudienceList({ owner: OWNER_ID, name: 'Too many', members });
+      expect(list.validateSync().errors.members.message).toBe(
+        'A list can have at most 1000 members'
+      );
+    });
+
+    it('requires a name of at most 50 characters', () => {
+      expect(new AudienceList({ owner: OWNER_ID }).validateSync().errors.name).toBeDefined();
+      const long = new AudienceList({ owner: OWNER_ID, name: 'x'.repeat(51) });
+      expect(long.validateSync().errors.name.message).toBe(
+        'List name cannot be more than 50 characters'
+      );
+    });
+  });
+
+  describe('visibleToFilter', () => {
+    it("shows unlisted posts, the viewer's own posts and lists the viewer is on", async () => {
+      const distinct = jest.spyOn(AudienceList, 'distinct').mockResolvedValue(['list-1']);
+
+      const filter = await AudienceList.visibleToFilter(MEMBER_ID);
+
+      expect(distinct).toHaveBeenCalledWith('_id', { members: MEMBER_ID });
+      expect(filter).toEqual({
+        $or: [
+          { audienceList: null },
+          { authorId: MEMBER_ID },
+          { audienceList: { $in: ['list-1'] } },
+        ],
+      });
+    });
+  });
+});
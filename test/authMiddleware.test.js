@@ -0,0 +1,169 @@
+import jwt from 'jsonwebtoken';
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import { protect, requireVerifiedEmail } from '../middleware/auth.js';
+
+const SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const USER_ID = '64b000000000000000000001';
+const ADMIN_ID = '64b000000000000000000002';
+
+const makeRes = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const run = async (payload, method = 'GET') => {
+  const token = jwt.sign(payload, SECRET, { expiresIn: '5m' });
+  const req = { method, headers: { authorization: `Bearer ${token}` } };
+  const res = makeRes();
+  let nextCalled = false;
+  await protect(req, res, () => {
+    nextCalled = true;
+  });
+  return { res, nextCalled, req };
+};
+
+describe('protect', () => {
+  it('rejects tokens waiting on a second factor', async () => {
+    const { res, nextCalled } = await run({ userId: USER_ID, mfa: 'pending' });
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('MFA_REQUIRED');
+  });
+
+  it('rejects tokens for accounts pending deletion', async () => {
+    const { res, nextCalled } = await run({ userId: USER_ID, deletion: 'pending' });
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('ACCOUNT_PENDING_DELETION');
+  });
+
+  it('rejects login tokens that are not bound to a session', async () => {
+    const { res, nextCalled } = await run({ userId: USER_ID });
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('SESSION_REVOKED');
+  });
+
+  it('rejects requests without a token', async () => {
+    const req = { headers: {} };
+    const res = makeRes();
+    let nextCalled = false;
+    await protect(req, res, () => {
+      nextCalled = true;
+    });
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(401);
+  });
+});
+
+describe('protect with impersonation tokens', () => {
+  const payload = { userId: USER_ID, impersonatedBy: ADMIN_ID, readOnly: true };
+
+  // The impersonated user, and the admin who issued the token
+  const stubUsers = (admin) => {
+    const users = {
+      [USER_ID]: { _id: USER_ID, role: 'user', status: 'active' },
+      [ADMIN_ID]: { _id: ADMIN_ID, status: 'active', ...admin },
+    };
+    jest.spyOn(User, 'findById').mockImplementation((id) => ({
+      select: async () => users[String(id)] || null,
+    }));
+  };
+
+  const stubRoles = (roles) => {
+    Role.clearCache();
+    jest.spyOn(Role, 'findOne').mockImplementation(({ name }) => ({
+      lean: async () => (roles[name] ? { name, permissions: roles[name] } : null),
+    }));
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('allows reads and marks the request read-only', async () => {
+    stubRoles({ admin: ['*'] });
+    stubUsers({ role: 'admin' });
+
+    const { nextCalled, req } = await run(payload);
+
+    expect(nextCalled).toBe(true);
+    expect(String(req.user._id)).toBe(USER_ID);
+    expect(req.readOnly).toBe(true);
+    expect(req.impersonatedBy).toBe(ADMIN_ID);
+  });
+
+  it.each(['POST', 'PUT', 'PATCH', 'DELETE'])('refuses %s requests', async (method) => {
+    stubRoles({ admin: ['*'] });
+    stubUsers({ role: 'admin' });
+
+    const { res, nextCalled } = await run(payload, method);
+
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(403);
+    expect(res.body.code).toBe('IMPERSONATION_READ_ONLY');
+  });
+
+  it('stops working once the issuer loses users:impersonate', async () => {
+    stubRoles({ support: ['users:read'] });
+    stubUsers({ role: 'support' });
+
+    const { res, nextCalled } = await run(payload);
+
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('IMPERSONATION_REVOKED');
+  });
+
+  it('stops working once the issuer is suspended', async () => {
+    stubRoles({ admin: ['*'] });
+    stubUsers({ role: 'admin', status: 'suspended' });
+
+    const { res } = await run(payload);
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('IMPERSONATION_REVOKED');
+  });
+});
+
+describe('requireVerifiedEmail', () => {
+  const previous = process.env.REQUIRE_VERIFIED_EMAIL;
+
+  afterEach(() => {
+    if (previous === undefined) delete process.env.REQUIRE_VERIFIED_EMAIL;
+    else process.env.REQUIRE_VERIFIED_EMAIL = previous;
+  });
+
+  const check = (user) => {
+    const res = makeRes();
+    let nextCalled = false;
+    requireVerifiedEmail({ user }, res, () => {
+      nextCalled = true;
+    });
+    return { res, nextCalled };
+  };
+
+  it('lets everyone through unless REQUIRE_VERIFIED_EMAIL=true', () => {
+    delete process.env.REQUIRE_VERIFIED_EMAIL;
+    expect(check({ emailVerified: false }).nextCalled).toBe(true);
+  });
+
+  it('refuses unverified users when required', () => {
+    process.env.REQUIRE_VERIFIED_EMAIL = 'true';
+    const { res, nextCalled } = check({ emailVerified: false });
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(403);
+    expect(res.body.code).toBe('EMAIL_NOT_VERIFIED');
+    expect(check({ emailVerified: true }).nextCalled).toBe(true);
+  });
+});
@@ -0,0 +1,97 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import Session from '../models/Session.js';
+
+const timeline = {
+  backfillTimeline: jest.fn(async () => {}),
+  removeAuthorFromTimeline: jest.fn(async () => {}),
+};
+jest.unstable_mockModule('../services/timelineService.js', () => {
+  const service = {
+    FANOUT_MAX_FOLLOWERS: 5000,
+    TIMELINE_POST_TYPES: ['post', 'image', 'video', 'text'],
+    isTimelinePost: jest.fn(() => true),
+    usesPullModel: jest.fn(() => false),
+    fanOutPost: jest.fn(async () => 0),
+    removePostFromTimelines: jest.fn(async () => {}),
+    findPulledAuthorIds: jest.fn(async () => []),
+    readTimeline: jest.fn(async () => []),
+    rebuildTimeline: jest.fn(async () => 0),
+    ...timeline,
+  };
+  return { ...service, default: service };
+});
+const { default: userRoutes } = await import('../routes/users.js');
+
+const SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const USER_ID = '64b000000000000000000001';
+const OTHER_ID = '64b000000000000000000002';
+const SESSION_ID = '64b0000000000000000000a1';
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+
+const token = jwt.sign({ userId: USER_ID, sid: SESSION_ID }, SECRET, { expiresIn: '5m' });
+
+const stubUser = (fields = {}) => {
+  const user = new User({ _id: USER_ID, username: 'ada', email: 'ada@example.com', ...fields });
+  jest.spyOn(User, 'findById').mockImplementation(() => {
+    const query = Promise.resolve(user);
+    query.select = async () => user;
+    return query;
+  });
+  return user;
+};
+
+describe('POST /api/users/:id/block', () => {
+  beforeEach(() => {
+    timeline.backfillTimeline.mockClear();
+    timeline.removeAuthorFromTimeline.mockClear();
+    jest.spyOn(Session, 'findById').mockReturnValue({
+      select: async () => ({ isActive: () => true, lastUsedAt: new Date() }),
+    });
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const block = () =>
+    request(app).post(`/api/users/${OTHER_ID}/block`).set('Authorization', `Bearer ${token}`);
+
+  it("drops each side's posts from the other's timeline", async () => {
+    const user = stubUser();
+
+    const res = await block();
+
+    expect(res.status).toBe(200);
+    expect(res.body.blocked).toBe(true);
+    expect(user.blockedUsers.map(String)).toEqual([OTHER_ID]);
+    expect(timeline.removeAuthorFromTimeline).toHaveBeenCalledWith(user._id, OTHER_ID);
+    expect(timeline.removeAuthorFromTimeline).toHaveBeenCalledWith(OTHER_ID, user._id);
+    expect(timeline.backfillTimeline).not.toHaveBeenCalled();
+  });
+
+  it('backfills the timelines of sides that still follow on unblock', async () => {
+    const user = stubUser({ blockedUsers: [OTHER_ID] });
+    jest
+      .spyOn(Follow, 'isFollowing')
+      .mockImplementation(async (follower) => String(follower) === USER_ID);
+
+    const res = await block();
+
+    expect(res.body.blocked).toBe(false);
+    expect(user.blockedUsers).toHaveLength(0);
+    expect(timeline.backfillTimeline).toHaveBeenCalledTimes(1);
+    expect(timeline.backfillTimeline).toHaveBeenCalledWith(user._id, OTHER_ID);
+    expect(timeline.removeAuthorFromTimeline).not.toHaveBeenCalled();
+  });
+});
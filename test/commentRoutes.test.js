@@ -0,0 +1,94 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+
+const service = {
+  COMMENT_SORTS: ['top', 'newest'],
+  formatComment: jest.fn((comment) => comment),
+  loadCommentParent: jest.fn(),
+  findComment: jest.fn(),
+  addComment: jest.fn(),
+  listComments: jest.fn(),
+  listReplies: jest.fn(),
+  editComment: jest.fn(),
+  deleteComment: jest.fn(),
+  toggleCommentLike: jest.fn(),
+  toggleCommentPin: jest.fn(),
+  approveComments: jest.fn(),
+};
+jest.unstable_mockModule('../services/commentService.js', () => service);
+const { commentRoutes } = await import('../routes/comments.js');
+
+const SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const USER_ID = '64b000000000000000000001';
+const OTHER_ID = '64b000000000000000000002';
+const SESSION_ID = '64b0000000000000000000a1';
+const POST_ID = '64b0000000000000000000b1';
+const COMMENT_ID = '64b0000000000000000000c1';
+
+const app = express();
+app.use(express.json());
+app.use('/api/posts/:id/comments', commentRoutes('Post'));
+
+const token = jwt.sign({ userId: USER_ID, sid: SESSION_ID }, SECRET, { expiresIn: '5m' });
+
+describe('POST /api/posts/:id/comments/:commentId/approve', () => {
+  beforeEach(() => {
+    jest.spyOn(Session, 'findById').mockReturnValue({
+      select: async () => ({ isActive: () => true, lastUsedAt: new Date() }),
+    });
+    const user = new User({ _id: USER_ID, username: 'ada', email: 'ada@example.com' });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+    service.loadCommentParent.mockResolvedValue({ _id: POST_ID });
+    service.approveComments.mockReset().mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const approve = () =>
+    request(app)
+      .post(`/api/posts/${POST_ID}/comments/${COMMENT_ID}/approve`)
+      .set('Authorization', `Bearer ${token}`);
+
+  it('lets the post author approve a held comment', async () => {
+    service.findComment.mockResolvedValue({
+      _id: COMMENT_ID,
+      parentAuthor: new mongoose.Types.ObjectId(USER_ID),
+      pendingApproval: true,
+    });
+
+    const res = await approve();
+
+    expect(res.status).toBe(200);
+    expect(service.approveComments).toHaveBeenCalledWith({ _id: COMMENT_ID });
+  });
+
+  it('refuses anyone but the post author', async () => {
+    service.findComment.mockResolvedValue({
+      _id: COMMENT_ID,
+      parentAuthor: new mongoose.Types.ObjectId(OTHER_ID),
+      pendingApproval: true,
+    });
+
+    const res = await approve();
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Only the post author can approve comments');
+    expect(service.approveComments).not.toHaveBeenCalled();
+  });
+
+  it('responds 404 for comments the viewer cannot see', async () => {
+    service.findComment.mockResolvedValue(null);
+
+    const res = await approve();
+
+    expect(res.status).toBe(404);
+    expect(service.approveComments).not.toHaveBeenCalled();
+  });
+});
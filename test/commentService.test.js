@@ -0,0 +1,361 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import Comment from '../models/Comment.js';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import Mention from '../models/Mention.js';
+import Notification from '../models/Notification.js';
+import {
+  MAX_REPLY_DEPTH,
+  encodeCommentCursor,
+  decodeCommentCursor,
+  formatComment,
+  addComment,
+  listComments,
+  listReplies,
+  deleteComment,
+  approveComments,
+} from '../services/commentService.js';
+
+const COMMENT_ID = '64b000000000000000000010';
+const AUTHOR_ID = '64b000000000000000000001';
+const VIEWER_ID = '64b000000000000000000002';
+const POST_ID = '64b0000000000000000000b1';
+const REPLY_ID = '64b000000000000000000011';
+const THREAD_ID = '64b000000000000000000012';
+
+const post = { _id: POST_ID, authorId: AUTHOR_ID };
+
+// Comment.find chains resolving to the given rows, one call each
+const stubFind = (...results) => {
+  const filters = [];
+  jest.spyOn(Comment, 'find').mockImplementation((filter) => {
+    const rows = results[filters.length] || [];
+    filters.push(filter);
+    const chain = {
+      sort: () => chain,
+      limit: () => chain,
+      populate: () => chain,
+      lean: async () => rows,
+    };
+    return chain;
+  });
+  return filters;
+};
+
+const row = (id, fields) => ({ _id: new mongoose.Types.ObjectId(id), author: { _id: VIEWER_ID }, ...fields });
+
+describe('commentService', () => {
+  it('only accepts cursors for the same sort', () => {
+    const top = encodeCommentCursor({ s: 'top', l: 3, id: COMMENT_ID });
+    const newest = encodeCommentCursor({ s: 'newest', c: 1700000000000, id: COMMENT_ID });
+
+    expect(decodeCommentCursor(top, 'top')).toEqual({ s: 'top', l: 3, id: COMMENT_ID });
+    expect(decodeCommentCursor(newest, 'newest').c).toBe(1700000000000);
+    expect(decodeCommentCursor(top, 'newest')).toBeNull();
+    expect(decodeCommentCursor('not-a-cursor', 'top')).toBeNull();
+    expect(decodeCommentCursor(undefined, 'top')).toBeNull();
+  });
+
+  it('hides the text and author of deleted comments', () => {
+    const comment = {
+      _id: COMMENT_ID,
+      author: { _id: AUTHOR_ID, username: 'ash' },
+      content: 'Hello',
+      likes: [VIEWER_ID],
+      likeCount: 1,
+      replyCount: 2,
+    };
+
+    const shaped = formatComment(comment, VIEWER_ID);
+    expect(shaped.content).toBe('Hello');
+    expect(shaped.isLiked).toBe(true);
+    expect(shaped.user.username).toBe('ash');
+
+    const deleted = formatComment({ ...comment, isDeleted: true }, VIEWER_ID);
+    expect(deleted.content).toBe('');
+    expect(deleted.user).toBeUndefined();
+    expect(deleted.replyCount).toBe(2);
+  });
+
+  describe('approveComments', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const held = {
+      _id: COMMENT_ID,
+      parent: POST_ID,
+      parentModel: 'Post',
+      author: VIEWER_ID,
+      content: 'Nice one',
+      pendingApproval: true,
+    };
+
+    it('counts a held comment once it is approved', async () => {
+      const find = jest.spyOn(Comment, 'find').mockResolvedValue([held]);
+      const release = jest.spyOn(Comment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const count = jest.spyOn(Post, 'updateOne').mockResolvedValue({});
+      jest.spyOn(Post, 'findById').mockResolvedValue({ _id: POST_ID, authorId: AUTHOR_ID });
+
+      expect(await approveComments({ _id: COMMENT_ID })).toBe(1);
+
+      expect(find).toHaveBeenCalledWith({ _id: COMMENT_ID, pendingApproval: true });
+      expect(release).toHaveBeenCalledWith(
+        { _id: COMMENT_ID, pendingApproval: true },
+        { $set: { pendingApproval: false } }
+      );
+      expect(count).toHaveBeenCalledWith(
+        { _id: POST_ID },
+        { $inc: { 'engagement.comments': 1 } },
+        { timestamps: false }
+      );
+    });
+
+    it('does not count a comment another request approved first', async () => {
+      jest.spyOn(Comment, 'find').mockResolvedValue([held]);
+      jest.spyOn(Comment, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      const count = jest.spyOn(Post, 'updateOne').mockResolvedValue({});
+
+      expect(await approveComments({ _id: COMMENT_ID })).toBe(0);
+      expect(count).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cursors', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const rows = [
+      row('64b000000000000000000021', { likeCount: 9, createdAt: new Date(3000) }),
+      row('64b000000000000000000022', { likeCount: 5, createdAt: new Date(2000) }),
+      row('64b000000000000000000023', { likeCount: 1, createdAt: new Date(1000) }),
+    ];
+
+    it('continues a top listing after the last like count and id', async () => {
+      const filters = stubFind([], rows);
+
+      const first = await listComments('Post', post, VIEWER_ID, { sort: 'top', limit: 2 });
+      expect(first.hasMore).toBe(true);
+      expect(first.items).toHaveLength(2);
+      expect(decodeCommentCursor(first.nextCursor, 'top')).toEqual({
+        s: 'top',
+        id: '64b000000000000000000022',
+        l: 5,
+      });
+
+      await listComments('Post', post, VIEWER_ID, { sort: 'top', limit: 2, cursor: first.nextCursor });
+      // The pinned comment only leads the first page
+      expect(filters).toHaveLength(3);
+      const [, after] = filters[2].$and;
+      expect(after.$or[0]).toEqual({ likeCount: { $lt: 5 } });
+      expect(after.$or[1].likeCount).toBe(5);
+      expect(String(after.$or[1]._id.$lt)).toBe('64b000000000000000000022');
+    });
+
+    it('continues a newest listing before the last creation time', async () => {
+      const filters = stubFind([], rows);
+
+      const first = await listComments('Post', post, VIEWER_ID, { sort: 'newest', limit: 2 });
+      expect(decodeCommentCursor(first.nextCursor, 'newest').c).toBe(2000);
+
+      await listComments('Post', post, VIEWER_ID, { sort: 'newest', limit: 2, cursor: first.nextCursor });
+      const [, after] = filters[2].$and;
+      expect(after.$or[0]).toEqual({ createdAt: { $lt: new Date(2000) } });
+    });
+
+    it('continues replies after the last creation time', async () => {
+      const filters = stubFind(rows.slice().reverse());
+
+      const first = await listReplies('Post', post, { _id: COMMENT_ID }, VIEWER_ID, { limit: 2 });
+      expect(decodeCommentCursor(first.nextCursor, 'oldest').c).toBe(2000);
+
+      await listReplies('Post', post, { _id: COMMENT_ID }, VIEWER_ID, { limit: 2, cursor: first.nextCursor });
+      const [, after] = filters[1].$and;
+      expect(after.$or[0]).toEqual({ createdAt: { $gt: new Date(2000) } });
+    });
+
+    it('starts over on a cursor from another sort', async () => {
+      const filters = stubFind([], rows);
+      const cursor = encodeCommentCursor({ s: 'newest', c: 2000, id: COMMENT_ID });
+
+      await listComments('Post', post, VIEWER_ID, { sort: 'top', cursor });
+
+      expect(filters).toHaveLength(2);
+      expect(filters[1].$and).toBeUndefined();
+    });
+  });
+
+  describe('addComment', () => {
+    let counts;
+    let replyCounts;
+
+    beforeEach(() => {
+      counts = jest.spyOn(Post, 'updateOne').mockResolvedValue({});
+      replyCounts = jest.spyOn(Comment, 'updateOne').mockResolvedValue({});
+      jest.spyOn(Notification, 'createNotification').mockResolvedValue({});
+      jest.spyOn(User, 'exists').mockResolvedValue(null);
+      jest.spyOn(Comment, 'create').mockImplementation(async (data) => ({
+        _id: new mongoose.Types.ObjectId(REPLY_ID),
+        ...data,
+        populate: async () => {},
+        save: async () => {},
+      }));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const commenter = { _id: VIEWER_ID, username: 'bea' };
+
+    it('counts a comment on the post', async () => {
+      const result = await addComment('Post', post, commenter, { content: 'Hello' });
+
+      expect(result.comment).toMatchObject({ depth: 0, replyTo: null, pendingApproval: false });
+      expect(counts).toHaveBeenCalledWith(
+        { _id: POST_ID },
+        { $inc: { 'engagement.comments': 1 } },
+        { timestamps: false }
+      );
+      expect(Notification.createNotification).toHaveBeenCalled();
+    });
+
+    it('holds comments from restricted users without counting or notifying', async () => {
+      User.exists.mockResolvedValue({ _id: AUTHOR_ID });
+
+      const result = await addComment('Post', post, commenter, { content: 'Hello' });
+
+      expect(User.exists).toHaveBeenCalledWith({ _id: AUTHOR_ID, restrictedUsers: VIEWER_ID });
+      expect(result.comment.pendingApproval).toBe(true);
+      expect(counts).not.toHaveBeenCalled();
+      expect(Notification.createNotification).not.toHaveBeenCalled();
+    });
+
+    it('adds replies to a comment at the depth limit to its parent', async () => {
+      const deepest = {
+        _id: COMMENT_ID,
+        parent: POST_ID,
+        author: AUTHOR_ID,
+        replyTo: THREAD_ID,
+        thread: THREAD_ID,
+        depth: MAX_REPLY_DEPTH,
+      };
+      const sibling = { _id: THREAD_ID, depth: MAX_REPLY_DEPTH - 1, thread: '64b000000000000000000013' };
+      jest.spyOn(Comment, 'findOne').mockResolvedValue(deepest);
+      const findById = jest.spyOn(Comment, 'findById').mockResolvedValue(sibling);
+
+      const result = await addComment('Post', post, commenter, { content: 'Me too', replyTo: COMMENT_ID });
+
+      expect(findById).toHaveBeenCalledWith(THREAD_ID);
+      expect(result.comment).toMatchObject({
+        replyTo: THREAD_ID,
+        thread: '64b000000000000000000013',
+        depth: MAX_REPLY_DEPTH,
+      });
+      expect(replyCounts).toHaveBeenCalledWith(
+        { _id: THREAD_ID },
+        { $inc: { replyCount: 1 } },
+        { timestamps: false }
+      );
+    });
+  });
+
+  describe('deleteComment', () => {
+    let counts;
+    let replyCounts;
+
+    beforeEach(() => {
+      counts = jest.spyOn(Post, 'updateOne').mockResolvedValue({});
+      replyCounts = jest.spyOn(Comment, 'updateOne').mockResolvedValue({});
+      jest.spyOn(Mention, 'deleteMany').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const reply = {
+      _id: COMMENT_ID,
+      parent: POST_ID,
+      parentModel: 'Post',
+      parentAuthor: AUTHOR_ID,
+      author: VIEWER_ID,
+      replyTo: THREAD_ID,
+      pendingApproval: false,
+    };
+    const live = { _id: COMMENT_ID, isDeleted: { $ne: true } };
+
+    it('removes a comment without replies and uncounts it', async () => {
+      jest.spyOn(Comment, 'exists').mockResolvedValue(null);
+      const remove = jest.spyOn(Comment, 'findOneAndDelete').mockResolvedValue(reply);
+      const tombstone = jest.spyOn(Comment, 'findOneAndUpdate');
+
+      expect(await deleteComment(reply, VIEWER_ID)).toEqual({ success: true });
+
+      expect(remove).toHaveBeenCalledWith(live);
+      expect(tombstone).not.toHaveBeenCalled();
+      expect(Mention.deleteMany).toHaveBeenCalledWith({ commentId: COMMENT_ID });
+      expect(counts).toHaveBeenCalledWith(
+        { _id: POST_ID },
+        { $inc: { 'engagement.comments': -1 } },
+        { timestamps: false }
+      );
+      expect(replyCounts).toHaveBeenCalledWith(
+        { _id: THREAD_ID },
+        { $inc: { replyCount: -1 } },
+        { timestamps: false }
+      );
+    });
+
+    it('leaves a placeholder for a comment with replies', async () => {
+      jest.spyOn(Comment, 'exists').mockResolvedValue({ _id: REPLY_ID });
+      const remove = jest.spyOn(Comment, 'findOneAndDelete');
+      const tombstone = jest
+        .spyOn(Comment, 'findOneAndUpdate')
+        .mockResolvedValue({ ...reply, isDeleted: true });
+
+      expect(await deleteComment(reply, AUTHOR_ID)).toEqual({ success: true });
+
+      expect(remove).not.toHaveBeenCalled();
+      const [filter, update] = tombstone.mock.calls[0];
+      expect(filter).toEqual(live);
+      expect(update.$set).toMatchObject({ isDeleted: true, likeCount: 0, isPinned: false });
+      expect(update.$unset).toEqual({ content: '' });
+      expect(counts).toHaveBeenCalledTimes(1);
+      expect(replyCounts).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not uncount a comment another request deleted first', async () => {
+      jest.spyOn(Comment, 'exists').mockResolvedValue({ _id: REPLY_ID });
+      jest.spyOn(Comment, 'findOneAndUpdate').mockResolvedValue(null);
+
+      expect(await deleteComment(reply, VIEWER_ID)).toEqual({ success: true });
+
+      expect(Mention.deleteMany).not.toHaveBeenCalled();
+      expect(counts).not.toHaveBeenCalled();
+      expect(replyCounts).not.toHaveBeenCalled();
+    });
+
+    it('does not uncount a comment still held for approval', async () => {
+      const held = { ...reply, pendingApproval: true };
+      jest.spyOn(Comment, 'exists').mockResolvedValue(null);
+      jest.spyOn(Comment, 'findOneAndDelete').mockResolvedValue(held);
+
+      expect(await deleteComment(held, VIEWER_ID)).toEqual({ success: true });
+
+      expect(Mention.deleteMany).toHaveBeenCalled();
+      expect(counts).not.toHaveBeenCalled();
+    });
+
+    it('only lets the comment or post author delete', async () => {
+      const exists = jest.spyOn(Comment, 'exists');
+
+      const result = await deleteComment(reply, '64b000000000000000000003');
+
+      expect(result.status).toBe(403);
+      expect(exists).not.toHaveBeenCalled();
+    });
+  });
+});
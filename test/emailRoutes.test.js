@@ -0,0 +1,250 @@
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import OTP from '../models/OTP.js';
+import Session from '../models/Session.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+
+const sendOTPEmail = jest.fn(async () => ({ success: true }));
+jest.unstable_mockModule('../services/emailService.js', () => ({
+  sendOTPEmail,
+  sendAccountLockedEmail: jest.fn(async () => ({ success: true })),
+  sendVerificationLinkEmail: jest.fn(async () => ({ success: true })),
+}));
+const { default: authRoutes } = await import('../routes/auth.js');
+
+const SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const USER_ID = '64b000000000000000000001';
+const SESSION_ID = '64b0000000000000000000a1';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const token = jwt.sign({ userId: USER_ID, sid: SESSION_ID }, SECRET, { expiresIn: '5m' });
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const stubUser = (fields = {}) => {
+  const user = new User({
+    _id: USER_ID,
+    username: 'alice',
+    email: 'alice@example.com',
+    emailVerified: true,
+    status: 'active',
+    ...fields,
+  });
+  jest.spyOn(User, 'findById').mockImplementation(() => {
+    const query = Promise.resolve(user);
+    query.select = async () => user;
+    return query;
+  });
+  return user;
+};
+
+// Email-change codes by address, looked up the way OTP.verifyOTP does
+const stubCodes = (codes) => {
+  const otps = Object.fromEntries(
+    Object.entries(codes).map(([identifier, code]) => [
+      identifier,
+      new OTP({
+        identifier,
+        type: 'email',
+        purpose: 'email_change',
+        code,
+        expiresAt: new Date(Date.now() + 10 * 60 * 1000),
+      }),
+    ])
+  );
+  jest.spyOn(OTP.prototype, 'save').mockImplementation(async function () {
+    return this;
+  });
+  jest.spyOn(OTP, 'findOne').mockImplementation(({ identifier }) => ({
+    sort: async () => {
+      const otp = otps[identifier];
+      return otp && !otp.isUsed && !otp.isBlocked ? otp : null;
+    },
+  }));
+  return otps;
+};
+
+describe('email routes', () => {
+  beforeEach(() => {
+    sendOTPEmail.mockClear();
+    jest.spyOn(Session, 'findById').mockReturnValue({
+      select: async () => ({ isActive: () => true, lastUsedAt: new Date() }),
+    });
+    jest.spyOn(SecurityEvent, 'create').mockResolvedValue({});
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/auth/verify-email', () => {
+    it('requires a token', async () => {
+      const res = await request(app).post('/api/auth/verify-email').send({});
+      expect(res.status).toBe(400);
+    });
+
+    it('refuses unknown or expired tokens', async () => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+      const res = await request(app).post('/api/auth/verify-email').send({ token: 'stale' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/invalid or has expired/);
+    });
+
+    it('looks the token up by hash and marks the email verified', async () => {
+      const user = new User({
+        _id: USER_ID,
+        username: 'alice',
+        email: 'alice@example.com',
+        emailVerified: false,
+        emailVerificationToken: hash('link-token'),
+        emailVerificationExpires: new Date(Date.now() + 60 * 1000),
+      });
+      const findOne = jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+      const res = await request(app).post('/api/auth/verify-email').send({ token: 'link-token' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.emailVerified).toBe(true);
+      expect(findOne.mock.calls[0][0].emailVerificationToken).toBe(hash('link-token'));
+      expect(user.emailVerified).toBe(true);
+      expect(user.emailVerificationToken).toBeUndefined();
+    });
+  });
+
+  describe('POST /api/auth/change-email/request', () => {
+    const send = (body) =>
+      request(app)
+        .post('/api/auth/change-email/request')
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    beforeEach(() => {
+      jest.spyOn(User.prototype, 'matchPassword').mockImplementation(async (p) => p === 'right');
+      jest.spyOn(User, 'exists').mockResolvedValue(null);
+      jest.spyOn(OTP, 'checkRateLimit').mockResolvedValue({ isLimited: false });
+      jest
+        .spyOn(OTP, 'createOTP')
+        .mockImplementation(async (identifier) => ({ code: identifier.startsWith('alice') ? '111111' : '222222' }));
+    });
+
+    it('requires the current password', async () => {
+      stubUser();
+      const res = await send({ newEmail: 'new@example.com', password: 'wrong' });
+      expect(res.status).toBe(401);
+      expect(sendOTPEmail).not.toHaveBeenCalled();
+    });
+
+    it('refuses the current address and addresses already in use', async () => {
+      stubUser();
+      expect((await send({ newEmail: 'Alice@example.com', password: 'right' })).status).toBe(400);
+
+      User.exists.mockResolvedValue({ _id: 'someone' });
+      const res = await send({ newEmail: 'taken@example.com', password: 'right' });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Email is already registered');
+    });
+
+    it('sends a code to both addresses and records the pending email', async () => {
+      const user = stubUser();
+
+      const res = await send({ newEmail: ' New@Example.com ', password: 'right' });
+
+      expect(res.status).toBe(200);
+      expect(user.pendingEmail).toBe('new@example.com');
+      expect(sendOTPEmail).toHaveBeenCalledWith('alice@example.com', '111111', 'email_change');
+      expect(sendOTPEmail).toHaveBeenCalledWith('new@example.com', '222222', 'email_change');
+    });
+  });
+
+  describe('POST /api/auth/change-email/confirm', () => {
+    const send = (body) =>
+      request(app)
+        .post('/api/auth/change-email/confirm')
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    const pending = {
+      pendingEmail: 'new@example.com',
+      pendingEmailExpires: new Date(Date.now() + 10 * 60 * 1000),
+    };
+
+    beforeEach(() => {
+      jest.spyOn(User, 'exists').mockResolvedValue(null);
+    });
+
+    it('refuses without a pending change', async () => {
+      stubUser();
+      const res = await send({ currentCode: '111111', newCode: '222222' });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/No pending email change/);
+    });
+
+    it('keeps the current-address code usable when the new-address code is wrong', async () => {
+      const user = stubUser(pending);
+      const otps = stubCodes({ 'alice@example.com': '111111', 'new@example.com': '222222' });
+
+      const wrong = await send({ currentCode: '111111', newCode: '999999' });
+      expect(wrong.status).toBe(400);
+      expect(wrong.body.error).toMatch(/^New email code/);
+      expect(otps['alice@example.com'].isUsed).toBe(false);
+      expect(otps['alice@example.com'].attempts).toBe(0);
+      expect(user.email).toBe('alice@example.com');
+
+      const retry = await send({ currentCode: '111111', newCode: '222222' });
+      expect(retry.status).toBe(200);
+      expect(user.email).toBe('new@example.com');
+    });
+
+    it('counts a wrong current-address code as an attempt without checking the other', async () => {
+      stubUser(pending);
+      const otps = stubCodes({ 'alice@example.com': '111111', 'new@example.com': '222222' });
+
+      const res = await send({ currentCode: '000000', newCode: '222222' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/^Current email code/);
+      expect(otps['alice@example.com'].attempts).toBe(1);
+      expect(otps['new@example.com'].attempts).toBe(0);
+      expect(otps['new@example.com'].isUsed).toBe(false);
+    });
+
+    it('swaps the email once both codes check out and uses up both', async () => {
+      const user = stubUser({ ...pending, emailVerified: false });
+      const otps = stubCodes({ 'alice@example.com': '111111', 'new@example.com': '222222' });
+
+      const res = await send({ currentCode: '111111', newCode: '222222' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ email: 'new@example.com', emailVerified: true });
+      expect(user.pendingEmail).toBeUndefined();
+      expect(otps['alice@example.com'].isUsed).toBe(true);
+      expect(otps['new@example.com'].isUsed).toBe(true);
+      expect(SecurityEvent.create).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'email_changed' })
+      );
+    });
+
+    it('refuses an address taken while the change was pending', async () => {
+      const user = stubUser(pending);
+      stubCodes({ 'alice@example.com': '111111', 'new@example.com': '222222' });
+      User.exists.mockResolvedValue({ _id: 'someone' });
+
+      const res = await send({ currentCode: '111111', newCode: '222222' });
+
+      expect(res.status).toBe(400);
+      expect(user.email).toBe('alice@example.com');
+      expect(user.pendingEmail).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import {
+  encodeFeedCursor,
+  decodeFeedCursor,
+  contentTypeOf,
+  scoreFeedPost,
+  rankFeedPosts,
+  feedVisibilityFilter,
+  RECENCY_HALF_LIFE_HOURS,
+} from '../services/feedService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 5, 1, 12);
+const POST_ID = '64b000000000000000000010';
+
+// Just enough of Mongo's matching for the visibility filters
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, cond]) => {
+    if (key === '$or') return cond.some((f) => matches(doc, f));
+    const value = doc[key] ?? null;
+    if (cond && typeof cond === 'object') {
+      if ('$in' in cond) return cond.$in.includes(value);
+      if ('$exists' in cond) return (key in doc) === cond.$exists;
+    }
+    return value === cond;
+  });
+
+const makePost = (id, hoursAgo, extra = {}) => ({
+  _id: id,
+  authorId: 'author',
+  type: 'post',
+  media: [],
+  createdAt: new Date(NOW - hoursAgo * HOUR_MS),
+  likeCount: 0,
+  commentCount: 0,
+  shareCount: 0,
+  ...extra,
+});
+
+describe('feedService', () => {
+  describe('feed cursors', () => {
+    it('round-trips positions for the matching mode only', () => {
+      const ranked = encodeFeedCursor({ m: 'ranked', t: NOW });
+      expect(decodeFeedCursor(ranked, 'ranked')).toEqual({ m: 'ranked', t: NOW });
+      expect(decodeFeedCursor(ranked, 'chronological')).toBeNull();
+
+      const chrono = encodeFeedCursor({ m: 'chronological', c: NOW, id: POST_ID });
+      expect(decodeFeedCursor(chrono, 'chronological')).toEqual({
+        m: 'chronological',
+        c: NOW,
+        id: POST_ID,
+      });
+    });
+
+    it('rejects missing and malformed cursors', () => {
+      expect(decodeFeedCursor(undefined, 'ranked')).toBeNull();
+      expect(decodeFeedCursor('not-a-cursor', 'ranked')).toBeNull();
+      expect(
+        decodeFeedCursor(encodeFeedCursor({ m: 'chronological', c: NOW, id: 'x' }), 'chronological')
+      ).toBeNull();
+    });
+  });
+
+  describe('contentTypeOf', () => {
+    it('ranks by the richest media', () => {
+      expect(contentTypeOf({ media: [{ type: 'image' }, { type: 'video' }] })).toBe('video');
+      expect(contentTypeOf({ media: [{ type: 'image' }] })).toBe('image');
+      expect(contentTypeOf({ type: 'text' })).toBe('text');
+    });
+  });
+
+  describe('scoreFeedPost', () => {
+    it('decays with age', () => {
+      const fresh = scoreFeedPost(makePost('a', 0), { now: NOW });
+      const old = scoreFeedPost(makePost('b', RECENCY_HALF_LIFE_HOURS * 3), { now: NOW });
+      expect(fresh).toBeGreaterThan(old);
+    });
+
+    it('rewards author affinity, engagement velocity and rich media', () => {
+      const base = scoreFeedPost(makePost('a', 2), { now: NOW });
+      expect(scoreFeedPost(makePost('a', 2), { affinity: 5, now: NOW })).toBeGreaterThan(base);
+      expect(scoreFeedPost(makePost('a', 2, { likeCount: 20 }), { now: NOW })).toBeGreaterThan(base);
+      expect(
+        scoreFeedPost(makePost('a', 2, { media: [{ type: 'video' }] }), { now: NOW })
+      ).toBeGreaterThan(base);
+    });
+  });
+
+  describe('rankFeedPosts', () => {
+    it('orders by score and puts previously seen posts last', () => {
+      const posts = [
+        makePost('old', 48),
+        makePost('new', 1),
+        makePost('friend', 6, { authorId: 'friend' }),
+      ];
+      const ranked = rankFeedPosts(posts, {
+        affinities: new Map([['friend', 50]]),
+        seenBefore: new Set(['new']),
+        now: NOW,
+      });
+      expect(ranked.map((p) => p._id)).toEqual(['friend', 'old', 'new']);
+    });
+  });
+
+  describe('feedVisibilityFilter', () => {
+    const visible = (post) =>
+      matches(
+        { audienceList: null, ...post },
+        feedVisibilityFilter('viewer', ['friend'], ['list'])
+      );
+
+    it('hides private posts from followers', () => {
+      expect(visible({ authorId: 'author', visibility: 'private' })).toBe(false);
+      expect(visible({ authorId: 'friend', visibility: 'private' })).toBe(false);
+      expect(visible({ authorId: 'viewer', visibility: 'private' })).toBe(true);
+    });
+
+    it('shows friends-only posts to mutual followers only', () => {
+      expect(visible({ authorId: 'author', visibility: 'friends' })).toBe(false);
+      expect(visible({ authorId: 'friend', visibility: 'friends' })).toBe(true);
+    });
+
+    it('shows public posts and posts shared with lists the viewer is on', () => {
+      expect(visible({ authorId: 'author', visibility: 'public' })).toBe(true);
+      expect(
+        visible({ authorId: 'author', visibility: 'audience', audienceList: 'list' })
+      ).toBe(true);
+      expect(
+        visible({ authorId: 'author', visibility: 'audience', audienceList: 'other' })
+      ).toBe(false);
+    });
+  });
+});
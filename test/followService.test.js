@@ -0,0 +1,149 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import Follow from '../models/Follow.js';
+import {
+  formatFollowedBy,
+  listFollowers,
+  listFollowing,
+  getFollowedBy,
+} from '../services/followService.js';
+
+const USER_ID = '64b000000000000000000001';
+const VIEWER_ID = '64b000000000000000000002';
+
+const edgeId = (i) => new mongoose.Types.ObjectId(i.toString(16).padStart(24, '0'));
+
+// Follow.find(query).sort().limit(n).populate().lean(), recording the query and limit
+const stubFind = (edges) => {
+  const calls = [];
+  jest.spyOn(Follow, 'find').mockImplementation((query) => {
+    const call = { query };
+    calls.push(call);
+    const chain = {
+      sort: () => chain,
+      limit: (n) => {
+        call.limit = n;
+        return chain;
+      },
+      populate: () => chain,
+      lean: async () => edges.slice(0, call.limit),
+    };
+    return chain;
+  });
+  return calls;
+};
+
+const followerEdges = (count) =>
+  Array.from({ length: count }, (_, i) => ({
+    _id: edgeId(100 - i),
+    follower: { username: `user${i}` },
+    createdAt: new Date(2024, 0, 1),
+  }));
+
+describe('followService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('formatFollowedBy', () => {
+    it('returns null without mutual followers', () => {
+      expect(formatFollowedBy([], 0)).toBeNull();
+      expect(formatFollowedBy(['alice'], 0)).toBeNull();
+    });
+
+    it('spells out one or two names', () => {
+      expect(formatFollowedBy(['alice'], 1)).toBe('Followed by alice');
+      expect(formatFollowedBy(['alice', 'bob'], 2)).toBe('Followed by alice and bob');
+    });
+
+    it('counts the rest as others', () => {
+      expect(formatFollowedBy(['alice', 'bob'], 3)).toBe('Followed by alice, bob and 1 other');
+      expect(formatFollowedBy(['alice', 'bob'], 7)).toBe('Followed by alice, bob and 5 others');
+    });
+  });
+
+  describe('listFollowers', () => {
+    it('returns a page and a cursor when more edges exist', async () => {
+      const calls = stubFind(followerEdges(4));
+
+      const page = await listFollowers(USER_ID, { limit: 3 });
+
+      expect(calls[0]).toEqual({ query: { following: USER_ID }, limit: 4 });
+      expect(page.users.map((u) => u.username)).toEqual(['user0', 'user1', 'user2']);
+      expect(page.users[0].followedAt).toEqual(new Date(2024, 0, 1));
+      expect(page.hasMore).toBe(true);
+      expect(page.nextCursor).toBe(edgeId(98).toString());
+    });
+
+    it('continues after the cursor and ends on the last page', async () => {
+      const calls = stubFind(followerEdges(2));
+      const cursor = edgeId(98).toString();
+
+      const page = await listFollowers(USER_ID, { cursor, limit: 3 });
+
+      expect(calls[0].query).toEqual({
+        following: USER_ID,
+        _id: { $lt: new mongoose.Types.ObjectId(cursor) },
+      });
+      expect(page.hasMore).toBe(false);
+      expect(page.nextCursor).toBeNull();
+    });
+
+    it('ignores invalid cursors and clamps the page size', async () => {
+      const calls = stubFind([]);
+
+      await listFollowers(USER_ID, { cursor: 'nope', limit: 5000 });
+      await listFollowers(USER_ID, { limit: 'x' });
+
+      expect(calls[0]).toEqual({ query: { following: USER_ID }, limit: 101 });
+      expect(calls[1].limit).toBe(21);
+    });
+
+    it('skips edges whose user was deleted', async () => {
+      stubFind([...followerEdges(1), { _id: edgeId(1), follower: null }]);
+
+      const page = await listFollowers(USER_ID);
+
+      expect(page.users).toHaveLength(1);
+    });
+  });
+
+  describe('listFollowing', () => {
+    it('lists the followed side of the edges', async () => {
+      const calls = stubFind([{ _id: edgeId(1), following: { username: 'bob' } }]);
+
+      const page = await listFollowing(USER_ID);
+
+      expect(calls[0].query).toEqual({ follower: USER_ID });
+      expect(page.users[0].username).toBe('bob');
+    });
+  });
+
+  describe('getFollowedBy', () => {
+    it('is empty on your own profile or when signed out', async () => {
+      const findFollowingIds = jest.spyOn(Follow, 'findFollowingIds');
+
+      expect(await getFollowedBy(USER_ID, USER_ID)).toEqual({ users: [], count: 0, text: null });
+      expect(await getFollowedBy(USER_ID, null)).toEqual({ users: [], count: 0, text: null });
+      expect(findFollowingIds).not.toHaveBeenCalled();
+    });
+
+    it("previews the viewer's follows that follow the owner", async () => {
+      jest.spyOn(Follow, 'findFollowingIds').mockResolvedValue(['a', 'b', 'c']);
+      jest.spyOn(Follow, 'countDocuments').mockResolvedValue(3);
+      const calls = stubFind([
+        { follower: { username: 'alice' } },
+        { follower: { username: 'bob' } },
+      ]);
+
+      const result = await getFollowedBy(USER_ID, VIEWER_ID);
+
+      expect(calls[0]).toEqual({
+        query: { following: USER_ID, follower: { $in: ['a', 'b', 'c'] } },
+        limit: 2,
+      });
+      expect(result.count).toBe(3);
+      expect(result.text).toBe('Followed by alice, bob and 1 other');
+    });
+  });
+});
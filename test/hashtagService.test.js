@@ -0,0 +1,66 @@
+import {
+  normalizeHashtag,
+  extractHashtags,
+  collectHashtags,
+  countsTowardHashtags,
+} from '../services/hashtagService.js';
+
+describe('hashtagService', () => {
+  describe('normalizeHashtag', () => {
+    it('lower-cases and strips the leading #', () => {
+      expect(normalizeHashtag('#SummerVibes')).toBe('summervibes');
+      expect(normalizeHashtag('  travel ')).toBe('travel');
+    });
+
+    it('rejects empty, numeric, punctuated and overlong tags', () => {
+      expect(normalizeHashtag('#')).toBeNull();
+      expect(normalizeHashtag('2024')).toBeNull();
+      expect(normalizeHashtag('rock-n-roll')).toBeNull();
+      expect(normalizeHashtag('a'.repeat(31))).toBeNull();
+    });
+
+    it('keeps letters from any script', () => {
+      expect(normalizeHashtag('#Café')).toBe('café');
+      expect(normalizeHashtag('#東京')).toBe('東京');
+    });
+  });
+
+  describe('extractHashtags', () => {
+    it('finds each hashtag once, in order', () => {
+      expect(extractHashtags('#Sunset at the beach #travel #sunset!')).toEqual([
+        'sunset',
+        'travel',
+      ]);
+    });
+
+    it('ignores URL fragments, HTML entities and mid-word #', () => {
+      expect(
+        extractHashtags('see https://example.com/#section &#39; c#sharp ##double')
+      ).toEqual([]);
+    });
+  });
+
+  describe('collectHashtags', () => {
+    it('merges explicit tags with hashtags in the text', () => {
+      expect(collectHashtags(['Food', '#food', 'bad tag'], 'Dinner #pasta')).toEqual([
+        'food',
+        'pasta',
+      ]);
+    });
+
+    it('accepts comma-separated tags', () => {
+      expect(collectHashtags('dance, Music ,', '')).toEqual(['dance', 'music']);
+    });
+  });
+
+  describe('countsTowardHashtags', () => {
+    it('only counts public, non-story posts', () => {
+      expect(countsTowardHashtags({ type: 'image', visibility: 'public' })).toBe(true);
+      expect(countsTowardHashtags({ type: 'story', visibility: 'public' })).toBe(false);
+      expect(countsTowardHashtags({ type: 'text', visibility: 'friends' })).toBe(false);
+      expect(
+        countsTowardHashtags({ type: 'text', visibility: 'audience', audienceList: 'list' })
+      ).toBe(false);
+    });
+  });
+});
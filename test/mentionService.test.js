@@ -0,0 +1,55 @@
+import { extractMentions, canMention, MAX_MENTIONS } from '../services/mentionService.js';
+
+describe('mentionService', () => {
+  describe('extractMentions', () => {
+    it('finds each username once, lower-cased, in order', () => {
+      expect(extractMentions('Thanks @Alice and @bob_w! cc @alice')).toEqual([
+        'alice',
+        'bob_w',
+      ]);
+    });
+
+    it('ignores emails, URLs and mid-word @', () => {
+      expect(
+        extractMentions('mail me@example.com or see https://x.com/@carol and foo@bar')
+      ).toEqual([]);
+    });
+
+    it('stops at MAX_MENTIONS', () => {
+      const text = Array.from({ length: MAX_MENTIONS + 5 }, (_, i) => `@user${i}`).join(' ');
+      expect(extractMentions(text)).toHaveLength(MAX_MENTIONS);
+    });
+  });
+
+  describe('canMention', () => {
+    const author = { _id: 'author', blockedUsers: [] };
+    const target = (privacy = {}, blockedUsers = []) => ({
+      _id: 'target',
+      privacy,
+      blockedUsers,
+    });
+
+    it('allows mentions by default', () => {
+      expect(canMention(author, target())).toBe(true);
+    });
+
+    it('never mentions the author themselves', () => {
+      expect(canMention(author, { ...author })).toBe(false);
+    });
+
+    it('respects blocks in either direction', () => {
+      expect(canMention(author, target({}, ['author']))).toBe(false);
+      expect(canMention({ ...author, blockedUsers: ['target'] }, target())).toBe(false);
+    });
+
+    it('respects allowMentionsFrom', () => {
+      expect(canMention(author, target({ allowMentionsFrom: 'none' }))).toBe(false);
+      expect(canMention(author, target({ allowMentionsFrom: 'following' }))).toBe(false);
+      expect(
+        canMention(author, target({ allowMentionsFrom: 'following' }), {
+          targetFollowsAuthor: true,
+        })
+      ).toBe(true);
+    });
+  });
+});
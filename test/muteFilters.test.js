@@ -0,0 +1,95 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import Post from '../models/Post.js';
+import Reel from '../models/Reel.js';
+import Follow from '../models/Follow.js';
+import Session from '../models/Session.js';
+import AudienceList from '../models/AudienceList.js';
+import storyRoutes from '../routes/stories.js';
+import reelRoutes from '../routes/reels.js';
+
+const SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const USER_ID = '64b000000000000000000001';
+const FRIEND_ID = '64b000000000000000000002';
+const MUTED_ID = '64b000000000000000000003';
+const BLOCKED_ID = '64b000000000000000000004';
+const SESSION_ID = '64b0000000000000000000a1';
+
+const app = express();
+app.use(express.json());
+app.use('/api/stories', storyRoutes);
+app.use('/api/reels', reelRoutes);
+
+const token = jwt.sign({ userId: USER_ID, sid: SESSION_ID }, SECRET, { expiresIn: '5m' });
+const oid = (id) => new mongoose.Types.ObjectId(id);
+
+const viewer = new User({
+  _id: USER_ID,
+  username: 'ada',
+  email: 'ada@example.com',
+  mutedUsers: [oid(MUTED_ID)],
+  blockedUsers: [oid(BLOCKED_ID)],
+});
+
+// A find() chain that resolves to nothing and records its filter
+const captureFind = (Model) => {
+  const filters = [];
+  jest.spyOn(Model, 'find').mockImplementation((filter) => {
+    filters.push(filter);
+    const chain = {
+      populate: () => chain,
+      sort: () => chain,
+      skip: () => chain,
+      limit: () => chain,
+      select: () => chain,
+      lean: async () => [],
+      then: (resolve, reject) => Promise.resolve([]).then(resolve, reject),
+    };
+    return chain;
+  });
+  return filters;
+};
+
+describe('mute filters', () => {
+  beforeEach(() => {
+    jest.spyOn(Session, 'findById').mockReturnValue({
+      select: async () => ({ isActive: () => true, lastUsedAt: new Date() }),
+    });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => viewer });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /api/stories', () => {
+    it('leaves muted accounts out of the story tray', async () => {
+      jest.spyOn(Follow, 'findFollowingIds').mockResolvedValue([oid(FRIEND_ID), oid(MUTED_ID)]);
+      jest.spyOn(User, 'distinct').mockResolvedValue([]);
+      jest.spyOn(AudienceList, 'visibleToFilter').mockResolvedValue({});
+      const filters = captureFind(Post);
+
+      const res = await request(app).get('/api/stories').set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      const authorIds = filters[0].authorId.$in.map(String);
+      expect(authorIds).toEqual([FRIEND_ID, USER_ID]);
+    });
+  });
+
+  describe('GET /api/reels/feed', () => {
+    it('skips reels by muted and blocked accounts', async () => {
+      const filters = captureFind(Reel);
+
+      const res = await request(app).get('/api/reels/feed').set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(filters[0].author.$nin.map(String)).toEqual([MUTED_ID, BLOCKED_ID]);
+      expect(filters[0].isActive).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+
+const completeAuthorization = jest.fn();
+jest.unstable_mockModule('../services/oauthService.js', () => ({
+  PROVIDER_NAMES: ['google', 'apple', 'github'],
+  listProviders: () => [{ name: 'google', label: 'Google' }],
+  startAuthorization: jest.fn(async () => ({
+    success: true,
+    authorizationUrl: 'https://accounts.example.com/authorize',
+    state: 'state',
+  })),
+  completeAuthorization,
+}));
+const { default: authRoutes } = await import('../routes/auth.js');
+const { default: settingsRoutes } = await import('../routes/settings.js');
+
+const SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const USER_ID = '64b000000000000000000001';
+const OTHER_ID = '64b000000000000000000002';
+const SESSION_ID = '64b0000000000000000000a1';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/settings', settingsRoutes);
+
+const token = jwt.sign({ userId: USER_ID, sid: SESSION_ID }, SECRET, { expiresIn: '5m' });
+
+const profile = {
+  provider: 'google',
+  subject: 'google-1',
+  email: 'ada@example.com',
+  emailVerified: true,
+  name: 'Ada',
+};
+
+const identity = (provider) => ({ provider, subject: `${provider}-1`, email: 'ada@example.com' });
+
+const stubUser = (fields = {}) => {
+  const user = new User({
+    _id: USER_ID,
+    username: 'ada',
+    email: 'ada@example.com',
+    status: 'active',
+    ...fields,
+  });
+  jest.spyOn(User, 'findById').mockImplementation(() => {
+    const query = Promise.resolve(user);
+    query.select = async () => user;
+    return query;
+  });
+  return user;
+};
+
+describe('social login routes', () => {
+  let save;
+
+  beforeEach(() => {
+    completeAuthorization.mockReset();
+    jest.spyOn(Session, 'findById').mockReturnValue({
+      select: async () => ({ isActive: () => true, lastUsedAt: new Date() }),
+    });
+    save = jest.spyOn(User.prototype, 'save').mockImplementation(async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/auth/oauth/:provider/callback', () => {
+    const callback = () =>
+      request(app)
+        .post('/api/auth/oauth/google/callback')
+        .set('Content-Type', 'application/json')
+        .send({ code: 'code', state: 'state' });
+
+    it('refuses to sign in to an existing account by email alone', async () => {
+      completeAuthorization.mockResolvedValue({
+        success: true,
+        profile: { ...profile, email: 'Ada@Example.com' },
+        challenge: { mode: 'login' },
+      });
+      jest.spyOn(User, 'findByIdentity').mockResolvedValue(null);
+      const exists = jest.spyOn(User, 'exists').mockResolvedValue({ _id: USER_ID });
+      const create = jest.spyOn(User, 'create');
+
+      const res = await callback();
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('ACCOUNT_EXISTS');
+      expect(exists).toHaveBeenCalledWith({ email: 'ada@example.com' });
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('links the identity to the signed-in account that started the link', async () => {
+      completeAuthorization.mockResolvedValue({
+        success: true,
+        profile,
+        challenge: { mode: 'link', user: USER_ID },
+      });
+      jest.spyOn(User, 'findByIdentity').mockResolvedValue(null);
+      const user = stubUser();
+
+      const res = await callback();
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ linked: true, provider: 'google' });
+      expect(user.identities).toHaveLength(1);
+      expect(user.identities[0]).toMatchObject({ provider: 'google', subject: 'google-1' });
+      expect(save).toHaveBeenCalled();
+    });
+
+    it('refuses to link an identity that belongs to another user', async () => {
+      completeAuthorization.mockResolvedValue({
+        success: true,
+        profile,
+        challenge: { mode: 'link', user: USER_ID },
+      });
+      jest.spyOn(User, 'findByIdentity').mockResolvedValue({ _id: OTHER_ID });
+
+      const res = await callback();
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('IDENTITY_IN_USE');
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('passes state and provider errors through', async () => {
+      completeAuthorization.mockResolvedValue({
+        success: false,
+        error: 'Login session expired. Please try again.',
+        code: 'INVALID_STATE',
+      });
+
+      const res = await callback();
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('INVALID_STATE');
+    });
+  });
+
+  describe('DELETE /api/settings/identities/:provider', () => {
+    const unlink = (provider) =>
+      request(app)
+        .delete(`/api/settings/identities/${provider}`)
+        .set('Authorization', `Bearer ${token}`);
+
+    it('refuses to unlink the only sign-in method', async () => {
+      const user = stubUser({ hasPassword: false, identities: [identity('google')] });
+
+      const res = await unlink('google');
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('LAST_SIGN_IN_METHOD');
+      expect(user.identities).toHaveLength(1);
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['a password', { hasPassword: true, identities: [identity('google')] }],
+      ['another provider', { hasPassword: false, identities: [identity('google'), identity('github')] }],
+      [
+        'a passkey',
+        {
+          hasPassword: false,
+          identities: [identity('google')],
+          passkeys: [{ credentialId: 'cred', publicKey: 'key', counter: 0 }],
+        },
+      ],
+    ])('unlinks when %s remains', async (_, fields) => {
+      const user = stubUser(fields);
+
+      const res = await unlink('google');
+
+      expect(res.status).toBe(200);
+      expect(user.identities.map((i) => i.provider)).not.toContain('google');
+      expect(save).toHaveBeenCalled();
+    });
+
+    it('responds 404 for providers that are not linked', async () => {
+      stubUser({ hasPassword: true, identities: [identity('google')] });
+      const res = await unlink('apple');
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { jest } from '@jest/globals';
+import AuthChallenge from '../models/AuthChallenge.js';
+import { startAuthorization, completeAuthorization } from '../services/oauthService.js';
+
+const PORT = 4100 + Math.floor(Math.random() * 800);
+const ISSUER = `http://localhost:${PORT}`;
+const SCRIPT = fileURLToPath(new URL('../scripts/mock-oidc-server.js', import.meta.url));
+
+// Runs scripts/mock-oidc-server.js on a free-ish port for the whole file
+const startMockProvider = () =>
+  new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SCRIPT], {
+      env: { ...process.env, MOCK_OIDC_PORT: String(PORT), MOCK_OIDC_ISSUER: ISSUER },
+      stdio: ['ignore', 'pipe', 'ignore'],
+    });
+    child.stdout.on('data', (data) => {
+      if (String(data).includes('running at')) resolve(child);
+    });
+    child.on('exit', (code) => reject(new Error(`mock OIDC server exited (${code})`)));
+  });
+
+// Sign in at the mock provider and return the callback parameters
+const authorize = async (authorizationUrl, hints = '') => {
+  const response = await fetch(`${authorizationUrl}${hints}`, { redirect: 'manual' });
+  const callback = new URL(response.headers.get('location'));
+  return Object.fromEntries(callback.searchParams);
+};
+
+describe('oauthService', () => {
+  const env = { ...process.env };
+  let provider;
+  let challenges;
+
+  beforeAll(async () => {
+    provider = await startMockProvider();
+  });
+
+  afterAll(() => {
+    provider.kill();
+  });
+
+  beforeEach(() => {
+    process.env.OAUTH_GOOGLE_CLIENT_ID = 'mock-client';
+    process.env.OAUTH_GOOGLE_CLIENT_SECRET = 'mock-secret';
+    process.env.OAUTH_GOOGLE_ISSUER = ISSUER;
+    process.env.OAUTH_GITHUB_CLIENT_ID = 'gh-client';
+
+    // In-memory AuthChallenge store with the same single-use semantics
+    challenges = new Map();
+    jest.spyOn(AuthChallenge, 'issue').mockImplementation(async (data) => {
+      challenges.set(data.key, { ...data });
+      return data;
+    });
+    jest.spyOn(AuthChallenge, 'consume').mockImplementation(async (type, key) => {
+      const challenge = challenges.get(key);
+      challenges.delete(key);
+      return challenge || null;
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('starts with a state, nonce and S256 PKCE challenge', async () => {
+    const result = await startAuthorization('google', { mode: 'link', userId: 'u1' });
+
+    expect(result.success).toBe(true);
+    const url = new URL(result.authorizationUrl);
+    expect(url.origin).toBe(ISSUER);
+    expect(url.searchParams.get('state')).toBe(result.state);
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+
+    const stored = challenges.get(result.state);
+    expect(stored).toMatchObject({ type: 'oauth', provider: 'google', mode: 'link', user: 'u1' });
+    expect(url.searchParams.get('nonce')).toBe(stored.nonce);
+    expect(url.searchParams.get('code_challenge')).not.toBe(stored.codeVerifier);
+  });
+
+  it('refuses unconfigured providers', async () => {
+    delete process.env.OAUTH_APPLE_CLIENT_ID;
+    const result = await startAuthorization('apple');
+    expect(result.code).toBe('PROVIDER_DISABLED');
+  });
+
+  it('completes a sign-in and normalizes the profile', async () => {
+    const { authorizationUrl } = await startAuthorization('google');
+    const params = await authorize(authorizationUrl, '&login_hint=ada@example.com&sub=ada-1');
+
+    const result = await completeAuthorization('google', params);
+
+    expect(result.success).toBe(true);
+    expect(result.profile).toMatchObject({
+      provider: 'google',
+      subject: 'ada-1',
+      email: 'ada@example.com',
+      emailVerified: true,
+    });
+    expect(result.challenge.mode).toBe('login');
+  });
+
+  it('refuses an unknown state', async () => {
+    const { authorizationUrl } = await startAuthorization('google');
+    const { code } = await authorize(authorizationUrl);
+
+    const result = await completeAuthorization('google', { code, state: 'forged' });
+
+    expect(result.code).toBe('INVALID_STATE');
+  });
+
+  it('refuses a state that was already used', async () => {
+    const { authorizationUrl } = await startAuthorization('google');
+    const params = await authorize(authorizationUrl);
+
+    expect((await completeAuthorization('google', params)).success).toBe(true);
+    expect((await completeAuthorization('google', params)).code).toBe('INVALID_STATE');
+  });
+
+  it('refuses a state issued for another provider', async () => {
+    const { authorizationUrl, state } = await startAuthorization('google');
+    const { code } = await authorize(authorizationUrl);
+
+    const result = await completeAuthorization('github', { code, state });
+
+    expect(result.code).toBe('INVALID_STATE');
+  });
+
+  it('refuses an ID token whose nonce does not match the stored one', async () => {
+    const { authorizationUrl, state } = await startAuthorization('google');
+    const params = await authorize(authorizationUrl);
+    challenges.get(state).nonce = 'another-nonce';
+
+    const result = await completeAuthorization('google', params);
+
+    expect(result).toMatchObject({ success: false, code: 'PROVIDER_ERROR' });
+    expect(console.error).toHaveBeenCalledWith(expect.any(String), 'ID token nonce mismatch');
+  });
+
+  it('fails the code exchange when the PKCE verifier does not match', async () => {
+    const { authorizationUrl, state } = await startAuthorization('google');
+    const params = await authorize(authorizationUrl);
+    challenges.get(state).codeVerifier = 'not-the-verifier';
+
+    const result = await completeAuthorization('google', params);
+
+    expect(result).toMatchObject({ success: false, code: 'PROVIDER_ERROR' });
+    expect(console.error).toHaveBeenCalledWith(expect.any(String), 'PKCE verification failed');
+  });
+
+  it('requires both a code and a state', async () => {
+    const result = await completeAuthorization('google', { code: 'abc' });
+    expect(result.code).toBe('INVALID_CALLBACK');
+  });
+});
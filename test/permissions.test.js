@@ -0,0 +1,202 @@
+import { jest } from '@jest/globals';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import {
+  hasPermission,
+  outranks,
+  canAssignRole,
+  requirePermission,
+  requireManageableUser,
+} from '../middleware/permissions.js';
+
+// Role documents returned by Role.findOne({ name }).lean()
+const stubRoles = (roles) =>
+  jest.spyOn(Role, 'findOne').mockImplementation(({ name }) => ({
+    lean: async () => (roles[name] ? { name, permissions: roles[name] } : null),
+  }));
+
+const makeRes = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+describe('permissions', () => {
+  beforeEach(() => {
+    Role.clearCache();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('hasPermission', () => {
+    it('grants permissions listed on the role', async () => {
+      stubRoles({ editor: ['psa:read', 'psa:publish'] });
+      const user = { role: 'editor' };
+      expect(await hasPermission(user, 'psa:publish')).toBe(true);
+      expect(await hasPermission(user, 'psa:delete')).toBe(false);
+    });
+
+    it('grants everything to wildcard roles', async () => {
+      stubRoles({ admin: ['*'] });
+      expect(await hasPermission({ role: 'admin' }, 'roles:manage')).toBe(true);
+    });
+
+    it('falls back to the built-in defaults when the role has no document', async () => {
+      stubRoles({});
+      expect(await hasPermission({ role: 'moderator' }, 'users:suspend')).toBe(true);
+      expect(await hasPermission({ role: 'moderator' }, 'users:delete')).toBe(false);
+      expect(await hasPermission({ role: 'unknown' }, 'users:read')).toBe(false);
+    });
+
+    it('denies users without a role', async () => {
+      const findOne = stubRoles({});
+      expect(await hasPermission(null, 'users:read')).toBe(false);
+      expect(await hasPermission({}, 'users:read')).toBe(false);
+      expect(findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Role.getPermissions cache', () => {
+    it('loads each role once until the cache is cleared', async () => {
+      const findOne = stubRoles({ moderator: ['users:read'] });
+
+      await Role.getPermissions('moderator');
+      await Role.getPermissions('moderator');
+      expect(findOne).toHaveBeenCalledTimes(1);
+
+      Role.clearCache();
+      await Role.getPermissions('moderator');
+      expect(findOne).toHaveBeenCalledTimes(2);
+    });
+
+    it('reloads a role once its cache entry expires', async () => {
+      const findOne = stubRoles({ moderator: ['users:read'] });
+      const now = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      await Role.getPermissions('moderator');
+      clock.mockReturnValue(now + 61 * 1000);
+      await Role.getPermissions('moderator');
+
+      expect(findOne).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('outranks', () => {
+    it('orders the built-in roles', () => {
+      expect(outranks('admin', 'moderator')).toBe(true);
+      expect(outranks('moderator', 'streamer')).toBe(true);
+      expect(outranks('moderator', 'admin')).toBe(false);
+      expect(outranks('user', 'user')).toBe(false);
+    });
+
+    it('ranks unknown roles below everything', () => {
+      expect(outranks('user', 'custom')).toBe(true);
+      expect(outranks('custom', 'user')).toBe(false);
+    });
+  });
+
+  describe('canAssignRole', () => {
+    it('requires roles:manage', async () => {
+      stubRoles({ moderator: ['users:update'] });
+      expect(await canAssignRole({ role: 'moderator' }, 'user')).toBe(false);
+    });
+
+    it('refuses roles ranked above the assigner', async () => {
+      stubRoles({ moderator: ['roles:manage'] });
+      const moderator = { role: 'moderator' };
+      expect(await canAssignRole(moderator, 'moderator')).toBe(true);
+      expect(await canAssignRole(moderator, 'streamer')).toBe(true);
+      expect(await canAssignRole(moderator, 'admin')).toBe(false);
+    });
+
+    it('refuses roles that are not built in', async () => {
+      stubRoles({ admin: ['*'] });
+      expect(await canAssignRole({ role: 'admin' }, 'superuser')).toBe(false);
+    });
+  });
+
+  describe('requirePermission', () => {
+    it('calls next when every permission is granted', async () => {
+      stubRoles({ moderator: ['reports:read', 'reports:review'] });
+      const req = { user: { role: 'moderator' } };
+      let nextArg = 'not called';
+      await requirePermission('reports:read', 'reports:review')(req, makeRes(), (arg) => {
+        nextArg = arg;
+      });
+      expect(nextArg).toBeUndefined();
+      expect(req.permissions).toEqual(['reports:read', 'reports:review']);
+    });
+
+    it('responds 403 with the missing permissions', async () => {
+      stubRoles({ moderator: ['reports:read'] });
+      const res = makeRes();
+      let nextCalled = false;
+      await requirePermission('reports:read', 'users:delete')(
+        { user: { role: 'moderator' } },
+        res,
+        () => {
+          nextCalled = true;
+        }
+      );
+      expect(nextCalled).toBe(false);
+      expect(res.statusCode).toBe(403);
+      expect(res.body).toMatchObject({ code: 'FORBIDDEN', missing: ['users:delete'] });
+    });
+
+    it('responds 401 without a user', async () => {
+      const res = makeRes();
+      await requirePermission('users:read')({}, res, () => {});
+      expect(res.statusCode).toBe(401);
+    });
+  });
+
+  describe('requireManageableUser', () => {
+    const stubTarget = (target) =>
+      jest.spyOn(User, 'findById').mockReturnValue({ select: async () => target });
+
+    const run = async (req) => {
+      const res = makeRes();
+      let nextCalled = false;
+      await requireManageableUser('userId')(req, res, () => {
+        nextCalled = true;
+      });
+      return { res, nextCalled };
+    };
+
+    it('refuses a moderator acting on an admin', async () => {
+      stubTarget({ role: 'admin' });
+      const { res, nextCalled } = await run({
+        params: { userId: '64b000000000000000000002' },
+        user: { role: 'moderator' },
+      });
+      expect(nextCalled).toBe(false);
+      expect(res.statusCode).toBe(403);
+      expect(res.body.code).toBe('TARGET_OUTRANKS');
+    });
+
+    it('lets staff act on users of the same or a lower rank', async () => {
+      stubTarget({ role: 'moderator' });
+      const req = { params: { userId: '64b000000000000000000002' }, user: { role: 'moderator' } };
+      const { nextCalled } = await run(req);
+      expect(nextCalled).toBe(true);
+      expect(req.targetUser).toEqual({ role: 'moderator' });
+    });
+
+    it('responds 404 for unknown users', async () => {
+      stubTarget(null);
+      const { res, nextCalled } = await run({ params: { userId: 'x' }, user: { role: 'admin' } });
+      expect(nextCalled).toBe(false);
+      expect(res.statusCode).toBe(404);
+    });
+  });
+});
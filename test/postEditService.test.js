@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+import Post from '../models/Post.js';
+import Notification from '../models/Notification.js';
+
+// Read when moderationService loads
+process.env.MODERATION_BLOCKED_TERMS = 'spam';
+const { checkEditAllowed, buildRevision, editPost, EDIT_WINDOW_MINUTES, MAX_POST_EDITS } =
+  await import('../services/postEditService.js');
+const { reviewText } = await import('../services/moderationService.js');
+
+const authorId = '64b000000000000000000001';
+const createdAt = new Date('2024-01-01T12:00:00Z');
+
+describe('postEditService', () => {
+  it('only lets the author edit within the window and edit limit', () => {
+    const post = { authorId, type: 'text', createdAt, revisions: [] };
+    const now = createdAt.getTime() + 60 * 1000;
+
+    expect(checkEditAllowed(post, authorId, now).allowed).toBe(true);
+    expect(checkEditAllowed(post, '64b000000000000000000002', now).code).toBe('NOT_AUTHOR');
+    expect(checkEditAllowed({ ...post, type: 'story' }, authorId, now).code).toBe('NOT_EDITABLE');
+    expect(
+      checkEditAllowed(post, authorId, createdAt.getTime() + (EDIT_WINDOW_MINUTES + 1) * 60 * 1000).code
+    ).toBe('EDIT_WINDOW_CLOSED');
+    expect(
+      checkEditAllowed({ ...post, revisions: new Array(MAX_POST_EDITS).fill({}) }, authorId, now).code
+    ).toBe('EDIT_LIMIT_REACHED');
+  });
+
+  it('snapshots the editable fields of a post', () => {
+    const editedAt = new Date('2024-01-01T12:05:00Z');
+    const replacedAt = new Date('2024-01-01T12:10:00Z');
+    const revision = buildRevision(
+      {
+        content: 'Hello #trees',
+        tags: ['trees'],
+        location: { name: 'Park', coordinates: [1, 2] },
+        media: [{ _id: 'm1', caption: 'Oak' }, { _id: 'm2' }],
+        createdAt,
+        editedAt,
+      },
+      replacedAt
+    );
+
+    expect(revision).toEqual({
+      content: 'Hello #trees',
+      tags: ['trees'],
+      location: { name: 'Park', coordinates: [1, 2] },
+      captions: [{ media: 'm1', caption: 'Oak' }],
+      createdAt: editedAt,
+      replacedAt,
+    });
+  });
+
+  describe('editPost', () => {
+    let save;
+
+    beforeEach(() => {
+      save = jest.spyOn(Post.prototype, 'save').mockImplementation(async function () {
+        return this;
+      });
+      jest.spyOn(Notification, 'createNotification').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const editor = { _id: authorId, username: 'ada' };
+    const post = (fields = {}) =>
+      new Post({
+        authorId,
+        type: 'text',
+        content: 'Hello',
+        status: 'published',
+        createdAt: new Date(),
+        ...fields,
+      });
+
+    it('refuses edits after the edit window', async () => {
+      const old = post({ createdAt: new Date(Date.now() - (EDIT_WINDOW_MINUTES + 1) * 60 * 1000) });
+
+      const result = await editPost(old, { content: 'Hello again' }, editor);
+
+      expect(result).toMatchObject({ success: false, status: 403, code: 'EDIT_WINDOW_CLOSED' });
+      expect(old.content).toBe('Hello');
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('refuses edits past the edit limit', async () => {
+      const edited = post({
+        revisions: new Array(MAX_POST_EDITS).fill(0).map(() => ({ content: 'Before' })),
+      });
+
+      const result = await editPost(edited, { content: 'Hello again' }, editor);
+
+      expect(result).toMatchObject({ success: false, status: 403, code: 'EDIT_LIMIT_REACHED' });
+      expect(edited.revisions).toHaveLength(MAX_POST_EDITS);
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('leaves the post alone and tells the author when moderation rejects an edit', async () => {
+      const original = post();
+
+      const result = await editPost(original, { content: 'Buy spam now' }, editor);
+
+      expect(result).toMatchObject({ success: false, status: 422, code: 'EDIT_REJECTED' });
+      expect(original.content).toBe('Hello');
+      expect(original.revisions).toHaveLength(0);
+      expect(original.isEdited).toBeFalsy();
+      expect(save).not.toHaveBeenCalled();
+      expect(Notification.createNotification).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: 'post_rejected',
+          recipient: original.authorId,
+          data: { postId: original._id.toString() },
+        })
+      );
+    });
+  });
+});
+
+describe('moderationService', () => {
+  it('rejects text containing blocked terms as whole words', () => {
+    const blockedTerms = ['spam'];
+    expect(reviewText(['Buy SPAM now'], { blockedTerms }).approved).toBe(false);
+    expect(reviewText(['spammer', null], { blockedTerms }).approved).toBe(true);
+    expect(reviewText('hello', { blockedTerms: [] }).approved).toBe(true);
+  });
+});
@@ -0,0 +1,72 @@
+import { jest } from '@jest/globals';
+import Post, { publishedFilter } from '../models/Post.js';
+
+const POST_ID = '64b0000000000000000000b1';
+const AUTHOR_ID = '64b000000000000000000001';
+
+// Collection calls as sent to MongoDB, after the schema's query hooks ran
+const stubCollection = () => ({
+  find: jest.spyOn(Post.collection, 'find').mockReturnValue({ toArray: async () => [] }),
+  countDocuments: jest.spyOn(Post.collection, 'countDocuments').mockResolvedValue(0),
+  updateOne: jest
+    .spyOn(Post.collection, 'updateOne')
+    .mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }),
+  deleteMany: jest
+    .spyOn(Post.collection, 'deleteMany')
+    .mockResolvedValue({ acknowledged: true, deletedCount: 0 }),
+  aggregate: jest.spyOn(Post.collection, 'aggregate').mockReturnValue({ toArray: async () => [] }),
+});
+
+describe('Post unpublished filtering', () => {
+  let collection;
+
+  beforeEach(() => {
+    collection = stubCollection();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('hides unpublished posts from reads by default', async () => {
+    await Post.find({ authorId: AUTHOR_ID });
+    await Post.countDocuments({ authorId: AUTHOR_ID });
+
+    expect(collection.find.mock.calls[0][0]).toMatchObject(publishedFilter());
+    expect(collection.countDocuments.mock.calls[0][0]).toMatchObject(publishedFilter());
+  });
+
+  it('leaves reads that filter on status or opt out alone', async () => {
+    await Post.find({ authorId: AUTHOR_ID, status: 'draft' });
+    await Post.find({ authorId: AUTHOR_ID }).setOptions({ includeUnpublished: true });
+
+    expect(collection.find.mock.calls[0][0].status).toBe('draft');
+    expect(collection.find.mock.calls[1][0]).not.toHaveProperty('status');
+  });
+
+  it('does not filter updates and deletes', async () => {
+    await Post.updateOne({ _id: POST_ID }, { $set: { content: 'edited' } });
+    await Post.deleteMany({ authorId: AUTHOR_ID });
+
+    expect(collection.updateOne.mock.calls[0][0]).not.toHaveProperty('status');
+    expect(collection.deleteMany.mock.calls[0][0]).not.toHaveProperty('status');
+  });
+
+  it('rejects aggregations that do not start with a $match on status', async () => {
+    await expect(Post.aggregate([{ $match: { authorId: AUTHOR_ID } }])).rejects.toThrow(
+      'Post aggregations must start with a $match on status'
+    );
+    await expect(Post.aggregate([{ $sort: { createdAt: -1 } }])).rejects.toThrow();
+    expect(collection.aggregate).not.toHaveBeenCalled();
+  });
+
+  it('runs aggregations that filter on status or opt out', async () => {
+    await Post.aggregate([{ $match: { ...publishedFilter(), authorId: AUTHOR_ID } }]);
+    await Post.aggregate([{ $match: { authorId: AUTHOR_ID } }]).option({ includeUnpublished: true });
+
+    expect(collection.aggregate).toHaveBeenCalledTimes(2);
+    expect(collection.aggregate.mock.calls[0][0]).toEqual([
+      { $match: { ...publishedFilter(), authorId: AUTHOR_ID } },
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import Post from '../models/Post.js';
+import Session from '../models/Session.js';
+import AudienceList from '../models/AudienceList.js';
+import postRoutes from '../routes/posts.js';
+
+const SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const USER_ID = '64b000000000000000000001';
+const SESSION_ID = '64b0000000000000000000a1';
+const LIST_ID = '64b0000000000000000000d1';
+
+const app = express();
+app.use(express.json());
+app.use('/api/posts', postRoutes);
+
+const token = jwt.sign({ userId: USER_ID, sid: SESSION_ID }, SECRET, { expiresIn: '5m' });
+
+describe('POST /api/posts', () => {
+  let saved;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(Session, 'findById').mockReturnValue({
+      select: async () => ({ isActive: () => true, lastUsedAt: new Date() }),
+    });
+    const user = new User({ _id: USER_ID, username: 'ada', email: 'ada@example.com', emailVerified: true });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+
+    // Created as drafts, so nothing is announced
+    jest.spyOn(Post, 'countDocuments').mockResolvedValue(0);
+    saved = [];
+    jest.spyOn(Post.prototype, 'save').mockImplementation(async function () {
+      await this.validate();
+      saved.push(this);
+      return this;
+    });
+    jest.spyOn(Post, 'findById').mockImplementation(() => ({
+      setOptions: () => ({ populate: async () => saved[saved.length - 1] }),
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const create = (body) =>
+    request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content: 'Hello', type: 'text', status: 'draft', ...body });
+
+  it.each(['everyone', 'audience', ''])('refuses visibility %p without a list', async (visibility) => {
+    const res = await create({ visibility });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_VISIBILITY');
+    expect(saved).toHaveLength(0);
+  });
+
+  it.each(['public', 'friends', 'private'])('creates %s posts', async (visibility) => {
+    const res = await create({ visibility });
+
+    expect(res.status).toBe(201);
+    expect(saved[0].visibility).toBe(visibility);
+  });
+
+  it('turns schema validation failures into 400s', async () => {
+    const res = await create({ type: 'poll' });
+    expect(res.status).toBe(400);
+  });
+
+  it('defaults to public', async () => {
+    const res = await create({});
+    expect(res.status).toBe(201);
+    expect(saved[0].visibility).toBe('public');
+  });
+
+  it('shares with an audience list the author owns', async () => {
+    const findList = jest.spyOn(AudienceList, 'findOne').mockResolvedValue({ _id: LIST_ID });
+
+    const res = await create({ visibility: 'audience', audienceListId: LIST_ID });
+
+    expect(res.status).toBe(201);
+    expect(findList).toHaveBeenCalledWith({ _id: LIST_ID, owner: USER_ID });
+    expect(saved[0].visibility).toBe('audience');
+    expect(String(saved[0].audienceList)).toBe(LIST_ID);
+  });
+
+  it("refuses someone else's audience list", async () => {
+    jest.spyOn(AudienceList, 'findOne').mockResolvedValue(null);
+
+    const res = await create({ visibility: 'audience', audienceListId: LIST_ID });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_AUDIENCE_LIST');
+  });
+});
@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import Timeline from '../models/Timeline.js';
+import {
+  resolvePublishState,
+  publishPost,
+  publishDuePosts,
+  MAX_SCHEDULE_DAYS,
+} from '../services/postScheduleService.js';
+
+const now = Date.parse('2024-01-01T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const AUTHOR_ID = '64b000000000000000000001';
+const POST_ID = '64b0000000000000000000b1';
+const OTHER_POST_ID = '64b0000000000000000000b2';
+
+// Posts' statuses by id, claimed the way the driver's updateOne would
+const stubStatuses = (statuses) => {
+  const claim = jest.spyOn(Post.collection, 'updateOne').mockImplementation(async (filter, update) => {
+    const id = String(filter._id);
+    if (!filter.status.$in.includes(statuses[id])) return { modifiedCount: 0 };
+    statuses[id] = update.$set.status;
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(Post, 'findById').mockImplementation(async (id) => ({
+    _id: id,
+    authorId: AUTHOR_ID,
+    type: 'text',
+    content: 'Hello',
+    visibility: 'public',
+    tags: [],
+    status: statuses[String(id)],
+  }));
+  return claim;
+};
+
+const lean = (value) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    lean: async () => value,
+  };
+  return chain;
+};
+
+describe('postScheduleService', () => {
+  it('publishes immediately unless asked otherwise', () => {
+    expect(resolvePublishState({}, now)).toEqual({ status: 'published' });
+    expect(resolvePublishState({ status: 'draft' }, now)).toEqual({ status: 'draft' });
+    expect(resolvePublishState({ status: 'archived' }, now).code).toBe('INVALID_STATUS');
+  });
+
+  it('schedules posts for a valid future time', () => {
+    const publishAt = new Date(now + DAY_MS).toISOString();
+    expect(resolvePublishState({ publishAt }, now)).toEqual({
+      status: 'scheduled',
+      publishAt: new Date(publishAt),
+    });
+    expect(resolvePublishState({ status: 'scheduled' }, now).code).toBe('INVALID_PUBLISH_AT');
+    expect(resolvePublishState({ status: 'draft', publishAt }, now).code).toBe('INVALID_PUBLISH_AT');
+    expect(resolvePublishState({ publishAt: 'soon' }, now).code).toBe('INVALID_PUBLISH_AT');
+    expect(resolvePublishState({ publishAt: new Date(now - 1) }, now).code).toBe('INVALID_PUBLISH_AT');
+    expect(
+      resolvePublishState({ publishAt: new Date(now + (MAX_SCHEDULE_DAYS + 1) * DAY_MS) }, now).code
+    ).toBe('INVALID_PUBLISH_AT');
+  });
+
+  describe('publishing', () => {
+    let postCount;
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockReturnValue(lean({ _id: AUTHOR_ID, username: 'ada', followerCount: 0 }));
+      jest.spyOn(Follow, 'findFollowerIds').mockResolvedValue([]);
+      jest.spyOn(Timeline, 'insertMany').mockResolvedValue([]);
+      postCount = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('claims the post with its status and resets its creation time', async () => {
+      const claim = stubStatuses({ [POST_ID]: 'draft' });
+
+      const post = await publishPost(POST_ID);
+
+      expect(post.status).toBe('published');
+      const [filter, update] = claim.mock.calls[0];
+      expect(String(filter._id)).toBe(POST_ID);
+      expect(filter.status).toEqual({ $in: ['draft', 'scheduled'] });
+      expect(update.$set.createdAt).toBe(update.$set.publishedAt);
+      expect(update.$unset).toEqual({ publishAt: '' });
+      expect(postCount).toHaveBeenCalledWith(AUTHOR_ID, { $inc: { 'stats.postsCount': 1 } });
+    });
+
+    it('announces a post once when two publishers race', async () => {
+      stubStatuses({ [POST_ID]: 'scheduled' });
+
+      const results = await Promise.all([
+        publishPost(POST_ID, { status: 'scheduled' }),
+        publishPost(POST_ID, { status: 'scheduled' }),
+      ]);
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+      expect(Timeline.insertMany).toHaveBeenCalledTimes(1);
+      expect(postCount).toHaveBeenCalledTimes(1);
+    });
+
+    it('only publishes due posts that are still scheduled', async () => {
+      jest.spyOn(Post, 'find').mockReturnValue(lean([{ _id: POST_ID }, { _id: OTHER_POST_ID }]));
+      // The second post went back to being a draft after it was listed
+      stubStatuses({ [POST_ID]: 'scheduled', [OTHER_POST_ID]: 'draft' });
+
+      expect(await publishDuePosts()).toBe(1);
+
+      expect(postCount).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import Post from '../models/Post.js';
+import Follow from '../models/Follow.js';
+import Timeline from '../models/Timeline.js';
+import AudienceList from '../models/AudienceList.js';
+import {
+  isSandboxMode,
+  getSandboxUsernames,
+  seedSandboxAccounts,
+} from '../services/sandboxService.js';
+
+describe('sandboxService', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  describe('isSandboxMode', () => {
+    it('is on only with SANDBOX_MODE=true', () => {
+      process.env.NODE_ENV = 'development';
+      process.env.SANDBOX_MODE = 'true';
+      expect(isSandboxMode()).toBe(true);
+      process.env.SANDBOX_MODE = '1';
+      expect(isSandboxMode()).toBe(false);
+      delete process.env.SANDBOX_MODE;
+      expect(isSandboxMode()).toBe(false);
+    });
+
+    it('is never on in production', () => {
+      process.env.SANDBOX_MODE = 'true';
+      process.env.NODE_ENV = 'production';
+      expect(isSandboxMode()).toBe(false);
+    });
+  });
+
+  describe('seedSandboxAccounts', () => {
+    let existing;
+    let follow;
+    let insertPosts;
+    let clearTimeline;
+
+    beforeEach(() => {
+      existing = {};
+      jest.spyOn(User, 'findOne').mockImplementation(async ({ username }) => existing[username] || null);
+      jest.spyOn(User, 'create').mockImplementation(async (fields) => {
+        const user = { _id: new mongoose.Types.ObjectId(), ...fields };
+        existing[fields.username] = user;
+        return user;
+      });
+      follow = jest.spyOn(Follow, 'follow').mockResolvedValue(true);
+      jest.spyOn(Post, 'exists').mockResolvedValue(null);
+      insertPosts = jest.spyOn(Post, 'insertMany').mockResolvedValue([]);
+
+      // rebuildTimeline
+      jest.spyOn(Follow, 'findFollowingIds').mockResolvedValue([]);
+      jest.spyOn(User, 'distinct').mockResolvedValue([]);
+      jest.spyOn(Follow, 'distinct').mockResolvedValue([]);
+      jest.spyOn(AudienceList, 'findMemberListIds').mockResolvedValue([]);
+      jest.spyOn(Post, 'find').mockReturnValue({
+        select: () => ({ sort: () => ({ limit: () => ({ lean: async () => [] }) }) }),
+      });
+      clearTimeline = jest.spyOn(Timeline, 'deleteMany').mockResolvedValue({});
+      jest.spyOn(Timeline, 'insertMany').mockResolvedValue([]);
+    });
+
+    it('creates the accounts, follows everyone and posts samples', async () => {
+      const users = await seedSandboxAccounts();
+
+      expect(users.map((user) => user.username)).toEqual(getSandboxUsernames());
+      expect(User.create).toHaveBeenCalledTimes(3);
+      expect(User.create.mock.calls[0][0]).toMatchObject({ isSandbox: true, emailVerified: true });
+
+      // Each of the three follows the other two
+      expect(follow).toHaveBeenCalledTimes(6);
+      expect(follow.mock.calls.some(([a, b]) => a.equals(b))).toBe(false);
+
+      expect(insertPosts).toHaveBeenCalledTimes(3);
+      const [alexPosts] = insertPosts.mock.calls[1];
+      expect(alexPosts).toHaveLength(2);
+      expect(alexPosts[0]).toMatchObject({ type: 'image', media: [{ type: 'image' }] });
+      expect(alexPosts[1]).toMatchObject({ type: 'text', media: [] });
+
+      expect(clearTimeline).toHaveBeenCalledTimes(3);
+    });
+
+    it('reuses existing accounts and skips users who already have posts', async () => {
+      const demo = { _id: new mongoose.Types.ObjectId(), username: 'sandbox_demo' };
+      existing.sandbox_demo = demo;
+      Post.exists.mockImplementation(async ({ authorId }) =>
+        authorId.equals(demo._id) ? { _id: 'post' } : null
+      );
+
+      await seedSandboxAccounts();
+
+      expect(User.create).toHaveBeenCalledTimes(2);
+      expect(User.create.mock.calls.map(([fields]) => fields.username)).not.toContain('sandbox_demo');
+      expect(insertPosts).toHaveBeenCalledTimes(2);
+      expect(insertPosts.mock.calls.flatMap(([posts]) => posts).some((p) => p.authorId.equals(demo._id))).toBe(false);
+    });
+
+    it('uses SANDBOX_PASSWORD for new accounts', async () => {
+      process.env.SANDBOX_PASSWORD = 'Try-it-out1';
+
+      await seedSandboxAccounts();
+
+      expect(User.create.mock.calls.every(([fields]) => fields.password === 'Try-it-out1')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import {
+  tokenize,
+  editDistance,
+  allowedTypos,
+  createSearchIndex,
+} from '../services/searchIndex.js';
+
+const ids = (hits) => hits.map((hit) => hit.id);
+
+describe('searchIndex', () => {
+  describe('tokenize', () => {
+    it('lower-cases, strips accents and splits on punctuation', () => {
+      expect(tokenize('Café Über-cool #travel @Alice_W')).toEqual([
+        'cafe',
+        'uber',
+        'cool',
+        'travel',
+        'alice_w',
+      ]);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('counts adjacent swaps as one edit', () => {
+      expect(editDistance('alcie', 'alice', 2)).toBe(1);
+    });
+
+    it('stops once the distance exceeds the maximum', () => {
+      expect(editDistance('abcd', 'wxyz', 1)).toBe(2);
+    });
+  });
+
+  describe('allowedTypos', () => {
+    it('scales with term length', () => {
+      expect(allowedTypos('cat')).toBe(0);
+      expect(allowedTypos('house')).toBe(1);
+      expect(allowedTypos('photography')).toBe(2);
+    });
+  });
+
+  describe('search', () => {
+    const build = () => {
+      const index = createSearchIndex();
+      index.add('alice', [{ text: 'alice_w', weight: 3 }, { text: 'Alice Walker', weight: 2 }], 5000);
+      index.add('alicia', [{ text: 'alicia', weight: 3 }, { text: 'Alicia Keys', weight: 2 }], 10);
+      index.add('bob', [{ text: 'bob', weight: 3 }, { text: 'Street photography', weight: 0.5 }], 0);
+      return index;
+    };
+
+    it('matches prefixes', () => {
+      expect(ids(build().search('ali'))).toEqual(expect.arrayContaining(['alice', 'alicia']));
+    });
+
+    it('tolerates typos', () => {
+      expect(ids(build().search('walekr'))).toEqual(['alice']);
+      expect(ids(build().search('photograpy'))).toEqual(['bob']);
+    });
+
+    it('prefers documents matching every term', () => {
+      expect(ids(build().search('alice walker'))).toEqual(['alice']);
+    });
+
+    it('falls back to partial matches', () => {
+      expect(ids(build().search('bob zebra'))).toEqual(['bob']);
+    });
+
+    it('ranks more popular documents higher when relevance is equal', () => {
+      const index = createSearchIndex();
+      index.add('small', [{ text: 'sunset' }], 1);
+      index.add('big', [{ text: 'sunset' }], 100000);
+      expect(ids(index.search('sunset'))).toEqual(['big', 'small']);
+    });
+
+    it('forgets removed and replaced documents', () => {
+      const index = build();
+      index.remove('bob');
+      expect(index.search('bob')).toEqual([]);
+
+      index.add('alice', [{ text: 'carol' }]);
+      expect(ids(index.search('alice'))).toEqual([]);
+      expect(ids(index.search('carol'))).toEqual(['alice']);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+import { jest } from '@jest/globals';
+import SecurityEvent from '../models/SecurityEvent.js';
+import Notification from '../models/Notification.js';
+import {
+  SECURITY_EVENT_TYPES,
+  getCountry,
+  recordSecurityEvent,
+  listSecurityEvents,
+} from '../services/securityEventService.js';
+
+const USER_ID = '64b000000000000000000001';
+const CHROME_WINDOWS =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const FIREFOX_LINUX = 'Mozilla/5.0 (X11; Linux x86_64; rv:120.0) Gecko/20100101 Firefox/120.0';
+
+const makeReq = (headers = {}) => {
+  const lower = Object.fromEntries(
+    Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value])
+  );
+  return { ip: '10.0.0.1', get: (name) => lower[name.toLowerCase()] };
+};
+
+// SecurityEvent.find(...).select().sort().skip().limit().lean()
+const stubFind = (rows) =>
+  jest.spyOn(SecurityEvent, 'find').mockImplementation(() => {
+    const chain = {
+      select: () => chain,
+      sort: () => chain,
+      skip: () => chain,
+      limit: () => chain,
+      lean: async () => rows,
+    };
+    return chain;
+  });
+
+describe('securityEventService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.GEOIP_COUNTRY_HEADER;
+  });
+
+  describe('SECURITY_EVENT_TYPES', () => {
+    it('lists the event types of the model', () => {
+      expect(SECURITY_EVENT_TYPES).toEqual(
+        expect.arrayContaining(['login', 'login_failed', 'password_reset'])
+      );
+    });
+  });
+
+  describe('getCountry', () => {
+    it('reads the first known CDN header', () => {
+      expect(getCountry(makeReq({ 'CF-IPCountry': 'de' }))).toBe('DE');
+      expect(getCountry(makeReq({ 'CloudFront-Viewer-Country': 'FR' }))).toBe('FR');
+    });
+
+    it('ignores unknown and malformed values', () => {
+      expect(getCountry(makeReq({ 'CF-IPCountry': 'XX' }))).toBeUndefined();
+      expect(getCountry(makeReq({ 'CF-IPCountry': 'T1' }))).toBeUndefined();
+      expect(getCountry(makeReq({ 'CF-IPCountry': 'germany' }))).toBeUndefined();
+      expect(getCountry(makeReq())).toBeUndefined();
+      expect(getCountry(undefined)).toBeUndefined();
+    });
+
+    it('only trusts the pinned header when GEOIP_COUNTRY_HEADER is set', () => {
+      process.env.GEOIP_COUNTRY_HEADER = 'X-Geo';
+      expect(getCountry(makeReq({ 'CF-IPCountry': 'DE' }))).toBeUndefined();
+      expect(getCountry(makeReq({ 'X-Geo': 'NL' }))).toBe('NL');
+    });
+  });
+
+  describe('recordSecurityEvent', () => {
+    let create;
+    let notify;
+
+    beforeEach(() => {
+      create = jest
+        .spyOn(SecurityEvent, 'create')
+        .mockImplementation(async (data) => ({ _id: 'event-1', ...data }));
+      notify = jest.spyOn(Notification, 'createNotification').mockResolvedValue({});
+    });
+
+    it('does not flag the first login on record', async () => {
+      stubFind([]);
+      const event = await recordSecurityEvent(
+        USER_ID,
+        'login',
+        makeReq({ 'User-Agent': CHROME_WINDOWS, 'CF-IPCountry': 'DE' })
+      );
+
+      expect(event).toMatchObject({ isNewDevice: false, isNewCountry: false, country: 'DE' });
+      expect(notify).not.toHaveBeenCalled();
+    });
+
+    it('does not flag logins from a known device and country', async () => {
+      stubFind([
+        { device: { type: 'desktop', browser: 'Chrome', os: 'Windows' }, country: 'DE' },
+      ]);
+      const event = await recordSecurityEvent(
+        USER_ID,
+        'login',
+        makeReq({ 'User-Agent': CHROME_WINDOWS, 'CF-IPCountry': 'DE' })
+      );
+
+      expect(event).toMatchObject({ isNewDevice: false, isNewCountry: false });
+      expect(notify).not.toHaveBeenCalled();
+    });
+
+    it('flags and notifies about a new device', async () => {
+      stubFind([
+        { device: { type: 'desktop', browser: 'Chrome', os: 'Windows' }, country: 'DE' },
+      ]);
+      const event = await recordSecurityEvent(
+        USER_ID,
+        'login',
+        makeReq({ 'User-Agent': FIREFOX_LINUX, 'CF-IPCountry': 'DE' })
+      );
+
+      expect(event).toMatchObject({ isNewDevice: true, isNewCountry: false });
+      expect(notify).toHaveBeenCalledWith(
+        expect.objectContaining({ recipient: USER_ID, category: 'security' })
+      );
+    });
+
+    it('flags a new country', async () => {
+      stubFind([
+        { device: { type: 'desktop', browser: 'Chrome', os: 'Windows' }, country: 'DE' },
+      ]);
+      const event = await recordSecurityEvent(
+        USER_ID,
+        'login',
+        makeReq({ 'User-Agent': CHROME_WINDOWS, 'CF-IPCountry': 'BR' })
+      );
+
+      expect(event).toMatchObject({ isNewDevice: false, isNewCountry: true });
+      expect(notify).toHaveBeenCalled();
+    });
+
+    it('only checks anomalies for logins', async () => {
+      const find = stubFind([]);
+      await recordSecurityEvent(USER_ID, 'password_reset', makeReq());
+
+      expect(find).not.toHaveBeenCalled();
+      expect(create).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'password_reset', isNewDevice: false })
+      );
+    });
+
+    it('logs failures instead of throwing', async () => {
+      create.mockRejectedValue(new Error('db down'));
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await recordSecurityEvent(USER_ID, 'password_reset', makeReq())).toBeNull();
+      expect(error).toHaveBeenCalled();
+    });
+  });
+
+  describe('listSecurityEvents', () => {
+    const stubList = (rows = [], total = 0) => {
+      const find = stubFind(rows);
+      const count = jest.spyOn(SecurityEvent, 'countDocuments').mockResolvedValue(total);
+      return { find, count };
+    };
+
+    it('filters on known event types', async () => {
+      const { find, count } = stubList();
+      await listSecurityEvents(USER_ID, { type: 'login' });
+
+      expect(find).toHaveBeenCalledWith({ user: USER_ID, type: 'login' });
+      expect(count).toHaveBeenCalledWith({ user: USER_ID, type: 'login' });
+    });
+
+    it('ignores unknown types and query operators', async () => {
+      const { find } = stubList();
+      await listSecurityEvents(USER_ID, { type: 'bogus' });
+      await listSecurityEvents(USER_ID, { type: { $ne: 'login' } });
+
+      expect(find).toHaveBeenNthCalledWith(1, { user: USER_ID });
+      expect(find).toHaveBeenNthCalledWith(2, { user: USER_ID });
+    });
+
+    it('labels events and paginates', async () => {
+      stubList([{ _id: 'e1', type: 'login_failed', createdAt: new Date() }], 45);
+      const result = await listSecurityEvents(USER_ID, { page: 2, limit: 20 });
+
+      expect(result.events[0]).toMatchObject({ id: 'e1', description: 'Failed sign-in attempt' });
+      expect(result.pagination).toEqual({ total: 45, page: 2, pages: 3, hasMore: true });
+    });
+  });
+});
@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { jest } from '@jest/globals';
+import Session from '../models/Session.js';
+import {
+  describeDevice,
+  rotateRefreshToken,
+  disconnectSessions,
+} from '../services/sessionService.js';
+
+const SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const SESSION_ID = '64b0000000000000000000a1';
+const USER_ID = '64b000000000000000000001';
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// An in-memory session row. findById and findOneAndUpdate read and write it
+// the way MongoDB would, the conditional update being atomic.
+const stubSessions = (secret, fields = {}) => {
+  const row = {
+    _id: SESSION_ID,
+    user: { _id: USER_ID, status: 'active' },
+    refreshTokenHash: hash(secret),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    revokedAt: null,
+    ...fields,
+  };
+  const snapshot = () => ({
+    ...row,
+    isActive: () => !row.revokedAt && row.expiresAt > new Date(),
+    revoke: async (reason) => {
+      row.revokedAt = new Date();
+      row.revokedReason = reason;
+    },
+  });
+
+  jest.spyOn(Session, 'findById').mockImplementation(() => ({
+    populate: async () => snapshot(),
+    select: async () => snapshot(),
+  }));
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const matches =
+      filter.refreshTokenHash === row.refreshTokenHash &&
+      !row.revokedAt &&
+      row.expiresAt > filter.expiresAt.$gt;
+    if (!matches) return null;
+    Object.assign(row, update.$set);
+    return snapshot();
+  });
+  return row;
+};
+
+describe('sessionService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('describeDevice', () => {
+    it('recognises desktop browsers', () => {
+      const device = describeDevice(
+        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36'
+      );
+      expect(device).toEqual({
+        type: 'desktop',
+        browser: 'Chrome',
+        os: 'Windows',
+        name: 'Chrome on Windows',
+      });
+    });
+
+    it('recognises mobile devices', () => {
+      const device = describeDevice(
+        'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+      );
+      expect(device.type).toBe('mobile');
+      expect(device.browser).toBe('Safari');
+      expect(device.os).toBe('iOS');
+    });
+
+    it('falls back for missing user agents', () => {
+      expect(describeDevice(undefined)).toEqual({
+        type: 'unknown',
+        browser: '',
+        os: '',
+        name: 'Unknown device',
+      });
+    });
+  });
+
+  describe('rotateRefreshToken', () => {
+    it('rejects malformed tokens without a lookup', async () => {
+      const findById = jest.spyOn(Session, 'findById');
+      for (const token of [undefined, '', 'abc', 'abc.def', `${SESSION_ID}.`]) {
+        const result = await rotateRefreshToken(token);
+        expect(result.code).toBe('INVALID_REFRESH_TOKEN');
+      }
+      expect(findById).not.toHaveBeenCalled();
+    });
+
+    it('rejects tokens for unknown sessions', async () => {
+      jest.spyOn(Session, 'findById').mockReturnValue({ populate: async () => null });
+      const result = await rotateRefreshToken(`${SESSION_ID}.secret`);
+      expect(result.code).toBe('INVALID_REFRESH_TOKEN');
+    });
+
+    it('rejects revoked sessions', async () => {
+      stubSessions('secret', { revokedAt: new Date() });
+      const result = await rotateRefreshToken(`${SESSION_ID}.secret`);
+      expect(result.code).toBe('SESSION_REVOKED');
+    });
+
+    it('rotates the refresh token and issues a session-bound access token', async () => {
+      const row = stubSessions('first');
+
+      const result = await rotateRefreshToken(`${SESSION_ID}.first`, { ip: '10.0.0.1' });
+
+      expect(result.success).toBe(true);
+      const [sessionId, secret] = result.refreshToken.split('.');
+      expect(sessionId).toBe(SESSION_ID);
+      expect(row.refreshTokenHash).toBe(hash(secret));
+      expect(row.previousRefreshTokenHash).toBe(hash('first'));
+      expect(row.ipAddress).toBe('10.0.0.1');
+
+      const decoded = jwt.verify(result.token, SECRET);
+      expect(String(decoded.userId)).toBe(USER_ID);
+      expect(String(decoded.sid)).toBe(SESSION_ID);
+    });
+
+    it('lets only one of two concurrent refreshes rotate, without revoking', async () => {
+      const row = stubSessions('first');
+
+      const results = await Promise.all([
+        rotateRefreshToken(`${SESSION_ID}.first`),
+        rotateRefreshToken(`${SESSION_ID}.first`),
+      ]);
+
+      expect(results.filter((r) => r.success)).toHaveLength(1);
+      expect(results.find((r) => !r.success).code).toBe('TOKEN_ROTATED');
+      expect(row.revokedAt).toBeNull();
+    });
+
+    it('revokes the session when a rotated token is replayed later', async () => {
+      const row = stubSessions('first');
+
+      const rotated = await rotateRefreshToken(`${SESSION_ID}.first`);
+      expect(rotated.success).toBe(true);
+      row.rotatedAt = new Date(Date.now() - 60 * 1000);
+
+      const replayed = await rotateRefreshToken(`${SESSION_ID}.first`);
+      expect(replayed).toMatchObject({ success: false, code: 'TOKEN_REUSE' });
+      expect(row.revokedReason).toBe('token_reuse');
+
+      const next = await rotateRefreshToken(rotated.refreshToken);
+      expect(next.code).toBe('SESSION_REVOKED');
+    });
+
+    it('treats tokens that were never issued as reuse', async () => {
+      const row = stubSessions('first');
+
+      const result = await rotateRefreshToken(`${SESSION_ID}.guess`);
+
+      expect(result.code).toBe('TOKEN_REUSE');
+      expect(row.revokedReason).toBe('token_reuse');
+    });
+
+    it('refuses suspended accounts', async () => {
+      const row = stubSessions('secret', { user: { _id: USER_ID, status: 'suspended' } });
+      const result = await rotateRefreshToken(`${SESSION_ID}.secret`);
+      expect(result.code).toBe('ACCOUNT_SUSPENDED');
+      expect(row.refreshTokenHash).toBe(hash('secret'));
+    });
+  });
+
+  describe('disconnectSessions', () => {
+    // Records the rooms a disconnect was scoped to
+    const fakeIo = () => {
+      const calls = [];
+      const scope = (rooms) => ({
+        except: (room) => scope({ ...rooms, except: room }),
+        disconnectSockets: (close) => calls.push({ ...rooms, close }),
+      });
+      return { calls, in: (room) => scope({ in: room }) };
+    };
+
+    it('closes the sockets of one session', () => {
+      const io = fakeIo();
+      disconnectSessions(io, { sessionId: SESSION_ID });
+      expect(io.calls).toEqual([{ in: `session_${SESSION_ID}`, close: true }]);
+    });
+
+    it('closes every socket of a user except the current session', () => {
+      const io = fakeIo();
+      disconnectSessions(io, { userId: USER_ID, exceptSessionId: SESSION_ID });
+      expect(io.calls).toEqual([
+        { in: `user_${USER_ID}`, except: `session_${SESSION_ID}`, close: true },
+      ]);
+    });
+
+    it('closes the session of a replayed refresh token', async () => {
+      stubSessions('first', { rotatedAt: new Date(Date.now() - 60 * 1000) });
+      const io = fakeIo();
+
+      await rotateRefreshToken(`${SESSION_ID}.guess`, { app: { get: () => io } });
+
+      expect(io.calls).toEqual([{ in: `session_${SESSION_ID}`, close: true }]);
+    });
+
+    it('does nothing without a socket server', () => {
+      expect(() => disconnectSessions(undefined, { sessionId: SESSION_ID })).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import { getDriver, verifyTwilioSignature } from '../services/smsService.js';
+
+const ENV_KEYS = ['SMS_DRIVER', 'TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'NODE_ENV'];
+
+describe('smsService', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    ENV_KEYS.forEach((key) => {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    });
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach((key) => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+  });
+
+  describe('getDriver', () => {
+    it('defaults to the console driver without credentials', () => {
+      expect(getDriver().name).toBe('console');
+    });
+
+    it('defaults to twilio when credentials are present', () => {
+      process.env.TWILIO_ACCOUNT_SID = 'AC123';
+      expect(getDriver().name).toBe('twilio');
+    });
+
+    it('honours SMS_DRIVER, case-insensitively', () => {
+      process.env.TWILIO_ACCOUNT_SID = 'AC123';
+      process.env.SMS_DRIVER = 'File';
+      expect(getDriver().name).toBe('file');
+      process.env.SMS_DRIVER = 'console';
+      expect(getDriver().name).toBe('console');
+    });
+
+    it('throws for unknown drivers', () => {
+      process.env.SMS_DRIVER = 'carrier-pigeon';
+      expect(() => getDriver()).toThrow('Unknown SMS_DRIVER "carrier-pigeon"');
+    });
+
+    it('refuses the console and file drivers in production', () => {
+      process.env.NODE_ENV = 'production';
+      expect(() => getDriver()).toThrow('No SMS provider configured');
+      process.env.SMS_DRIVER = 'file';
+      expect(() => getDriver()).toThrow('No SMS provider configured');
+    });
+
+    it('allows twilio in production', () => {
+      process.env.NODE_ENV = 'production';
+      process.env.TWILIO_ACCOUNT_SID = 'AC123';
+      expect(getDriver().name).toBe('twilio');
+    });
+  });
+
+  describe('verifyTwilioSignature', () => {
+    const url = 'https://example.com/api/sms/status';
+    const params = { MessageStatus: 'delivered', MessageSid: 'SM1' };
+    const sign = (token) =>
+      crypto
+        .createHmac('sha1', token)
+        .update(`${url}MessageSidSM1MessageStatusdelivered`)
+        .digest('base64');
+
+    it('accepts signatures made with the auth token', () => {
+      process.env.TWILIO_AUTH_TOKEN = 'token';
+      expect(verifyTwilioSignature(url, params, sign('token'))).toBe(true);
+    });
+
+    it('rejects other signatures', () => {
+      process.env.TWILIO_AUTH_TOKEN = 'token';
+      expect(verifyTwilioSignature(url, params, sign('other'))).toBe(false);
+      expect(verifyTwilioSignature(url, params, '')).toBe(false);
+    });
+
+    it('rejects everything without an auth token', () => {
+      expect(verifyTwilioSignature(url, params, sign('token'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import UserInteraction from '../models/UserInteraction.js';
+import {
+  SCORE_WEIGHTS,
+  scoreCandidate,
+  describeReason,
+  getSuggestions,
+  recordImpressions,
+  dismissSuggestion,
+} from '../services/suggestionService.js';
+
+const VIEWER_ID = '64b000000000000000000001';
+const OTHER_ID = '64b000000000000000000002';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('suggestionService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('scoreCandidate', () => {
+    it('weighs each signal', () => {
+      expect(scoreCandidate({ mutualCount: 1 })).toBe(SCORE_WEIGHTS.mutual);
+      expect(scoreCandidate({ interests: ['music', 'art'] })).toBe(2 * SCORE_WEIGHTS.interest);
+      expect(scoreCandidate({ interactionScore: 4 })).toBe(4 * SCORE_WEIGHTS.interaction);
+      expect(scoreCandidate({})).toBe(0);
+    });
+
+    it('ranks mutual connections above a shared interest', () => {
+      expect(scoreCandidate({ mutualCount: 1 })).toBeGreaterThan(
+        scoreCandidate({ interests: ['music'] })
+      );
+    });
+
+    it('pushes down candidates shown without a follow', () => {
+      const fresh = scoreCandidate({ mutualCount: 2 });
+      const seen = scoreCandidate({ mutualCount: 2, impressions: 3 });
+      expect(seen).toBe(fresh - 3 * SCORE_WEIGHTS.impression);
+    });
+  });
+
+  describe('describeReason', () => {
+    it('prefers mutual connections', () => {
+      expect(describeReason({ mutualCount: 2, interests: ['music'], interactionScore: 5 })).toEqual({
+        type: 'mutual_connections',
+        mutualCount: 2,
+      });
+    });
+
+    it('lists up to three shared interests', () => {
+      expect(describeReason({ interests: ['a', 'b', 'c', 'd'] })).toEqual({
+        type: 'shared_interests',
+        interests: ['a', 'b', 'c'],
+      });
+    });
+
+    it('falls back to interactions, then popularity', () => {
+      expect(describeReason({ interactionScore: 1 })).toEqual({ type: 'recent_interactions' });
+      expect(describeReason({})).toEqual({ type: 'popular' });
+    });
+  });
+
+  describe('getSuggestions', () => {
+    it('returns nothing for unknown users', async () => {
+      jest.spyOn(User, 'findById').mockReturnValue({
+        select() {
+          return this;
+        },
+        lean: async () => null,
+      });
+      expect(await getSuggestions(VIEWER_ID)).toEqual([]);
+    });
+  });
+
+  describe('recordImpressions', () => {
+    it('stores an expiring impression per suggested user', async () => {
+      const insertMany = jest.spyOn(UserInteraction, 'insertMany').mockResolvedValue([]);
+      const before = Date.now();
+
+      await recordImpressions(VIEWER_ID, [OTHER_ID]);
+
+      const [[docs, options]] = insertMany.mock.calls;
+      expect(options).toEqual({ ordered: false });
+      expect(docs).toEqual([
+        expect.objectContaining({
+          user1: VIEWER_ID,
+          user2: OTHER_ID,
+          interactionType: 'impression',
+          context: 'suggestions',
+          weight: 0,
+        }),
+      ]);
+      expect(docs[0].expiresAt.getTime()).toBeGreaterThanOrEqual(before + 30 * DAY_MS);
+    });
+
+    it('skips empty lists and swallows failures', async () => {
+      const insertMany = jest.spyOn(UserInteraction, 'insertMany');
+      await recordImpressions(VIEWER_ID, []);
+      expect(insertMany).not.toHaveBeenCalled();
+
+      insertMany.mockRejectedValue(new Error('db down'));
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      await expect(recordImpressions(VIEWER_ID, [OTHER_ID])).resolves.toBeUndefined();
+      expect(error).toHaveBeenCalled();
+    });
+  });
+
+  describe('dismissSuggestion', () => {
+    it('upserts a dismissal that expires after the dismiss period', async () => {
+      const findOneAndUpdate = jest
+        .spyOn(UserInteraction, 'findOneAndUpdate')
+        .mockResolvedValue({});
+      const before = Date.now();
+
+      await dismissSuggestion(VIEWER_ID, OTHER_ID);
+
+      const [[filter, update, options]] = findOneAndUpdate.mock.calls;
+      expect(filter).toEqual({
+        user1: VIEWER_ID,
+        user2: OTHER_ID,
+        interactionType: 'dismiss',
+        context: 'suggestions',
+      });
+      expect(update).toMatchObject({ isActive: true, weight: 0 });
+      expect(update.expiresAt.getTime()).toBeGreaterThanOrEqual(before + 90 * DAY_MS);
+      expect(options).toMatchObject({ upsert: true });
+    });
+  });
+});
@@ -0,0 +1,184 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import Timeline from '../models/Timeline.js';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import AudienceList from '../models/AudienceList.js';
+import {
+  isTimelinePost,
+  usesPullModel,
+  fanOutPost,
+  backfillTimeline,
+  removeAuthorFromTimeline,
+  FANOUT_MAX_FOLLOWERS,
+} from '../services/timelineService.js';
+
+const AUTHOR_ID = '64b000000000000000000001';
+const FRIEND_ID = '64b000000000000000000002';
+const FOLLOWER_ID = '64b000000000000000000003';
+const LIST_ID = '64b0000000000000000000d1';
+const POST_ID = '64b0000000000000000000b1';
+
+// A query chain ending in lean() that resolves to value
+const lean = (value) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    lean: async () => value,
+  };
+  return chain;
+};
+
+describe('timelineService', () => {
+  it('only fans out regular posts', () => {
+    expect(isTimelinePost({ type: 'image' })).toBe(true);
+    expect(isTimelinePost({ type: 'story' })).toBe(false);
+    expect(isTimelinePost({ type: 'reel' })).toBe(false);
+    expect(isTimelinePost({ type: 'text', isPSA: true })).toBe(false);
+  });
+
+  it('switches authors above the follower threshold to the pull model', () => {
+    expect(usesPullModel({ followerCount: FANOUT_MAX_FOLLOWERS })).toBe(false);
+    expect(usesPullModel({ followerCount: FANOUT_MAX_FOLLOWERS + 1 })).toBe(true);
+    expect(usesPullModel(null)).toBe(false);
+  });
+
+  describe('fanOutPost', () => {
+    let insertMany;
+
+    beforeEach(() => {
+      insertMany = jest.spyOn(Timeline, 'insertMany').mockResolvedValue([]);
+      jest.spyOn(User, 'findById').mockReturnValue(lean({ followerCount: 2 }));
+      jest.spyOn(Follow, 'findFollowerIds').mockResolvedValue([FRIEND_ID, FOLLOWER_ID]);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const post = (fields) => ({
+      _id: POST_ID,
+      authorId: AUTHOR_ID,
+      type: 'text',
+      createdAt: new Date(),
+      ...fields,
+    });
+    const recipients = () => insertMany.mock.calls[0][0].map((entry) => String(entry.user));
+
+    it('reaches every follower with a public post', async () => {
+      expect(await fanOutPost(post({ visibility: 'public' }))).toBe(3);
+      expect(recipients()).toEqual([AUTHOR_ID, FRIEND_ID, FOLLOWER_ID]);
+    });
+
+    it('only reaches followers the author follows back with a friends post', async () => {
+      const distinct = jest.spyOn(Follow, 'distinct').mockResolvedValue([FRIEND_ID]);
+
+      expect(await fanOutPost(post({ visibility: 'friends' }))).toBe(2);
+
+      expect(distinct).toHaveBeenCalledWith('following', {
+        follower: AUTHOR_ID,
+        following: { $in: [FRIEND_ID, FOLLOWER_ID] },
+      });
+      expect(recipients()).toEqual([AUTHOR_ID, FRIEND_ID]);
+    });
+
+    it('only reaches followers on the audience list', async () => {
+      const findById = jest
+        .spyOn(AudienceList, 'findById')
+        .mockReturnValue(lean({ members: [new mongoose.Types.ObjectId(FOLLOWER_ID)] }));
+
+      await fanOutPost(post({ visibility: 'audience', audienceList: LIST_ID }));
+
+      expect(findById).toHaveBeenCalledWith(LIST_ID);
+      expect(recipients()).toEqual([AUTHOR_ID, FOLLOWER_ID]);
+    });
+
+    it('keeps private posts and posts for a missing list to the author', async () => {
+      await fanOutPost(post({ visibility: 'private' }));
+      expect(recipients()).toEqual([AUTHOR_ID]);
+
+      insertMany.mockClear();
+      jest.spyOn(AudienceList, 'findById').mockReturnValue(lean(null));
+      await fanOutPost(post({ visibility: 'audience', audienceList: LIST_ID }));
+      expect(recipients()).toEqual([AUTHOR_ID]);
+    });
+
+    it('leaves followers of pull-model authors to read time', async () => {
+      User.findById.mockReturnValue(lean({ followerCount: FANOUT_MAX_FOLLOWERS + 1 }));
+
+      await fanOutPost(post({ visibility: 'public' }));
+
+      expect(Follow.findFollowerIds).not.toHaveBeenCalled();
+      expect(recipients()).toEqual([AUTHOR_ID]);
+    });
+  });
+
+  describe('backfillTimeline', () => {
+    let find;
+    let insertMany;
+
+    beforeEach(() => {
+      insertMany = jest.spyOn(Timeline, 'insertMany').mockResolvedValue([]);
+      jest.spyOn(User, 'findById').mockReturnValue(lean({ followerCount: 2 }));
+      jest.spyOn(AudienceList, 'findMemberListIds').mockResolvedValue([LIST_ID]);
+      find = jest
+        .spyOn(Post, 'find')
+        .mockReturnValue(lean([{ _id: POST_ID, authorId: AUTHOR_ID, createdAt: new Date() }]));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('copies the posts a friend may see', async () => {
+      jest.spyOn(Follow, 'isFollowing').mockResolvedValue(true);
+
+      await backfillTimeline(FRIEND_ID, AUTHOR_ID);
+
+      expect(Follow.isFollowing).toHaveBeenCalledWith(AUTHOR_ID, FRIEND_ID);
+      const filter = find.mock.calls[0][0];
+      expect(filter.authorId).toBe(AUTHOR_ID);
+      expect(filter.$or).toContainEqual({ visibility: { $in: ['public', 'friends'] }, audienceList: null });
+      expect(filter.$or).toContainEqual({ audienceList: { $in: [LIST_ID] } });
+      expect(insertMany.mock.calls[0][0]).toEqual([
+        expect.objectContaining({ user: FRIEND_ID, post: POST_ID, author: AUTHOR_ID }),
+      ]);
+    });
+
+    it('leaves friends-only posts out for other followers', async () => {
+      jest.spyOn(Follow, 'isFollowing').mockResolvedValue(false);
+
+      await backfillTimeline(FOLLOWER_ID, AUTHOR_ID);
+
+      expect(find.mock.calls[0][0].$or).toContainEqual({
+        visibility: { $in: ['public'] },
+        audienceList: null,
+      });
+    });
+
+    it('skips pull-model authors', async () => {
+      User.findById.mockReturnValue(lean({ followerCount: FANOUT_MAX_FOLLOWERS + 1 }));
+
+      await backfillTimeline(FOLLOWER_ID, AUTHOR_ID);
+
+      expect(find).not.toHaveBeenCalled();
+      expect(insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeAuthorFromTimeline', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("drops only the author's entries from the user's timeline", async () => {
+      const deleteMany = jest.spyOn(Timeline, 'deleteMany').mockResolvedValue({});
+
+      await removeAuthorFromTimeline(FOLLOWER_ID, AUTHOR_ID);
+
+      expect(deleteMany).toHaveBeenCalledWith({ user: FOLLOWER_ID, author: AUTHOR_ID });
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import {
+  generateSecret,
+  buildOtpauthUri,
+  generateCode,
+  findCodeStep,
+  verifyCode,
+  generateBackupCodes,
+  findBackupCode,
+} from '../services/totpService.js';
+
+// Base32 of the ASCII seed "12345678901234567890" from RFC 6238, appendix B
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totpService', () => {
+  describe('generateCode', () => {
+    // RFC 6238 SHA-1 vectors, truncated to six digits
+    it.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037'],
+      [20000000000, '353130'],
+    ])('matches the RFC 6238 vector at T=%i', (seconds, expected) => {
+      expect(generateCode(RFC_SECRET, seconds * 1000)).toBe(expected);
+    });
+
+    it('round-trips generated secrets', () => {
+      const secret = generateSecret();
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(generateCode(secret)).toMatch(/^\d{6}$/);
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('includes the secret, issuer and account', () => {
+      const uri = buildOtpauthUri(RFC_SECRET, 'alice@example.com');
+      expect(uri.startsWith('otpauth://totp/')).toBe(true);
+      expect(uri).toContain(`secret=${RFC_SECRET}`);
+      expect(uri).toContain('alice%40example.com');
+    });
+  });
+
+  describe('findCodeStep', () => {
+    const now = 1111111111 * 1000;
+    const currentStep = Math.floor(1111111111 / 30);
+
+    it('returns the step of the current code', () => {
+      expect(findCodeStep(RFC_SECRET, '050471', 1, now)).toBe(currentStep);
+    });
+
+    it('accepts codes one step either side of now', () => {
+      const previous = generateCode(RFC_SECRET, now - 30 * 1000);
+      const next = generateCode(RFC_SECRET, now + 30 * 1000);
+      expect(findCodeStep(RFC_SECRET, previous, 1, now)).toBe(currentStep - 1);
+      expect(findCodeStep(RFC_SECRET, next, 1, now)).toBe(currentStep + 1);
+    });
+
+    it('rejects codes outside the window', () => {
+      const stale = generateCode(RFC_SECRET, now - 2 * 30 * 1000);
+      expect(findCodeStep(RFC_SECRET, stale, 1, now)).toBe(-1);
+      expect(findCodeStep(RFC_SECRET, stale, 2, now)).toBe(currentStep - 2);
+    });
+
+    it('ignores whitespace and rejects malformed codes', () => {
+      expect(findCodeStep(RFC_SECRET, '050 471', 1, now)).toBe(currentStep);
+      expect(findCodeStep(RFC_SECRET, '05047', 1, now)).toBe(-1);
+      expect(findCodeStep(RFC_SECRET, 'abcdef', 1, now)).toBe(-1);
+      expect(findCodeStep(RFC_SECRET, '', 1, now)).toBe(-1);
+      expect(findCodeStep(null, '050471', 1, now)).toBe(-1);
+    });
+  });
+
+  describe('verifyCode', () => {
+    it('accepts the current code and rejects a wrong one', () => {
+      const secret = generateSecret();
+      const code = generateCode(secret);
+      const wrong = String((Number(code) + 1) % 1000000).padStart(6, '0');
+      expect(verifyCode(secret, code)).toBe(true);
+      expect(verifyCode(secret, wrong, 0)).toBe(false);
+    });
+  });
+
+  describe('backup codes', () => {
+    it('generates distinct codes with matching hashes', async () => {
+      const { codes, hashes } = await generateBackupCodes(3);
+      expect(codes).toHaveLength(3);
+      expect(hashes).toHaveLength(3);
+      expect(new Set(codes).size).toBe(3);
+      codes.forEach((code) => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+      expect(hashes).not.toContain(codes[0]);
+    });
+
+    it('finds the index of a code, ignoring case and whitespace', async () => {
+      const { codes, hashes } = await generateBackupCodes(3);
+      expect(await findBackupCode(hashes, codes[2])).toBe(2);
+      expect(await findBackupCode(hashes, ` ${codes[1].toUpperCase()} `)).toBe(1);
+    });
+
+    it('does not match a code once its hash is consumed', async () => {
+      const { codes, hashes } = await generateBackupCodes(2);
+      const index = await findBackupCode(hashes, codes[0]);
+      const remaining = hashes.filter((_, i) => i !== index);
+      expect(await findBackupCode(remaining, codes[0])).toBe(-1);
+      expect(await findBackupCode(remaining, codes[1])).toBe(0);
+    });
+
+    it('rejects empty codes', async () => {
+      const { hashes } = await generateBackupCodes(1);
+      expect(await findBackupCode(hashes, '')).toBe(-1);
+      expect(await findBackupCode([], 'abcde-12345')).toBe(-1);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import authRoutes from '../routes/auth.js';
+
+const SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const USER_ID = '64b000000000000000000001';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const mfaToken = jwt.sign({ userId: USER_ID, mfa: 'pending' }, SECRET, { expiresIn: '5m' });
+
+const stubUser = (fields = {}) => {
+  const user = new User({
+    _id: USER_ID,
+    username: 'alice',
+    email: 'alice@example.com',
+    twoFactorEnabled: true,
+    twoFactorSecret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ',
+    status: 'active',
+    ...fields,
+  });
+  jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+  return user;
+};
+
+describe('POST /api/auth/2fa/verify', () => {
+  let claim;
+
+  beforeEach(() => {
+    jest.spyOn(LoginAttempt, 'checkIpRateLimit').mockResolvedValue({ isLimited: false });
+    jest.spyOn(LoginAttempt, 'record').mockResolvedValue({});
+    claim = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('throttles second-factor guesses per IP', async () => {
+    LoginAttempt.checkIpRateLimit.mockResolvedValue({ isLimited: true, retryAfter: 120 });
+    stubUser();
+
+    const res = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken, code: '123456' });
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('TOO_MANY_ATTEMPTS');
+    expect(res.headers['retry-after']).toBe('120');
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  it('refuses accounts suspended after the password step', async () => {
+    stubUser({ status: 'suspended' });
+
+    const res = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken, code: '123456' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Account is suspended');
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  it('refuses locked accounts before checking the code', async () => {
+    stubUser({ lockUntil: new Date(Date.now() + 60 * 1000) });
+
+    const res = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken, code: '123456' });
+
+    expect(res.status).toBe(423);
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  it('rejects tokens that are not pending a second factor', async () => {
+    const token = jwt.sign({ userId: USER_ID }, SECRET, { expiresIn: '5m' });
+
+    const res = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken: token, code: '123456' });
+
+    expect(res.status).toBe(400);
+  });
+});
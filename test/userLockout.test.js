@@ -0,0 +1,98 @@
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// A user whose updateOne calls are captured instead of sent to the database
+const makeUser = (fields = {}) => {
+  const user = new User({ username: 'alice', email: 'alice@example.com', ...fields });
+  user.updateOne = jest.fn(async () => ({}));
+  return user;
+};
+
+const lockMinutes = (result, before) =>
+  Math.round((result.lockUntil.getTime() - before) / MINUTE_MS);
+
+describe('User lockout', () => {
+  describe('isLocked', () => {
+    it('is locked only while lockUntil is in the future', () => {
+      expect(makeUser().isLocked()).toBe(false);
+      expect(makeUser({ lockUntil: new Date(Date.now() + MINUTE_MS) }).isLocked()).toBe(true);
+      expect(makeUser({ lockUntil: new Date(Date.now() - MINUTE_MS) }).isLocked()).toBe(false);
+    });
+  });
+
+  describe('incLoginAttempts', () => {
+    it('counts failures below the threshold without locking', async () => {
+      const user = makeUser({ loginAttempts: 2 });
+      const result = await user.incLoginAttempts();
+
+      expect(result).toEqual({ locked: false, lockUntil: null, loginAttempts: 3 });
+      expect(user.updateOne).toHaveBeenCalledWith({ $inc: { loginAttempts: 1 } });
+    });
+
+    it('locks for 15 minutes on the fifth failure', async () => {
+      const user = makeUser({ loginAttempts: 4 });
+      const before = Date.now();
+      const result = await user.incLoginAttempts();
+
+      expect(result.locked).toBe(true);
+      expect(lockMinutes(result, before)).toBe(15);
+      expect(user.updateOne).toHaveBeenCalledWith({
+        $inc: { loginAttempts: 1, lockCount: 1 },
+        $set: { lockUntil: result.lockUntil },
+      });
+    });
+
+    it.each([
+      [1, 30],
+      [2, 60],
+      [3, 120],
+      [6, 960],
+      [7, 1440],
+      [12, 1440],
+    ])('after %i earlier locks, locks for %i minutes (capped at 24h)', async (lockCount, minutes) => {
+      const user = makeUser({ loginAttempts: 4, lockCount });
+      const before = Date.now();
+      const result = await user.incLoginAttempts();
+
+      expect(lockMinutes(result, before)).toBe(minutes);
+    });
+
+    it('does not extend an active lock', async () => {
+      const lockUntil = new Date(Date.now() + 10 * MINUTE_MS);
+      const user = makeUser({ loginAttempts: 7, lockCount: 1, lockUntil });
+      const result = await user.incLoginAttempts();
+
+      expect(result.locked).toBe(false);
+      expect(user.updateOne).toHaveBeenCalledWith({ $inc: { loginAttempts: 1 } });
+    });
+
+    it('restarts the count once a lock has expired', async () => {
+      const user = makeUser({
+        loginAttempts: 5,
+        lockCount: 1,
+        lockUntil: new Date(Date.now() - MINUTE_MS),
+      });
+      const result = await user.incLoginAttempts();
+
+      expect(result).toEqual({ locked: false, loginAttempts: 1 });
+      expect(user.updateOne).toHaveBeenCalledWith({
+        $unset: { lockUntil: 1 },
+        $set: { loginAttempts: 1 },
+      });
+    });
+  });
+
+  describe('resetLoginAttempts', () => {
+    it('clears the attempts, lock and escalation', async () => {
+      const user = makeUser({ loginAttempts: 3, lockCount: 2 });
+      await user.resetLoginAttempts();
+
+      expect(user.updateOne).toHaveBeenCalledWith({
+        $unset: { loginAttempts: 1, lockUntil: 1 },
+        $set: { lockCount: 0 },
+      });
+    });
+  });
+});
@@ -0,0 +1,337 @@
+import {
+  ACCESS,
+  getRelationship,
+  getProfileAccess,
+  isHiddenProfile,
+  canViewContent,
+  canViewPost,
+  canViewStream,
+  canViewComment,
+  postVisibilityFilter,
+  redactProfile,
+  publicProfile,
+} from '../services/visibilityPolicy.js';
+
+const OWNER_ID = '64b000000000000000000001';
+const FOLLOWER_ID = '64b000000000000000000002';
+const FRIEND_ID = '64b000000000000000000003';
+const STRANGER_ID = '64b000000000000000000004';
+const BLOCKED_ID = '64b000000000000000000005';
+const REQUESTER_ID = '64b000000000000000000006';
+
+const makeOwner = (privacy = {}) => ({
+  _id: OWNER_ID,
+  username: 'owner',
+  name: 'Owner',
+  avatar: 'https://example.com/a.png',
+  email: 'owner@example.com',
+  bio: 'secret bio',
+  isVerified: true,
+  privacy: { profileVisibility: 'public', allowProfileViews: true, ...privacy },
+  followerCount: 2,
+  followingCount: 1,
+  followRequests: [REQUESTER_ID],
+  blockedUsers: [BLOCKED_ID],
+});
+
+const viewers = {
+  self: { _id: OWNER_ID },
+  follower: { _id: FOLLOWER_ID },
+  friend: { _id: FRIEND_ID },
+  stranger: { _id: STRANGER_ID },
+  blocked: { _id: BLOCKED_ID },
+  requester: { _id: REQUESTER_ID },
+  anonymous: null,
+};
+
+// Follow edges between the owner and each viewer, as loadFollows returns them
+const follows = {
+  follower: { isFollower: true },
+  friend: { isFollower: true, followsViewer: true },
+  blocked: { isFollower: true },
+};
+
+describe('visibilityPolicy', () => {
+  describe('getRelationship', () => {
+    it('detects self', () => {
+      expect(getRelationship(makeOwner(), viewers.self).isSelf).toBe(true);
+    });
+
+    it('reads followers from the follow edges', () => {
+      expect(getRelationship(makeOwner(), viewers.follower, follows.follower).isFollower).toBe(true);
+      expect(getRelationship(makeOwner(), viewers.stranger).isFollower).toBe(false);
+    });
+
+    it('ignores follow edges for anonymous viewers', () => {
+      expect(getRelationship(makeOwner(), null, follows.friend).isFollower).toBe(false);
+    });
+
+    it('treats mutual follows as friends', () => {
+      const rel = getRelationship(makeOwner(), viewers.friend, follows.friend);
+      expect(rel.isFriend).toBe(true);
+      expect(getRelationship(makeOwner(), viewers.follower, follows.follower).isFriend).toBe(false);
+    });
+
+    it('detects blocks in both directions', () => {
+      expect(getRelationship(makeOwner(), viewers.blocked).isBlocked).toBe(true);
+      const blocker = { _id: STRANGER_ID, blockedUsers: [OWNER_ID] };
+      expect(getRelationship(makeOwner(), blocker).isBlocked).toBe(true);
+    });
+
+    it('detects pending follow requests', () => {
+      expect(getRelationship(makeOwner(), viewers.requester).isRequested).toBe(true);
+    });
+  });
+
+  describe('getProfileAccess', () => {
+    const expected = {
+      public: {
+        self: ACCESS.FULL,
+        follower: ACCESS.FULL,
+        friend: ACCESS.FULL,
+        stranger: ACCESS.FULL,
+        blocked: ACCESS.NONE,
+        requester: ACCESS.FULL,
+        anonymous: ACCESS.FULL,
+      },
+      friends: {
+        self: ACCESS.FULL,
+        follower: ACCESS.LIMITED,
+        friend: ACCESS.FULL,
+        stranger: ACCESS.LIMITED,
+        blocked: ACCESS.NONE,
+        requester: ACCESS.LIMITED,
+        anonymous: ACCESS.LIMITED,
+      },
+      private: {
+        self: ACCESS.FULL,
+        follower: ACCESS.FULL,
+        friend: ACCESS.FULL,
+        stranger: ACCESS.LIMITED,
+        blocked: ACCESS.NONE,
+        requester: ACCESS.LIMITED,
+        anonymous: ACCESS.LIMITED,
+      },
+    };
+
+    Object.entries(expected).forEach(([visibility, byViewer]) => {
+      Object.entries(byViewer).forEach(([viewerName, level]) => {
+        it(`${visibility} profile, ${viewerName} viewer -> ${level}`, () => {
+          const owner = makeOwner({ profileVisibility: visibility });
+          expect(getProfileAccess(owner, viewers[viewerName], follows[viewerName]).level).toBe(level);
+        });
+      });
+    });
+
+    Object.keys(expected).forEach((visibility) => {
+      it(`${visibility} profile with profile views disabled hides it from everyone but self`, () => {
+        const owner = makeOwner({ profileVisibility: visibility, allowProfileViews: false });
+        Object.entries(viewers).forEach(([viewerName, viewer]) => {
+          const access = getProfileAccess(owner, viewer, follows[viewerName]);
+          if (viewerName === 'self') {
+            expect(access.level).toBe(ACCESS.FULL);
+          } else {
+            expect(access.level).toBe(ACCESS.NONE);
+          }
+        });
+      });
+    });
+
+    it('reports why access was limited', () => {
+      expect(
+        getProfileAccess(makeOwner({ profileVisibility: 'private' }), viewers.stranger).reason
+      ).toBe('ACCOUNT_PRIVATE');
+      expect(
+        getProfileAccess(makeOwner({ profileVisibility: 'friends' }), viewers.stranger).reason
+      ).toBe('FRIENDS_ONLY');
+      expect(getProfileAccess(makeOwner(), viewers.blocked).reason).toBe('BLOCKED');
+      expect(
+        getProfileAccess(makeOwner({ allowProfileViews: false }), viewers.stranger).reason
+      ).toBe('PROFILE_VIEWS_DISABLED');
+    });
+
+    it('hides deactivated profiles from everyone but self', () => {
+      const owner = { ...makeOwner(), deactivatedAt: new Date() };
+      const access = getProfileAccess(owner, viewers.friend, follows.friend);
+      expect(access.level).toBe(ACCESS.NONE);
+      expect(access.reason).toBe('DEACTIVATED');
+      expect(isHiddenProfile(access)).toBe(true);
+      expect(getProfileAccess(owner, viewers.self).level).toBe(ACCESS.FULL);
+      expect(isHiddenProfile(getProfileAccess(makeOwner(), viewers.blocked))).toBe(true);
+      expect(
+        isHiddenProfile(getProfileAccess(makeOwner({ profileVisibility: 'private' }), viewers.stranger))
+      ).toBe(false);
+    });
+
+    it('defaults to public when privacy is missing', () => {
+      const owner = { ...makeOwner(), privacy: undefined };
+      expect(getProfileAccess(owner, viewers.stranger).level).toBe(ACCESS.FULL);
+    });
+  });
+
+  describe('canViewContent', () => {
+    it('matches full profile access', () => {
+      const owner = makeOwner({ profileVisibility: 'private' });
+      expect(canViewContent(owner, viewers.follower, follows.follower)).toBe(true);
+      expect(canViewContent(owner, viewers.stranger)).toBe(false);
+    });
+  });
+
+  describe('canViewPost', () => {
+    const post = (visibility, audienceList) => ({ authorId: OWNER_ID, visibility, audienceList });
+
+    it('lets the author see every post', () => {
+      ['public', 'friends', 'private', 'audience'].forEach((visibility) => {
+        expect(canViewPost(post(visibility), makeOwner(), viewers.self, {})).toBe(true);
+      });
+    });
+
+    it('applies post visibility on a public profile', () => {
+      const owner = makeOwner();
+      expect(canViewPost(post('public'), owner, viewers.stranger, {})).toBe(true);
+      expect(canViewPost(post('friends'), owner, viewers.stranger, {})).toBe(false);
+      expect(canViewPost(post('friends'), owner, viewers.friend, follows.friend)).toBe(true);
+      expect(canViewPost(post('private'), owner, viewers.friend, follows.friend)).toBe(false);
+    });
+
+    it('hides public posts of a private profile from non-followers', () => {
+      const owner = makeOwner({ profileVisibility: 'private' });
+      expect(canViewPost(post('public'), owner, viewers.stranger, {})).toBe(false);
+      expect(canViewPost(post('public'), owner, viewers.follower, follows.follower)).toBe(true);
+    });
+
+    it('shows audience posts to list members only', () => {
+      const owner = makeOwner({ profileVisibility: 'private' });
+      const listPost = post('audience', 'list-1');
+      expect(canViewPost(listPost, owner, viewers.stranger, {}, { isAudienceMember: true })).toBe(true);
+      expect(canViewPost(listPost, owner, viewers.follower, follows.follower)).toBe(false);
+    });
+
+    it('never shows posts to blocked viewers', () => {
+      const listPost = post('audience', 'list-1');
+      expect(canViewPost(post('public'), makeOwner(), viewers.blocked, follows.blocked)).toBe(false);
+      expect(
+        canViewPost(listPost, makeOwner(), viewers.blocked, follows.blocked, { isAudienceMember: true })
+      ).toBe(false);
+    });
+  });
+
+  describe('canViewStream', () => {
+    it('limits private streams to followers', () => {
+      const stream = { isPrivate: true };
+      expect(canViewStream(stream, makeOwner(), viewers.follower, follows.follower)).toBe(true);
+      expect(canViewStream(stream, makeOwner(), viewers.stranger)).toBe(false);
+      expect(canViewStream(stream, makeOwner(), viewers.self)).toBe(true);
+    });
+
+    it('follows profile access for public streams', () => {
+      const stream = { isPrivate: false };
+      expect(canViewStream(stream, makeOwner(), viewers.stranger)).toBe(true);
+      expect(
+        canViewStream(stream, makeOwner({ profileVisibility: 'private' }), viewers.stranger)
+      ).toBe(false);
+      expect(canViewStream(stream, makeOwner(), viewers.blocked, follows.blocked)).toBe(false);
+    });
+  });
+
+  describe('canViewComment', () => {
+    const pending = { userId: { _id: STRANGER_ID }, pendingApproval: true };
+
+    it('shows approved comments to everyone', () => {
+      expect(canViewComment({ userId: STRANGER_ID }, OWNER_ID, FOLLOWER_ID)).toBe(true);
+    });
+
+    it('shows comments held for approval to the commenter and post author only', () => {
+      expect(canViewComment(pending, OWNER_ID, STRANGER_ID)).toBe(true);
+      expect(canViewComment(pending, OWNER_ID, OWNER_ID)).toBe(true);
+      expect(canViewComment(pending, OWNER_ID, FOLLOWER_ID)).toBe(false);
+    });
+
+    it('reads the commenter from Comment documents', () => {
+      const held = { author: STRANGER_ID, pendingApproval: true };
+      expect(canViewComment(held, OWNER_ID, STRANGER_ID)).toBe(true);
+      expect(canViewComment(held, OWNER_ID, FOLLOWER_ID)).toBe(false);
+    });
+  });
+
+  describe('postVisibilityFilter', () => {
+    it('does not filter the author', () => {
+      expect(postVisibilityFilter({ isSelf: true })).toEqual({});
+    });
+
+    it('includes friends-only posts for friends', () => {
+      const filter = postVisibilityFilter({ isSelf: false, isFriend: true }, ['list-1']);
+      expect(filter.$or[0].visibility.$in).toEqual(['public', 'friends']);
+      expect(filter.$or[2].audienceList.$in).toEqual(['list-1']);
+    });
+
+    it('only includes public posts for everyone else', () => {
+      const filter = postVisibilityFilter({ isSelf: false, isFriend: false });
+      expect(filter.$or[0].visibility.$in).toEqual(['public']);
+      expect(filter.$or[2].audienceList.$in).toEqual([]);
+    });
+  });
+
+  describe('redactProfile', () => {
+    it('returns identity and counts only', () => {
+      const owner = makeOwner({ profileVisibility: 'private' });
+      const rel = getRelationship(owner, viewers.requester);
+      const view = redactProfile(owner, rel, { postCount: 7 });
+
+      expect(view).toMatchObject({
+        username: 'owner',
+        isPrivate: true,
+        profileVisibility: 'private',
+        followerCount: 2,
+        followingCount: 1,
+        postCount: 7,
+        isFollowing: false,
+        requested: true,
+      });
+      expect(view.email).toBeUndefined();
+      expect(view.bio).toBeUndefined();
+      expect(view.followers).toBeUndefined();
+      expect(view.following).toBeUndefined();
+    });
+  });
+
+  describe('publicProfile', () => {
+    it('returns public fields without account internals', () => {
+      const owner = {
+        ...makeOwner({ showLastSeen: false }),
+        lastSeen: new Date(),
+        restrictedUsers: [FOLLOWER_ID],
+        mutedUsers: [FOLLOWER_ID],
+        pendingEmail: 'new@example.com',
+        identities: [{ provider: 'google', subject: '123' }],
+        deletionRequestedAt: new Date(),
+        deletionScheduledFor: new Date(),
+      };
+      const rel = getRelationship(owner, viewers.friend, follows.friend);
+      const view = publicProfile(owner, rel, { postCount: 3 });
+
+      expect(view).toMatchObject({
+        username: 'owner',
+        bio: 'secret bio',
+        isPrivate: false,
+        postCount: 3,
+        isFollowing: true,
+        followsYou: true,
+      });
+      expect(view.lastSeen).toBeUndefined();
+      for (const field of [
+        'email',
+        'followRequests',
+        'blockedUsers',
+        'restrictedUsers',
+        'mutedUsers',
+        'pendingEmail',
+        'identities',
+        'deletionRequestedAt',
+        'deletionScheduledFor',
+      ]) {
+        expect(view[field]).toBeUndefined();
+      }
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals';
+import AuthChallenge from '../models/AuthChallenge.js';
+import User from '../models/User.js';
+import {
+  startRegistration,
+  finishRegistration,
+  startAuthentication,
+  finishAuthentication,
+} from '../services/webauthnService.js';
+
+const USER_ID = '64b000000000000000000001';
+const OTHER_ID = '64b000000000000000000002';
+
+const user = {
+  _id: USER_ID,
+  username: 'alice',
+  name: 'Alice',
+  passkeys: [{ credentialId: 'cred-1', transports: ['internal'] }],
+};
+
+// A browser response echoing the given challenge in clientDataJSON
+const responseFor = (challenge, id = 'cred-1') => ({
+  id,
+  rawId: id,
+  type: 'public-key',
+  response: {
+    clientDataJSON: Buffer.from(
+      JSON.stringify({ type: 'webauthn.get', challenge, origin: 'http://localhost:5173' })
+    ).toString('base64url'),
+  },
+});
+
+describe('webauthnService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('startRegistration', () => {
+    it('excludes existing passkeys and stores the challenge for the user', async () => {
+      const issue = jest.spyOn(AuthChallenge, 'issue').mockResolvedValue({});
+
+      const options = await startRegistration(user);
+
+      expect(options.user.name).toBe('alice');
+      expect(options.excludeCredentials).toEqual([
+        expect.objectContaining({ id: 'cred-1', transports: ['internal'] }),
+      ]);
+      expect(issue).toHaveBeenCalledWith(
+        { type: 'webauthn_registration', key: options.challenge, user: USER_ID },
+        5
+      );
+    });
+  });
+
+  describe('finishRegistration', () => {
+    it('rejects responses without a readable challenge', async () => {
+      const consume = jest.spyOn(AuthChallenge, 'consume');
+      const result = await finishRegistration(user, {
+        response: { clientDataJSON: 'not-json' },
+      });
+
+      expect(result.code).toBe('INVALID_CHALLENGE');
+      expect(consume).not.toHaveBeenCalled();
+    });
+
+    it('rejects challenges issued to another user', async () => {
+      const consume = jest
+        .spyOn(AuthChallenge, 'consume')
+        .mockResolvedValue({ key: 'abc', user: OTHER_ID });
+
+      const result = await finishRegistration(user, responseFor('abc'));
+
+      expect(consume).toHaveBeenCalledWith('webauthn_registration', 'abc');
+      expect(result.code).toBe('INVALID_CHALLENGE');
+    });
+
+    it('reports responses that fail verification', async () => {
+      jest.spyOn(AuthChallenge, 'consume').mockResolvedValue({ key: 'abc', user: USER_ID });
+
+      const result = await finishRegistration(user, responseFor('abc'));
+
+      expect(result).toMatchObject({ success: false, code: 'VERIFICATION_FAILED' });
+    });
+  });
+
+  describe('startAuthentication', () => {
+    it('allows any discoverable passkey without a user', async () => {
+      const issue = jest.spyOn(AuthChallenge, 'issue').mockResolvedValue({});
+
+      const options = await startAuthentication();
+
+      expect(options.allowCredentials || []).toEqual([]);
+      expect(issue).toHaveBeenCalledWith(
+        { type: 'webauthn_authentication', key: options.challenge, user: undefined },
+        5
+      );
+    });
+
+    it("limits the options to the user's passkeys", async () => {
+      jest.spyOn(AuthChallenge, 'issue').mockResolvedValue({});
+
+      const options = await startAuthentication(user);
+
+      expect(options.allowCredentials.map((c) => c.id)).toEqual(['cred-1']);
+    });
+  });
+
+  describe('finishAuthentication', () => {
+    const stubUser = (found) =>
+      jest.spyOn(User, 'findOne').mockReturnValue({ select: async () => found });
+
+    it('rejects expired or unknown challenges', async () => {
+      jest.spyOn(AuthChallenge, 'consume').mockResolvedValue(null);
+      const findOne = stubUser(user);
+
+      const result = await finishAuthentication(responseFor('abc'));
+
+      expect(result.code).toBe('INVALID_CHALLENGE');
+      expect(findOne).not.toHaveBeenCalled();
+    });
+
+    it('rejects passkeys nobody registered', async () => {
+      jest.spyOn(AuthChallenge, 'consume').mockResolvedValue({ key: 'abc' });
+      stubUser(null);
+
+      const result = await finishAuthentication(responseFor('abc', 'cred-x'));
+
+      expect(result.code).toBe('UNKNOWN_PASSKEY');
+    });
+
+    it('rejects passkeys of a different user than the challenge was issued to', async () => {
+      jest
+        .spyOn(AuthChallenge, 'consume')
+        .mockResolvedValue({ key: 'abc', user: OTHER_ID });
+      stubUser(user);
+
+      const result = await finishAuthentication(responseFor('abc'));
+
+      expect(result.code).toBe('UNKNOWN_PASSKEY');
+    });
+
+    it('does not bump the counter when verification fails', async () => {
+      jest.spyOn(AuthChallenge, 'consume').mockResolvedValue({ key: 'abc', user: USER_ID });
+      stubUser({ ...user, passkeys: [{ ...user.passkeys[0], publicKey: 'AAAA', counter: 0 }] });
+      const updateOne = jest.spyOn(User, 'updateOne');
+
+      const result = await finishAuthentication(responseFor('abc'));
+
+      expect(result).toMatchObject({ success: false, code: 'VERIFICATION_FAILED' });
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
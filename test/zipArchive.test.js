@@ -0,0 +1,49 @@
+import zlib from 'zlib';
+import { createZip } from '../services/zipArchive.js';
+
+// Read the entries back using the central directory
+const readZip = (buffer) => {
+  const end = buffer.length - 22;
+  expect(buffer.readUInt32LE(end)).toBe(0x06054b50);
+  const count = buffer.readUInt16LE(end + 10);
+  let pos = buffer.readUInt32LE(end + 16);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(buffer.readUInt32LE(pos)).toBe(0x02014b50);
+    const crc = buffer.readUInt32LE(pos + 16);
+    const compressedSize = buffer.readUInt32LE(pos + 20);
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const offset = buffer.readUInt32LE(pos + 42);
+    const name = buffer.toString('utf8', pos + 46, pos + 46 + nameLength);
+
+    const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26);
+    const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+    entries.push({ name, data: data.toString('utf8'), crc });
+    pos += 46 + nameLength;
+  }
+  return entries;
+};
+
+describe('zipArchive', () => {
+  it('round-trips entries with their names and contents', () => {
+    const zip = createZip([
+      { name: 'README.txt', data: 'hello' },
+      { name: 'posts/posts.json', data: JSON.stringify([{ content: 'café ☕' }]) },
+      { name: 'empty.json', data: Buffer.alloc(0) },
+    ]);
+
+    const entries = readZip(zip);
+    expect(entries.map((e) => e.name)).toEqual(['README.txt', 'posts/posts.json', 'empty.json']);
+    expect(entries[0].data).toBe('hello');
+    expect(JSON.parse(entries[1].data)).toEqual([{ content: 'café ☕' }]);
+    expect(entries[2].data).toBe('');
+    expect(entries[0].crc).toBe(zlib.crc32('hello'));
+  });
+
+  it('builds a valid empty archive', () => {
+    const zip = createZip([]);
+    expect(zip).toHaveLength(22);
+    expect(readZip(zip)).toEqual([]);
+  });
+});